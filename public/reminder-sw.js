@@ -0,0 +1,39 @@
+/**
+ * Reminder Service Worker
+ *
+ * Handles clicks on due-date reminder notifications (see src/lib/notifications.js):
+ * - Snooze and dismiss buttons are passed to an open app window, which stores them
+ * - Clicking the notification itself focuses the app on the task, opening it if needed
+ */
+
+const REMINDER_ACTION_MESSAGE = 'reminder-action';
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    const { key, taskId, url } = event.notification.data || {};
+    const action = event.action || 'open';
+    event.notification.close();
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = windows.find(windowClient => windowClient.focused) || windows[0];
+
+        if (client) {
+            client.postMessage({ type: REMINDER_ACTION_MESSAGE, action, key, taskId });
+            if (action === 'open') {
+                await client.focus();
+            }
+        } else {
+            // With no window left to store a snooze or dismissal, the task is
+            // opened and the reminder stays in the tray
+            await self.clients.openWindow(url);
+        }
+    })());
+});
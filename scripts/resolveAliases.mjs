@@ -0,0 +1,35 @@
+/**
+ * Module Resolution for Tests
+ *
+ * Lets `node --test` load app modules the way Next.js bundles them:
+ * - '@/...' imports resolve to src/, as in jsconfig.json
+ * - Imports without an extension resolve to the .js file
+ *
+ * Used with `node --import ./scripts/resolveAliases.mjs`; the module registers
+ * itself as a resolve hook and is then loaded again on the hooks thread.
+ */
+
+import { existsSync } from 'node:fs';
+import { register } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { isMainThread } from 'node:worker_threads';
+
+const SRC_URL = new URL('../src/', import.meta.url);
+
+if (isMainThread) {
+    register(import.meta.url);
+}
+
+export async function resolve(specifier, context, nextResolve) {
+    let url = null;
+    if (specifier.startsWith('@/')) {
+        url = new URL(specifier.slice(2), SRC_URL);
+    } else if (/^\.\.?\//.test(specifier) && context.parentURL?.startsWith('file:')) {
+        url = new URL(specifier, context.parentURL);
+    }
+
+    if (url && !/\.[cm]?js$/.test(url.pathname) && existsSync(`${fileURLToPath(url)}.js`)) {
+        url = new URL(`${url.href}.js`);
+    }
+    return nextResolve(url ? url.href : specifier, context);
+}
@@ -6,6 +6,15 @@
  * - Modern form design with floating labels
  * - Interactive elements and micro-interactions
  * - Better visual hierarchy
+ * - Field-level validation against the shared task schema
+ * - Tag picker with autocomplete and inline tag creation
+ * - Recurrence rule for repeating tasks
+ * - Optional estimate in hours or story points
+ * - Due-date reminders, or the user's default reminders
+ * - Initial status picked from the user's workflow
+ * - New from template: title, description, type, checklist and due date filled in
+ * - Optional due time, read in the user's timezone
+ * - Markdown description with write and preview tabs
  */
 
 'use client';
@@ -14,53 +23,132 @@ import { useState } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
 import { motion } from 'framer-motion';
-import { ArrowLeft, Save, X, Plus, FileText, Clock, CheckCircle2, Circle, Calendar } from 'lucide-react';
+import { ArrowLeft, Save, X, Plus, FileText, Calendar, Clock, LayoutTemplate, ListChecks } from 'lucide-react';
 import clsx from 'clsx';
-import { useAppDispatch } from '@/store/hooks';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
 import { createTask } from '@/store/slices/tasksSlice';
+import { createTag, selectTags } from '@/store/slices/tagsSlice';
+import { selectReminderDefaults, selectTimeZone, selectWorkflow } from '@/store/slices/settingsSlice';
+import { selectTemplates } from '@/store/slices/templatesSlice';
+import {
+    TASK_TYPE_OPTIONS,
+    TASK_PRIORITY_OPTIONS,
+    DEFAULT_PRIORITY,
+    validateTask
+} from '@/lib/taskSchema';
+import { pickTagColor } from '@/lib/tags';
+import { getInitialStatus, isTerminalStatus } from '@/lib/workflow';
+import { fillTemplate } from '@/lib/templates';
+import { toggleTaskListItem } from '@/lib/markdown';
+import { describeDue, describeTimeZone, resolveTimeZone } from '@/lib/deadlines';
 import AuthGuard from '@/components/AuthGuard';
+import TagInput from '@/components/TagInput';
+import RecurrenceEditor from '@/components/RecurrenceEditor';
+import EstimateInput from '@/components/EstimateInput';
+import ReminderEditor from '@/components/ReminderEditor';
+import MarkdownEditor from '@/components/MarkdownEditor';
+import { StatusIcon } from '@/components/StatusBadge';
 
 function AddTaskContent() {
     const { user } = useAuth();
     const router = useRouter();
     const dispatch = useAppDispatch();
+    const tags = useAppSelector(selectTags);
+    const reminderDefaults = useAppSelector(selectReminderDefaults);
+    const workflow = useAppSelector(selectWorkflow);
+    const templates = useAppSelector(selectTemplates);
+    const timeZone = useAppSelector(selectTimeZone);
     const [loading, setLoading] = useState(false);
     const [lastSubmitTime, setLastSubmitTime] = useState(0);
     const [submittedTaskHash, setSubmittedTaskHash] = useState(null);
     const [formData, setFormData] = useState({
         title: '',
         description: '',
-        status: 'pending',
+        status: getInitialStatus(workflow),
         type: 'task',
-        dueDate: ''
+        priority: DEFAULT_PRIORITY,
+        dueDate: '',
+        dueTime: '',
+        tags: [],
+        checklist: [],
+        recurrence: null,
+        estimate: null,
+        // null uses the user's default reminders
+        reminders: null
     });
+    const [fieldErrors, setFieldErrors] = useState({});
 
-    const statusOptions = [
-        { value: 'pending', label: 'Pending', icon: Circle, color: 'gray' },
-        { value: 'in-progress', label: 'In Progress', icon: Clock, color: 'blue' },
-        { value: 'completed', label: 'Completed', icon: CheckCircle2, color: 'green' }
-    ];
-
-    const taskTypeOptions = [
-        { value: 'task', label: 'Task' },
-        { value: 'bug', label: 'Bug' },
-        { value: 'feature', label: 'Feature' },
-        { value: 'improvement', label: 'Improvement' }
-    ];
+    // The workflow may change (e.g. arrive with the settings) after a status was picked
+    const status = workflow.some(candidate => candidate.id === formData.status)
+        ? formData.status
+        : getInitialStatus(workflow);
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({
             ...prev,
-            [name]: value
+            [name]: value,
+            // A due time only counts with a due date
+            ...(name === 'dueDate' && !value && { dueTime: '' })
         }));
+        setFieldErrors(prev => ({ ...prev, [name]: null }));
+    };
+
+    const handleTagsChange = (tagIds) => {
+        setFormData(prev => ({ ...prev, tags: tagIds }));
+        setFieldErrors(prev => ({ ...prev, tags: null }));
+    };
+
+    const handleRecurrenceChange = (recurrence) => {
+        setFormData(prev => ({ ...prev, recurrence }));
+        setFieldErrors(prev => ({ ...prev, recurrence: null }));
+    };
+
+    const handleEstimateChange = (estimate) => {
+        setFormData(prev => ({ ...prev, estimate }));
+        setFieldErrors(prev => ({ ...prev, estimate: null }));
+    };
+
+    const handleRemindersChange = (reminders) => {
+        setFormData(prev => ({ ...prev, reminders }));
+        setFieldErrors(prev => ({ ...prev, reminders: null }));
+    };
+
+    // Fill the form from a template, keeping the fields templates do not cover
+    const handleTemplateChange = (e) => {
+        const template = templates.find(candidate => candidate.id === e.target.value);
+        if (!template) return;
+
+        const hasInput = formData.title.trim() || formData.description.trim() || formData.checklist.length > 0;
+        if (hasInput && !confirm(`Replace the title, description, type, checklist and due date with the "${template.name}" template?`)) {
+            return;
+        }
+        const filled = fillTemplate(template, timeZone);
+        setFormData(prev => ({ ...prev, ...filled, dueTime: filled.dueDate ? prev.dueTime : '' }));
+        setFieldErrors({});
+    };
+
+    const handleRemoveChecklistItem = (itemId) => {
+        setFormData(prev => ({ ...prev, checklist: prev.checklist.filter(item => item.id !== itemId) }));
+        setFieldErrors(prev => ({ ...prev, checklist: null }));
+    };
+
+    const handleCreateTag = async (name) => {
+        const tag = await dispatch(createTag({ userId: user.uid, name, color: pickTagColor(tags) })).unwrap();
+        return tag.id;
     };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        if (!formData.title.trim()) {
-            // Better error handling with toast-like notification
+        // A task created finished gets its completion date right away
+        const taskData = isTerminalStatus(workflow, status)
+            ? { ...formData, status, completedAt: new Date().toISOString() }
+            : { ...formData, status };
+
+        const { valid, errors } = validateTask(taskData);
+        if (!valid) {
+            setFieldErrors(errors);
             return;
         }
 
@@ -77,7 +165,7 @@ function AddTaskContent() {
         }
 
         // Create a simple hash of the task data to prevent duplicate submissions
-        const taskHash = `${formData.title}_${formData.description}_${formData.type}_${formData.dueDate}`;
+        const taskHash = `${formData.title}_${formData.description}_${formData.type}_${formData.priority}_${formData.dueDate}_${formData.dueTime}_${formData.tags.join(',')}_${formData.checklist.map(item => item.text).join(',')}_${JSON.stringify(formData.recurrence)}_${JSON.stringify(formData.estimate)}_${JSON.stringify(formData.reminders)}`;
         if (submittedTaskHash === taskHash) {
             console.log('Preventing duplicate task submission');
             return;
@@ -90,7 +178,7 @@ function AddTaskContent() {
             setLoading(true);
             await dispatch(createTask({
                 userId: user.uid,
-                taskData: formData
+                taskData
             })).unwrap();
 
             router.push('/');
@@ -157,28 +245,89 @@ function AddTaskContent() {
                     className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-white/20 p-4 sm:p-6 lg:p-8"
                 >
                     <form onSubmit={handleSubmit} className="space-y-6 sm:space-y-8">
-                        {/* Task Type Field */}
+                        {/* Template Picker */}
                         <motion.div
                             initial={{ opacity: 0, x: -20 }}
                             animate={{ opacity: 1, x: 0 }}
-                            transition={{ delay: 0.2 }}
+                            transition={{ delay: 0.15 }}
                         >
-                            <label htmlFor="type" className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
-                                Task Type
+                            <label htmlFor="template" className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                                New from Template
                             </label>
-                            <select
-                                id="type"
-                                name="type"
-                                value={formData.type}
-                                onChange={handleInputChange}
-                                className="w-full px-3 py-3 sm:px-4 sm:py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base"
-                            >
-                                {taskTypeOptions.map((option) => (
-                                    <option key={option.value} value={option.value}>
-                                        {option.label}
-                                    </option>
-                                ))}
-                            </select>
+                            {templates.length > 0 ? (
+                                <div className="relative">
+                                    <LayoutTemplate className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 sm:w-5 sm:h-5 text-gray-400" />
+                                    <select
+                                        id="template"
+                                        value=""
+                                        onChange={handleTemplateChange}
+                                        className="w-full pl-10 sm:pl-12 pr-3 py-3 sm:py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base"
+                                    >
+                                        <option value="">Choose a template...</option>
+                                        {templates.map((template) => (
+                                            <option key={template.id} value={template.id}>
+                                                {template.name}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                            ) : (
+                                <p className="text-sm text-gray-500">
+                                    No templates yet.{' '}
+                                    <button
+                                        type="button"
+                                        onClick={() => router.push('/templates')}
+                                        className="text-blue-600 hover:text-blue-700 hover:underline"
+                                    >
+                                        Create one
+                                    </button>
+                                </p>
+                            )}
+                        </motion.div>
+
+                        {/* Task Type and Priority Fields */}
+                        <motion.div
+                            initial={{ opacity: 0, x: -20 }}
+                            animate={{ opacity: 1, x: 0 }}
+                            transition={{ delay: 0.2 }}
+                            className="grid grid-cols-1 sm:grid-cols-2 gap-4 sm:gap-6"
+                        >
+                            <div>
+                                <label htmlFor="type" className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                                    Task Type
+                                </label>
+                                <select
+                                    id="type"
+                                    name="type"
+                                    value={formData.type}
+                                    onChange={handleInputChange}
+                                    className="w-full px-3 py-3 sm:px-4 sm:py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base"
+                                >
+                                    {TASK_TYPE_OPTIONS.map((option) => (
+                                        <option key={option.value} value={option.value}>
+                                            {option.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label htmlFor="priority" className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                                    Priority
+                                </label>
+                                <select
+                                    id="priority"
+                                    name="priority"
+                                    value={formData.priority}
+                                    onChange={handleInputChange}
+                                    className="w-full px-3 py-3 sm:px-4 sm:py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base"
+                                >
+                                    {TASK_PRIORITY_OPTIONS.map((option) => (
+                                        <option key={option.value} value={option.value}>
+                                            {option.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
                         </motion.div>
 
                         {/* Title Field */}
@@ -198,11 +347,17 @@ function AddTaskContent() {
                                     name="title"
                                     value={formData.title}
                                     onChange={handleInputChange}
-                                    className="w-full pl-10 sm:pl-12 pr-3 sm:pr-4 py-3 sm:py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base"
+                                    className={clsx(
+                                        "w-full pl-10 sm:pl-12 pr-3 sm:pr-4 py-3 sm:py-4 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base",
+                                        fieldErrors.title ? "border-red-400" : "border-gray-200"
+                                    )}
                                     placeholder="Enter a descriptive task title"
                                     required
                                 />
                             </div>
+                            {fieldErrors.title && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.title}</p>
+                            )}
                         </motion.div>
 
                         {/* Description Field */}
@@ -214,15 +369,25 @@ function AddTaskContent() {
                             <label htmlFor="description" className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
                                 Description
                             </label>
-                            <textarea
+                            <MarkdownEditor
                                 id="description"
                                 name="description"
                                 value={formData.description}
                                 onChange={handleInputChange}
+                                onToggleTaskItem={(offset) => setFormData(prev => ({
+                                    ...prev,
+                                    description: toggleTaskListItem(prev.description, offset)
+                                }))}
                                 rows={4}
-                                className="w-full px-3 sm:px-4 py-3 sm:py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 resize-none bg-white/50 backdrop-blur-sm text-base"
+                                textareaClassName={clsx(
+                                    "w-full px-3 sm:px-4 py-3 sm:py-4 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 resize-none bg-white/50 backdrop-blur-sm text-base",
+                                    fieldErrors.description ? "border-red-400" : "border-gray-200"
+                                )}
                                 placeholder="Provide additional details about this task"
                             />
+                            {fieldErrors.description && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.description}</p>
+                            )}
                         </motion.div>
 
                         {/* Due Date Field */}
@@ -242,9 +407,148 @@ function AddTaskContent() {
                                     name="dueDate"
                                     value={formData.dueDate}
                                     onChange={handleInputChange}
-                                    className="w-full pl-10 sm:pl-12 pr-3 sm:pr-4 py-3 sm:py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base"
+                                    className={clsx(
+                                        "w-full pl-10 sm:pl-12 pr-3 sm:pr-4 py-3 sm:py-4 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base",
+                                        fieldErrors.dueDate ? "border-red-400" : "border-gray-200"
+                                    )}
+                                />
+                            </div>
+                            {fieldErrors.dueDate && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.dueDate}</p>
+                            )}
+                            <div className="relative mt-3">
+                                <Clock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 sm:w-5 sm:h-5 text-gray-400" />
+                                <input
+                                    type="time"
+                                    id="dueTime"
+                                    name="dueTime"
+                                    value={formData.dueTime}
+                                    onChange={handleInputChange}
+                                    disabled={!formData.dueDate}
+                                    aria-label="Due time (optional)"
+                                    className={clsx(
+                                        "w-full pl-10 sm:pl-12 pr-3 sm:pr-4 py-3 sm:py-4 border-2 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white/50 backdrop-blur-sm text-base disabled:opacity-50",
+                                        fieldErrors.dueTime ? "border-red-400" : "border-gray-200"
+                                    )}
                                 />
                             </div>
+                            {fieldErrors.dueTime && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.dueTime}</p>
+                            )}
+                            {formData.dueDate && (
+                                <p className="mt-2 text-xs text-gray-500">
+                                    Due {describeDue(formData, { year: true })}{!formData.dueTime && ' (end of day)'},
+                                    {' '}{describeTimeZone(resolveTimeZone(timeZone))}
+                                </p>
+                            )}
+                        </motion.div>
+
+                        {/* Checklist from the template */}
+                        {formData.checklist.length > 0 && (
+                            <motion.div
+                                initial={{ opacity: 0, x: -20 }}
+                                animate={{ opacity: 1, x: 0 }}
+                            >
+                                <label className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                                    Checklist
+                                </label>
+                                <ul className="space-y-1.5">
+                                    {formData.checklist.map((item) => (
+                                        <li key={item.id} className="flex items-center gap-2 px-3 py-2 border border-gray-200 rounded-lg bg-white/50 text-sm text-gray-700">
+                                            <ListChecks className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                                            <span className="flex-1 min-w-0 break-words">{item.text}</span>
+                                            <button
+                                                type="button"
+                                                onClick={() => handleRemoveChecklistItem(item.id)}
+                                                className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+                                                aria-label={`Remove ${item.text}`}
+                                            >
+                                                <X className="w-3 h-3" />
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                                {fieldErrors.checklist && (
+                                    <p className="mt-2 text-sm text-red-600">{fieldErrors.checklist}</p>
+                                )}
+                            </motion.div>
+                        )}
+
+                        {/* Tags Field */}
+                        <motion.div
+                            initial={{ opacity: 0, x: -20 }}
+                            animate={{ opacity: 1, x: 0 }}
+                            transition={{ delay: 0.36 }}
+                        >
+                            <label className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                                Tags (Optional)
+                            </label>
+                            <TagInput
+                                value={formData.tags}
+                                tags={tags}
+                                onChange={handleTagsChange}
+                                onCreateTag={handleCreateTag}
+                            />
+                            {fieldErrors.tags && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.tags}</p>
+                            )}
+                        </motion.div>
+
+                        {/* Recurrence Field */}
+                        <motion.div
+                            initial={{ opacity: 0, x: -20 }}
+                            animate={{ opacity: 1, x: 0 }}
+                            transition={{ delay: 0.38 }}
+                        >
+                            <label className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                                Repeat
+                            </label>
+                            <RecurrenceEditor
+                                value={formData.recurrence}
+                                onChange={handleRecurrenceChange}
+                                dueDate={formData.dueDate}
+                            />
+                            {fieldErrors.recurrence && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.recurrence}</p>
+                            )}
+                        </motion.div>
+
+                        {/* Estimate Field */}
+                        <motion.div
+                            initial={{ opacity: 0, x: -20 }}
+                            animate={{ opacity: 1, x: 0 }}
+                            transition={{ delay: 0.39 }}
+                        >
+                            <label className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                                Estimate (Optional)
+                            </label>
+                            <EstimateInput
+                                value={formData.estimate}
+                                onChange={handleEstimateChange}
+                            />
+                            {fieldErrors.estimate && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.estimate}</p>
+                            )}
+                        </motion.div>
+
+                        {/* Reminders Field */}
+                        <motion.div
+                            initial={{ opacity: 0, x: -20 }}
+                            animate={{ opacity: 1, x: 0 }}
+                            transition={{ delay: 0.395 }}
+                        >
+                            <label className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                                Reminders
+                            </label>
+                            <ReminderEditor
+                                value={formData.reminders}
+                                onChange={handleRemindersChange}
+                                defaults={reminderDefaults}
+                                dueDate={formData.dueDate}
+                            />
+                            {fieldErrors.reminders && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.reminders}</p>
+                            )}
                         </motion.div>
 
                         {/* Status Field */}
@@ -257,15 +561,14 @@ function AddTaskContent() {
                                 Initial Status
                             </label>
                             <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
-                                {statusOptions.map((option) => {
-                                    const IconComponent = option.icon;
-                                    const isSelected = formData.status === option.value;
+                                {workflow.map((option) => {
+                                    const isSelected = status === option.id;
 
                                     return (
                                         <motion.button
-                                            key={option.value}
+                                            key={option.id}
                                             type="button"
-                                            onClick={() => setFormData(prev => ({ ...prev, status: option.value }))}
+                                            onClick={() => setFormData(prev => ({ ...prev, status: option.id }))}
                                             whileHover={{ scale: 1.02 }}
                                             whileTap={{ scale: 0.98 }}
                                             className={clsx(
@@ -276,19 +579,7 @@ function AddTaskContent() {
                                             )}
                                         >
                                             <div className="flex items-center space-x-3">
-                                                <div className={clsx(
-                                                    "p-2 rounded-lg",
-                                                    option.color === 'gray' && "bg-gray-100",
-                                                    option.color === 'blue' && "bg-blue-100",
-                                                    option.color === 'green' && "bg-green-100"
-                                                )}>
-                                                    <IconComponent className={clsx(
-                                                        "w-5 h-5",
-                                                        option.color === 'gray' && "text-gray-600",
-                                                        option.color === 'blue' && "text-blue-600",
-                                                        option.color === 'green' && "text-green-600"
-                                                    )} />
-                                                </div>
+                                                <StatusIcon workflow={workflow} status={option} boxed />
                                                 <div>
                                                     <div className="font-medium text-gray-900">{option.label}</div>
                                                 </div>
@@ -0,0 +1,53 @@
+/**
+ * Attachment Usage API Route
+ *
+ * Recounts the attachment bytes a user stores after files are uploaded or
+ * deleted:
+ * - The caller identified by their Firebase ID token
+ * - Any collaborator may ask, since deleting a task's files also frees its
+ *   uploader's allowance
+ * - The count is taken from the stored files, so it cannot be set by the caller
+ */
+
+import { NextResponse } from 'next/server';
+import { STORAGE_BACKEND, verifyIdToken, recountAttachmentUsage } from '@/lib/serverStorage';
+
+export async function POST(request) {
+    try {
+        const { userId } = await request.json();
+
+        if (!userId) {
+            return NextResponse.json(
+                { error: 'User ID is required' },
+                { status: 400 }
+            );
+        }
+
+        // The local backend counts attachments in the browser
+        if (STORAGE_BACKEND !== 'firestore') {
+            return NextResponse.json(
+                { error: 'Attachment usage is only counted on the server with Firestore' },
+                { status: 400 }
+            );
+        }
+
+        const idToken = request.headers.get('authorization')?.match(/^Bearer (.+)$/)?.[1];
+        const callerId = idToken ? await verifyIdToken(idToken).catch(() => null) : null;
+        if (!callerId) {
+            return NextResponse.json(
+                { error: 'Sign in to update attachment usage' },
+                { status: 401 }
+            );
+        }
+
+        const attachmentBytes = await recountAttachmentUsage(userId);
+        return NextResponse.json({ attachmentBytes });
+
+    } catch (error) {
+        console.error('Error in attachment usage API:', error);
+        return NextResponse.json(
+            { error: 'Failed to update attachment usage' },
+            { status: 500 }
+        );
+    }
+}
@@ -3,25 +3,19 @@
  * 
  * Handles task suggestion requests with:
  * - User limit checking (20 free suggestions per user)
+ * - The caller identified by their Firebase ID token; usage counted on the server
  * - Cached suggestion lookup
+ * - Task field validation against the shared task schema
+ * - Deadline urgency worked out here, in the user's timezone
  * - OpenAI API integration for generating new suggestions
- * - Suggestion storage in Firebase
+ * - Suggestion storage through the configured storage backend
  */
 
 import { NextResponse } from 'next/server';
 import OpenAI from 'openai';
-import { db } from '@/lib/firebase';
-import {
-    collection,
-    doc,
-    getDoc,
-    setDoc,
-    updateDoc,
-    query,
-    where,
-    getDocs,
-    serverTimestamp
-} from 'firebase/firestore';
+import { STORAGE_BACKEND, verifyIdToken, getUserStats, recordSuggestionUsage, saveSuggestion } from '@/lib/serverStorage';
+import { validateTask, getPriorityLabel, DEFAULT_PRIORITY } from '@/lib/taskSchema';
+import { describeDue, getDeadlineStatus, isValidTimeZone } from '@/lib/deadlines';
 
 // Initialize OpenAI
 const openai = new OpenAI({
@@ -38,16 +32,16 @@ export async function POST(request) {
             taskType,
             taskDescription,
             taskStatus,
+            taskPriority,
             dueDate,
+            dueTime,
+            timeZone,
             createdAt,
             completedAt,
-            isOverdue,
             daysSinceCreated,
-            daysUntilDue,
             hasDescription,
             hasDueDate,
-            taskAge,
-            urgencyLevel
+            taskAge
         } = await request.json();
 
         if (!userId || !taskName) {
@@ -57,15 +51,53 @@ export async function POST(request) {
             );
         }
 
-        // Check user's suggestion count
-        const userStatsRef = doc(db, 'userStats', userId);
-        const userStatsSnap = await getDoc(userStatsRef);
+        // Only the fields that were sent are checked
+        const taskFields = Object.fromEntries(
+            Object.entries({
+                title: taskName,
+                description: taskDescription,
+                status: taskStatus,
+                type: taskType,
+                priority: taskPriority,
+                dueDate,
+                dueTime,
+                completedAt
+            }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+        const { valid, errors } = validateTask(taskFields, { partial: true });
+        if (timeZone && !isValidTimeZone(timeZone)) {
+            errors.timeZone = 'Timezone must be a known timezone such as Europe/Berlin';
+        }
+        if (!valid || errors.timeZone) {
+            return NextResponse.json(
+                { error: 'Invalid task data', fieldErrors: errors },
+                { status: 400 }
+            );
+        }
 
-        let suggestionCount = 0;
-        if (userStatsSnap.exists()) {
-            suggestionCount = userStatsSnap.data().suggestionCount || 0;
+        // Suggestions are counted against the signed-in caller; the local backend has
+        // no accounts to check
+        if (STORAGE_BACKEND === 'firestore') {
+            const idToken = request.headers.get('authorization')?.match(/^Bearer (.+)$/)?.[1];
+            const callerId = idToken ? await verifyIdToken(idToken).catch(() => null) : null;
+            if (!callerId) {
+                return NextResponse.json(
+                    { error: 'Sign in to get suggestions' },
+                    { status: 401 }
+                );
+            }
+            if (callerId !== userId) {
+                return NextResponse.json(
+                    { error: 'You can only get suggestions for your own account' },
+                    { status: 403 }
+                );
+            }
         }
 
+        // Check user's suggestion count
+        const userStats = await getUserStats(userId);
+        const suggestionCount = userStats?.suggestionCount || 0;
+
         // Check if user has reached the limit
         if (suggestionCount >= MAX_FREE_SUGGESTIONS) {
             return NextResponse.json({
@@ -76,13 +108,22 @@ export async function POST(request) {
             }, { status: 429 });
         }
 
+        // Due dates are read in the user's timezone (the server's when none is sent)
+        const { isOverdue, daysUntilDue, urgencyLevel } = getDeadlineStatus(
+            { dueDate: taskFields.dueDate, dueTime: taskFields.dueTime },
+            timeZone,
+            { done: Boolean(completedAt) }
+        );
+
         // Always generate fresh suggestion using OpenAI (skip caching)
         const prompt = generatePrompt({
             taskName,
             taskType,
             taskDescription,
             taskStatus,
-            dueDate,
+            taskPriority,
+            dueDate: taskFields.dueDate,
+            dueTime: taskFields.dueTime,
             createdAt,
             completedAt,
             isOverdue,
@@ -120,31 +161,18 @@ export async function POST(request) {
         }
 
         // Optional: Store the new suggestion in the database for analytics
-        const suggestionId = doc(collection(db, 'suggestions')).id;
-        await setDoc(doc(db, 'suggestions', suggestionId), {
+        await saveSuggestion({
             taskName: taskName,
             taskNameLower: taskName.toLowerCase().trim(),
             taskType: taskType || 'task',
             content: suggestionContent,
-            createdAt: serverTimestamp(),
             createdBy: userId,
             usageCount: 1,
             isFromCache: false
         });
 
         // Update user's suggestion count
-        if (userStatsSnap.exists()) {
-            await updateDoc(userStatsRef, {
-                suggestionCount: suggestionCount + 1,
-                lastSuggestionAt: serverTimestamp()
-            });
-        } else {
-            await setDoc(userStatsRef, {
-                suggestionCount: 1,
-                lastSuggestionAt: serverTimestamp(),
-                createdAt: serverTimestamp()
-            });
-        }
+        await recordSuggestionUsage(userId);
 
         return NextResponse.json({
             suggestion: suggestionContent,
@@ -175,7 +203,9 @@ function generatePrompt(taskData) {
         taskType,
         taskDescription,
         taskStatus,
+        taskPriority,
         dueDate,
+        dueTime,
         isOverdue,
         daysSinceCreated,
         daysUntilDue,
@@ -191,11 +221,11 @@ function generatePrompt(taskData) {
     }
     taskContext += `\nType: ${taskType || 'task'}`;
     taskContext += `\nStatus: ${taskStatus || 'pending'}`;
+    taskContext += `\nPriority: ${getPriorityLabel(taskPriority || DEFAULT_PRIORITY)}`;
 
     // Add date and urgency context
     if (dueDate) {
-        const dueDateStr = new Date(dueDate).toLocaleDateString();
-        taskContext += `\nDue Date: ${dueDateStr}`;
+        taskContext += `\nDue: ${describeDue({ dueDate, dueTime }, { year: true })}`;
     }
 
     if (urgencyLevel) {
@@ -0,0 +1,267 @@
+/**
+ * Archive Page
+ *
+ * Lists archived tasks (finished tasks moved out of the task list) with:
+ * - Search by title and description
+ * - Unarchive back to the task list
+ * - Links to the task page
+ * - The user's archive delay, with a link to change it in settings
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowLeft, Archive, ArchiveRestore, Loader2, Search, X } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    fetchArchivedTasks,
+    unarchiveTask,
+    selectArchivedTasks
+} from '@/store/slices/tasksSlice';
+import { selectWorkflow, selectArchiveAfterDays } from '@/store/slices/settingsSlice';
+import { getStatus } from '@/lib/workflow';
+import AuthGuard from '@/components/AuthGuard';
+import { FullScreenLoader } from '@/components/Loader';
+import StatusBadge from '@/components/StatusBadge';
+
+const formatDate = (isoString) =>
+    new Date(isoString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Whether a task's title or description contains every word of the search
+const matchesSearch = (task, search) => {
+    const text = `${task.title} ${task.description ?? ''}`.toLowerCase();
+    return search.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+function ArchiveContent() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const dispatch = useAppDispatch();
+    const archivedTasks = useAppSelector(selectArchivedTasks);
+    const workflow = useAppSelector(selectWorkflow);
+    const archiveAfterDays = useAppSelector(selectArchiveAfterDays);
+    const [loading, setLoading] = useState(true);
+    const [busyTasks, setBusyTasks] = useState(new Set());
+    const [search, setSearch] = useState('');
+
+    const visibleTasks = search.trim()
+        ? archivedTasks.filter(task => matchesSearch(task, search))
+        : archivedTasks;
+
+    // The archive is not part of the live list feed, so load it on entry
+    useEffect(() => {
+        if (user) {
+            dispatch(fetchArchivedTasks(user.uid)).finally(() => setLoading(false));
+        }
+    }, [user, dispatch]);
+
+    const markBusy = (taskId, busy) => {
+        setBusyTasks(prev => {
+            const newSet = new Set(prev);
+            if (busy) {
+                newSet.add(taskId);
+            } else {
+                newSet.delete(taskId);
+            }
+            return newSet;
+        });
+    };
+
+    const handleUnarchive = async (taskId) => {
+        if (busyTasks.has(taskId)) return;
+
+        try {
+            markBusy(taskId, true);
+            await dispatch(unarchiveTask(taskId)).unwrap();
+        } catch (error) {
+            console.error('Error unarchiving task:', error);
+            alert('Failed to unarchive task. Please try again.');
+        } finally {
+            markBusy(taskId, false);
+        }
+    };
+
+    const handleBack = () => {
+        router.push('/');
+    };
+
+    if (loading) {
+        return <FullScreenLoader message="Loading archive..." size="md" />;
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+            {/* Header */}
+            <motion.div
+                initial={{ opacity: 0, y: -20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white/80 backdrop-blur-lg shadow-lg border-b border-white/20"
+            >
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center py-4 sm:py-6 gap-4">
+                        <div className="flex items-center space-x-3 sm:space-x-4 min-w-0">
+                            <motion.button
+                                onClick={handleBack}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="p-2 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+                            >
+                                <ArrowLeft className="w-5 h-5 text-gray-600" />
+                            </motion.button>
+                            <div className="h-8 w-8 sm:h-10 sm:w-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl flex items-center justify-center flex-shrink-0">
+                                <Archive className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+                            </div>
+                            <div className="min-w-0">
+                                <h1 className="text-lg sm:text-2xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 bg-clip-text text-transparent truncate">
+                                    Archive
+                                </h1>
+                                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                                    {archiveAfterDays === null
+                                        ? 'Automatic archiving is off'
+                                        : `Finished tasks are archived ${archiveAfterDays} day(s) after completion`}
+                                    {' · '}
+                                    <button
+                                        type="button"
+                                        onClick={() => router.push('/settings')}
+                                        className="text-blue-600 hover:text-blue-700 hover:underline"
+                                    >
+                                        Change
+                                    </button>
+                                </p>
+                            </div>
+                        </div>
+
+                        <div className="relative w-full sm:w-72">
+                            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+                            <input
+                                type="search"
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                                placeholder="Search archived tasks"
+                                className="w-full pl-9 pr-8 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white text-sm"
+                            />
+                            {search && (
+                                <button
+                                    type="button"
+                                    onClick={() => setSearch('')}
+                                    className="absolute right-2 top-1/2 -translate-y-1/2 p-1 text-gray-400 hover:text-gray-600"
+                                    aria-label="Clear search"
+                                >
+                                    <X className="w-3 h-3" />
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </motion.div>
+
+            {/* Archived Tasks */}
+            <div className="max-w-7xl mx-auto px-3 sm:px-4 lg:px-8 py-4 sm:py-8">
+                <AnimatePresence>
+                    {visibleTasks.length === 0 ? (
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            className="text-center py-20"
+                        >
+                            <div className="w-24 h-24 bg-gradient-to-r from-blue-100 to-purple-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                                <Archive className="w-12 h-12 text-gray-400" />
+                            </div>
+                            {archivedTasks.length === 0 ? (
+                                <>
+                                    <h3 className="text-xl font-semibold text-gray-900 mb-2">Archive is empty</h3>
+                                    <p className="text-gray-500">Finished tasks will show up here once they are archived.</p>
+                                </>
+                            ) : (
+                                <>
+                                    <h3 className="text-xl font-semibold text-gray-900 mb-2">No matching tasks</h3>
+                                    <p className="text-gray-500">No archived task matches &quot;{search.trim()}&quot;.</p>
+                                </>
+                            )}
+                        </motion.div>
+                    ) : (
+                        <div className="grid gap-4">
+                            {visibleTasks.map((task, index) => {
+                                const isBusy = busyTasks.has(task.id);
+
+                                return (
+                                    <motion.div
+                                        key={task.id}
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        exit={{ opacity: 0, x: -20 }}
+                                        transition={{ delay: Math.min(index, 10) * 0.05 }}
+                                        className="bg-white/70 backdrop-blur-sm rounded-xl shadow-lg border border-white/20 p-4 sm:p-6"
+                                    >
+                                        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+                                            <div className="flex-1 min-w-0">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => router.push(`/view-task/${task.id}`)}
+                                                    className="text-left text-base sm:text-lg font-semibold text-gray-700 hover:text-blue-600 break-words"
+                                                >
+                                                    {task.title}
+                                                </button>
+                                                {task.description && (
+                                                    <p className="text-sm text-gray-500 mt-1 break-words">
+                                                        {task.description.length > 100 ?
+                                                            `${task.description.substring(0, 100)}...` :
+                                                            task.description
+                                                        }
+                                                    </p>
+                                                )}
+                                                <div className="flex flex-wrap items-center gap-2 mt-2">
+                                                    <StatusBadge
+                                                        workflow={workflow}
+                                                        status={getStatus(workflow, task.status)}
+                                                        className="sm:px-2 sm:py-1 sm:text-xs"
+                                                    />
+                                                    <span className="text-xs text-gray-500">
+                                                        {task.completedAt && `Completed ${formatDate(task.completedAt)} · `}
+                                                        Archived {formatDate(task.archivedAt)}
+                                                    </span>
+                                                </div>
+                                            </div>
+
+                                            <motion.button
+                                                onClick={() => handleUnarchive(task.id)}
+                                                disabled={isBusy}
+                                                whileHover={{ scale: 1.05 }}
+                                                whileTap={{ scale: 0.95 }}
+                                                className={clsx(
+                                                    "flex items-center self-start sm:self-auto px-3 py-2 rounded-lg transition-all duration-200 text-xs sm:text-sm font-medium flex-shrink-0",
+                                                    isBusy
+                                                        ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                                        : "bg-blue-600 hover:bg-blue-700 text-white"
+                                                )}
+                                            >
+                                                {isBusy ? (
+                                                    <Loader2 className="w-3 h-3 sm:w-4 sm:h-4 mr-2 animate-spin" />
+                                                ) : (
+                                                    <ArchiveRestore className="w-3 h-3 sm:w-4 sm:h-4 mr-2" />
+                                                )}
+                                                Unarchive
+                                            </motion.button>
+                                        </div>
+                                    </motion.div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </AnimatePresence>
+            </div>
+        </div>
+    );
+}
+
+export default function ArchivePage() {
+    return (
+        <AuthGuard>
+            <ArchiveContent />
+        </AuthGuard>
+    );
+}
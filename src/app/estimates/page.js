@@ -0,0 +1,302 @@
+/**
+ * Estimate Report Page
+ *
+ * Compares the estimates of completed tasks with how long they took:
+ * - Tasks completed (in a terminal status of the workflow) within a date
+ *   range, the last 30 days by default
+ * - Estimated vs actual hours, and actual hours per story point
+ * - Totals overall and by task type, and a row per task
+ *
+ * Actual time is the time tracked on a task, or the time from its creation
+ * to its completion when none was tracked.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Hourglass, Loader2, ArrowUpRight } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppSelector } from '@/store/hooks';
+import { selectTerminalStatuses } from '@/store/slices/settingsSlice';
+import { getCompletedTasks } from '@/lib/firestore';
+import { getDateRangeBounds, getLocalDate, formatDuration } from '@/lib/timeTracking';
+import {
+    summarizeEstimateAccuracy,
+    formatEstimate,
+    formatVariance,
+    formatHoursPerPoint,
+    estimateToMs
+} from '@/lib/estimates';
+import AuthGuard from '@/components/AuthGuard';
+
+const RANGE_PRESETS = [
+    { label: 'Last 7 days', days: 7 },
+    { label: 'Last 30 days', days: 30 },
+    { label: 'Last 90 days', days: 90 }
+];
+
+// Over the estimate reads red, under it green
+const varianceClassName = (actualMs, estimatedMs) =>
+    actualMs > estimatedMs ? "text-red-600" : "text-green-600";
+
+function EstimateReportContent() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const terminalStatuses = useAppSelector(selectTerminalStatuses);
+    const [from, setFrom] = useState(() => getLocalDate(-29));
+    const [to, setTo] = useState(() => getLocalDate(0));
+    const [tasks, setTasks] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const validRange = Boolean(from && to && from <= to);
+
+    useEffect(() => {
+        if (!user || !validRange) return;
+
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        getCompletedTasks(user.uid, terminalStatuses, getDateRangeBounds(from, to))
+            .then((completedTasks) => {
+                if (!cancelled) setTasks(completedTasks);
+            })
+            .catch((loadError) => {
+                console.error('Error loading completed tasks:', loadError);
+                if (!cancelled) setError(loadError.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [user, terminalStatuses, from, to, validRange]);
+
+    const { totals, byType, tasks: rows } = summarizeEstimateAccuracy(tasks);
+    const unestimatedCount = tasks.filter(task => !task.estimate).length;
+
+    const applyPreset = (days) => {
+        setFrom(getLocalDate(1 - days));
+        setTo(getLocalDate(0));
+    };
+
+    const handleBack = () => {
+        router.push('/');
+    };
+
+    const renderHourTotals = ({ hours }) => hours.count === 0 ? (
+        <span className="text-gray-400">-</span>
+    ) : (
+        <>
+            {formatDuration(hours.estimatedMs)} est. / {formatDuration(hours.actualMs)} actual
+            <span className={clsx("ml-2 font-medium", varianceClassName(hours.actualMs, hours.estimatedMs))}>
+                {formatVariance(hours.actualMs, hours.estimatedMs)}
+            </span>
+        </>
+    );
+
+    const renderPointTotals = ({ points }) => points.count === 0 ? (
+        <span className="text-gray-400">-</span>
+    ) : (
+        <>
+            {formatEstimate({ value: points.points, unit: 'points' })} / {formatDuration(points.actualMs)} actual
+            <span className="ml-2 font-medium text-gray-900">
+                {formatHoursPerPoint(points.actualMs, points.points)} per point
+            </span>
+        </>
+    );
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+            {/* Header */}
+            <motion.div
+                initial={{ opacity: 0, y: -20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white/80 backdrop-blur-lg shadow-lg border-b border-white/20"
+            >
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center py-4 sm:py-6 gap-4">
+                        <div className="flex items-center space-x-3 sm:space-x-4 min-w-0">
+                            <motion.button
+                                onClick={handleBack}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="p-2 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+                            >
+                                <ArrowLeft className="w-5 h-5 text-gray-600" />
+                            </motion.button>
+                            <div className="h-8 w-8 sm:h-10 sm:w-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl flex items-center justify-center flex-shrink-0">
+                                <Hourglass className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+                            </div>
+                            <div className="min-w-0">
+                                <h1 className="text-lg sm:text-2xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 bg-clip-text text-transparent truncate">
+                                    Estimates vs Actuals
+                                </h1>
+                                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                                    Tracked time, or creation to completion when none was tracked
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </motion.div>
+
+            <div className="max-w-7xl mx-auto px-3 sm:px-4 lg:px-8 py-4 sm:py-8 space-y-4 sm:space-y-6">
+                {/* Date Range */}
+                <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20 flex flex-col sm:flex-row sm:items-end gap-3">
+                    <div>
+                        <label htmlFor="from" className="block text-xs font-medium text-gray-500 mb-1">Completed from</label>
+                        <input
+                            type="date"
+                            id="from"
+                            value={from}
+                            max={to}
+                            onChange={(e) => setFrom(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="to" className="block text-xs font-medium text-gray-500 mb-1">To</label>
+                        <input
+                            type="date"
+                            id="to"
+                            value={to}
+                            min={from}
+                            onChange={(e) => setTo(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                        />
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        {RANGE_PRESETS.map(preset => (
+                            <button
+                                key={preset.days}
+                                type="button"
+                                onClick={() => applyPreset(preset.days)}
+                                className="px-3 py-2 rounded-lg text-sm text-gray-600 bg-gray-100 hover:bg-gray-200 transition-colors"
+                            >
+                                {preset.label}
+                            </button>
+                        ))}
+                    </div>
+                    {loading && <Loader2 className="w-5 h-5 animate-spin text-gray-400 sm:ml-auto sm:mb-2" />}
+                </div>
+
+                {!validRange && (
+                    <p className="text-sm text-red-600">The start date must not be after the end date.</p>
+                )}
+                {error && (
+                    <p className="text-sm text-red-600">Failed to load completed tasks: {error}</p>
+                )}
+
+                {!loading && validRange && !error && rows.length === 0 ? (
+                    <motion.div
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className="text-center py-20"
+                    >
+                        <div className="w-24 h-24 bg-gradient-to-r from-blue-100 to-purple-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                            <Hourglass className="w-12 h-12 text-gray-400" />
+                        </div>
+                        <h3 className="text-xl font-semibold text-gray-900 mb-2">No estimated tasks completed</h3>
+                        <p className="text-gray-500">
+                            {unestimatedCount > 0
+                                ? `${unestimatedCount} task${unestimatedCount === 1 ? ' was' : 's were'} completed in this range without an estimate.`
+                                : 'Add estimates to tasks to compare them with how long they take.'}
+                        </p>
+                    </motion.div>
+                ) : (
+                    <div className={clsx("space-y-4 sm:space-y-6", loading && "opacity-60")}>
+                        {/* Totals */}
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20 overflow-x-auto"
+                        >
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-xs font-medium text-gray-500">
+                                        <th className="pb-2 pr-4">Type</th>
+                                        <th className="pb-2 pr-4">Hour estimates</th>
+                                        <th className="pb-2">Story points</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100 text-gray-700">
+                                    {byType.map(row => (
+                                        <tr key={row.type}>
+                                            <td className="py-2 pr-4 text-gray-900">{row.label}</td>
+                                            <td className="py-2 pr-4 whitespace-nowrap tabular-nums">{renderHourTotals(row)}</td>
+                                            <td className="py-2 whitespace-nowrap tabular-nums">{renderPointTotals(row)}</td>
+                                        </tr>
+                                    ))}
+                                    <tr className="font-semibold">
+                                        <td className="py-2 pr-4 text-gray-900">All types</td>
+                                        <td className="py-2 pr-4 whitespace-nowrap tabular-nums">{renderHourTotals(totals)}</td>
+                                        <td className="py-2 whitespace-nowrap tabular-nums">{renderPointTotals(totals)}</td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                            {unestimatedCount > 0 && (
+                                <p className="mt-3 text-xs text-gray-500">
+                                    {unestimatedCount} completed task{unestimatedCount === 1 ? '' : 's'} without an estimate left out.
+                                </p>
+                            )}
+                        </motion.div>
+
+                        {/* Tasks */}
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: 0.1 }}
+                            className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+                        >
+                            <h3 className="text-sm font-semibold text-gray-700 mb-3">Tasks</h3>
+                            <ul className="divide-y divide-gray-100">
+                                {rows.map(({ task, actual }) => {
+                                    const estimatedMs = task.estimate.unit === 'hours' ? estimateToMs(task.estimate) : 0;
+
+                                    return (
+                                        <li key={task.id} className="flex flex-col sm:flex-row sm:items-center gap-1 sm:gap-4 py-2 text-sm">
+                                            <button
+                                                type="button"
+                                                onClick={() => router.push(`/view-task/${task.id}`)}
+                                                className="flex-1 min-w-0 flex items-center gap-1 text-left text-gray-900 hover:text-blue-700"
+                                            >
+                                                <span className="truncate">{task.title}</span>
+                                                <ArrowUpRight className="w-3 h-3 flex-shrink-0 text-gray-400" />
+                                            </button>
+                                            <span className="text-gray-600 tabular-nums whitespace-nowrap">
+                                                {formatEstimate(task.estimate)} est. / {formatDuration(actual.ms)}
+                                                <span className="ml-1 text-xs text-gray-400">
+                                                    {actual.source === 'tracked' ? 'tracked' : 'elapsed'}
+                                                </span>
+                                            </span>
+                                            <span className={clsx(
+                                                "w-16 sm:text-right font-medium tabular-nums",
+                                                estimatedMs ? varianceClassName(actual.ms, estimatedMs) : "text-gray-400"
+                                            )}>
+                                                {estimatedMs ? formatVariance(actual.ms, estimatedMs) : '-'}
+                                            </span>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </motion.div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default function EstimateReport() {
+    return (
+        <AuthGuard>
+            <EstimateReportContent />
+        </AuthGuard>
+    );
+}
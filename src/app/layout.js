@@ -2,6 +2,7 @@ import { Geist, Geist_Mono } from "next/font/google";
 import "./globals.css";
 import { AuthProvider } from "@/contexts/AuthContext";
 import ReduxProvider from "@/components/ReduxProvider";
+import ReminderNotifier from "@/components/ReminderNotifier";
 
 // Font configuration for the app
 const geistSans = Geist({
@@ -26,6 +27,7 @@ export const metadata = {
  * Provides the foundational layout structure with:
  * - Redux state management
  * - Firebase authentication context
+ * - Due-date reminder notifications on every page
  * - Global fonts and styling
  */
 export default function RootLayout({ children }) {
@@ -34,6 +36,7 @@ export default function RootLayout({ children }) {
       <body className={`${geistSans.variable} ${geistMono.variable} antialiased`}>
         <ReduxProvider>
           <AuthProvider>
+            <ReminderNotifier />
             {children}
           </AuthProvider>
         </ReduxProvider>
@@ -0,0 +1,311 @@
+/**
+ * Settings Page
+ *
+ * Preferences shared by all of the user's devices:
+ * - Default reminders for tasks that do not set their own
+ * - Browser notification permission for reminders on this device
+ * - The workflow: task statuses, which ones finish a task and how tasks move between them
+ * - How many days finished tasks stay in the task list before they are archived
+ * - The timezone due dates and times are read in
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Settings, Bell, Loader2, Workflow, Archive, Globe } from 'lucide-react';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    saveSettings,
+    selectArchiveAfterDays,
+    selectReminderDefaults,
+    selectSettingsLoaded,
+    selectSettingsSaving,
+    selectTimeZone,
+    selectWorkflow
+} from '@/store/slices/settingsSlice';
+import {
+    DEFAULT_REMINDER_TIME,
+    describeTimeZone,
+    getDeviceTimeZone,
+    getTimeZoneOptions
+} from '@/lib/deadlines';
+import {
+    getNotificationPermission,
+    requestNotificationPermission,
+    registerReminderWorker
+} from '@/lib/notifications';
+import AuthGuard from '@/components/AuthGuard';
+import { FullScreenLoader } from '@/components/Loader';
+import ReminderEditor from '@/components/ReminderEditor';
+import WorkflowEditor from '@/components/WorkflowEditor';
+
+// Choices for the archive delay; a saved value outside them is listed as well
+const ARCHIVE_AFTER_DAYS_OPTIONS = [7, 14, 30, 60, 90, 180, 365];
+const NEVER_ARCHIVE = 'never';
+
+// Select value for following the device's timezone (a null setting)
+const DEVICE_TIME_ZONE = 'device';
+
+const PERMISSION_TEXT = {
+    granted: 'Browser notifications are on for this device.',
+    denied: 'Browser notifications are blocked. Allow them for this site in your browser settings to turn them on.',
+    default: 'Browser notifications are off for this device.',
+    unsupported: 'This browser does not support notifications; reminders show in the app only.'
+};
+
+function SettingsContent() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const dispatch = useAppDispatch();
+    const reminderDefaults = useAppSelector(selectReminderDefaults);
+    const settingsLoaded = useAppSelector(selectSettingsLoaded);
+    const workflow = useAppSelector(selectWorkflow);
+    const archiveAfterDays = useAppSelector(selectArchiveAfterDays);
+    const timeZone = useAppSelector(selectTimeZone);
+    const saving = useAppSelector(selectSettingsSaving);
+    const [permission, setPermission] = useState(getNotificationPermission);
+
+    const handleReminderDefaultsChange = async (reminders) => {
+        try {
+            await dispatch(saveSettings({ userId: user.uid, settings: { reminderDefaults: reminders } })).unwrap();
+        } catch (error) {
+            console.error('Error saving default reminders:', error);
+            alert(`Failed to save default reminders: ${error}`);
+        }
+    };
+
+    // Resolves to whether the workflow was saved, so the editor can drop its draft
+    const handleWorkflowSave = async (nextWorkflow) => {
+        try {
+            await dispatch(saveSettings({ userId: user.uid, settings: { workflow: nextWorkflow } })).unwrap();
+            return true;
+        } catch (error) {
+            console.error('Error saving workflow:', error);
+            alert(`Failed to save workflow: ${error}`);
+            return false;
+        }
+    };
+
+    const handleArchiveAfterDaysChange = async (value) => {
+        const days = value === NEVER_ARCHIVE ? null : Number(value);
+        try {
+            await dispatch(saveSettings({ userId: user.uid, settings: { archiveAfterDays: days } })).unwrap();
+        } catch (error) {
+            console.error('Error saving archive setting:', error);
+            alert(`Failed to save archive setting: ${error}`);
+        }
+    };
+
+    const handleTimeZoneChange = async (value) => {
+        const nextTimeZone = value === DEVICE_TIME_ZONE ? null : value;
+        try {
+            await dispatch(saveSettings({ userId: user.uid, settings: { timeZone: nextTimeZone } })).unwrap();
+        } catch (error) {
+            console.error('Error saving timezone:', error);
+            alert(`Failed to save timezone: ${error}`);
+        }
+    };
+
+    const handleEnableNotifications = async () => {
+        const result = await requestNotificationPermission();
+        setPermission(result);
+        if (result === 'granted') {
+            registerReminderWorker();
+        }
+    };
+
+    const handleBack = () => {
+        router.push('/');
+    };
+
+    const archiveOptions = archiveAfterDays === null || ARCHIVE_AFTER_DAYS_OPTIONS.includes(archiveAfterDays)
+        ? ARCHIVE_AFTER_DAYS_OPTIONS
+        : [...ARCHIVE_AFTER_DAYS_OPTIONS, archiveAfterDays].sort((a, b) => a - b);
+
+    // A saved timezone this browser does not list is offered as well
+    const timeZoneOptions = getTimeZoneOptions();
+    if (timeZone && !timeZoneOptions.includes(timeZone)) {
+        timeZoneOptions.push(timeZone);
+    }
+
+    if (!settingsLoaded) {
+        return <FullScreenLoader message="Loading your settings..." />;
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+            {/* Header */}
+            <motion.div
+                initial={{ opacity: 0, y: -20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white/80 backdrop-blur-lg shadow-lg border-b border-white/20"
+            >
+                <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center py-4 sm:py-6 gap-4">
+                        <div className="flex items-center space-x-3 sm:space-x-4 min-w-0">
+                            <motion.button
+                                onClick={handleBack}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="p-2 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+                            >
+                                <ArrowLeft className="w-5 h-5 text-gray-600" />
+                            </motion.button>
+                            <div className="h-8 w-8 sm:h-10 sm:w-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl flex items-center justify-center flex-shrink-0">
+                                <Settings className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+                            </div>
+                            <div className="min-w-0">
+                                <h1 className="text-lg sm:text-2xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 bg-clip-text text-transparent truncate">
+                                    Settings
+                                </h1>
+                                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                                    Saved to your account and used on every device
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </motion.div>
+
+            <div className="max-w-3xl mx-auto px-3 sm:px-4 lg:px-8 py-4 sm:py-8 space-y-4 sm:space-y-6">
+                {/* Default Reminders */}
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+                >
+                    <div className="flex items-center justify-between mb-1">
+                        <h2 className="text-sm font-semibold text-gray-700">Default reminders</h2>
+                        {saving && <Loader2 className="w-4 h-4 animate-spin text-gray-400" />}
+                    </div>
+                    <p className="text-xs text-gray-500 mb-3">
+                        Used by tasks that do not set their own reminders. Reminders of tasks without a due time count from {DEFAULT_REMINDER_TIME} on their due date.
+                    </p>
+                    <ReminderEditor
+                        value={reminderDefaults}
+                        onChange={handleReminderDefaultsChange}
+                        disabled={saving}
+                    />
+                </motion.div>
+
+                {/* Browser Notifications */}
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.1 }}
+                    className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+                >
+                    <h2 className="text-sm font-semibold text-gray-700 mb-1">Browser notifications</h2>
+                    <p className="text-xs text-gray-500 mb-3">
+                        Reminders are shown as system notifications while the app is open in any tab, and always in the reminder tray.
+                    </p>
+                    <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                        <p className="flex-1 flex items-center text-sm text-gray-700">
+                            <Bell className="w-4 h-4 mr-2 text-gray-400 flex-shrink-0" />
+                            {PERMISSION_TEXT[permission]}
+                        </p>
+                        {permission === 'default' && (
+                            <motion.button
+                                type="button"
+                                onClick={handleEnableNotifications}
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                                className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg text-sm font-medium shadow-md hover:shadow-lg transition-shadow"
+                            >
+                                Turn on
+                            </motion.button>
+                        )}
+                    </div>
+                </motion.div>
+
+                {/* Workflow */}
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.2 }}
+                    className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+                >
+                    <h2 className="flex items-center text-sm font-semibold text-gray-700 mb-1">
+                        <Workflow className="w-4 h-4 mr-2 text-gray-400" />
+                        Workflow
+                    </h2>
+                    <p className="text-xs text-gray-500 mb-3">
+                        The statuses your tasks move through. New tasks start in the first one; moving a task into a status that finishes it marks it complete. Renaming a status keeps its tasks.
+                    </p>
+                    <WorkflowEditor
+                        value={workflow}
+                        onSave={handleWorkflowSave}
+                        saving={saving}
+                    />
+                </motion.div>
+
+                {/* Archive */}
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.3 }}
+                    className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+                >
+                    <h2 className="flex items-center text-sm font-semibold text-gray-700 mb-1">
+                        <Archive className="w-4 h-4 mr-2 text-gray-400" />
+                        Archive
+                    </h2>
+                    <p className="text-xs text-gray-500 mb-3">
+                        Finished tasks move from the task list to the archive this long after they were completed. Unarchived tasks stay in the list for the same time again.
+                    </p>
+                    <select
+                        value={archiveAfterDays ?? NEVER_ARCHIVE}
+                        onChange={(e) => handleArchiveAfterDaysChange(e.target.value)}
+                        disabled={saving}
+                        className="w-full sm:w-auto px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white text-sm disabled:opacity-50"
+                        aria-label="Archive finished tasks after"
+                    >
+                        {archiveOptions.map(days => (
+                            <option key={days} value={days}>After {days} day{days === 1 ? '' : 's'}</option>
+                        ))}
+                        <option value={NEVER_ARCHIVE}>Never</option>
+                    </select>
+                </motion.div>
+
+                {/* Timezone */}
+                <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.4 }}
+                    className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+                >
+                    <h2 className="flex items-center text-sm font-semibold text-gray-700 mb-1">
+                        <Globe className="w-4 h-4 mr-2 text-gray-400" />
+                        Timezone
+                    </h2>
+                    <p className="text-xs text-gray-500 mb-3">
+                        Due dates and times are read in this timezone, so a task is overdue and reminds you at the same moment on every device.
+                    </p>
+                    <select
+                        value={timeZone ?? DEVICE_TIME_ZONE}
+                        onChange={(e) => handleTimeZoneChange(e.target.value)}
+                        disabled={saving}
+                        className="w-full sm:w-auto px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white text-sm disabled:opacity-50"
+                        aria-label="Timezone"
+                    >
+                        <option value={DEVICE_TIME_ZONE}>This device&apos;s timezone ({describeTimeZone(getDeviceTimeZone())})</option>
+                        {timeZoneOptions.map(option => (
+                            <option key={option} value={option}>{describeTimeZone(option)}</option>
+                        ))}
+                    </select>
+                </motion.div>
+            </div>
+        </div>
+    );
+}
+
+export default function SettingsPage() {
+    return (
+        <AuthGuard>
+            <SettingsContent />
+        </AuthGuard>
+    );
+}
@@ -0,0 +1,345 @@
+/**
+ * Tags Page
+ *
+ * Manages the user's tags with:
+ * - Creating tags with a name and color
+ * - Renaming and recoloring tags
+ * - Merging a tag into another across all tasks
+ * - Deleting tags (they are taken off every task)
+ * - Number of active tasks carrying each tag
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowLeft, Tag, Plus, Trash2, GitMerge, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    createTag,
+    editTag,
+    mergeTags,
+    deleteTag,
+    selectTags,
+    selectTagsLoaded
+} from '@/store/slices/tagsSlice';
+import { countUserTasks } from '@/lib/firestore';
+import { TAG_NAME_MAX_LENGTH, normalizeTagName, pickTagColor } from '@/lib/tags';
+import AuthGuard from '@/components/AuthGuard';
+import { FullScreenLoader } from '@/components/Loader';
+import TagChip, { TagColorPicker } from '@/components/TagChip';
+
+function TagsContent() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const dispatch = useAppDispatch();
+    const tags = useAppSelector(selectTags);
+    const tagsLoaded = useAppSelector(selectTagsLoaded);
+    const [newTagName, setNewTagName] = useState('');
+    const [newTagColor, setNewTagColor] = useState(null);
+    const [creating, setCreating] = useState(false);
+    // Unsaved names keyed by tag ID
+    const [draftNames, setDraftNames] = useState({});
+    const [busyTags, setBusyTags] = useState(new Set());
+    const [taskCounts, setTaskCounts] = useState({});
+
+    // Counts are informational, so a failure only leaves them blank
+    useEffect(() => {
+        if (!user || !tagsLoaded) return;
+
+        let cancelled = false;
+        Promise.all(tags.map(tag =>
+            countUserTasks(user.uid, { tags: [tag.id] }).then(count => [tag.id, count])
+        ))
+            .then((entries) => {
+                if (!cancelled) {
+                    setTaskCounts(Object.fromEntries(entries));
+                }
+            })
+            .catch((error) => console.warn('Could not count tagged tasks:', error.message));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [user, tags, tagsLoaded]);
+
+    const markBusy = (tagId, busy) => {
+        setBusyTags(prev => {
+            const newSet = new Set(prev);
+            if (busy) {
+                newSet.add(tagId);
+            } else {
+                newSet.delete(tagId);
+            }
+            return newSet;
+        });
+    };
+
+    // Run a tag action, showing failures the way the other pages do
+    const runTagAction = async (tagId, action, failureMessage) => {
+        if (busyTags.has(tagId)) return;
+
+        try {
+            markBusy(tagId, true);
+            await dispatch(action).unwrap();
+        } catch (error) {
+            console.error('Tag action error:', error);
+            alert(`${failureMessage}: ${error}`);
+        } finally {
+            markBusy(tagId, false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const name = normalizeTagName(newTagName);
+        if (!name || creating) return;
+
+        try {
+            setCreating(true);
+            await dispatch(createTag({
+                userId: user.uid,
+                name,
+                color: newTagColor ?? pickTagColor(tags)
+            })).unwrap();
+            setNewTagName('');
+            setNewTagColor(null);
+        } catch (error) {
+            console.error('Error creating tag:', error);
+            alert(`Failed to create tag: ${error}`);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const clearDraftName = (tagId) => {
+        setDraftNames(prev => {
+            const next = { ...prev };
+            delete next[tagId];
+            return next;
+        });
+    };
+
+    const handleRename = async (tag) => {
+        const draft = draftNames[tag.id];
+        if (draft === undefined) return;
+
+        const name = normalizeTagName(draft);
+        if (!name || name === tag.name) {
+            clearDraftName(tag.id);
+            return;
+        }
+
+        await runTagAction(tag.id, editTag({ tagId: tag.id, tagData: { name } }), 'Failed to rename tag');
+        clearDraftName(tag.id);
+    };
+
+    const handleColorChange = (tag, color) => {
+        if (color === tag.color) return;
+        runTagAction(tag.id, editTag({ tagId: tag.id, tagData: { color } }), 'Failed to change tag color');
+    };
+
+    const handleMerge = (tag, targetTagId) => {
+        const target = tags.find(item => item.id === targetTagId);
+        if (!target) return;
+        if (!confirm(`Merge "${tag.name}" into "${target.name}"? Every task tagged "${tag.name}" will be tagged "${target.name}" instead, and "${tag.name}" will be deleted.`)) return;
+
+        runTagAction(tag.id, mergeTags({
+            userId: user.uid,
+            sourceTagId: tag.id,
+            targetTagId: target.id
+        }), 'Failed to merge tags');
+    };
+
+    const handleDelete = (tag) => {
+        if (!confirm(`Delete the tag "${tag.name}"? It will be removed from every task.`)) return;
+        runTagAction(tag.id, deleteTag({ userId: user.uid, tagId: tag.id }), 'Failed to delete tag');
+    };
+
+    const handleBack = () => {
+        router.push('/');
+    };
+
+    if (!tagsLoaded) {
+        return <FullScreenLoader message="Loading tags..." size="md" />;
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+            {/* Header */}
+            <motion.div
+                initial={{ opacity: 0, y: -20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white/80 backdrop-blur-lg shadow-lg border-b border-white/20"
+            >
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center py-4 sm:py-6 gap-4">
+                        <div className="flex items-center space-x-3 sm:space-x-4 min-w-0">
+                            <motion.button
+                                onClick={handleBack}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="p-2 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+                            >
+                                <ArrowLeft className="w-5 h-5 text-gray-600" />
+                            </motion.button>
+                            <div className="h-8 w-8 sm:h-10 sm:w-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl flex items-center justify-center flex-shrink-0">
+                                <Tag className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+                            </div>
+                            <div className="min-w-0">
+                                <h1 className="text-lg sm:text-2xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 bg-clip-text text-transparent truncate">
+                                    Tags
+                                </h1>
+                                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                                    Rename, recolor or merge tags across all of your tasks
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </motion.div>
+
+            <div className="max-w-7xl mx-auto px-3 sm:px-4 lg:px-8 py-4 sm:py-8 space-y-4 sm:space-y-6">
+                {/* New Tag */}
+                <form
+                    onSubmit={handleCreate}
+                    className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20 flex flex-col sm:flex-row sm:items-center gap-3"
+                >
+                    <input
+                        type="text"
+                        value={newTagName}
+                        onChange={(e) => setNewTagName(e.target.value)}
+                        maxLength={TAG_NAME_MAX_LENGTH}
+                        className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                        placeholder="New tag name"
+                    />
+                    <TagColorPicker
+                        value={newTagColor ?? pickTagColor(tags)}
+                        onChange={setNewTagColor}
+                        disabled={creating}
+                    />
+                    <button
+                        type="submit"
+                        disabled={creating || !normalizeTagName(newTagName)}
+                        className={clsx(
+                            "flex items-center justify-center px-4 py-2 rounded-lg text-sm font-medium transition-colors flex-shrink-0",
+                            creating || !normalizeTagName(newTagName)
+                                ? "bg-gray-200 text-gray-400 cursor-not-allowed"
+                                : "bg-blue-600 hover:bg-blue-700 text-white"
+                        )}
+                    >
+                        {creating ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Plus className="w-4 h-4 mr-1" />}
+                        Add tag
+                    </button>
+                </form>
+
+                {/* Tag List */}
+                <AnimatePresence>
+                    {tags.length === 0 ? (
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            className="text-center py-20"
+                        >
+                            <div className="w-24 h-24 bg-gradient-to-r from-blue-100 to-purple-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                                <Tag className="w-12 h-12 text-gray-400" />
+                            </div>
+                            <h3 className="text-xl font-semibold text-gray-900 mb-2">No tags yet</h3>
+                            <p className="text-gray-500">Create one above or while adding a task.</p>
+                        </motion.div>
+                    ) : (
+                        <div className="grid gap-3">
+                            {tags.map((tag, index) => {
+                                const isBusy = busyTags.has(tag.id);
+                                const otherTags = tags.filter(item => item.id !== tag.id);
+
+                                return (
+                                    <motion.div
+                                        key={tag.id}
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        exit={{ opacity: 0, x: -20 }}
+                                        transition={{ delay: index * 0.03 }}
+                                        className="bg-white/70 backdrop-blur-sm rounded-xl shadow-lg border border-white/20 p-4"
+                                    >
+                                        <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+                                            <div className="flex items-center gap-3 flex-1 min-w-0">
+                                                <TagChip tag={tag} className="flex-shrink-0" />
+                                                <input
+                                                    type="text"
+                                                    value={draftNames[tag.id] ?? tag.name}
+                                                    onChange={(e) => setDraftNames(prev => ({ ...prev, [tag.id]: e.target.value }))}
+                                                    onBlur={() => handleRename(tag)}
+                                                    onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                                                    maxLength={TAG_NAME_MAX_LENGTH}
+                                                    disabled={isBusy}
+                                                    className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                                    aria-label={`Name of ${tag.name}`}
+                                                />
+                                                <span className="text-xs text-gray-500 flex-shrink-0">
+                                                    {taskCounts[tag.id] ?? '...'} tasks
+                                                </span>
+                                            </div>
+
+                                            <div className="flex flex-wrap items-center gap-3">
+                                                <TagColorPicker
+                                                    value={tag.color}
+                                                    onChange={(color) => handleColorChange(tag, color)}
+                                                    disabled={isBusy}
+                                                />
+                                                {otherTags.length > 0 && (
+                                                    <div className="flex items-center gap-1">
+                                                        <GitMerge className="w-4 h-4 text-gray-400" />
+                                                        <select
+                                                            value=""
+                                                            onChange={(e) => handleMerge(tag, e.target.value)}
+                                                            disabled={isBusy}
+                                                            className="px-2 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-xs sm:text-sm bg-white disabled:opacity-50"
+                                                        >
+                                                            <option value="" disabled>Merge into...</option>
+                                                            {otherTags.map(item => (
+                                                                <option key={item.id} value={item.id}>{item.name}</option>
+                                                            ))}
+                                                        </select>
+                                                    </div>
+                                                )}
+                                                <button
+                                                    onClick={() => handleDelete(tag)}
+                                                    disabled={isBusy}
+                                                    className={clsx(
+                                                        "flex items-center px-2 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-colors",
+                                                        isBusy
+                                                            ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                                            : "bg-red-50 hover:bg-red-100 text-red-600"
+                                                    )}
+                                                >
+                                                    {isBusy ? (
+                                                        <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+                                                    ) : (
+                                                        <Trash2 className="w-3 h-3 mr-1" />
+                                                    )}
+                                                    Delete
+                                                </button>
+                                            </div>
+                                        </div>
+                                    </motion.div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </AnimatePresence>
+            </div>
+        </div>
+    );
+}
+
+export default function Tags() {
+    return (
+        <AuthGuard>
+            <TagsContent />
+        </AuthGuard>
+    );
+}
@@ -0,0 +1,326 @@
+/**
+ * Templates Page
+ *
+ * Manages the user's task templates with:
+ * - Creating, editing and deleting templates
+ * - Title, type, checklist size and due date of each template
+ * - Export of one or all templates as a JSON file to share
+ * - Import of templates from such a file
+ */
+
+'use client';
+
+import { useState, useRef } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowLeft, LayoutTemplate, Plus, Pencil, Trash2, Download, Upload, ListChecks, Calendar } from 'lucide-react';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    createTemplate,
+    editTemplate,
+    deleteTemplate,
+    selectTemplates,
+    selectTemplatesLoaded
+} from '@/store/slices/templatesSlice';
+import { getTypeLabel } from '@/lib/taskSchema';
+import { describeDueOffset, exportTemplates, parseTemplateExport } from '@/lib/templates';
+import AuthGuard from '@/components/AuthGuard';
+import { FullScreenLoader } from '@/components/Loader';
+import TemplateEditor from '@/components/TemplateEditor';
+
+// Editing state value for the form of a new template
+const NEW_TEMPLATE = 'new';
+
+// Save text as a file through a temporary download link
+const downloadJson = (text, fileName) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// File name for an export of one template ('weekly-report.template.json')
+const getTemplateFileName = (template) => {
+    const slug = template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${slug || 'template'}.template.json`;
+};
+
+function TemplatesContent() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const dispatch = useAppDispatch();
+    const templates = useAppSelector(selectTemplates);
+    const loaded = useAppSelector(selectTemplatesLoaded);
+    // Template ID being edited, NEW_TEMPLATE for a new one, or null
+    const [editingId, setEditingId] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const editingTemplate = templates.find(template => template.id === editingId) ?? null;
+
+    const handleSave = async (templateData) => {
+        try {
+            setSaving(true);
+            if (editingId === NEW_TEMPLATE) {
+                await dispatch(createTemplate({ userId: user.uid, templateData })).unwrap();
+            } else {
+                await dispatch(editTemplate({ templateId: editingId, templateData })).unwrap();
+            }
+            setEditingId(null);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            alert('Failed to save template. Please try again.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (template) => {
+        if (!confirm(`Delete the template "${template.name}"? Tasks created from it are kept.`)) return;
+
+        try {
+            await dispatch(deleteTemplate(template.id)).unwrap();
+            if (editingId === template.id) {
+                setEditingId(null);
+            }
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            alert('Failed to delete template. Please try again.');
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        // Clear the input so the same file can be picked again
+        e.target.value = '';
+        if (!file) return;
+
+        let imported;
+        try {
+            imported = parseTemplateExport(await file.text());
+        } catch (error) {
+            alert(`Could not import templates: ${error.message}`);
+            return;
+        }
+        if (imported.length === 0) {
+            alert('The file has no templates.');
+            return;
+        }
+
+        try {
+            setImporting(true);
+            for (const templateData of imported) {
+                await dispatch(createTemplate({ userId: user.uid, templateData })).unwrap();
+            }
+            alert(`Imported ${imported.length} template(s).`);
+        } catch (error) {
+            console.error('Error importing templates:', error);
+            alert('Failed to import all templates. Please try again.');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const handleBack = () => {
+        router.push('/');
+    };
+
+    if (!loaded) {
+        return <FullScreenLoader message="Loading templates..." size="md" />;
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+            {/* Header */}
+            <motion.div
+                initial={{ opacity: 0, y: -20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white/80 backdrop-blur-lg shadow-lg border-b border-white/20"
+            >
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center py-4 sm:py-6 gap-4">
+                        <div className="flex items-center space-x-3 sm:space-x-4 min-w-0">
+                            <motion.button
+                                onClick={handleBack}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="p-2 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+                            >
+                                <ArrowLeft className="w-5 h-5 text-gray-600" />
+                            </motion.button>
+                            <div className="h-8 w-8 sm:h-10 sm:w-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl flex items-center justify-center flex-shrink-0">
+                                <LayoutTemplate className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+                            </div>
+                            <div className="min-w-0">
+                                <h1 className="text-lg sm:text-2xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 bg-clip-text text-transparent truncate">
+                                    Templates
+                                </h1>
+                                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                                    Start new tasks from a saved outline
+                                </p>
+                            </div>
+                        </div>
+
+                        <div className="flex flex-wrap items-center gap-2">
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept="application/json,.json"
+                                onChange={handleImport}
+                                className="hidden"
+                            />
+                            <motion.button
+                                onClick={() => fileInputRef.current?.click()}
+                                disabled={importing}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-3 py-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm disabled:opacity-50"
+                            >
+                                <Upload className="w-4 h-4" />
+                                <span>{importing ? 'Importing...' : 'Import'}</span>
+                            </motion.button>
+                            <motion.button
+                                onClick={() => downloadJson(exportTemplates(templates), 'task-templates.json')}
+                                disabled={templates.length === 0}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-3 py-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm disabled:opacity-50"
+                            >
+                                <Download className="w-4 h-4" />
+                                <span>Export all</span>
+                            </motion.button>
+                            <motion.button
+                                onClick={() => setEditingId(NEW_TEMPLATE)}
+                                disabled={editingId === NEW_TEMPLATE}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg text-sm font-medium shadow-md hover:shadow-lg disabled:opacity-50 transition-shadow"
+                            >
+                                <Plus className="w-4 h-4" />
+                                <span>New template</span>
+                            </motion.button>
+                        </div>
+                    </div>
+                </div>
+            </motion.div>
+
+            <div className="max-w-4xl mx-auto px-3 sm:px-4 lg:px-8 py-4 sm:py-8 space-y-4">
+                {/* New Template */}
+                {editingId === NEW_TEMPLATE && (
+                    <motion.div
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className="bg-white/70 backdrop-blur-sm rounded-xl shadow-lg border border-white/20 p-4 sm:p-6"
+                    >
+                        <h2 className="text-base font-semibold text-gray-900 mb-4">New template</h2>
+                        <TemplateEditor
+                            onSave={handleSave}
+                            onCancel={() => setEditingId(null)}
+                            saving={saving}
+                        />
+                    </motion.div>
+                )}
+
+                {/* Templates */}
+                <AnimatePresence>
+                    {templates.length === 0 && editingId !== NEW_TEMPLATE ? (
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            className="text-center py-20"
+                        >
+                            <div className="w-24 h-24 bg-gradient-to-r from-blue-100 to-purple-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                                <LayoutTemplate className="w-12 h-12 text-gray-400" />
+                            </div>
+                            <h3 className="text-xl font-semibold text-gray-900 mb-2">No templates yet</h3>
+                            <p className="text-gray-500">Create one here, or save an existing task as a template from its page.</p>
+                        </motion.div>
+                    ) : (
+                        templates.map((template, index) => (
+                            <motion.div
+                                key={template.id}
+                                initial={{ opacity: 0, y: 20 }}
+                                animate={{ opacity: 1, y: 0 }}
+                                exit={{ opacity: 0, x: -20 }}
+                                transition={{ delay: Math.min(index, 10) * 0.05 }}
+                                className="bg-white/70 backdrop-blur-sm rounded-xl shadow-lg border border-white/20 p-4 sm:p-6"
+                            >
+                                {editingId === template.id ? (
+                                    <TemplateEditor
+                                        template={editingTemplate}
+                                        onSave={handleSave}
+                                        onCancel={() => setEditingId(null)}
+                                        saving={saving}
+                                    />
+                                ) : (
+                                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+                                        <div className="flex-1 min-w-0">
+                                            <h3 className="text-base sm:text-lg font-semibold text-gray-900 break-words">
+                                                {template.name}
+                                            </h3>
+                                            <p className="text-sm text-gray-600 mt-1 break-words">{template.titlePattern}</p>
+                                            <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mt-2 text-xs text-gray-500">
+                                                <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                                                    {getTypeLabel(template.type)}
+                                                </span>
+                                                {template.checklist.length > 0 && (
+                                                    <span className="flex items-center">
+                                                        <ListChecks className="w-3 h-3 mr-1" />
+                                                        {template.checklist.length} checklist item(s)
+                                                    </span>
+                                                )}
+                                                <span className="flex items-center">
+                                                    <Calendar className="w-3 h-3 mr-1" />
+                                                    {describeDueOffset(template.dueOffsetDays)}
+                                                </span>
+                                            </div>
+                                        </div>
+
+                                        <div className="flex items-center gap-1 self-start sm:self-auto flex-shrink-0">
+                                            <button
+                                                type="button"
+                                                onClick={() => setEditingId(template.id)}
+                                                className="p-2 rounded-lg text-gray-500 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                                aria-label={`Edit ${template.name}`}
+                                            >
+                                                <Pencil className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => downloadJson(exportTemplates([template]), getTemplateFileName(template))}
+                                                className="p-2 rounded-lg text-gray-500 hover:text-gray-800 hover:bg-gray-100 transition-colors"
+                                                aria-label={`Export ${template.name}`}
+                                            >
+                                                <Download className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => handleDelete(template)}
+                                                className="p-2 rounded-lg text-gray-500 hover:text-red-600 hover:bg-red-50 transition-colors"
+                                                aria-label={`Delete ${template.name}`}
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+                            </motion.div>
+                        ))
+                    )}
+                </AnimatePresence>
+            </div>
+        </div>
+    );
+}
+
+export default function TemplatesPage() {
+    return (
+        <AuthGuard>
+            <TemplatesContent />
+        </AuthGuard>
+    );
+}
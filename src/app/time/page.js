@@ -0,0 +1,278 @@
+/**
+ * Time Report Page
+ *
+ * Totals of the time tracked by the user with:
+ * - A date range, the last 7 days by default, with quick presets
+ * - Total time in the range, including a running timer
+ * - Time by task type and by task, largest first
+ * - Links to the tasks, with time on deleted tasks grouped together
+ *
+ * Entries count towards the day they started on.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Timer, Loader2, ArrowUpRight } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppSelector } from '@/store/hooks';
+import { selectRunningTimer } from '@/store/slices/timeTrackingSlice';
+import { getTimeEntries, getTask } from '@/lib/firestore';
+import {
+    getDateRangeBounds,
+    getLocalDate,
+    summarizeTimeEntries,
+    formatDuration
+} from '@/lib/timeTracking';
+import AuthGuard from '@/components/AuthGuard';
+
+const RANGE_PRESETS = [
+    { label: 'Today', days: 1 },
+    { label: 'Last 7 days', days: 7 },
+    { label: 'Last 30 days', days: 30 }
+];
+
+function TimeReportContent() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const running = useAppSelector(selectRunningTimer);
+    const [from, setFrom] = useState(() => getLocalDate(-6));
+    const [to, setTo] = useState(() => getLocalDate(0));
+    const [entries, setEntries] = useState([]);
+    const [tasksById, setTasksById] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+
+    const validRange = Boolean(from && to && from <= to);
+
+    // Reload when the range changes or a timer starts or stops
+    useEffect(() => {
+        if (!user || !validRange) return;
+
+        let cancelled = false;
+        const load = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const rangeEntries = await getTimeEntries(user.uid, getDateRangeBounds(from, to));
+                const taskIds = [...new Set(rangeEntries.map(entry => entry.taskId))];
+                const tasks = await Promise.all(taskIds.map(id => getTask(id).catch(() => null)));
+                if (cancelled) return;
+
+                setEntries(rangeEntries);
+                setTasksById(Object.fromEntries(
+                    taskIds.map((id, index) => [id, tasks[index]]).filter(([, task]) => task)
+                ));
+                setNow(Date.now());
+            } catch (loadError) {
+                console.error('Error loading time entries:', loadError);
+                if (!cancelled) setError(loadError.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        load();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [user, from, to, validRange, running?.id]);
+
+    // Keep the totals current while a timer in the range runs
+    const hasRunningEntry = entries.some(entry => !entry.endedAt);
+    useEffect(() => {
+        if (!hasRunningEntry) return;
+        const intervalId = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(intervalId);
+    }, [hasRunningEntry]);
+
+    const summary = summarizeTimeEntries(entries, tasksById, now);
+
+    const applyPreset = (days) => {
+        setFrom(getLocalDate(1 - days));
+        setTo(getLocalDate(0));
+    };
+
+    const handleBack = () => {
+        router.push('/');
+    };
+
+    const renderBar = (totalMs) => (
+        <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div
+                className="h-full bg-gradient-to-r from-blue-500 to-purple-500"
+                style={{ width: `${summary.totalMs ? (totalMs / summary.totalMs) * 100 : 0}%` }}
+            />
+        </div>
+    );
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+            {/* Header */}
+            <motion.div
+                initial={{ opacity: 0, y: -20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white/80 backdrop-blur-lg shadow-lg border-b border-white/20"
+            >
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center py-4 sm:py-6 gap-4">
+                        <div className="flex items-center space-x-3 sm:space-x-4 min-w-0">
+                            <motion.button
+                                onClick={handleBack}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="p-2 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+                            >
+                                <ArrowLeft className="w-5 h-5 text-gray-600" />
+                            </motion.button>
+                            <div className="h-8 w-8 sm:h-10 sm:w-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl flex items-center justify-center flex-shrink-0">
+                                <Timer className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+                            </div>
+                            <div className="min-w-0">
+                                <h1 className="text-lg sm:text-2xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 bg-clip-text text-transparent truncate">
+                                    Time Report
+                                </h1>
+                                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                                    Time tracked on your tasks by type and by task
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </motion.div>
+
+            <div className="max-w-7xl mx-auto px-3 sm:px-4 lg:px-8 py-4 sm:py-8 space-y-4 sm:space-y-6">
+                {/* Date Range */}
+                <div className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20 flex flex-col sm:flex-row sm:items-end gap-3">
+                    <div>
+                        <label htmlFor="from" className="block text-xs font-medium text-gray-500 mb-1">From</label>
+                        <input
+                            type="date"
+                            id="from"
+                            value={from}
+                            max={to}
+                            onChange={(e) => setFrom(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="to" className="block text-xs font-medium text-gray-500 mb-1">To</label>
+                        <input
+                            type="date"
+                            id="to"
+                            value={to}
+                            min={from}
+                            onChange={(e) => setTo(e.target.value)}
+                            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                        />
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                        {RANGE_PRESETS.map(preset => (
+                            <button
+                                key={preset.days}
+                                type="button"
+                                onClick={() => applyPreset(preset.days)}
+                                className="px-3 py-2 rounded-lg text-sm text-gray-600 bg-gray-100 hover:bg-gray-200 transition-colors"
+                            >
+                                {preset.label}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="sm:ml-auto text-right">
+                        <div className="text-xs font-medium text-gray-500">Total</div>
+                        <div className="text-2xl font-bold text-gray-900 tabular-nums">
+                            {loading ? <Loader2 className="w-6 h-6 animate-spin inline" /> : formatDuration(summary.totalMs)}
+                        </div>
+                    </div>
+                </div>
+
+                {!validRange && (
+                    <p className="text-sm text-red-600">The start date must not be after the end date.</p>
+                )}
+                {error && (
+                    <p className="text-sm text-red-600">Failed to load time entries: {error}</p>
+                )}
+
+                {!loading && validRange && !error && summary.totalMs === 0 ? (
+                    <motion.div
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className="text-center py-20"
+                    >
+                        <div className="w-24 h-24 bg-gradient-to-r from-blue-100 to-purple-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                            <Timer className="w-12 h-12 text-gray-400" />
+                        </div>
+                        <h3 className="text-xl font-semibold text-gray-900 mb-2">No time tracked</h3>
+                        <p className="text-gray-500">Start a timer on a task or log time from the task view.</p>
+                    </motion.div>
+                ) : (
+                    <div className={clsx("grid grid-cols-1 lg:grid-cols-12 gap-4 sm:gap-6", loading && "opacity-60")}>
+                        {/* By Type */}
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            className="lg:col-span-4 bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+                        >
+                            <h3 className="text-sm font-semibold text-gray-700 mb-3">By type</h3>
+                            <ul className="space-y-3">
+                                {summary.byType.map(row => (
+                                    <li key={row.type ?? 'deleted'}>
+                                        <div className="flex justify-between text-sm mb-1">
+                                            <span className={clsx(row.type ? "text-gray-900" : "italic text-gray-500")}>{row.label}</span>
+                                            <span className="text-gray-700 tabular-nums">{formatDuration(row.totalMs)}</span>
+                                        </div>
+                                        {renderBar(row.totalMs)}
+                                    </li>
+                                ))}
+                            </ul>
+                        </motion.div>
+
+                        {/* By Task */}
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: 0.1 }}
+                            className="lg:col-span-8 bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+                        >
+                            <h3 className="text-sm font-semibold text-gray-700 mb-3">By task</h3>
+                            <ul className="space-y-3">
+                                {summary.byTask.map(row => (
+                                    <li key={row.taskId}>
+                                        <div className="flex justify-between gap-3 text-sm mb-1">
+                                            {row.task ? (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => router.push(`/view-task/${row.taskId}`)}
+                                                    className="min-w-0 flex items-center gap-1 text-left text-gray-900 hover:text-blue-700"
+                                                >
+                                                    <span className="truncate">{row.task.title}</span>
+                                                    <ArrowUpRight className="w-3 h-3 flex-shrink-0 text-gray-400" />
+                                                </button>
+                                            ) : (
+                                                <span className="italic text-gray-500">Deleted task</span>
+                                            )}
+                                            <span className="flex-shrink-0 text-gray-700 tabular-nums">{formatDuration(row.totalMs)}</span>
+                                        </div>
+                                        {renderBar(row.totalMs)}
+                                    </li>
+                                ))}
+                            </ul>
+                        </motion.div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default function TimeReport() {
+    return (
+        <AuthGuard>
+            <TimeReportContent />
+        </AuthGuard>
+    );
+}
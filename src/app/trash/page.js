@@ -0,0 +1,282 @@
+/**
+ * Trash Page
+ *
+ * Lists soft-deleted tasks with:
+ * - Restore back to the task list
+ * - Permanent deletion (task and its comments)
+ * - Empty trash action
+ * - Countdown until automatic purge
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useAuth } from '@/contexts/AuthContext';
+import { useRouter } from 'next/navigation';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowLeft, Trash2, RotateCcw, Loader2, AlertTriangle } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    fetchTrashedTasks,
+    restoreTask,
+    purgeTask,
+    selectTrashedTasks
+} from '@/store/slices/tasksSlice';
+import { TRASH_RETENTION_DAYS } from '@/lib/firestore';
+import AuthGuard from '@/components/AuthGuard';
+import { FullScreenLoader } from '@/components/Loader';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function TrashContent() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const dispatch = useAppDispatch();
+    const trashedTasks = useAppSelector(selectTrashedTasks);
+    const [loading, setLoading] = useState(true);
+    const [busyTasks, setBusyTasks] = useState(new Set());
+    const [emptying, setEmptying] = useState(false);
+
+    // The trash is not part of the live list feed, so load it on entry
+    useEffect(() => {
+        if (user) {
+            dispatch(fetchTrashedTasks(user.uid)).finally(() => setLoading(false));
+        }
+    }, [user, dispatch]);
+
+    const markBusy = (taskId, busy) => {
+        setBusyTasks(prev => {
+            const newSet = new Set(prev);
+            if (busy) {
+                newSet.add(taskId);
+            } else {
+                newSet.delete(taskId);
+            }
+            return newSet;
+        });
+    };
+
+    const getDaysUntilPurge = (deletedAt) => {
+        const purgeAt = new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+        return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+    };
+
+    const handleRestore = async (taskId) => {
+        if (busyTasks.has(taskId)) return;
+
+        try {
+            markBusy(taskId, true);
+            await dispatch(restoreTask(taskId)).unwrap();
+        } catch (error) {
+            console.error('Error restoring task:', error);
+            alert('Failed to restore task. Please try again.');
+        } finally {
+            markBusy(taskId, false);
+        }
+    };
+
+    const handlePurge = async (task) => {
+        if (busyTasks.has(task.id)) return;
+        if (!confirm(`Permanently delete "${task.title}" and all of its comments? This cannot be undone.`)) return;
+
+        try {
+            markBusy(task.id, true);
+            await dispatch(purgeTask(task.id)).unwrap();
+        } catch (error) {
+            console.error('Error deleting task permanently:', error);
+            alert('Failed to delete task. Please try again.');
+        } finally {
+            markBusy(task.id, false);
+        }
+    };
+
+    const handleEmptyTrash = async () => {
+        if (emptying || trashedTasks.length === 0) return;
+        if (!confirm(`Permanently delete all ${trashedTasks.length} task(s) in the trash? This cannot be undone.`)) return;
+
+        try {
+            setEmptying(true);
+            for (const task of trashedTasks) {
+                await dispatch(purgeTask(task.id)).unwrap();
+            }
+        } catch (error) {
+            console.error('Error emptying trash:', error);
+            alert('Some tasks could not be deleted. Please try again.');
+        } finally {
+            setEmptying(false);
+        }
+    };
+
+    const handleBack = () => {
+        router.push('/');
+    };
+
+    if (loading) {
+        return <FullScreenLoader message="Loading trash..." size="md" />;
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+            {/* Header */}
+            <motion.div
+                initial={{ opacity: 0, y: -20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="bg-white/80 backdrop-blur-lg shadow-lg border-b border-white/20"
+            >
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center py-4 sm:py-6 gap-4">
+                        <div className="flex items-center space-x-3 sm:space-x-4 min-w-0">
+                            <motion.button
+                                onClick={handleBack}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="p-2 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+                            >
+                                <ArrowLeft className="w-5 h-5 text-gray-600" />
+                            </motion.button>
+                            <div className="h-8 w-8 sm:h-10 sm:w-10 bg-gradient-to-r from-red-500 to-orange-500 rounded-xl flex items-center justify-center flex-shrink-0">
+                                <Trash2 className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+                            </div>
+                            <div className="min-w-0">
+                                <h1 className="text-lg sm:text-2xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 bg-clip-text text-transparent truncate">
+                                    Trash
+                                </h1>
+                                <p className="text-xs sm:text-sm text-gray-500 mt-1">
+                                    Tasks are permanently deleted after {TRASH_RETENTION_DAYS} days
+                                </p>
+                            </div>
+                        </div>
+
+                        <motion.button
+                            onClick={handleEmptyTrash}
+                            disabled={emptying || trashedTasks.length === 0}
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                            className={clsx(
+                                "flex items-center space-x-2 px-3 sm:px-4 py-2 rounded-lg font-medium transition-all duration-200 text-xs sm:text-sm",
+                                emptying || trashedTasks.length === 0
+                                    ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                    : "bg-red-100 hover:bg-red-200 text-red-700"
+                            )}
+                        >
+                            {emptying ? (
+                                <Loader2 className="w-4 h-4 animate-spin" />
+                            ) : (
+                                <AlertTriangle className="w-4 h-4" />
+                            )}
+                            <span>{emptying ? 'Emptying...' : 'Empty Trash'}</span>
+                        </motion.button>
+                    </div>
+                </div>
+            </motion.div>
+
+            {/* Trashed Tasks */}
+            <div className="max-w-7xl mx-auto px-3 sm:px-4 lg:px-8 py-4 sm:py-8">
+                <AnimatePresence>
+                    {trashedTasks.length === 0 ? (
+                        <motion.div
+                            initial={{ opacity: 0, y: 20 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            className="text-center py-20"
+                        >
+                            <div className="w-24 h-24 bg-gradient-to-r from-blue-100 to-purple-100 rounded-full flex items-center justify-center mx-auto mb-6">
+                                <Trash2 className="w-12 h-12 text-gray-400" />
+                            </div>
+                            <h3 className="text-xl font-semibold text-gray-900 mb-2">Trash is empty</h3>
+                            <p className="text-gray-500">Deleted tasks will show up here.</p>
+                        </motion.div>
+                    ) : (
+                        <div className="grid gap-4">
+                            {trashedTasks.map((task, index) => {
+                                const isBusy = busyTasks.has(task.id) || emptying;
+                                const daysLeft = getDaysUntilPurge(task.deletedAt);
+
+                                return (
+                                    <motion.div
+                                        key={task.id}
+                                        initial={{ opacity: 0, y: 20 }}
+                                        animate={{ opacity: 1, y: 0 }}
+                                        exit={{ opacity: 0, x: -20 }}
+                                        transition={{ delay: index * 0.05 }}
+                                        className="bg-white/70 backdrop-blur-sm rounded-xl shadow-lg border border-white/20 p-4 sm:p-6"
+                                    >
+                                        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+                                            <div className="flex-1 min-w-0">
+                                                <h3 className="text-base sm:text-lg font-semibold text-gray-700 break-words">
+                                                    {task.title}
+                                                </h3>
+                                                {task.description && (
+                                                    <p className="text-sm text-gray-500 mt-1 break-words">
+                                                        {task.description.length > 100 ?
+                                                            `${task.description.substring(0, 100)}...` :
+                                                            task.description
+                                                        }
+                                                    </p>
+                                                )}
+                                                <p className={clsx(
+                                                    "text-xs mt-2",
+                                                    daysLeft <= 3 ? "text-red-600 font-medium" : "text-gray-500"
+                                                )}>
+                                                    Deleted {new Date(task.deletedAt).toLocaleDateString('en-US', {
+                                                        month: 'short',
+                                                        day: 'numeric'
+                                                    })} · purged in {daysLeft} day(s)
+                                                </p>
+                                            </div>
+
+                                            <div className="flex flex-row gap-2 flex-shrink-0">
+                                                <motion.button
+                                                    onClick={() => handleRestore(task.id)}
+                                                    disabled={isBusy}
+                                                    whileHover={{ scale: 1.05 }}
+                                                    whileTap={{ scale: 0.95 }}
+                                                    className={clsx(
+                                                        "flex items-center px-3 py-2 rounded-lg transition-all duration-200 text-xs sm:text-sm font-medium",
+                                                        isBusy
+                                                            ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                                            : "bg-blue-600 hover:bg-blue-700 text-white"
+                                                    )}
+                                                >
+                                                    <RotateCcw className="w-3 h-3 sm:w-4 sm:h-4 mr-2" />
+                                                    Restore
+                                                </motion.button>
+                                                <motion.button
+                                                    onClick={() => handlePurge(task)}
+                                                    disabled={isBusy}
+                                                    whileHover={{ scale: 1.05 }}
+                                                    whileTap={{ scale: 0.95 }}
+                                                    className={clsx(
+                                                        "flex items-center px-3 py-2 rounded-lg transition-all duration-200 text-xs sm:text-sm font-medium",
+                                                        isBusy
+                                                            ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                                            : "bg-red-50 hover:bg-red-100 text-red-600"
+                                                    )}
+                                                >
+                                                    {busyTasks.has(task.id) ? (
+                                                        <Loader2 className="w-3 h-3 sm:w-4 sm:h-4 mr-2 animate-spin" />
+                                                    ) : (
+                                                        <Trash2 className="w-3 h-3 sm:w-4 sm:h-4 mr-2" />
+                                                    )}
+                                                    Delete Forever
+                                                </motion.button>
+                                            </div>
+                                        </div>
+                                    </motion.div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </AnimatePresence>
+            </div>
+        </div>
+    );
+}
+
+export default function Trash() {
+    return (
+        <AuthGuard>
+            <TrashContent />
+        </AuthGuard>
+    );
+}
@@ -6,12 +6,29 @@
  * - 2x2 grid layout (9:3 ratio)
  * - Real-time auto-save functionality
  * - Comments system with chronological ordering
- * - Status dropdown for task management
+ * - Offline edits and comments queued until they sync
+ * - Conflict detection and merging for concurrent edits
+ * - Change history timeline with single-field revert
+ * - Field-level validation against the shared task schema
+ * - Checklist with reordering, promotion to tasks and auto-completion
+ * - Status and priority dropdowns; the status offers the moves the workflow allows
+ * - Tag picker with autocomplete and inline tag creation
+ * - Editable or stoppable recurrence; completing an occurrence creates the next one
+ * - Blocked-by and blocks links with a task picker and cycle checks
+ * - Start/stop timer and time entries that can be logged or edited by hand
+ * - Estimate in hours or story points
+ * - Due-date reminders, or the user's default reminders
+ * - File attachments on the task and its comments, with image and text previews
+ * - Archived notice with unarchive; reopening an archived task unarchives it
+ * - Save as template, keeping the due date relative to the creation date
+ * - Optional due time; overdue and suggestion urgency read in the user's timezone
+ * - Markdown description and comments, with write and preview tabs
+ * - Threaded replies, @mentions, and editing or deleting one's own comments
  */
 
 'use client';
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import { useRouter, useParams } from 'next/navigation';
 import { motion } from 'framer-motion';
@@ -21,46 +38,153 @@ import {
     MessageSquare,
     Send,
     CheckCircle2,
-    Clock,
-    Circle,
     User,
     Calendar,
+    Clock,
     Type,
     Tag,
-    Lightbulb
+    Lightbulb,
+    Paperclip,
+    Archive,
+    LayoutTemplate,
+    X
 } from 'lucide-react';
 import clsx from 'clsx';
-import { useAppDispatch, useAppSelector } from '@/store/hooks';
-import { editTask, selectTaskById, fetchTasks, selectTasksLoading } from '@/store/slices/tasksSlice';
-import { db } from '@/lib/firebase';
+import { useAppDispatch, useAppSelector, useAppStore } from '@/store/hooks';
+import {
+    createTask,
+    editTask,
+    fetchTask,
+    postComment,
+    editComment,
+    removeComment,
+    resolveTaskConflict,
+    selectTaskById,
+    selectTaskConflict,
+    unarchiveTask
+} from '@/store/slices/tasksSlice';
+import { selectOutboxEntries, selectSyncedTaskId } from '@/store/slices/outboxSlice';
+import { createTag, selectTags, selectTagsById } from '@/store/slices/tagsSlice';
+import { selectReminderDefaults, selectTimeZone, selectWorkflow } from '@/store/slices/settingsSlice';
+import { createTemplate } from '@/store/slices/templatesSlice';
+import { discardUploadedFiles, subscribeToTaskComments, subscribeToTaskHistory, uploadAttachmentFile } from '@/lib/firestore';
+import { isLocalTaskId, isOffline } from '@/lib/outbox';
+import { MAX_COMMENT_ATTACHMENTS, formatFileSize } from '@/lib/attachments';
 import {
-    collection,
-    addDoc,
-    query,
-    orderBy,
-    onSnapshot,
-    serverTimestamp,
-    doc,
-    updateDoc
-} from 'firebase/firestore';
+    TASK_TYPE_OPTIONS,
+    TASK_PRIORITY_OPTIONS,
+    DEFAULT_PRIORITY,
+    validateTask,
+    isSameTaskValue
+} from '@/lib/taskSchema';
+import { isChecklistComplete, removeChecklistItem } from '@/lib/checklist';
+import { pickTagColor } from '@/lib/tags';
+import { createTemplateFromTask } from '@/lib/templates';
+import { getDeadlineStatus, resolveTimeZone } from '@/lib/deadlines';
+import { toggleTaskListItem } from '@/lib/markdown';
+import { buildCommentThreads } from '@/lib/comments';
+import { isBlocked } from '@/lib/dependencies';
+import {
+    getStatus,
+    getStatusLabel,
+    getStatusUpdate,
+    getInitialStatus,
+    getDoneStatus,
+    canMoveToStatus,
+    isStartingStatus,
+    isTerminalStatus
+} from '@/lib/workflow';
 import AuthGuard from '@/components/AuthGuard';
 import { FullScreenLoader } from '@/components/Loader';
 import SuggestionModal from '@/components/SuggestionModal';
+import SyncStatusBanner, { SyncStatusBadge } from '@/components/SyncStatus';
+import ConflictModal from '@/components/ConflictModal';
+import TaskHistory from '@/components/TaskHistory';
+import TaskChecklist from '@/components/TaskChecklist';
+import PriorityBadge from '@/components/PriorityBadge';
+import { StatusIcon } from '@/components/StatusBadge';
+import TagInput from '@/components/TagInput';
+import RecurrenceEditor from '@/components/RecurrenceEditor';
+import TaskDependencies from '@/components/TaskDependencies';
+import TaskTimer from '@/components/TaskTimer';
+import TimeEntries from '@/components/TimeEntries';
+import TaskAttachments from '@/components/TaskAttachments';
+import AttachmentDropzone from '@/components/AttachmentDropzone';
+import EstimateInput from '@/components/EstimateInput';
+import ReminderEditor from '@/components/ReminderEditor';
+import MarkdownEditor from '@/components/MarkdownEditor';
+import CommentEditor from '@/components/CommentEditor';
+import CommentThread from '@/components/CommentThread';
+
+const TYPE_COLORS = {
+    task: 'blue',
+    bug: 'red',
+    feature: 'green',
+    improvement: 'purple'
+};
+
+const taskTypeOptions = TASK_TYPE_OPTIONS.map(option => ({ ...option, color: TYPE_COLORS[option.value] }));
+
+// Fields edited on this page; concurrent changes are compared field by field
+const EDITABLE_FIELDS = ['title', 'description', 'status', 'type', 'priority', 'dueDate', 'dueTime', 'checklist', 'autoCompleteChecklist', 'tags', 'recurrence', 'blockedBy', 'estimate', 'reminders'];
+
+// Text fields are saved after a pause in typing; the others save immediately
+const DEBOUNCED_FIELDS = ['title', 'description', 'dueDate', 'dueTime', 'checklist', 'tags', 'recurrence', 'blockedBy', 'estimate', 'reminders'];
+
+// Typed text is kept when a save fails, so it goes out with the next edit
+const TEXT_FIELDS = ['title', 'description'];
+
+// Local value for one field, with the same empty values toEditableTask uses
+const pickEditableValue = (field, value) => ({ [field]: toEditableTask({ [field]: value })[field] });
+
+const toEditableTask = (task) => ({
+    title: task.title || '',
+    description: task.description || '',
+    status: task.status || 'pending',
+    type: task.type || 'task',
+    priority: task.priority || DEFAULT_PRIORITY,
+    dueDate: task.dueDate || '',
+    dueTime: task.dueTime || '',
+    checklist: task.checklist || [],
+    autoCompleteChecklist: Boolean(task.autoCompleteChecklist),
+    tags: task.tags || [],
+    recurrence: task.recurrence || null,
+    blockedBy: task.blockedBy || [],
+    estimate: task.estimate || null,
+    // null uses the user's default reminders
+    reminders: task.reminders ?? null
+});
 
 function ViewTaskContent() {
-    const { user } = useAuth();
+    const { user, getIdToken } = useAuth();
     const router = useRouter();
     const params = useParams();
     const dispatch = useAppDispatch();
+    const store = useAppStore();
     const taskId = params.id;
     const commentInputRef = useRef(null);
+    const commentFileInputRef = useRef(null);
 
     const task = useAppSelector(selectTaskById(taskId));
-    const tasksLoading = useAppSelector(selectTasksLoading);
+    const syncedTaskId = useAppSelector(selectSyncedTaskId(taskId));
+    const outboxEntries = useAppSelector(selectOutboxEntries);
+    const conflict = useAppSelector(selectTaskConflict(taskId));
+    const tags = useAppSelector(selectTags);
+    const tagsById = useAppSelector(selectTagsById);
+    const reminderDefaults = useAppSelector(selectReminderDefaults);
+    const workflow = useAppSelector(selectWorkflow);
+    const timeZone = useAppSelector(selectTimeZone);
+    const [conflictFields, setConflictFields] = useState([]);
+    const [fieldErrors, setFieldErrors] = useState({});
     const [loading, setLoading] = useState(false);
     const [saving, setSaving] = useState(false);
     const [comments, setComments] = useState([]);
+    const [history, setHistory] = useState([]);
+    const [revertingEntryId, setRevertingEntryId] = useState(null);
+    const [promotingItemId, setPromotingItemId] = useState(null);
     const [newComment, setNewComment] = useState('');
+    // Files to upload with the next comment
+    const [commentFiles, setCommentFiles] = useState([]);
     const [addingComment, setAddingComment] = useState(false);
     const [suggestionLoading, setSuggestionLoading] = useState(false);
     const [suggestionModal, setSuggestionModal] = useState({
@@ -78,135 +202,494 @@ function ViewTaskContent() {
         description: '',
         status: 'pending',
         type: 'task',
-        dueDate: ''
+        priority: DEFAULT_PRIORITY,
+        dueDate: '',
+        dueTime: '',
+        checklist: [],
+        autoCompleteChecklist: false,
+        tags: [],
+        recurrence: null,
+        blockedBy: [],
+        estimate: null,
+        reminders: null
     });
+    const editableTaskRef = useRef(editableTask);
+    // Saved version (with its revision) that the local edits are based on
+    const baseTaskRef = useRef(null);
+    // The last save started; the next one waits for it
+    const saveQueueRef = useRef(Promise.resolve());
 
-    const statusOptions = [
-        { value: 'pending', label: 'Pending', icon: Circle, color: 'gray' },
-        { value: 'in-progress', label: 'In Progress', icon: Clock, color: 'blue' },
-        { value: 'completed', label: 'Completed', icon: CheckCircle2, color: 'green' }
-    ];
-
-    const taskTypeOptions = [
-        { value: 'task', label: 'Task', color: 'blue' },
-        { value: 'bug', label: 'Bug', color: 'red' },
-        { value: 'feature', label: 'Feature', color: 'green' },
-        { value: 'improvement', label: 'Improvement', color: 'purple' }
-    ];
+    useEffect(() => {
+        editableTaskRef.current = editableTask;
+    }, [editableTask]);
 
-    // Fetch tasks if not loaded (for direct URL access)
+    // Fetch the task if it is not on the current list page (e.g. direct URL access)
     useEffect(() => {
-        if (user && !task && !tasksLoading) {
-            dispatch(fetchTasks(user.uid));
+        if (user && task === undefined && !isLocalTaskId(taskId)) {
+            dispatch(fetchTask(taskId));
         }
-    }, [user, task, tasksLoading, dispatch]);
+    }, [user, task, taskId, dispatch]);
 
-    // Initialize editable task when task loads
+    // A task created offline has synced: move to its permanent URL
     useEffect(() => {
-        if (task) {
-            setEditableTask({
-                title: task.title || '',
-                description: task.description || '',
-                status: task.status || 'pending',
-                type: task.type || 'task',
-                dueDate: task.dueDate || ''
-            });
+        if (syncedTaskId) {
+            router.replace(`/view-task/${syncedTaskId}`);
         }
+    }, [syncedTaskId, router]);
+
+    // Initialize editable task when task loads and follow changes made elsewhere,
+    // unless they would overwrite unsaved edits (saving those raises a conflict)
+    useEffect(() => {
+        if (!task) return;
+
+        const base = baseTaskRef.current;
+        const local = editableTaskRef.current;
+        if (base && EDITABLE_FIELDS.some(field => !isSameTaskValue(local[field], base[field]))) return;
+
+        const latest = toEditableTask(task);
+        baseTaskRef.current = { ...latest, revision: task.revision ?? 0 };
+        setEditableTask(latest);
     }, [task]);
 
+    // Comments still in the outbox are shown after the synced ones
+    const allComments = useMemo(() => [
+        ...comments,
+        ...outboxEntries
+            .filter(entry => entry.type === 'addComment' && entry.taskId === taskId)
+            .map(entry => ({
+                ...entry.payload.commentData,
+                id: entry.id,
+                createdAt: entry.createdAt,
+                syncStatus: entry.status
+            }))
+    ], [comments, outboxEntries, taskId]);
+
+    const commentThreads = useMemo(() => buildCommentThreads(allComments), [allComments]);
+    // Placeholders of deleted comments are not counted
+    const commentCount = allComments.filter(comment => !comment.deleted).length;
+
     // Load comments
     useEffect(() => {
         if (taskId) {
-            const commentsRef = collection(db, 'tasks', taskId, 'comments');
-            const commentsQuery = query(commentsRef, orderBy('createdAt', 'asc'));
-
-            const unsubscribe = onSnapshot(commentsQuery, (snapshot) => {
-                const commentsData = snapshot.docs.map(doc => ({
-                    id: doc.id,
-                    ...doc.data()
-                }));
-                setComments(commentsData);
-            });
+            const unsubscribe = subscribeToTaskComments(taskId, setComments);
+            return () => unsubscribe();
+        }
+    }, [taskId]);
 
+    // Load change history
+    useEffect(() => {
+        if (taskId) {
+            const unsubscribe = subscribeToTaskHistory(taskId, setHistory);
             return () => unsubscribe();
         }
     }, [taskId]);
 
-    // Auto-save function with debounce
-    const saveTaskChanges = useCallback(async (updates) => {
-        if (!task || saving) return;
+    // Record a successful save as the new base for further edits
+    const rebaseEdits = (updates, revision) => {
+        const base = baseTaskRef.current;
+        baseTaskRef.current = { ...base, ...updates, revision: revision ?? base.revision };
+    };
+
+    // Put the given fields back to their saved values
+    const restoreSavedFields = (fields) => {
+        const base = baseTaskRef.current;
+        const changed = fields.filter(field =>
+            EDITABLE_FIELDS.includes(field) && !isSameTaskValue(editableTaskRef.current[field], base[field])
+        );
+        if (changed.length === 0) return;
+        setEditableTask(prev => ({ ...prev, ...Object.fromEntries(changed.map(field => [field, base[field]])) }));
+    };
+
+    // Save changes to the task, checked against the base revision so changes made
+    // elsewhere in the meantime are not overwritten. Saves run one at a time: one
+    // started while another is in flight waits for it, then skips changes that
+    // are already saved. A failed save is reported and its changes undone, apart
+    // from typed text; a conflict is left to the conflict dialog.
+    // Resolves with whether the changes were saved (or queued).
+    const saveTaskChanges = useCallback((updates) => {
+        const runSave = async () => {
+            const base = baseTaskRef.current;
+            if (!task || !base) return false;
+
+            const editedFields = Object.keys(updates).filter(field => EDITABLE_FIELDS.includes(field));
+            if (editedFields.length > 0 && editedFields.every(field => isSameTaskValue(updates[field], base[field]))) {
+                return true;
+            }
+
+            try {
+                setSaving(true);
+                const result = await dispatch(editTask({
+                    taskId,
+                    taskData: updates,
+                    expectedRevision: base.revision
+                })).unwrap();
+                rebaseEdits(updates, result.revision);
+                return true;
+            } catch (error) {
+                console.error('Error updating task:', error);
+                if (!selectTaskConflict(taskId)(store.getState())) {
+                    restoreSavedFields(editedFields.filter(field => !TEXT_FIELDS.includes(field)));
+                    alert(`Failed to save your changes: ${error}`);
+                }
+                return false;
+            } finally {
+                setSaving(false);
+            }
+        };
+
+        const pendingSave = saveQueueRef.current.then(runSave);
+        saveQueueRef.current = pendingSave;
+        return pendingSave;
+    }, [task, dispatch, store, taskId]);
+
+    // Debounced save for text fields, dates, lists, recurrence, estimates and reminders (paused during a conflict)
+    useEffect(() => {
+        if (conflict) return;
+
+        const timeoutId = setTimeout(() => {
+            const base = baseTaskRef.current;
+            if (!task || !base) return;
+
+            const updates = {};
+            DEBOUNCED_FIELDS.forEach((field) => {
+                if (!isSameTaskValue(editableTask[field], base[field])) {
+                    updates[field] = editableTask[field];
+                }
+            });
+            if (Object.keys(updates).length === 0) return;
+
+            // Invalid values stay local (with an error shown) until they are fixed
+            const { valid, errors } = validateTask(updates, { partial: true });
+            setFieldErrors(errors);
+            if (valid) {
+                saveTaskChanges(updates);
+            }
+        }, 1000); // 1 second debounce
+
+        return () => clearTimeout(timeoutId);
+    }, [editableTask, task, conflict, saveTaskChanges]);
+
+    // Save the chosen values on top of the version that won
+    const handleResolveConflict = useCallback(async (resolvedChanges) => {
+        if (!conflict) return;
+
+        const remote = toEditableTask(conflict.remoteTask);
+        const taskData = { ...resolvedChanges };
+        // Keep the completion date change that came with a status change the user kept
+        if ('status' in taskData && 'completedAt' in conflict.localChanges) {
+            taskData.completedAt = conflict.localChanges.completedAt;
+        }
+
+        baseTaskRef.current = { ...remote, revision: conflict.remoteTask.revision ?? 0 };
+        setEditableTask({ ...remote, ...resolvedChanges });
+        setConflictFields([]);
 
         try {
             setSaving(true);
-            await dispatch(editTask({
-                taskId,
-                taskData: updates
-            })).unwrap();
+            const pendingSave = dispatch(resolveTaskConflict({ taskId, taskData }));
+            if (pendingSave) {
+                const result = await pendingSave.unwrap();
+                rebaseEdits(resolvedChanges, result.revision);
+            }
         } catch (error) {
-            console.error('Error updating task:', error);
+            console.error('Error saving merged task:', error);
         } finally {
             setSaving(false);
         }
-    }, [task, saving, dispatch, taskId]);
+    }, [conflict, dispatch, taskId]);
 
-    // Debounced save for title, description, and dueDate
+    // Edits that do not touch the fields changed elsewhere are merged automatically;
+    // overlapping ones are put to the user
     useEffect(() => {
-        const timeoutId = setTimeout(() => {
-            if (task && (
-                editableTask.title !== task.title ||
-                editableTask.description !== task.description ||
-                editableTask.dueDate !== task.dueDate
-            )) {
-                saveTaskChanges({
-                    title: editableTask.title,
-                    description: editableTask.description,
-                    dueDate: editableTask.dueDate
-                });
-            }
-        }, 1000); // 1 second debounce
+        if (!conflict) return;
 
-        return () => clearTimeout(timeoutId);
-    }, [editableTask.title, editableTask.description, editableTask.dueDate, task, saveTaskChanges]);
+        const remote = toEditableTask(conflict.remoteTask);
+        const local = editableTaskRef.current;
+        const base = baseTaskRef.current ?? remote;
+
+        const editedFields = EDITABLE_FIELDS.filter(field =>
+            (!isSameTaskValue(local[field], base[field]) || field in conflict.localChanges) &&
+            !isSameTaskValue(local[field], remote[field])
+        );
+        const overlapping = editedFields.filter(field => !isSameTaskValue(remote[field], base[field]));
+
+        if (overlapping.length === 0) {
+            handleResolveConflict(Object.fromEntries(editedFields.map(field => [field, local[field]])));
+        } else {
+            setConflictFields(editedFields.map(field => ({
+                field,
+                mine: local[field],
+                theirs: remote[field]
+            })));
+        }
+    }, [conflict, handleResolveConflict]);
+
+    // Save a change that completes the task. A recurring task hands its rule on
+    // to a new occurrence, which the backend creates with the completion.
+    const saveCompletion = async (updates, completedTask) => {
+        if (completedTask.recurrence) {
+            updates.recurrence = null;
+        }
+
+        const { completedAt: _completedAt, ...localUpdates } = updates;
+        setEditableTask(prev => ({ ...prev, ...localUpdates }));
+        const saved = await saveTaskChanges(updates);
+        if (!saved) {
+            // Show the task as stored: still open, with its checklist and rule
+            restoreSavedFields(Object.keys(localUpdates));
+        }
+    };
 
     const handleStatusChange = async (newStatus) => {
-        const updates = { status: newStatus };
+        if (isStartingStatus(workflow, newStatus) && isBlocked(editableTask, workflow) &&
+            !confirm(`This task is blocked by unfinished tasks. Move it to ${getStatusLabel(workflow, newStatus)} anyway?`)) {
+            return;
+        }
 
-        // Add completion date when marking as completed
-        if (newStatus === 'completed' && editableTask.status !== 'completed') {
-            updates.completedAt = new Date().toISOString();
+        // Finishing the task stamps its completion date; reopening it clears it
+        const updates = getStatusUpdate(workflow, editableTask.status, newStatus);
+        if (updates.completedAt) {
+            await saveCompletion(updates, editableTask);
+            return;
         }
 
         setEditableTask(prev => ({ ...prev, status: newStatus }));
-        await saveTaskChanges(updates);
+        const saved = await saveTaskChanges(updates);
+        // A reopened task belongs back in the task list
+        if (saved && updates.completedAt === null && task?.archivedAt) {
+            await handleUnarchive();
+        }
+    };
+
+    const handleUnarchive = async () => {
+        try {
+            await dispatch(unarchiveTask(taskId)).unwrap();
+        } catch (error) {
+            console.error('Error unarchiving task:', error);
+            alert(`Failed to unarchive task: ${error}`);
+        }
+    };
+
+    const handleSaveAsTemplate = async () => {
+        const name = prompt('Template name:', task.title);
+        if (!name?.trim()) return;
+
+        try {
+            await dispatch(createTemplate({
+                userId: user.uid,
+                templateData: createTemplateFromTask(task, name, timeZone)
+            })).unwrap();
+            alert(`Saved the "${name.trim()}" template.`);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            alert(`Failed to save template: ${error}`);
+        }
+    };
+
+    const handlePriorityChange = async (priority) => {
+        setEditableTask(prev => ({ ...prev, priority }));
+        await saveTaskChanges({ priority });
+    };
+
+    // Checklist edits save right away; finishing the last item completes the
+    // task when auto-complete is on
+    const handleChecklistChange = async (checklist) => {
+        if (editableTask.autoCompleteChecklist && !isTerminalStatus(workflow, editableTask.status) && isChecklistComplete(checklist)) {
+            await saveCompletion(
+                { checklist, status: getDoneStatus(workflow), completedAt: new Date().toISOString() },
+                { ...editableTask, checklist }
+            );
+            return;
+        }
+
+        setEditableTask(prev => ({ ...prev, checklist }));
+        await saveTaskChanges({ checklist });
+    };
+
+    const handleTagsChange = async (tagIds) => {
+        setEditableTask(prev => ({ ...prev, tags: tagIds }));
+        await saveTaskChanges({ tags: tagIds });
+    };
+
+    // Save the blocked-by list of this task, or of a task it blocks
+    const handleBlockedByChange = async (targetTaskId, blockedBy) => {
+        if (targetTaskId === taskId) {
+            setEditableTask(prev => ({ ...prev, blockedBy }));
+            await saveTaskChanges({ blockedBy });
+            return;
+        }
+        await dispatch(editTask({ taskId: targetTaskId, taskData: { blockedBy } })).unwrap();
+    };
+
+    const handleCreateTag = async (name) => {
+        const tag = await dispatch(createTag({ userId: user.uid, name, color: pickTagColor(tags) })).unwrap();
+        return tag.id;
+    };
+
+    const handleAutoCompleteChange = async (autoCompleteChecklist) => {
+        setEditableTask(prev => ({ ...prev, autoCompleteChecklist }));
+        await saveTaskChanges({ autoCompleteChecklist });
+    };
+
+    // Turn a checklist item into a task of its own and take it off the checklist
+    const handlePromoteChecklistItem = async (item) => {
+        if (promotingItemId) return;
+
+        try {
+            setPromotingItemId(item.id);
+            await dispatch(createTask({
+                userId: user.uid,
+                taskData: {
+                    title: item.text,
+                    description: `From the checklist of "${editableTask.title}"`,
+                    status: item.done ? getDoneStatus(workflow) : getInitialStatus(workflow),
+                    type: editableTask.type,
+                    tags: editableTask.tags,
+                    ...(item.done && { completedAt: new Date().toISOString() })
+                }
+            })).unwrap();
+            await handleChecklistChange(removeChecklistItem(editableTask.checklist, item.id));
+        } catch (error) {
+            console.error('Error promoting checklist item:', error);
+            alert('Failed to create a task from this item. Please try again.');
+        } finally {
+            setPromotingItemId(null);
+        }
+    };
+
+    // Put a single field back to the value it had before the given change. The
+    // status goes back like any status change: along the workflow, with the
+    // completion date and the blocker warning that come with it.
+    const handleRevertField = async (entry) => {
+        if (revertingEntryId) return;
+        if (entry.field === 'status' && !canMoveToStatus(workflow, editableTask.status, entry.oldValue)) {
+            alert(`This task cannot move back to ${getStatusLabel(workflow, entry.oldValue)} from its current status.`);
+            return;
+        }
+
+        try {
+            setRevertingEntryId(entry.id);
+            if (entry.field === 'status') {
+                await handleStatusChange(entry.oldValue);
+                return;
+            }
+            if (EDITABLE_FIELDS.includes(entry.field)) {
+                setEditableTask(prev => ({ ...prev, ...pickEditableValue(entry.field, entry.oldValue) }));
+            }
+            await saveTaskChanges({ [entry.field]: entry.oldValue });
+        } finally {
+            setRevertingEntryId(null);
+        }
     };
 
     const handleDueDateChange = (e) => {
         const newDueDate = e.target.value;
-        setEditableTask(prev => ({ ...prev, dueDate: newDueDate }));
+        // A due time only counts with a due date
+        setEditableTask(prev => ({ ...prev, dueDate: newDueDate, ...(!newDueDate && { dueTime: '' }) }));
+    };
+
+    const handleDueTimeChange = (e) => {
+        const newDueTime = e.target.value;
+        setEditableTask(prev => ({ ...prev, dueTime: newDueTime }));
+    };
+
+    const handleAddCommentFiles = (files) => {
+        setCommentFiles(prev => [...prev, ...files].slice(0, MAX_COMMENT_ATTACHMENTS));
+        if (commentFiles.length + files.length > MAX_COMMENT_ATTACHMENTS) {
+            alert(`A comment can have at most ${MAX_COMMENT_ATTACHMENTS} files`);
+        }
+    };
+
+    const handlePickCommentFiles = (e) => {
+        handleAddCommentFiles(Array.from(e.target.files));
+        e.target.value = '';
     };
 
     const handleAddComment = async () => {
-        if (!newComment.trim() || addingComment) return;
+        if ((!newComment.trim() && commentFiles.length === 0) || addingComment) return;
 
+        // Files are uploaded before the comment is posted, so they need a connection
+        // even though the comment itself could be queued
+        if (commentFiles.length > 0 && (isOffline() || isLocalTaskId(taskId))) {
+            alert('Files can only be attached while online, once the task has synced');
+            return;
+        }
+
+        // Uploaded files are deleted again if the comment cannot be posted
+        const attachments = [];
         try {
             setAddingComment(true);
-            const commentsRef = collection(db, 'tasks', taskId, 'comments');
+            const authorName = user.displayName || user.email;
+            for (const file of commentFiles) {
+                attachments.push(await uploadAttachmentFile(user.uid, taskId, file, { uploaderName: authorName }));
+            }
 
-            await addDoc(commentsRef, {
-                text: newComment.trim(),
-                authorId: user.uid,
-                authorName: user.displayName || user.email,
-                createdAt: serverTimestamp()
-            });
+            await dispatch(postComment({
+                taskId,
+                commentData: {
+                    text: newComment.trim(),
+                    authorId: user.uid,
+                    authorName,
+                    ...(attachments.length > 0 && { attachments })
+                }
+            })).unwrap();
 
             setNewComment('');
+            setCommentFiles([]);
         } catch (error) {
             console.error('Error adding comment:', error);
+            discardUploadedFiles(attachments).catch(() => {});
+            alert(`Failed to add the comment: ${error.message ?? error}`);
         } finally {
             setAddingComment(false);
         }
     };
 
+    // Reply, edit and delete handlers report failures and rethrow them, so the
+    // comment keeps its open editor
+    const handleReplyToComment = async (parentId, text) => {
+        try {
+            await dispatch(postComment({
+                taskId,
+                commentData: {
+                    text,
+                    authorId: user.uid,
+                    authorName: user.displayName || user.email,
+                    parentId
+                }
+            })).unwrap();
+        } catch (error) {
+            console.error('Error replying to comment:', error);
+            alert(`Failed to post the reply: ${error.message ?? error}`);
+            throw error;
+        }
+    };
+
+    const handleEditComment = async (comment, text) => {
+        try {
+            await dispatch(editComment({ taskId, commentId: comment.id, text })).unwrap();
+        } catch (error) {
+            console.error('Error editing comment:', error);
+            alert(`Failed to edit the comment: ${error.message ?? error}`);
+            throw error;
+        }
+    };
+
+    const handleDeleteComment = async (comment) => {
+        const message = comment.replyCount > 0
+            ? 'Delete this comment? Its replies will stay under a placeholder.'
+            : 'Delete this comment?';
+        if (!confirm(message)) return;
+
+        try {
+            await dispatch(removeComment({ taskId, commentId: comment.id })).unwrap();
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            alert(`Failed to delete the comment: ${error.message ?? error}`);
+            throw error;
+        }
+    };
+
     const handleBack = () => {
         router.push('/');
     };
@@ -217,18 +700,18 @@ function ViewTaskContent() {
         try {
             setSuggestionLoading(true);
 
-            // Calculate task urgency and context
+            // Task age; the route works out the deadline urgency in the user's timezone
             const now = new Date();
-            const dueDate = task.dueDate ? new Date(task.dueDate) : null;
             const createdDate = task.createdAt ? new Date(task.createdAt) : null;
-            const isOverdue = dueDate && dueDate < now && task.status !== 'completed';
             const daysSinceCreated = createdDate ? Math.floor((now - createdDate) / (1000 * 60 * 60 * 24)) : 0;
-            const daysUntilDue = dueDate ? Math.floor((dueDate - now) / (1000 * 60 * 60 * 24)) : null;
 
+            // The route counts the suggestion against the user the ID token belongs to
+            const idToken = await getIdToken();
             const response = await fetch('/api/suggestions', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...(idToken && { Authorization: `Bearer ${idToken}` })
                 },
                 body: JSON.stringify({
                     userId: user.uid,
@@ -237,19 +720,19 @@ function ViewTaskContent() {
                     taskType: task.type,
                     taskDescription: task.description,
                     taskStatus: task.status,
+                    taskPriority: task.priority,
                     // Date context
                     dueDate: task.dueDate,
+                    dueTime: task.dueTime,
+                    timeZone: resolveTimeZone(timeZone),
                     createdAt: task.createdAt,
                     completedAt: task.completedAt,
                     // Calculated context
-                    isOverdue,
                     daysSinceCreated,
-                    daysUntilDue,
                     // Additional context
                     hasDescription: !!task.description?.trim(),
                     hasDueDate: !!task.dueDate,
-                    taskAge: daysSinceCreated,
-                    urgencyLevel: isOverdue ? 'overdue' : daysUntilDue !== null && daysUntilDue <= 1 ? 'urgent' : daysUntilDue !== null && daysUntilDue <= 3 ? 'soon' : 'normal'
+                    taskAge: daysSinceCreated
                 }),
             });
 
@@ -277,7 +760,9 @@ function ViewTaskContent() {
                 });
             } else {
                 // Other errors
-                alert(data.error || 'Failed to get suggestions. Please try again.');
+                alert(data.fieldErrors
+                    ? Object.values(data.fieldErrors).join('\n')
+                    : data.error || 'Failed to get suggestions. Please try again.');
             }
         } catch (error) {
             console.error('Error fetching suggestions:', error);
@@ -291,23 +776,42 @@ function ViewTaskContent() {
         setSuggestionModal(prev => ({ ...prev, isOpen: false }));
     };
 
-    const getStatusInfo = (status) => {
-        const option = statusOptions.find(opt => opt.value === status);
-        return option || statusOptions[0];
-    };
-
     const getTypeInfo = (type) => {
         const option = taskTypeOptions.find(opt => opt.value === type);
         return option || taskTypeOptions[0];
     };
 
-    if (!task || tasksLoading) {
+    if (task === undefined) {
         return <FullScreenLoader message="Loading task details..." size="md" />;
     }
 
-    const statusInfo = getStatusInfo(editableTask.status);
+    if (task === null) {
+        return (
+            <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center px-4">
+                <div className="text-center">
+                    <h2 className="text-xl font-semibold text-gray-900 mb-2">Task not found</h2>
+                    <p className="text-gray-600 mb-6">It may have been permanently deleted.</p>
+                    <button
+                        onClick={handleBack}
+                        className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-medium transition-colors"
+                    >
+                        Back to tasks
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    const status = getStatus(workflow, editableTask.status);
+    const isDone = status.terminal;
+    const { isOverdue } = getDeadlineStatus(editableTask, timeZone, { done: isDone });
+    // The current status and the ones it may move to; a status since removed
+    // from the workflow is kept so the dropdown can show it
+    const statusChoices = [
+        ...(status.removed ? [status] : []),
+        ...workflow.filter(candidate => canMoveToStatus(workflow, status.id, candidate.id))
+    ];
     const typeInfo = getTypeInfo(editableTask.type);
-    const StatusIcon = statusInfo.icon;
 
     return (
         <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 pb-24">
@@ -329,7 +833,7 @@ function ViewTaskContent() {
                                 <ArrowLeft className="w-5 h-5 text-gray-600" />
                             </motion.button>
                             <div className="h-8 w-8 sm:h-10 sm:w-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl flex items-center justify-center flex-shrink-0">
-                                <StatusIcon className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
+                                <StatusIcon workflow={workflow} status={status} className="h-5 w-5 sm:h-6 sm:w-6 text-white" />
                             </div>
                             <div className="min-w-0">
                                 <h1 className="text-lg sm:text-2xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 bg-clip-text text-transparent truncate">
@@ -338,6 +842,9 @@ function ViewTaskContent() {
                                 <div className="flex items-center text-xs sm:text-sm text-gray-500 mt-1">
                                     <User className="w-3 h-3 sm:w-4 sm:h-4 mr-1 flex-shrink-0" />
                                     <span className="truncate">{user?.displayName || user?.email}</span>
+                                    <span className="ml-2 flex-shrink-0">
+                                        <SyncStatusBadge taskId={taskId} />
+                                    </span>
                                     {saving && (
                                         <span className="ml-2 text-green-600 flex items-center flex-shrink-0">
                                             <Save className="w-3 h-3 mr-1 animate-pulse" />
@@ -348,40 +855,75 @@ function ViewTaskContent() {
                             </div>
                         </div>
 
-                        {/* Suggestion Button - Only for non-completed tasks */}
-                        {editableTask.status !== 'completed' && (
+                        <div className="flex items-center gap-2 flex-shrink-0">
                             <motion.button
-                                onClick={handleGetTaskSuggestion}
-                                disabled={suggestionLoading}
+                                onClick={handleSaveAsTemplate}
                                 whileHover={{ scale: 1.05 }}
                                 whileTap={{ scale: 0.95 }}
-                                className={clsx(
-                                    "flex items-center space-x-1 sm:space-x-2 px-3 sm:px-4 py-2 rounded-lg font-medium transition-all duration-200 text-xs sm:text-sm flex-shrink-0",
-                                    suggestionLoading
-                                        ? "bg-gray-100 text-gray-400 cursor-not-allowed"
-                                        : "bg-yellow-100 hover:bg-yellow-200 text-yellow-700 hover:shadow-md"
-                                )}
+                                className="flex items-center space-x-1 sm:space-x-2 px-3 sm:px-4 py-2 rounded-lg font-medium transition-all duration-200 text-xs sm:text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 hover:shadow-md"
                             >
-                                {suggestionLoading ? (
-                                    <motion.div
-                                        animate={{ rotate: 360 }}
-                                        transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
-                                    >
-                                        <Lightbulb className="w-4 h-4 sm:w-5 sm:h-5" />
-                                    </motion.div>
-                                ) : (
-                                    <Lightbulb className="w-4 h-4 sm:w-5 sm:h-5" />
-                                )}
-                                <span className="hidden sm:inline">{suggestionLoading ? 'Getting...' : 'Get AI Suggestions'}</span>
-                                <span className="sm:hidden">{suggestionLoading ? '...' : 'AI'}</span>
+                                <LayoutTemplate className="w-4 h-4 sm:w-5 sm:h-5" />
+                                <span className="hidden sm:inline">Save as Template</span>
+                                <span className="sm:hidden">Template</span>
                             </motion.button>
-                        )}
+
+                            {/* Suggestion Button - Only for non-completed tasks */}
+                            {!isDone && (
+                                <motion.button
+                                    onClick={handleGetTaskSuggestion}
+                                    disabled={suggestionLoading}
+                                    whileHover={{ scale: 1.05 }}
+                                    whileTap={{ scale: 0.95 }}
+                                    className={clsx(
+                                        "flex items-center space-x-1 sm:space-x-2 px-3 sm:px-4 py-2 rounded-lg font-medium transition-all duration-200 text-xs sm:text-sm flex-shrink-0",
+                                        suggestionLoading
+                                            ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                            : "bg-yellow-100 hover:bg-yellow-200 text-yellow-700 hover:shadow-md"
+                                    )}
+                                >
+                                    {suggestionLoading ? (
+                                        <motion.div
+                                            animate={{ rotate: 360 }}
+                                            transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                                        >
+                                            <Lightbulb className="w-4 h-4 sm:w-5 sm:h-5" />
+                                        </motion.div>
+                                    ) : (
+                                        <Lightbulb className="w-4 h-4 sm:w-5 sm:h-5" />
+                                    )}
+                                    <span className="hidden sm:inline">{suggestionLoading ? 'Getting...' : 'Get AI Suggestions'}</span>
+                                    <span className="sm:hidden">{suggestionLoading ? '...' : 'AI'}</span>
+                                </motion.button>
+                            )}
+                        </div>
                     </div>
                 </div>
             </motion.div>
 
             {/* Main Content - Responsive Layout */}
             <div className="max-w-7xl mx-auto px-3 sm:px-4 lg:px-8 py-4 sm:py-8">
+                <SyncStatusBanner taskId={taskId} />
+
+                {task?.archivedAt && (
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4 sm:mb-6 px-4 py-3 rounded-xl border border-gray-200 bg-white/70 text-sm text-gray-600">
+                        <span className="flex items-center">
+                            <Archive className="w-4 h-4 mr-2 text-gray-400 flex-shrink-0" />
+                            Archived on {new Date(task.archivedAt).toLocaleDateString('en-US', {
+                                month: 'short',
+                                day: 'numeric',
+                                year: 'numeric'
+                            })}; it is not shown in the task list.
+                        </span>
+                        <button
+                            type="button"
+                            onClick={handleUnarchive}
+                            className="self-start sm:self-auto px-3 py-1.5 rounded-lg text-sm font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 transition-colors"
+                        >
+                            Unarchive
+                        </button>
+                    </div>
+                )}
+
                 <div className="grid grid-cols-1 lg:grid-cols-12 gap-4 sm:gap-6 mb-6 sm:mb-8">
                     {/* Main Content */}
                     <div className="lg:col-span-9 space-y-4 sm:space-y-6">
@@ -401,6 +943,9 @@ function ViewTaskContent() {
                                 className="w-full text-lg sm:text-2xl font-semibold bg-transparent border-none outline-none text-gray-900 placeholder-gray-400 focus:bg-white/50 rounded-lg p-2 sm:p-3 transition-colors"
                                 placeholder="Enter task title..."
                             />
+                            {fieldErrors.title && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.title}</p>
+                            )}
                         </motion.div>
 
                         {/* Task Description */}
@@ -410,17 +955,62 @@ function ViewTaskContent() {
                             transition={{ delay: 0.1 }}
                             className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
                         >
-                            <label className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
+                            <label htmlFor="description" className="block text-sm font-semibold text-gray-700 mb-2 sm:mb-3">
                                 Description
                             </label>
-                            <textarea
+                            <MarkdownEditor
+                                id="description"
                                 value={editableTask.description}
                                 onChange={(e) => setEditableTask(prev => ({ ...prev, description: e.target.value }))}
+                                onToggleTaskItem={(offset) => setEditableTask(prev => ({
+                                    ...prev,
+                                    description: toggleTaskListItem(prev.description, offset)
+                                }))}
+                                defaultMode="preview"
                                 rows={5}
-                                className="w-full bg-transparent border-none outline-none text-gray-700 placeholder-gray-400 focus:bg-white/50 rounded-lg p-2 sm:p-3 transition-colors resize-none text-sm sm:text-base"
+                                textareaClassName="w-full bg-transparent border-none outline-none text-gray-700 placeholder-gray-400 focus:bg-white/50 rounded-lg p-2 sm:p-3 transition-colors resize-y text-sm sm:text-base"
                                 placeholder="Enter task description..."
                             />
+                            {fieldErrors.description && (
+                                <p className="mt-2 text-sm text-red-600">{fieldErrors.description}</p>
+                            )}
                         </motion.div>
+
+                        {/* Attachments */}
+                        <TaskAttachments
+                            userId={user?.uid}
+                            uploaderName={user?.displayName || user?.email}
+                            taskId={taskId}
+                        />
+
+                        {/* Checklist */}
+                        <TaskChecklist
+                            items={editableTask.checklist}
+                            autoComplete={editableTask.autoCompleteChecklist}
+                            onChange={handleChecklistChange}
+                            onAutoCompleteChange={handleAutoCompleteChange}
+                            onPromote={handlePromoteChecklistItem}
+                            promotingId={promotingItemId}
+                        />
+                        {fieldErrors.checklist && (
+                            <p className="text-sm text-red-600">{fieldErrors.checklist}</p>
+                        )}
+
+                        {/* Dependencies */}
+                        <TaskDependencies
+                            userId={user?.uid}
+                            taskId={taskId}
+                            title={editableTask.title}
+                            status={editableTask.status}
+                            blockedBy={editableTask.blockedBy}
+                            onBlockedByChange={handleBlockedByChange}
+                        />
+                        {fieldErrors.blockedBy && (
+                            <p className="text-sm text-red-600">{fieldErrors.blockedBy}</p>
+                        )}
+
+                        {/* Time Tracking */}
+                        <TimeEntries userId={user?.uid} taskId={taskId} />
                     </div>
 
                     {/* Sidebar */}
@@ -446,6 +1036,81 @@ function ViewTaskContent() {
                                 </div>
                             </div>
 
+                            {/* Task Priority */}
+                            <div className="mb-3 sm:mb-4">
+                                <label className="flex items-center justify-between text-xs font-medium text-gray-500 mb-1">
+                                    <span>Priority</span>
+                                    <PriorityBadge priority={editableTask.priority} />
+                                </label>
+                                <select
+                                    value={editableTask.priority}
+                                    onChange={(e) => handlePriorityChange(e.target.value)}
+                                    className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-xs"
+                                >
+                                    {TASK_PRIORITY_OPTIONS.map((option) => (
+                                        <option key={option.value} value={option.value}>
+                                            {option.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {/* Task Tags */}
+                            <div className="mb-3 sm:mb-4">
+                                <label className="block text-xs font-medium text-gray-500 mb-1">Tags</label>
+                                <TagInput
+                                    value={editableTask.tags}
+                                    tags={tags}
+                                    onChange={handleTagsChange}
+                                    onCreateTag={handleCreateTag}
+                                    placeholder="Add..."
+                                />
+                                {fieldErrors.tags && (
+                                    <p className="mt-1 text-xs text-red-600">{fieldErrors.tags}</p>
+                                )}
+                            </div>
+
+                            {/* Task Recurrence */}
+                            <div className="mb-3 sm:mb-4">
+                                <label className="block text-xs font-medium text-gray-500 mb-1">Repeat</label>
+                                <RecurrenceEditor
+                                    value={editableTask.recurrence}
+                                    onChange={(recurrence) => setEditableTask(prev => ({ ...prev, recurrence }))}
+                                    dueDate={editableTask.dueDate}
+                                />
+                                {fieldErrors.recurrence && (
+                                    <p className="mt-1 text-xs text-red-600">{fieldErrors.recurrence}</p>
+                                )}
+                            </div>
+
+                            {/* Task Estimate */}
+                            <div className="mb-3 sm:mb-4">
+                                <label className="block text-xs font-medium text-gray-500 mb-1">Estimate</label>
+                                <EstimateInput
+                                    value={editableTask.estimate}
+                                    onChange={(estimate) => setEditableTask(prev => ({ ...prev, estimate }))}
+                                    compact
+                                />
+                                {fieldErrors.estimate && (
+                                    <p className="mt-1 text-xs text-red-600">{fieldErrors.estimate}</p>
+                                )}
+                            </div>
+
+                            {/* Task Reminders */}
+                            <div className="mb-3 sm:mb-4">
+                                <label className="block text-xs font-medium text-gray-500 mb-1">Reminders</label>
+                                <ReminderEditor
+                                    value={editableTask.reminders}
+                                    onChange={(reminders) => setEditableTask(prev => ({ ...prev, reminders }))}
+                                    defaults={reminderDefaults}
+                                    dueDate={editableTask.dueDate}
+                                    compact
+                                />
+                                {fieldErrors.reminders && (
+                                    <p className="mt-1 text-xs text-red-600">{fieldErrors.reminders}</p>
+                                )}
+                            </div>
+
                             {/* Task Status */}
                             <div className="mb-4">
                                 <label className="block text-xs font-medium text-gray-500 mb-1">Status</label>
@@ -454,14 +1119,20 @@ function ViewTaskContent() {
                                     onChange={(e) => handleStatusChange(e.target.value)}
                                     className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-xs"
                                 >
-                                    {statusOptions.map((option) => (
-                                        <option key={option.value} value={option.value}>
-                                            {option.label}
+                                    {statusChoices.map((choice) => (
+                                        <option key={choice.id} value={choice.id}>
+                                            {choice.label}
                                         </option>
                                     ))}
                                 </select>
                             </div>
 
+                            {/* Task Timer */}
+                            <div className="mb-4">
+                                <label className="block text-xs font-medium text-gray-500 mb-1">Time</label>
+                                <TaskTimer taskId={taskId} timeSpentMs={task?.timeSpentMs ?? 0} />
+                            </div>
+
                             {/* Dates */}
                             <div className="space-y-3">
                                 {/* Created Date */}
@@ -480,7 +1151,7 @@ function ViewTaskContent() {
                                 </div>
 
                                 {/* Due Date or Completion Date */}
-                                {editableTask.status === 'completed' ? (
+                                {isDone ? (
                                     <div>
                                         <label className="block text-xs font-medium text-gray-500 mb-1">
                                             <CheckCircle2 className="w-3 h-3 inline mr-1" />
@@ -505,8 +1176,35 @@ function ViewTaskContent() {
                                             id="dueDate"
                                             value={editableTask.dueDate}
                                             onChange={handleDueDateChange}
-                                            className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-xs"
+                                            className={clsx(
+                                                "w-full px-2 py-1 border rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-xs",
+                                                fieldErrors.dueDate ? "border-red-400" : "border-gray-300"
+                                            )}
                                         />
+                                        {fieldErrors.dueDate && (
+                                            <p className="mt-1 text-xs text-red-600">{fieldErrors.dueDate}</p>
+                                        )}
+                                        <label htmlFor="dueTime" className="sr-only">Due time</label>
+                                        <div className="relative mt-1">
+                                            <Clock className="absolute left-2 top-1/2 transform -translate-y-1/2 w-3 h-3 text-gray-400" />
+                                            <input
+                                                type="time"
+                                                id="dueTime"
+                                                value={editableTask.dueTime}
+                                                onChange={handleDueTimeChange}
+                                                disabled={!editableTask.dueDate}
+                                                className={clsx(
+                                                    "w-full pl-6 pr-2 py-1 border rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-xs disabled:opacity-50",
+                                                    fieldErrors.dueTime ? "border-red-400" : "border-gray-300"
+                                                )}
+                                            />
+                                        </div>
+                                        {fieldErrors.dueTime && (
+                                            <p className="mt-1 text-xs text-red-600">{fieldErrors.dueTime}</p>
+                                        )}
+                                        {isOverdue && (
+                                            <p className="mt-1 text-xs font-medium text-red-600">Overdue</p>
+                                        )}
                                     </div>
                                 )}
                             </div>
@@ -514,94 +1212,152 @@ function ViewTaskContent() {
                     </div>
                 </div>
 
-                {/* Comments Section */}
-                <div className="relative">
+                {/* Comments and History */}
+                <div className="relative grid grid-cols-1 lg:grid-cols-12 gap-4 sm:gap-6 mb-16 sm:mb-20">
                     <motion.div
                         initial={{ opacity: 0, y: 20 }}
                         animate={{ opacity: 1, y: 0 }}
                         transition={{ delay: 0.2 }}
-                        className="bg-white/70 backdrop-blur-sm rounded-xl border border-white/20 mb-16 sm:mb-20"
+                        className="lg:col-span-8 bg-white/70 backdrop-blur-sm rounded-xl border border-white/20"
                     >
                         <div className="p-3 sm:p-4 lg:p-6 border-b border-gray-200">
                             <h3 className="text-base sm:text-lg font-semibold text-gray-900 flex items-center">
                                 <MessageSquare className="w-4 h-4 sm:w-5 sm:h-5 mr-2 flex-shrink-0" />
-                                <span>Comments ({comments.length})</span>
+                                <span>Comments ({commentCount})</span>
                             </h3>
                         </div>
 
                         {/* Comments List */}
                         <div className="max-h-80 sm:max-h-96 overflow-y-auto overscroll-contain p-3 sm:p-4 lg:p-6 space-y-3 sm:space-y-4">
-                            {comments.length === 0 ? (
+                            {allComments.length === 0 ? (
                                 <p className="text-gray-500 text-center py-6 sm:py-8 text-sm sm:text-base">
                                     No comments yet. Be the first to add a comment!
                                 </p>
                             ) : (
-                                comments.map((comment) => (
-                                    <div
-                                        key={comment.id}
-                                        className="border-l-4 border-blue-500 pl-3 sm:pl-4 py-2 bg-gray-50 rounded-r-lg"
-                                    >
-                                        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-2 space-y-1 sm:space-y-0">
-                                            <span className="text-sm font-medium text-gray-900 truncate">
-                                                {comment.authorName}
-                                            </span>
-                                            <span className="text-xs text-gray-500">
-                                                {comment.createdAt?.toDate?.()?.toLocaleString() || 'Just now'}
-                                            </span>
-                                        </div>
-                                        <p className="text-gray-700 text-sm leading-relaxed break-words">
-                                            {comment.text}
-                                        </p>
-                                    </div>
+                                commentThreads.map((thread) => (
+                                    <CommentThread
+                                        key={thread.id}
+                                        thread={thread}
+                                        currentUserId={user.uid}
+                                        onReply={handleReplyToComment}
+                                        onEdit={handleEditComment}
+                                        onDelete={handleDeleteComment}
+                                    />
                                 ))
                             )}
                         </div>
                     </motion.div>
 
+                    {/* Change History */}
+                    <TaskHistory
+                        history={history}
+                        task={task}
+                        tagsById={tagsById}
+                        onRevert={handleRevertField}
+                        revertingId={revertingEntryId}
+                        className="lg:col-span-4"
+                    />
+
                     {/* Add Comment - Fixed to Bottom */}
-                    <div className="fixed bottom-0 left-0 right-0 bg-white/95 backdrop-blur-sm border-t border-gray-200 p-3 sm:p-4 lg:p-6 z-50">
+                    <AttachmentDropzone
+                        onFiles={handleAddCommentFiles}
+                        disabled={addingComment}
+                        label="Drop files to attach to your comment"
+                        className="fixed bottom-0 left-0 right-0 bg-white/95 backdrop-blur-sm border-t border-gray-200 p-3 sm:p-4 lg:p-6 z-50"
+                    >
                         <div className="max-w-7xl mx-auto px-3 sm:px-4">
-                            <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-3">
-                                <input
+                            {commentFiles.length > 0 && (
+                                <div className="flex flex-wrap gap-2 mb-2">
+                                    {commentFiles.map((file, index) => (
+                                        <span
+                                            key={`${file.name}-${index}`}
+                                            className="inline-flex items-center max-w-full pl-2 pr-1 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700"
+                                        >
+                                            <Paperclip className="w-3 h-3 mr-1 flex-shrink-0" />
+                                            <span className="truncate">{file.name}</span>
+                                            <span className="ml-1 text-gray-400 flex-shrink-0">{formatFileSize(file.size)}</span>
+                                            <button
+                                                type="button"
+                                                onClick={() => setCommentFiles(prev => prev.filter((_, i) => i !== index))}
+                                                disabled={addingComment}
+                                                className="ml-1 p-0.5 rounded-full hover:bg-gray-200 disabled:opacity-50"
+                                                aria-label={`Remove ${file.name}`}
+                                            >
+                                                <X className="w-3 h-3" />
+                                            </button>
+                                        </span>
+                                    ))}
+                                </div>
+                            )}
+                            <div className="flex flex-col sm:flex-row sm:items-end space-y-2 sm:space-y-0 sm:space-x-3">
+                                <CommentEditor
                                     ref={commentInputRef}
-                                    type="text"
                                     value={newComment}
-                                    onChange={(e) => setNewComment(e.target.value)}
-                                    onKeyPress={(e) => e.key === 'Enter' && !e.shiftKey && handleAddComment()}
-                                    className="flex-1 px-3 sm:px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base min-w-0"
-                                    placeholder="Add a comment..."
+                                    onChange={setNewComment}
+                                    onSubmit={handleAddComment}
+                                    textareaClassName="w-full px-3 sm:px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base resize-none"
+                                    className="flex-1 min-w-0"
+                                    placeholder="Add a comment... (@ to mention, Shift+Enter for a new line)"
                                     disabled={addingComment}
                                 />
-                                <motion.button
-                                    onClick={handleAddComment}
-                                    disabled={!newComment.trim() || addingComment}
-                                    whileHover={{ scale: 1.05 }}
-                                    whileTap={{ scale: 0.95 }}
-                                    className={clsx(
-                                        "px-3 sm:px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center justify-center space-x-1 sm:space-x-2 text-sm sm:text-base flex-shrink-0",
-                                        newComment.trim() && !addingComment
-                                            ? "bg-blue-600 hover:bg-blue-700 text-white"
-                                            : "bg-gray-300 text-gray-500 cursor-not-allowed"
-                                    )}
-                                >
-                                    {addingComment ? (
-                                        <motion.div
-                                            animate={{ rotate: 360 }}
-                                            transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
-                                        >
+                                <div className="flex space-x-2 sm:space-x-3">
+                                    <motion.button
+                                        type="button"
+                                        onClick={() => commentFileInputRef.current?.click()}
+                                        disabled={addingComment || commentFiles.length >= MAX_COMMENT_ATTACHMENTS}
+                                        whileHover={{ scale: 1.05 }}
+                                        whileTap={{ scale: 0.95 }}
+                                        className="px-3 py-2 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-100 disabled:opacity-50 flex items-center justify-center flex-shrink-0"
+                                        aria-label="Attach files"
+                                    >
+                                        <Paperclip className="w-3 h-3 sm:w-4 sm:h-4" />
+                                    </motion.button>
+                                    <input
+                                        ref={commentFileInputRef}
+                                        type="file"
+                                        multiple
+                                        onChange={handlePickCommentFiles}
+                                        className="hidden"
+                                    />
+                                    <motion.button
+                                        onClick={handleAddComment}
+                                        disabled={(!newComment.trim() && commentFiles.length === 0) || addingComment}
+                                        whileHover={{ scale: 1.05 }}
+                                        whileTap={{ scale: 0.95 }}
+                                        className={clsx(
+                                            "flex-1 sm:flex-none px-3 sm:px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center justify-center space-x-1 sm:space-x-2 text-sm sm:text-base flex-shrink-0",
+                                            (newComment.trim() || commentFiles.length > 0) && !addingComment
+                                                ? "bg-blue-600 hover:bg-blue-700 text-white"
+                                                : "bg-gray-300 text-gray-500 cursor-not-allowed"
+                                        )}
+                                    >
+                                        {addingComment ? (
+                                            <motion.div
+                                                animate={{ rotate: 360 }}
+                                                transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                                            >
+                                                <Send className="w-3 h-3 sm:w-4 sm:h-4" />
+                                            </motion.div>
+                                        ) : (
                                             <Send className="w-3 h-3 sm:w-4 sm:h-4" />
-                                        </motion.div>
-                                    ) : (
-                                        <Send className="w-3 h-3 sm:w-4 sm:h-4" />
-                                    )}
-                                    <span>Send</span>
-                                </motion.button>
+                                        )}
+                                        <span>Send</span>
+                                    </motion.button>
+                                </div>
                             </div>
                         </div>
-                    </div>
+                    </AttachmentDropzone>
                 </div>
             </div>
 
+            {/* Conflict Modal */}
+            <ConflictModal
+                isOpen={conflictFields.length > 0}
+                fields={conflictFields}
+                tagsById={tagsById}
+                onResolve={handleResolveConflict}
+            />
+
             {/* Suggestion Modal */}
             <SuggestionModal
                 isOpen={suggestionModal.isOpen}
@@ -0,0 +1,75 @@
+/**
+ * Attachment Dropzone Component
+ *
+ * Wraps an area that accepts files with:
+ * - Drag-and-drop, with an overlay while files are dragged over it
+ * - Pasted files (e.g. screenshots) while focus is inside it
+ *
+ * The overlay covers the wrapper, so give it a position (e.g. relative).
+ */
+
+'use client';
+
+import { useRef, useState } from 'react';
+import { Upload } from 'lucide-react';
+
+const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+export default function AttachmentDropzone({ onFiles, disabled = false, label = 'Drop files to attach', className, children }) {
+    const [dragging, setDragging] = useState(false);
+    // dragenter/dragleave fire for every child element; count them to know when the drag leaves
+    const dragDepth = useRef(0);
+
+    const handleDragEnter = (e) => {
+        if (disabled || !hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth.current += 1;
+        setDragging(true);
+    };
+
+    const handleDragOver = (e) => {
+        if (disabled || !hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    };
+
+    const handleDragLeave = () => {
+        if (disabled) return;
+        dragDepth.current = Math.max(0, dragDepth.current - 1);
+        if (dragDepth.current === 0) setDragging(false);
+    };
+
+    const handleDrop = (e) => {
+        if (disabled || !hasFiles(e)) return;
+        e.preventDefault();
+        dragDepth.current = 0;
+        setDragging(false);
+        onFiles(Array.from(e.dataTransfer.files));
+    };
+
+    const handlePaste = (e) => {
+        const files = Array.from(e.clipboardData?.files || []);
+        if (disabled || files.length === 0) return;
+        e.preventDefault();
+        onFiles(files);
+    };
+
+    return (
+        <div
+            onDragEnter={handleDragEnter}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+            onPaste={handlePaste}
+            className={className}
+        >
+            {children}
+            {dragging && (
+                <div className="absolute inset-0 z-10 flex items-center justify-center rounded-xl border-2 border-dashed border-blue-400 bg-blue-50/90 text-sm font-medium text-blue-700 pointer-events-none">
+                    <Upload className="w-4 h-4 mr-2" />
+                    {label}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,185 @@
+/**
+ * Attachment List Component
+ *
+ * Files attached to a task or comment with:
+ * - Thumbnails for images, opening the full image
+ * - Expandable previews of text and log files
+ * - Size, uploader and date of each file, and a download link
+ * - Optional delete button
+ */
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import { FileText, File as FileIcon, Download, Trash2, Loader2, ChevronDown, ChevronUp } from 'lucide-react';
+import clsx from 'clsx';
+import { getAttachmentUrl, getAttachmentText } from '@/lib/firestore';
+import { TEXT_PREVIEW_BYTES, formatFileSize, getAttachmentKind } from '@/lib/attachments';
+
+function ImageThumbnail({ attachment }) {
+    const [url, setUrl] = useState(null);
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getAttachmentUrl(attachment.storagePath)
+            .then((attachmentUrl) => {
+                if (!cancelled) setUrl(attachmentUrl);
+            })
+            .catch(() => {
+                if (!cancelled) setFailed(true);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [attachment.storagePath]);
+
+    if (failed) {
+        return <FileIcon className="w-10 h-10 text-gray-300" />;
+    }
+    if (!url) {
+        return <Loader2 className="w-5 h-5 animate-spin text-gray-300" />;
+    }
+    return (
+        <a href={url} target="_blank" rel="noopener noreferrer" className="block w-full h-full">
+            {/* Download URLs are signed per file, which next/image cannot optimize */}
+            {/* eslint-disable-next-line @next/next/no-img-element */}
+            <img src={url} alt={attachment.name} className="w-full h-full object-cover" />
+        </a>
+    );
+}
+
+function TextPreview({ attachment }) {
+    const [text, setText] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getAttachmentText(attachment.storagePath, TEXT_PREVIEW_BYTES)
+            .then((content) => {
+                if (!cancelled) setText(content);
+            })
+            .catch((loadError) => {
+                if (!cancelled) setError(loadError.message);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [attachment.storagePath]);
+
+    if (error) {
+        return <p className="mt-2 text-xs text-red-600">Could not load the preview: {error}</p>;
+    }
+    if (text === null) {
+        return <Loader2 className="mt-2 w-4 h-4 animate-spin text-gray-400" />;
+    }
+    return (
+        <>
+            <pre className="mt-2 max-h-64 overflow-auto rounded-lg bg-gray-900 p-3 text-xs text-gray-100 whitespace-pre-wrap break-all">
+                {text}
+            </pre>
+            {attachment.size > TEXT_PREVIEW_BYTES && (
+                <p className="mt-1 text-xs text-gray-500">
+                    Showing the first {formatFileSize(TEXT_PREVIEW_BYTES)}; download the file to see all of it.
+                </p>
+            )}
+        </>
+    );
+}
+
+function AttachmentItem({ attachment, onDelete, deleting, compact }) {
+    const [previewOpen, setPreviewOpen] = useState(false);
+    const [opening, setOpening] = useState(false);
+    const kind = getAttachmentKind(attachment);
+
+    const handleDownload = async () => {
+        try {
+            setOpening(true);
+            window.open(await getAttachmentUrl(attachment.storagePath), '_blank', 'noopener');
+        } catch (error) {
+            alert(`Failed to open ${attachment.name}: ${error.message}`);
+        } finally {
+            setOpening(false);
+        }
+    };
+
+    return (
+        <li className={clsx("rounded-lg border border-gray-200 bg-white", compact ? "p-2" : "p-3")}>
+            <div className="flex items-center gap-3">
+                <div className={clsx(
+                    "flex-shrink-0 flex items-center justify-center overflow-hidden rounded-md bg-gray-100",
+                    compact ? "w-10 h-10" : "w-14 h-14"
+                )}>
+                    {kind === 'image' ? (
+                        <ImageThumbnail attachment={attachment} />
+                    ) : kind === 'text' ? (
+                        <FileText className="w-6 h-6 text-gray-400" />
+                    ) : (
+                        <FileIcon className="w-6 h-6 text-gray-400" />
+                    )}
+                </div>
+                <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate" title={attachment.name}>
+                        {attachment.name}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">
+                        {formatFileSize(attachment.size)}
+                        {attachment.uploaderName && ` · ${attachment.uploaderName}`}
+                        {!compact && attachment.createdAt && ` · ${new Date(attachment.createdAt).toLocaleString()}`}
+                    </p>
+                </div>
+                <div className="flex items-center gap-1 flex-shrink-0">
+                    {kind === 'text' && (
+                        <button
+                            type="button"
+                            onClick={() => setPreviewOpen(prev => !prev)}
+                            className="flex items-center px-2 py-1 rounded-md text-xs text-gray-600 hover:bg-gray-100"
+                        >
+                            Preview
+                            {previewOpen ? <ChevronUp className="w-3 h-3 ml-1" /> : <ChevronDown className="w-3 h-3 ml-1" />}
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        onClick={handleDownload}
+                        disabled={opening}
+                        className="p-1.5 rounded-md text-gray-500 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+                        aria-label={`Download ${attachment.name}`}
+                    >
+                        {opening ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                    </button>
+                    {onDelete && (
+                        <button
+                            type="button"
+                            onClick={() => onDelete(attachment)}
+                            disabled={deleting}
+                            className="p-1.5 rounded-md text-gray-400 hover:text-red-600 hover:bg-red-50 disabled:opacity-50"
+                            aria-label={`Delete ${attachment.name}`}
+                        >
+                            {deleting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                        </button>
+                    )}
+                </div>
+            </div>
+            {previewOpen && <TextPreview attachment={attachment} />}
+        </li>
+    );
+}
+
+export default function AttachmentList({ attachments, onDelete, deletingId = null, compact = false, className }) {
+    if (attachments.length === 0) return null;
+
+    return (
+        <ul className={clsx("space-y-2", className)}>
+            {attachments.map(attachment => (
+                <AttachmentItem
+                    key={attachment.id}
+                    attachment={attachment}
+                    onDelete={onDelete}
+                    deleting={deletingId === attachment.id}
+                    compact={compact}
+                />
+            ))}
+        </ul>
+    );
+}
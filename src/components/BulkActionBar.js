@@ -0,0 +1,158 @@
+/**
+ * Bulk Action Bar Component
+ *
+ * Selection controls and actions for many tasks at once:
+ * - Select all tasks on the page or every task matching the filters
+ * - Change status (one of the workflow's statuses) or type of the selection
+ * - Set or clear the due date of the selection
+ * - Move the selection to the trash
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Calendar, Trash2, X, Loader2, CheckSquare } from 'lucide-react';
+import clsx from 'clsx';
+import { TASK_TYPE_OPTIONS } from '@/lib/taskSchema';
+
+const selectClassName = "px-2 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-xs sm:text-sm bg-white disabled:opacity-50";
+
+export default function BulkActionBar({
+    selectedCount,
+    totalCount,
+    allOnPageSelected,
+    selectingAll = false,
+    busy = false,
+    onToggleSelectPage,
+    onSelectAllFiltered,
+    onClearSelection,
+    statuses,
+    onChangeStatus,
+    onChangeType,
+    onSetDueDate,
+    onDelete
+}) {
+    const [dueDate, setDueDate] = useState('');
+    const hasSelection = selectedCount > 0;
+    const canSelectMore = totalCount !== null && selectedCount < totalCount;
+
+    return (
+        <div className="bg-white/70 backdrop-blur-sm rounded-xl p-3 sm:p-4 mb-4 sm:mb-6 border border-white/20 space-y-3">
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+                <label className="flex items-center space-x-2 text-gray-700 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={allOnPageSelected}
+                        onChange={onToggleSelectPage}
+                        className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>Select page</span>
+                </label>
+
+                {hasSelection && (
+                    <>
+                        <span className="font-medium text-gray-900">{selectedCount} selected</span>
+                        {canSelectMore && (
+                            <button
+                                onClick={onSelectAllFiltered}
+                                disabled={selectingAll || busy}
+                                className="flex items-center text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                            >
+                                {selectingAll ? (
+                                    <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+                                ) : (
+                                    <CheckSquare className="w-3 h-3 mr-1" />
+                                )}
+                                Select all {totalCount} matching tasks
+                            </button>
+                        )}
+                        <button
+                            onClick={onClearSelection}
+                            disabled={busy}
+                            className="flex items-center text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                        >
+                            <X className="w-3 h-3 mr-1" />
+                            Clear
+                        </button>
+                        {busy && <Loader2 className="w-4 h-4 animate-spin text-gray-400" />}
+                    </>
+                )}
+            </div>
+
+            <AnimatePresence>
+                {hasSelection && (
+                    <motion.div
+                        initial={{ opacity: 0, height: 0 }}
+                        animate={{ opacity: 1, height: 'auto' }}
+                        exit={{ opacity: 0, height: 0 }}
+                        className="flex flex-wrap items-center gap-2"
+                    >
+                        <select
+                            value=""
+                            onChange={(e) => onChangeStatus(e.target.value)}
+                            disabled={busy}
+                            className={selectClassName}
+                        >
+                            <option value="" disabled>Set status...</option>
+                            {statuses.map(status => (
+                                <option key={status.id} value={status.id}>{status.label}</option>
+                            ))}
+                        </select>
+
+                        <select
+                            value=""
+                            onChange={(e) => onChangeType(e.target.value)}
+                            disabled={busy}
+                            className={selectClassName}
+                        >
+                            <option value="" disabled>Set type...</option>
+                            {TASK_TYPE_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+
+                        <div className="flex items-center gap-1">
+                            <input
+                                type="date"
+                                value={dueDate}
+                                onChange={(e) => setDueDate(e.target.value)}
+                                disabled={busy}
+                                className={selectClassName}
+                            />
+                            <button
+                                onClick={() => onSetDueDate(dueDate)}
+                                disabled={busy || !dueDate}
+                                className="flex items-center px-2 py-1.5 rounded-lg text-xs sm:text-sm font-medium bg-blue-50 hover:bg-blue-100 text-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                            >
+                                <Calendar className="w-3 h-3 mr-1" />
+                                Set due date
+                            </button>
+                            <button
+                                onClick={() => onSetDueDate('')}
+                                disabled={busy}
+                                className="px-2 py-1.5 rounded-lg text-xs sm:text-sm font-medium text-gray-600 hover:bg-gray-100 disabled:opacity-50 transition-colors"
+                            >
+                                Clear due date
+                            </button>
+                        </div>
+
+                        <button
+                            onClick={onDelete}
+                            disabled={busy}
+                            className={clsx(
+                                "flex items-center px-2 py-1.5 rounded-lg text-xs sm:text-sm font-medium transition-colors sm:ml-auto",
+                                busy
+                                    ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                    : "bg-red-50 hover:bg-red-100 text-red-600"
+                            )}
+                        >
+                            <Trash2 className="w-3 h-3 mr-1" />
+                            Move to trash
+                        </button>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
@@ -0,0 +1,170 @@
+/**
+ * Comment Editor Component
+ *
+ * Markdown editor for a comment, reply or comment edit with:
+ * - Write and Preview tabs (see MarkdownEditor)
+ * - @mention autocomplete from the user directory
+ * - Enter to submit, Shift+Enter for a new line and Escape to cancel
+ *
+ * onChange receives the new text; mentions are resolved from the handles in the
+ * text when the comment is saved.
+ */
+
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import clsx from 'clsx';
+import { searchUserProfiles } from '@/lib/firestore';
+import { getMentionQuery, insertMention } from '@/lib/comments';
+import MarkdownEditor from '@/components/MarkdownEditor';
+
+// Wait for a pause in typing before searching the directory
+const SEARCH_DELAY_MS = 150;
+
+export default function CommentEditor({
+    ref,
+    value,
+    onChange,
+    onSubmit,
+    onCancel,
+    placeholder,
+    rows = 2,
+    disabled = false,
+    className,
+    textareaClassName
+}) {
+    const textareaRef = useRef(null);
+    const [mentionQuery, setMentionQuery] = useState(null);
+    const [suggestions, setSuggestions] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const query = mentionQuery?.query ?? null;
+
+    useEffect(() => {
+        if (query === null) return;
+
+        let cancelled = false;
+        const timeoutId = setTimeout(() => {
+            searchUserProfiles(query)
+                .then((profiles) => {
+                    if (cancelled) return;
+                    setSuggestions(profiles);
+                    setActiveIndex(0);
+                })
+                .catch(() => {
+                    if (!cancelled) setSuggestions([]);
+                });
+        }, SEARCH_DELAY_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timeoutId);
+        };
+    }, [query]);
+
+    const setTextareaRef = (element) => {
+        textareaRef.current = element;
+        if (typeof ref === 'function') {
+            ref(element);
+        } else if (ref) {
+            ref.current = element;
+        }
+    };
+
+    const closeSuggestions = () => {
+        setMentionQuery(null);
+        setSuggestions([]);
+    };
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        const nextQuery = getMentionQuery(e.target.value, e.target.selectionStart);
+        if (nextQuery) {
+            setMentionQuery(nextQuery);
+        } else {
+            closeSuggestions();
+        }
+    };
+
+    const handlePickMention = (profile) => {
+        const textarea = textareaRef.current;
+        const caret = textarea?.selectionStart ?? value.length;
+        const { text, caret: nextCaret } = insertMention(value, mentionQuery.start, caret, profile.handle);
+        onChange(text);
+        closeSuggestions();
+
+        // Put the caret after the mention once the new text is rendered
+        requestAnimationFrame(() => {
+            textarea?.focus();
+            textarea?.setSelectionRange(nextCaret, nextCaret);
+        });
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length > 0) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setActiveIndex(index => (index + step + suggestions.length) % suggestions.length);
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                handlePickMention(suggestions[activeIndex]);
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                closeSuggestions();
+                return;
+            }
+        }
+
+        if (e.key === 'Enter' && !e.shiftKey && onSubmit) {
+            e.preventDefault();
+            onSubmit();
+        } else if (e.key === 'Escape' && onCancel) {
+            e.preventDefault();
+            onCancel();
+        }
+    };
+
+    return (
+        <div className={clsx("relative", className)}>
+            <MarkdownEditor
+                ref={setTextareaRef}
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                rows={rows}
+                disabled={disabled}
+                placeholder={placeholder}
+                textareaClassName={textareaClassName}
+            />
+            {mentionQuery && suggestions.length > 0 && (
+                <ul
+                    className="absolute left-0 bottom-full mb-1 z-10 w-64 max-w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1"
+                    role="listbox"
+                    aria-label="Mention a user"
+                >
+                    {suggestions.map((profile, index) => (
+                        <li key={profile.id} role="option" aria-selected={index === activeIndex}>
+                            <button
+                                type="button"
+                                // Keep the focus (and caret) in the textarea
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => handlePickMention(profile)}
+                                className={clsx(
+                                    "w-full text-left px-3 py-1.5 text-sm",
+                                    index === activeIndex ? "bg-blue-50" : "hover:bg-gray-50"
+                                )}
+                            >
+                                <span className="font-medium text-gray-900">@{profile.handle}</span>
+                                <span className="ml-2 text-gray-500 truncate">{profile.displayName}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,266 @@
+/**
+ * Comment Thread Component
+ *
+ * A top-level comment and its replies (see lib/comments.js) with:
+ * - Markdown text with @mention chips, and files posted with each comment
+ * - Sync state of comments still waiting in the outbox
+ * - "edited" marker, and inline editing and deleting of the user's own comments
+ * - Placeholder for a deleted comment that still has replies
+ * - Reply box under the thread
+ *
+ * onReply(parentId, text), onEdit(comment, text) and onDelete(comment) return
+ * promises that reject when the change fails.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { CloudOff, CornerDownRight, Pencil, Trash2, Loader2, Reply } from 'lucide-react';
+import clsx from 'clsx';
+import { canManageComment, canReplyToComment } from '@/lib/comments';
+import MarkdownContent from '@/components/MarkdownContent';
+import AttachmentList from '@/components/AttachmentList';
+import CommentEditor from '@/components/CommentEditor';
+
+const editorClassName = "w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm resize-none";
+
+const actionClassName = "flex items-center text-xs text-gray-500 hover:text-gray-800 disabled:opacity-50 transition-colors";
+
+function CommentItem({ comment, currentUserId, onEdit, onDelete, onReply, isReply = false }) {
+    const [editing, setEditing] = useState(false);
+    const [editText, setEditText] = useState('');
+    const [busy, setBusy] = useState(false);
+    const canManage = canManageComment(comment, currentUserId);
+
+    const handleStartEdit = () => {
+        setEditText(comment.text ?? '');
+        setEditing(true);
+    };
+
+    const handleSaveEdit = async () => {
+        const text = editText.trim();
+        // Files posted with a comment can carry it without text
+        if ((!text && !comment.attachments?.length) || busy) return;
+        if (text === comment.text) {
+            setEditing(false);
+            return;
+        }
+
+        setBusy(true);
+        try {
+            await onEdit(comment, text);
+            setEditing(false);
+        } catch {
+            // The parent reports the error; the edit stays open to retry
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        setBusy(true);
+        try {
+            await onDelete(comment);
+        } catch {
+            // The parent reports the error
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (comment.deleted) {
+        return (
+            <div className="border-l-4 border-gray-300 pl-3 sm:pl-4 py-2 bg-gray-50 rounded-r-lg">
+                <p className="text-sm italic text-gray-400">This comment was deleted</p>
+            </div>
+        );
+    }
+
+    return (
+        <div
+            className={clsx(
+                "border-l-4 pl-3 sm:pl-4 py-2 rounded-r-lg",
+                isReply ? "bg-white/60" : "bg-gray-50",
+                comment.syncStatus === 'failed' && "border-red-500",
+                comment.syncStatus === 'pending' && "border-amber-400",
+                !comment.syncStatus && (isReply ? "border-blue-300" : "border-blue-500")
+            )}
+        >
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-2 space-y-1 sm:space-y-0">
+                <span className="text-sm font-medium text-gray-900 truncate">
+                    {comment.authorName}
+                </span>
+                <span className="text-xs text-gray-500 flex items-center">
+                    {comment.syncStatus && (
+                        <span className={clsx(
+                            "flex items-center mr-2 font-medium",
+                            comment.syncStatus === 'failed' ? "text-red-600" : "text-amber-700"
+                        )}>
+                            <CloudOff className="w-3 h-3 mr-1" />
+                            {comment.syncStatus === 'failed' ? 'Not sent' : 'Waiting to send'}
+                        </span>
+                    )}
+                    {comment.createdAt ? new Date(comment.createdAt).toLocaleString() : 'Just now'}
+                    {comment.editedAt && (
+                        <span className="ml-1" title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}>
+                            (edited)
+                        </span>
+                    )}
+                </span>
+            </div>
+
+            {editing ? (
+                <div className="space-y-2">
+                    <CommentEditor
+                        value={editText}
+                        onChange={setEditText}
+                        onSubmit={handleSaveEdit}
+                        onCancel={() => setEditing(false)}
+                        disabled={busy}
+                        textareaClassName={editorClassName}
+                    />
+                    <div className="flex justify-end gap-2">
+                        <button
+                            type="button"
+                            onClick={() => setEditing(false)}
+                            disabled={busy}
+                            className="px-3 py-1 rounded-lg text-xs text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="button"
+                            onClick={handleSaveEdit}
+                            disabled={busy || (!editText.trim() && !comment.attachments?.length)}
+                            className="flex items-center px-3 py-1 rounded-lg text-xs font-medium bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                        >
+                            {busy && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+                            Save
+                        </button>
+                    </div>
+                </div>
+            ) : comment.text && (
+                <MarkdownContent mentions={comment.mentions} className="text-gray-700 text-sm leading-relaxed">
+                    {comment.text}
+                </MarkdownContent>
+            )}
+
+            {comment.attachments?.length > 0 && (
+                <AttachmentList attachments={comment.attachments} compact className="mt-2" />
+            )}
+
+            {!editing && (onReply || canManage) && (
+                <div className="flex items-center gap-3 mt-2">
+                    {onReply && (
+                        <button type="button" onClick={onReply} className={actionClassName}>
+                            <Reply className="w-3 h-3 mr-1" />
+                            Reply
+                        </button>
+                    )}
+                    {canManage && (
+                        <>
+                            <button type="button" onClick={handleStartEdit} disabled={busy} className={actionClassName}>
+                                <Pencil className="w-3 h-3 mr-1" />
+                                Edit
+                            </button>
+                            <button
+                                type="button"
+                                onClick={handleDelete}
+                                disabled={busy}
+                                className={clsx(actionClassName, "hover:text-red-600")}
+                            >
+                                {busy ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <Trash2 className="w-3 h-3 mr-1" />}
+                                Delete
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default function CommentThread({ thread, currentUserId, onReply, onEdit, onDelete }) {
+    const [replying, setReplying] = useState(false);
+    const [replyText, setReplyText] = useState('');
+    const [sending, setSending] = useState(false);
+
+    const handleSendReply = async () => {
+        const text = replyText.trim();
+        if (!text || sending) return;
+
+        setSending(true);
+        try {
+            await onReply(thread.id, text);
+            setReplyText('');
+            setReplying(false);
+        } catch {
+            // The parent reports the error; the reply stays to retry
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <CommentItem
+                comment={thread}
+                currentUserId={currentUserId}
+                onEdit={onEdit}
+                onDelete={onDelete}
+                onReply={canReplyToComment(thread) ? () => setReplying(true) : null}
+            />
+
+            {(thread.replies.length > 0 || replying) && (
+                <div className="ml-4 sm:ml-8 space-y-2">
+                    {thread.replies.map(reply => (
+                        <CommentItem
+                            key={reply.id}
+                            comment={reply}
+                            currentUserId={currentUserId}
+                            onEdit={onEdit}
+                            onDelete={onDelete}
+                            isReply
+                        />
+                    ))}
+
+                    {replying && (
+                        <div className="flex items-start gap-2">
+                            <CornerDownRight className="w-4 h-4 mt-2 text-gray-400 flex-shrink-0" />
+                            <div className="flex-1 min-w-0 space-y-2">
+                                <CommentEditor
+                                    value={replyText}
+                                    onChange={setReplyText}
+                                    onSubmit={handleSendReply}
+                                    onCancel={() => setReplying(false)}
+                                    disabled={sending}
+                                    placeholder={`Reply to ${thread.authorName}... (Shift+Enter for a new line)`}
+                                    textareaClassName={editorClassName}
+                                />
+                                <div className="flex justify-end gap-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => setReplying(false)}
+                                        disabled={sending}
+                                        className="px-3 py-1 rounded-lg text-xs text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={handleSendReply}
+                                        disabled={sending || !replyText.trim()}
+                                        className="flex items-center px-3 py-1 rounded-lg text-xs font-medium bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                                    >
+                                        {sending && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+                                        Reply
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,172 @@
+/**
+ * Conflict Modal Component
+ *
+ * Shown when a task edit was rejected because the task changed elsewhere:
+ * - Side-by-side view of the user's and the saved version of each field
+ * - Per-field choice to build a merged version
+ * - Shortcuts to keep all of either version
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { GitMerge, User, Cloud } from 'lucide-react';
+import clsx from 'clsx';
+import { TASK_FIELD_LABELS } from '@/lib/taskSchema';
+import { getChecklistProgress } from '@/lib/checklist';
+import { formatTagNames } from '@/lib/tags';
+import { describeRecurrence } from '@/lib/recurrence';
+import { formatEstimate } from '@/lib/estimates';
+import { describeReminders } from '@/lib/reminders';
+
+const formatValue = (field, value, tagsById) => {
+    // No reminder list means the defaults, not nothing
+    if (field === 'reminders') {
+        return describeReminders(value);
+    }
+    if (value === undefined || value === null || value === '' || value?.length === 0) {
+        return <span className="italic text-gray-400">Empty</span>;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'On' : 'Off';
+    }
+    if (field === 'tags') {
+        return formatTagNames(value, tagsById);
+    }
+    if (field === 'recurrence') {
+        return describeRecurrence(value);
+    }
+    if (field === 'estimate') {
+        return formatEstimate(value);
+    }
+    if (field === 'blockedBy') {
+        return `${value.length} task${value.length === 1 ? '' : 's'}`;
+    }
+    // Checklists: one line per item, with a summary on top
+    if (Array.isArray(value)) {
+        const { done, total } = getChecklistProgress(value);
+        return [`${done}/${total} done`, ...value.map(item => `${item.done ? '[x]' : '[ ]'} ${item.text}`)].join('\n');
+    }
+    return String(value);
+};
+
+export default function ConflictModal({
+    isOpen,
+    fields,
+    tagsById = {},
+    onResolve
+}) {
+    // 'mine' or 'theirs' per field; the user's version is preselected
+    const [choices, setChoices] = useState({});
+
+    if (!isOpen) return null;
+
+    const getChoice = (field) => choices[field] ?? 'mine';
+
+    const handleChoose = (field, choice) => {
+        setChoices(prev => ({ ...prev, [field]: choice }));
+    };
+
+    const resolveWith = (getFieldChoice) => {
+        const resolved = {};
+        fields.forEach(({ field, mine }) => {
+            if (getFieldChoice(field) === 'mine') {
+                resolved[field] = mine;
+            }
+        });
+        setChoices({});
+        onResolve(resolved);
+    };
+
+    return (
+        <AnimatePresence>
+            <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-3 sm:p-4"
+            >
+                <motion.div
+                    initial={{ opacity: 0, scale: 0.8, y: 20 }}
+                    animate={{ opacity: 1, scale: 1, y: 0 }}
+                    exit={{ opacity: 0, scale: 0.8, y: 20 }}
+                    transition={{ type: "spring", stiffness: 300, damping: 25 }}
+                    className="bg-white rounded-xl sm:rounded-2xl shadow-2xl max-w-sm sm:max-w-2xl w-full mx-2 sm:mx-4 overflow-hidden border border-gray-200 max-h-[90vh] overflow-y-auto overscroll-contain"
+                >
+                    <div className="bg-gradient-to-r from-orange-500 to-red-500 p-4 sm:p-6 text-white">
+                        <div className="flex items-center space-x-2 sm:space-x-3 min-w-0">
+                            <div className="p-1.5 sm:p-2 bg-white/20 rounded-lg flex-shrink-0">
+                                <GitMerge className="w-4 h-4 sm:w-6 sm:h-6" />
+                            </div>
+                            <div className="min-w-0">
+                                <h3 className="text-base sm:text-lg font-semibold truncate">
+                                    This task was changed elsewhere
+                                </h3>
+                                <p className="text-xs sm:text-sm opacity-90">
+                                    Choose which version of each field to keep
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="p-4 sm:p-6 space-y-4">
+                        {fields.map(({ field, mine, theirs }) => (
+                            <div key={field}>
+                                <p className="text-sm font-semibold text-gray-700 mb-2">
+                                    {TASK_FIELD_LABELS[field] || field}
+                                </p>
+                                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                    {[
+                                        { choice: 'mine', label: 'Your version', icon: User, value: mine },
+                                        { choice: 'theirs', label: 'Saved version', icon: Cloud, value: theirs }
+                                    ].map(({ choice, label, icon: Icon, value }) => (
+                                        <button
+                                            key={choice}
+                                            onClick={() => handleChoose(field, choice)}
+                                            className={clsx(
+                                                "text-left p-3 rounded-lg border-2 transition-all duration-200",
+                                                getChoice(field) === choice
+                                                    ? "border-blue-500 bg-blue-50"
+                                                    : "border-gray-200 hover:border-gray-300"
+                                            )}
+                                        >
+                                            <span className="flex items-center text-xs font-medium text-gray-500 mb-1">
+                                                <Icon className="w-3 h-3 mr-1" />
+                                                {label}
+                                            </span>
+                                            <span className="block text-sm text-gray-900 break-words whitespace-pre-wrap">
+                                                {formatValue(field, value, tagsById)}
+                                            </span>
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="p-4 sm:p-6 border-t border-gray-200 flex flex-col sm:flex-row gap-2 sm:justify-end">
+                        <button
+                            onClick={() => resolveWith(() => 'theirs')}
+                            className="px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-50 text-sm font-medium text-gray-700 transition-colors"
+                        >
+                            Use saved version
+                        </button>
+                        <button
+                            onClick={() => resolveWith(() => 'mine')}
+                            className="px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-50 text-sm font-medium text-gray-700 transition-colors"
+                        >
+                            Keep all mine
+                        </button>
+                        <button
+                            onClick={() => resolveWith(getChoice)}
+                            className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-sm font-medium text-white transition-colors"
+                        >
+                            Save merged version
+                        </button>
+                    </div>
+                </motion.div>
+            </motion.div>
+        </AnimatePresence>
+    );
+}
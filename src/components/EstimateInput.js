@@ -0,0 +1,76 @@
+/**
+ * Estimate Input Component
+ *
+ * Sets the size of a task with:
+ * - A number field, left empty for no estimate
+ * - A unit picker for hours or story points
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Hourglass } from 'lucide-react';
+import clsx from 'clsx';
+import { ESTIMATE_UNIT_OPTIONS, TASK_FIELDS } from '@/lib/taskSchema';
+
+const MAX_VALUE = TASK_FIELDS.estimate.maxValue;
+
+const parseValue = (text) => (text.trim() === '' ? null : Number(text));
+
+export default function EstimateInput({ value, onChange, disabled = false, compact = false }) {
+    // What was typed, kept while it still reads as the current value (e.g. "1.")
+    const [text, setText] = useState('');
+    // Unit to use once a number is typed into an empty estimate
+    const [emptyUnit, setEmptyUnit] = useState('hours');
+
+    const unit = value?.unit ?? emptyUnit;
+    const shownText = parseValue(text) === (value?.value ?? null) ? text : String(value?.value ?? '');
+
+    const handleValueChange = (nextText) => {
+        setText(nextText);
+        const number = parseValue(nextText);
+        onChange(number === null ? null : { value: number, unit });
+    };
+
+    const handleUnitChange = (nextUnit) => {
+        setEmptyUnit(nextUnit);
+        if (value) {
+            onChange({ ...value, unit: nextUnit });
+        }
+    };
+
+    const fieldClassName = compact
+        ? "px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-xs disabled:opacity-50"
+        : "px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50";
+
+    return (
+        <div className="flex items-center gap-2">
+            {!compact && <Hourglass className="w-4 h-4 text-gray-400 flex-shrink-0" />}
+            <input
+                type="number"
+                min={0}
+                max={MAX_VALUE}
+                step="any"
+                value={shownText}
+                onChange={(e) => handleValueChange(e.target.value)}
+                disabled={disabled}
+                className={clsx(fieldClassName, "w-0 flex-1 min-w-0")}
+                placeholder="No estimate"
+                aria-label="Estimate"
+            />
+            <select
+                value={unit}
+                onChange={(e) => handleUnitChange(e.target.value)}
+                disabled={disabled}
+                className={fieldClassName}
+                aria-label="Estimate unit"
+            >
+                {ESTIMATE_UNIT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                        {option.label}
+                    </option>
+                ))}
+            </select>
+        </div>
+    );
+}
@@ -0,0 +1,80 @@
+/**
+ * Markdown Content Component
+ *
+ * Rendered Markdown of a description or comment with:
+ * - Tables, task lists and highlighted code blocks (see lib/markdown.js)
+ * - Sanitized output
+ * - Links opening in a new tab
+ * - Comment @mentions shown as chips with the user's name
+ * - Optional checking off of task-list items, reported as the item's source offset
+ */
+
+'use client';
+
+import ReactMarkdown from 'react-markdown';
+import clsx from 'clsx';
+import {
+    MARKDOWN_REMARK_PLUGINS,
+    MARKDOWN_REHYPE_PLUGINS,
+    MENTION_LINK_PREFIX,
+    remarkMentions
+} from '@/lib/markdown';
+
+// Links within the text (e.g. footnotes) stay in the page; the rest open in a new tab
+const MarkdownLink = ({ node, href, ...props }) => href?.startsWith('#')
+    ? <a href={href} {...props} />
+    : <a href={href} target="_blank" rel="noopener noreferrer nofollow" {...props} />;
+
+// Wide tables scroll instead of stretching the page
+const MarkdownTable = ({ node, ...props }) => (
+    <div className="overflow-x-auto">
+        <table {...props} />
+    </div>
+);
+
+export default function MarkdownContent({ children, mentions = [], onToggleTaskItem, className }) {
+    const components = { a: MarkdownLink, table: MarkdownTable };
+    const remarkPlugins = mentions.length > 0
+        ? [...MARKDOWN_REMARK_PLUGINS, [remarkMentions, { mentions }]]
+        : MARKDOWN_REMARK_PLUGINS;
+
+    if (mentions.length > 0) {
+        components.a = ({ node, href, children: text, ...props }) => {
+            if (!href?.startsWith(MENTION_LINK_PREFIX)) {
+                return <MarkdownLink node={node} href={href} {...props}>{text}</MarkdownLink>;
+            }
+            const mention = mentions.find(candidate => `${MENTION_LINK_PREFIX}${candidate.handle}` === href);
+            return (
+                <span className="px-1 rounded bg-blue-50 text-blue-700 font-medium" title={mention?.name}>
+                    {text}
+                </span>
+            );
+        };
+    }
+
+    if (onToggleTaskItem) {
+        // A checkbox change reaches its own list item first; outer items ignore it
+        components.li = ({ node, ...props }) => (
+            <li
+                {...props}
+                onChange={(e) => {
+                    e.stopPropagation();
+                    onToggleTaskItem(node.position.start.offset);
+                }}
+            />
+        );
+        components.input = ({ node, disabled, ...props }) => <input {...props} readOnly className="cursor-pointer" />;
+    }
+
+    return (
+        <div className={clsx("markdown break-words", className)}>
+            <ReactMarkdown
+                remarkPlugins={remarkPlugins}
+                rehypePlugins={MARKDOWN_REHYPE_PLUGINS}
+                components={components}
+            >
+                {children}
+            </ReactMarkdown>
+        </div>
+    );
+}
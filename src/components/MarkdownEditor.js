@@ -0,0 +1,95 @@
+/**
+ * Markdown Editor Component
+ *
+ * Textarea for Markdown text with:
+ * - Write and Preview tabs
+ * - Preview rendered the same way as the saved text
+ * - Optional checking off of task-list items in the preview
+ *
+ * onChange receives the textarea's change event, so the editor can replace a
+ * plain textarea; onToggleTaskItem(offset) is passed on to MarkdownContent.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Pencil, Eye } from 'lucide-react';
+import clsx from 'clsx';
+import MarkdownContent from '@/components/MarkdownContent';
+
+const TABS = [
+    { mode: 'write', label: 'Write', icon: Pencil },
+    { mode: 'preview', label: 'Preview', icon: Eye }
+];
+
+export default function MarkdownEditor({
+    ref,
+    id,
+    name,
+    value,
+    onChange,
+    onKeyDown,
+    onToggleTaskItem,
+    placeholder,
+    rows = 4,
+    disabled = false,
+    defaultMode = 'write',
+    textareaClassName,
+    className
+}) {
+    const [mode, setMode] = useState(defaultMode);
+
+    return (
+        <div className={className}>
+            <div className="flex items-center justify-between mb-2">
+                <div className="inline-flex rounded-lg bg-gray-100 p-0.5" role="tablist">
+                    {TABS.map(({ mode: tabMode, label, icon: Icon }) => (
+                        <button
+                            key={tabMode}
+                            type="button"
+                            role="tab"
+                            aria-selected={mode === tabMode}
+                            onClick={() => setMode(tabMode)}
+                            className={clsx(
+                                "flex items-center px-2.5 py-1 rounded-md text-xs font-medium transition-colors",
+                                mode === tabMode ? "bg-white text-gray-900 shadow-sm" : "text-gray-500 hover:text-gray-700"
+                            )}
+                        >
+                            <Icon className="w-3 h-3 mr-1" />
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <span className="text-xs text-gray-400">Markdown supported</span>
+            </div>
+
+            {mode === 'write' ? (
+                <textarea
+                    ref={ref}
+                    id={id}
+                    name={name}
+                    value={value}
+                    onChange={onChange}
+                    onKeyDown={onKeyDown}
+                    rows={rows}
+                    disabled={disabled}
+                    placeholder={placeholder}
+                    className={textareaClassName}
+                />
+            ) : (
+                <div
+                    className="px-2 sm:px-3 py-2 text-sm sm:text-base text-gray-700 overflow-y-auto"
+                    style={{ minHeight: `${rows * 1.5}rem` }}
+                >
+                    {value.trim() ? (
+                        <MarkdownContent onToggleTaskItem={disabled ? undefined : onToggleTaskItem}>
+                            {value}
+                        </MarkdownContent>
+                    ) : (
+                        <p className="text-gray-400">Nothing to preview</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
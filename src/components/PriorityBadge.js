@@ -0,0 +1,36 @@
+/**
+ * Priority Badge Component
+ *
+ * Colored P0-P3 badge; tasks without a priority show the default one.
+ */
+
+'use client';
+
+import { Flag } from 'lucide-react';
+import clsx from 'clsx';
+import { DEFAULT_PRIORITY, getPriorityLabel } from '@/lib/taskSchema';
+
+const PRIORITY_STYLES = {
+    P0: 'bg-red-100 text-red-800',
+    P1: 'bg-orange-100 text-orange-800',
+    P2: 'bg-yellow-100 text-yellow-800',
+    P3: 'bg-gray-100 text-gray-700'
+};
+
+export default function PriorityBadge({ priority, className = '' }) {
+    const value = priority || DEFAULT_PRIORITY;
+
+    return (
+        <span
+            className={clsx(
+                "inline-flex items-center px-2 py-1 text-xs font-medium rounded-md",
+                PRIORITY_STYLES[value],
+                className
+            )}
+            title={getPriorityLabel(value)}
+        >
+            <Flag className="w-3 h-3 mr-1" />
+            {value}
+        </span>
+    );
+}
@@ -0,0 +1,143 @@
+/**
+ * Recurrence Editor Component
+ *
+ * Sets how a task repeats with:
+ * - Frequency picker, including "Does not repeat" to stop a series
+ * - Interval in days, weeks or months
+ * - Weekday toggles for weekly rules and the day of the month for monthly ones
+ * - A one-line summary of the rule
+ */
+
+'use client';
+
+import { Repeat } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppSelector } from '@/store/hooks';
+import { selectTimeZone } from '@/store/slices/settingsSlice';
+import { RECURRENCE_FREQUENCY_OPTIONS, TASK_FIELDS } from '@/lib/taskSchema';
+import { WEEKDAY_LABELS, createRecurrence, describeRecurrence, normalizeRecurrence } from '@/lib/recurrence';
+
+const MAX_INTERVAL = TASK_FIELDS.recurrence.maxInterval;
+
+const INTERVAL_UNITS = {
+    daily: 'day',
+    weekly: 'week',
+    monthly: 'month',
+    'after-completion': 'day'
+};
+
+// Whole number within [min, max]; anything else falls back to min
+const clampNumber = (value, min, max) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? min : Math.min(Math.max(number, min), max);
+};
+
+export default function RecurrenceEditor({ value, onChange, dueDate, disabled = false }) {
+    const timeZone = useAppSelector(selectTimeZone);
+    const update = (changes) => onChange(normalizeRecurrence({ ...value, ...changes }));
+
+    const handleFrequencyChange = (frequency) => {
+        const recurrence = createRecurrence(frequency, dueDate, timeZone);
+        // Keep the interval when switching between frequencies
+        onChange(recurrence && value ? { ...recurrence, interval: value.interval } : recurrence);
+    };
+
+    const toggleWeekday = (day) => {
+        const weekdays = value.weekdays.includes(day)
+            ? value.weekdays.filter(weekday => weekday !== day)
+            : [...value.weekdays, day];
+        // A weekly rule needs at least one day
+        if (weekdays.length > 0) {
+            update({ weekdays });
+        }
+    };
+
+    const unit = value ? INTERVAL_UNITS[value.frequency] : null;
+    const inputClassName = "px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50";
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center gap-2">
+                <Repeat className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                <select
+                    value={value?.frequency || ''}
+                    onChange={(e) => handleFrequencyChange(e.target.value)}
+                    disabled={disabled}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50"
+                >
+                    <option value="">Does not repeat</option>
+                    {RECURRENCE_FREQUENCY_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                            {option.label}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {value && (
+                <>
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                        <span>{value.frequency === 'after-completion' ? 'Due' : 'Every'}</span>
+                        <input
+                            type="number"
+                            min={1}
+                            max={MAX_INTERVAL}
+                            value={value.interval}
+                            onChange={(e) => update({ interval: clampNumber(e.target.value, 1, MAX_INTERVAL) })}
+                            disabled={disabled}
+                            className={clsx(inputClassName, "w-20")}
+                            aria-label="Interval"
+                        />
+                        <span>
+                            {unit}{value.interval === 1 ? '' : 's'}
+                            {value.frequency === 'after-completion' && ' after completion'}
+                        </span>
+                    </div>
+
+                    {value.frequency === 'weekly' && (
+                        <div className="flex flex-wrap gap-1">
+                            {WEEKDAY_LABELS.map((label, day) => (
+                                <button
+                                    key={label}
+                                    type="button"
+                                    onClick={() => toggleWeekday(day)}
+                                    disabled={disabled}
+                                    aria-pressed={value.weekdays.includes(day)}
+                                    className={clsx(
+                                        "px-2 py-1 text-xs font-medium rounded-md border transition-colors disabled:opacity-50",
+                                        value.weekdays.includes(day)
+                                            ? "bg-blue-600 text-white border-blue-600"
+                                            : "bg-white text-gray-700 border-gray-300 hover:bg-gray-50"
+                                    )}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {value.frequency === 'monthly' && (
+                        <div className="flex items-center gap-2 text-sm text-gray-700">
+                            <span>On day</span>
+                            <input
+                                type="number"
+                                min={1}
+                                max={31}
+                                value={value.dayOfMonth}
+                                onChange={(e) => update({ dayOfMonth: clampNumber(e.target.value, 1, 31) })}
+                                disabled={disabled}
+                                className={clsx(inputClassName, "w-20")}
+                                aria-label="Day of the month"
+                            />
+                            <span className="text-xs text-gray-500">(last day in shorter months)</span>
+                        </div>
+                    )}
+
+                    <p className="text-xs text-gray-500">
+                        {describeRecurrence(value)}. The next occurrence is created when this one is completed.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,187 @@
+/**
+ * Reminder Editor Component
+ *
+ * Sets when a task (or the default policy) reminds before its due time with:
+ * - A "Use my default reminders" switch for tasks
+ * - Removable chips for each reminder
+ * - Presets and a custom offset in minutes, hours or days
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Bell, Plus, X } from 'lucide-react';
+import clsx from 'clsx';
+import { TASK_FIELDS } from '@/lib/taskSchema';
+import { DEFAULT_REMINDER_TIME } from '@/lib/deadlines';
+import {
+    MAX_REMINDER_OFFSET_MINUTES,
+    REMINDER_PRESETS,
+    REMINDER_OFFSET_UNITS,
+    describeReminder,
+    describeReminders,
+    sortReminders
+} from '@/lib/reminders';
+
+const MAX_REMINDERS = TASK_FIELDS.reminders.maxItems;
+const CUSTOM_OPTION = 'custom';
+
+// value: minutes-before list, or null for the defaults (only when `defaults` is passed)
+export default function ReminderEditor({ value, onChange, defaults, dueDate, disabled = false, compact = false }) {
+    const [adding, setAdding] = useState('');
+    const [customAmount, setCustomAmount] = useState('');
+    const [customUnit, setCustomUnit] = useState('hours');
+
+    const usesDefaults = value === null && defaults !== undefined;
+    const reminders = value ?? [];
+    const full = reminders.length >= MAX_REMINDERS;
+
+    const customMinutes = Number(customAmount) * REMINDER_OFFSET_UNITS.find(unit => unit.value === customUnit).minutes;
+    const customValid = customAmount.trim() !== '' &&
+        Number.isInteger(customMinutes) &&
+        customMinutes >= 0 &&
+        customMinutes <= MAX_REMINDER_OFFSET_MINUTES &&
+        !reminders.includes(customMinutes);
+
+    const addReminder = (offsetMinutes) => {
+        onChange(sortReminders([...reminders, offsetMinutes]));
+        setAdding('');
+        setCustomAmount('');
+    };
+
+    const handleAddChange = (option) => {
+        if (option === CUSTOM_OPTION || option === '') {
+            setAdding(option);
+        } else {
+            addReminder(Number(option));
+        }
+    };
+
+    const removeReminder = (offsetMinutes) => {
+        onChange(reminders.filter(reminder => reminder !== offsetMinutes));
+    };
+
+    const handleUseDefaultsChange = (checked) => {
+        onChange(checked ? null : [...defaults]);
+    };
+
+    const fieldClassName = compact
+        ? "px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-xs disabled:opacity-50"
+        : "px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white text-sm disabled:opacity-50";
+
+    return (
+        <div className={compact ? "space-y-2" : "space-y-3"}>
+            {defaults !== undefined && (
+                <label className={clsx("flex items-center gap-2 text-gray-700", compact ? "text-xs" : "text-sm")}>
+                    <input
+                        type="checkbox"
+                        checked={usesDefaults}
+                        onChange={(e) => handleUseDefaultsChange(e.target.checked)}
+                        disabled={disabled}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Use my default reminders
+                </label>
+            )}
+
+            {usesDefaults ? (
+                <p className={clsx("flex items-center gap-1 text-gray-500", compact ? "text-xs" : "text-sm")}>
+                    {!compact && <Bell className="w-4 h-4 text-gray-400 flex-shrink-0" />}
+                    {describeReminders(defaults)}
+                </p>
+            ) : (
+                <>
+                    <div className="flex flex-wrap gap-1">
+                        {reminders.length === 0 && (
+                            <span className={clsx("text-gray-500", compact ? "text-xs" : "text-sm")}>No reminders</span>
+                        )}
+                        {reminders.map(offsetMinutes => (
+                            <span
+                                key={offsetMinutes}
+                                className="inline-flex items-center pl-2 pr-1 py-0.5 rounded-full text-xs font-medium bg-amber-50 text-amber-800 border border-amber-200"
+                            >
+                                <Bell className="w-3 h-3 mr-1" />
+                                {describeReminder(offsetMinutes)}
+                                <button
+                                    type="button"
+                                    onClick={() => removeReminder(offsetMinutes)}
+                                    disabled={disabled}
+                                    className="ml-1 p-0.5 rounded-full hover:bg-amber-100 disabled:opacity-50"
+                                    aria-label={`Remove reminder ${describeReminder(offsetMinutes).toLowerCase()}`}
+                                >
+                                    <X className="w-3 h-3" />
+                                </button>
+                            </span>
+                        ))}
+                    </div>
+
+                    {!full && (
+                        <div className="flex flex-wrap items-center gap-2">
+                            <select
+                                value={adding}
+                                onChange={(e) => handleAddChange(e.target.value)}
+                                disabled={disabled}
+                                className={fieldClassName}
+                                aria-label="Add reminder"
+                            >
+                                <option value="">Add reminder...</option>
+                                {REMINDER_PRESETS
+                                    .filter(preset => !reminders.includes(preset.offsetMinutes))
+                                    .map(preset => (
+                                        <option key={preset.offsetMinutes} value={preset.offsetMinutes}>
+                                            {preset.label}
+                                        </option>
+                                    ))}
+                                <option value={CUSTOM_OPTION}>Custom...</option>
+                            </select>
+
+                            {adding === CUSTOM_OPTION && (
+                                <>
+                                    <input
+                                        type="number"
+                                        min={0}
+                                        step={1}
+                                        value={customAmount}
+                                        onChange={(e) => setCustomAmount(e.target.value)}
+                                        disabled={disabled}
+                                        className={clsx(fieldClassName, "w-20")}
+                                        aria-label="Reminder amount"
+                                    />
+                                    <select
+                                        value={customUnit}
+                                        onChange={(e) => setCustomUnit(e.target.value)}
+                                        disabled={disabled}
+                                        className={fieldClassName}
+                                        aria-label="Reminder unit"
+                                    >
+                                        {REMINDER_OFFSET_UNITS.map(unit => (
+                                            <option key={unit.value} value={unit.value}>
+                                                {unit.label} before
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        type="button"
+                                        onClick={() => addReminder(customMinutes)}
+                                        disabled={disabled || !customValid}
+                                        className="p-1.5 rounded-md text-blue-600 hover:bg-blue-50 disabled:opacity-40 disabled:hover:bg-transparent"
+                                        aria-label="Add custom reminder"
+                                    >
+                                        <Plus className="w-4 h-4" />
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+
+            {dueDate !== undefined && !dueDate && (
+                <p className="text-xs text-gray-500">Reminders start once the task has a due date.</p>
+            )}
+            {!compact && dueDate && (
+                <p className="text-xs text-gray-500">Reminders of tasks without a due time count from {DEFAULT_REMINDER_TIME} on their due date.</p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,130 @@
+/**
+ * Reminder Notifier Component
+ *
+ * Renders nothing; keeps due-date reminders moving while the app is open:
+ * - Restarts the reminder feeds when the workflow's open statuses change
+ * - Moves the reminder clock on when the next reminder is due
+ * - Shows a browser notification for each reminder as it fires
+ * - Applies the snooze and dismiss buttons of those notifications
+ * - Closes notifications of reminders handled elsewhere
+ */
+
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { useRouter } from 'next/navigation';
+import { useAuth } from '@/contexts/AuthContext';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    snoozeReminder,
+    dismissReminder,
+    remindersClockTicked,
+    subscribeToReminders,
+    selectActiveReminders,
+    selectDueTasks,
+    selectReminderStates
+} from '@/store/slices/remindersSlice';
+import { selectReminderDefaults, selectOpenStatuses, selectTimeZone } from '@/store/slices/settingsSlice';
+import { getNextReminderTime, describeReminderDue } from '@/lib/reminders';
+import {
+    NOTIFICATION_SNOOZE_MINUTES,
+    registerReminderWorker,
+    getNotificationPermission,
+    showReminderNotification,
+    closeStaleReminderNotifications,
+    wasNotified,
+    onReminderAction
+} from '@/lib/notifications';
+
+// Longest single wait; the clock is re-checked at least this often
+const MAX_WAIT_MS = 60 * 60 * 1000;
+// Reminders that came due longer ago than this (e.g. while the app was closed)
+// only go to the tray, not to a notification
+const NOTIFY_WINDOW_MS = 60 * 60 * 1000;
+
+export default function ReminderNotifier() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const dispatch = useAppDispatch();
+    const activeReminders = useAppSelector(selectActiveReminders);
+    const dueTasks = useAppSelector(selectDueTasks);
+    const reminderDefaults = useAppSelector(selectReminderDefaults);
+    const states = useAppSelector(selectReminderStates);
+    const openStatuses = useAppSelector(selectOpenStatuses);
+    const timeZone = useAppSelector(selectTimeZone);
+
+    // Latest reminders for the notification click handler
+    const activeRemindersRef = useRef(activeReminders);
+    activeRemindersRef.current = activeReminders;
+
+    // The feeds start on sign-in; the workflow arrives with the settings after that
+    useEffect(() => {
+        if (user) {
+            dispatch(subscribeToReminders(user.uid));
+        }
+    }, [user, openStatuses, dispatch]);
+
+    useEffect(() => {
+        if (user && getNotificationPermission() === 'granted') {
+            registerReminderWorker();
+        }
+    }, [user]);
+
+    // Move the clock on when the next reminder is due, and whenever the tab
+    // comes back (timers are throttled in background tabs)
+    useEffect(() => {
+        if (!user) return;
+
+        const tick = () => dispatch(remindersClockTicked(Date.now()));
+        const next = getNextReminderTime(dueTasks, reminderDefaults, states, Date.now(), timeZone);
+        const wait = next === null ? MAX_WAIT_MS : Math.min(Math.max(next - Date.now(), 0), MAX_WAIT_MS);
+        const timer = setTimeout(tick, wait);
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') tick();
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            clearTimeout(timer);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [user, dueTasks, reminderDefaults, states, timeZone, dispatch]);
+
+    // Notify each newly fired reminder once per device
+    useEffect(() => {
+        if (!user) return;
+
+        const now = Date.now();
+        activeReminders
+            .filter(reminder => now - Date.parse(reminder.showAt) <= NOTIFY_WINDOW_MS && !wasNotified(reminder))
+            .forEach((reminder) => {
+                showReminderNotification(reminder, describeReminderDue(reminder.task, { now, timeZone })).catch((error) => {
+                    console.error('Error showing reminder notification:', error);
+                });
+            });
+        closeStaleReminderNotifications(activeReminders.map(reminder => reminder.key)).catch((error) => {
+            console.error('Error closing reminder notifications:', error);
+        });
+    }, [user, activeReminders, timeZone]);
+
+    useEffect(() => {
+        if (!user) return;
+
+        return onReminderAction(({ action, key, taskId }) => {
+            if (action === 'open') {
+                router.push(`/view-task/${taskId}`);
+                return;
+            }
+            const reminder = activeRemindersRef.current.find(active => active.key === key);
+            if (!reminder) return;
+
+            if (action === 'snooze') {
+                dispatch(snoozeReminder({ userId: user.uid, reminder, minutes: NOTIFICATION_SNOOZE_MINUTES }));
+            } else if (action === 'dismiss') {
+                dispatch(dismissReminder({ userId: user.uid, reminder }));
+            }
+        });
+    }, [user, router, dispatch]);
+
+    return null;
+}
@@ -0,0 +1,167 @@
+/**
+ * Reminder Tray Component
+ *
+ * In-app list of due-date reminders that have fired:
+ * - Bell button with the number of reminders showing
+ * - Each reminder with its task, due time and snooze/dismiss actions
+ * - Prompt to turn on browser notifications while they are off
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Bell, BellRing, Check, Clock, ArrowUpRight, Settings } from 'lucide-react';
+import clsx from 'clsx';
+import { useAuth } from '@/contexts/AuthContext';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    snoozeReminder,
+    dismissReminder,
+    selectActiveReminders,
+    selectRemindersError
+} from '@/store/slices/remindersSlice';
+import { selectTimeZone } from '@/store/slices/settingsSlice';
+import { SNOOZE_OPTIONS, describeReminder, describeReminderDue } from '@/lib/reminders';
+import {
+    getNotificationPermission,
+    requestNotificationPermission,
+    registerReminderWorker
+} from '@/lib/notifications';
+
+export default function ReminderTray() {
+    const { user } = useAuth();
+    const router = useRouter();
+    const dispatch = useAppDispatch();
+    const reminders = useAppSelector(selectActiveReminders);
+    const error = useAppSelector(selectRemindersError);
+    const timeZone = useAppSelector(selectTimeZone);
+    const [open, setOpen] = useState(false);
+    const [permission, setPermission] = useState(getNotificationPermission);
+
+    const handleSnooze = (reminder, minutes) => {
+        dispatch(snoozeReminder({ userId: user.uid, reminder, minutes }));
+    };
+
+    const handleDismiss = (reminder) => {
+        dispatch(dismissReminder({ userId: user.uid, reminder }));
+    };
+
+    const handleOpenTask = (taskId) => {
+        setOpen(false);
+        router.push(`/view-task/${taskId}`);
+    };
+
+    const handleEnableNotifications = async () => {
+        const result = await requestNotificationPermission();
+        setPermission(result);
+        if (result === 'granted') {
+            registerReminderWorker();
+        }
+    };
+
+    return (
+        <div className="relative">
+            <motion.button
+                onClick={() => setOpen(prev => !prev)}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                className="relative flex items-center px-3 py-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200"
+                aria-label={`Reminders (${reminders.length})`}
+            >
+                {reminders.length > 0 ? <BellRing className="w-4 h-4 text-amber-600" /> : <Bell className="w-4 h-4" />}
+                {reminders.length > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+                        {reminders.length > 99 ? '99+' : reminders.length}
+                    </span>
+                )}
+            </motion.button>
+
+            <AnimatePresence>
+                {open && (
+                    <>
+                        <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+                        <motion.div
+                            initial={{ opacity: 0, y: -8 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            exit={{ opacity: 0, y: -8 }}
+                            className="absolute right-0 mt-2 w-80 sm:w-96 max-w-[calc(100vw-1.5rem)] bg-white rounded-xl shadow-xl border border-gray-200 z-40 overflow-hidden"
+                        >
+                            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+                                <h3 className="text-sm font-semibold text-gray-900">Reminders</h3>
+                                <button
+                                    type="button"
+                                    onClick={() => router.push('/settings')}
+                                    className="p-1 text-gray-400 hover:text-gray-600 rounded"
+                                    aria-label="Reminder settings"
+                                >
+                                    <Settings className="w-4 h-4" />
+                                </button>
+                            </div>
+
+                            {permission === 'default' && (
+                                <button
+                                    type="button"
+                                    onClick={handleEnableNotifications}
+                                    className="w-full px-4 py-2 text-left text-xs text-blue-700 bg-blue-50 hover:bg-blue-100 transition-colors"
+                                >
+                                    Turn on browser notifications to be reminded in other tabs
+                                </button>
+                            )}
+                            {error && (
+                                <p className="px-4 py-2 text-xs text-red-600 bg-red-50">{error}</p>
+                            )}
+
+                            {reminders.length === 0 ? (
+                                <p className="px-4 py-8 text-center text-sm text-gray-500">No reminders right now</p>
+                            ) : (
+                                <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                                    {reminders.map(reminder => (
+                                        <li key={reminder.key} className="px-4 py-3">
+                                            <button
+                                                type="button"
+                                                onClick={() => handleOpenTask(reminder.taskId)}
+                                                className="w-full flex items-center gap-1 text-left text-sm font-medium text-gray-900 hover:text-blue-700"
+                                            >
+                                                <span className="truncate">{reminder.task.title}</span>
+                                                <ArrowUpRight className="w-3 h-3 flex-shrink-0 text-gray-400" />
+                                            </button>
+                                            <p className={clsx(
+                                                "text-xs mt-0.5",
+                                                Date.parse(reminder.showAt) > Date.parse(reminder.fireAt) ? "text-gray-500" : "text-amber-700"
+                                            )}>
+                                                {describeReminderDue(reminder.task, { timeZone })} · {describeReminder(reminder.offsetMinutes).toLowerCase()}
+                                            </p>
+                                            <div className="flex flex-wrap items-center gap-1 mt-2">
+                                                <Clock className="w-3 h-3 text-gray-400" />
+                                                {SNOOZE_OPTIONS.map(option => (
+                                                    <button
+                                                        key={option.minutes}
+                                                        type="button"
+                                                        onClick={() => handleSnooze(reminder, option.minutes)}
+                                                        className="px-2 py-0.5 rounded-md text-xs text-gray-600 bg-gray-100 hover:bg-gray-200 transition-colors"
+                                                    >
+                                                        {option.label}
+                                                    </button>
+                                                ))}
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleDismiss(reminder)}
+                                                    className="ml-auto flex items-center px-2 py-0.5 rounded-md text-xs text-green-700 hover:bg-green-50 transition-colors"
+                                                >
+                                                    <Check className="w-3 h-3 mr-1" />
+                                                    Dismiss
+                                                </button>
+                                            </div>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </motion.div>
+                    </>
+                )}
+            </AnimatePresence>
+        </div>
+    );
+}
@@ -0,0 +1,125 @@
+/**
+ * Status Badge Component
+ *
+ * A task status of the user's workflow, drawn in the status color with:
+ * - An icon for the kind of status (first, in between, finishing)
+ * - Optional button behaviour with a loading state (the list's status toggle)
+ * - A boxed icon for status pickers (StatusIcon)
+ *
+ * Colors are the tag palette names (see lib/workflow.js).
+ */
+
+'use client';
+
+import { motion } from 'framer-motion';
+import { CheckCircle2, Circle, Clock, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import { getInitialStatus } from '@/lib/workflow';
+
+const BADGE_STYLES = {
+    gray: 'bg-gray-100 text-gray-700',
+    red: 'bg-red-100 text-red-700',
+    orange: 'bg-orange-100 text-orange-700',
+    amber: 'bg-amber-100 text-amber-700',
+    green: 'bg-green-100 text-green-700',
+    teal: 'bg-teal-100 text-teal-700',
+    blue: 'bg-blue-100 text-blue-700',
+    indigo: 'bg-indigo-100 text-indigo-700',
+    purple: 'bg-purple-100 text-purple-700',
+    pink: 'bg-pink-100 text-pink-700'
+};
+
+const HOVER_STYLES = {
+    gray: 'hover:bg-gray-200',
+    red: 'hover:bg-red-200',
+    orange: 'hover:bg-orange-200',
+    amber: 'hover:bg-amber-200',
+    green: 'hover:bg-green-200',
+    teal: 'hover:bg-teal-200',
+    blue: 'hover:bg-blue-200',
+    indigo: 'hover:bg-indigo-200',
+    purple: 'hover:bg-purple-200',
+    pink: 'hover:bg-pink-200'
+};
+
+const ICON_BOX_STYLES = {
+    gray: 'bg-gray-100 text-gray-600',
+    red: 'bg-red-100 text-red-600',
+    orange: 'bg-orange-100 text-orange-600',
+    amber: 'bg-amber-100 text-amber-600',
+    green: 'bg-green-100 text-green-600',
+    teal: 'bg-teal-100 text-teal-600',
+    blue: 'bg-blue-100 text-blue-600',
+    indigo: 'bg-indigo-100 text-indigo-600',
+    purple: 'bg-purple-100 text-purple-600',
+    pink: 'bg-pink-100 text-pink-600'
+};
+
+const getIcon = (workflow, status) => {
+    if (status.terminal) return CheckCircle2;
+    return status.id === getInitialStatus(workflow) ? Circle : Clock;
+};
+
+// Icon of a status; boxed draws it on a tile in the status color
+export function StatusIcon({ workflow, status, boxed = false, className = '' }) {
+    const Icon = getIcon(workflow, status);
+    if (!boxed) return <Icon className={className} />;
+
+    return (
+        <div className={clsx("p-2 rounded-lg", ICON_BOX_STYLES[status.color] || ICON_BOX_STYLES.gray)}>
+            <Icon className={clsx("w-5 h-5", className)} />
+        </div>
+    );
+}
+
+export default function StatusBadge({
+    workflow,
+    status,
+    onClick,
+    disabled = false,
+    loading = false,
+    title,
+    className = ''
+}) {
+    const Icon = getIcon(workflow, status);
+    const badgeClassName = clsx(
+        "flex items-center space-x-2 px-2 py-1 sm:px-3 sm:py-2 rounded-lg font-medium text-xs sm:text-sm transition-all duration-200",
+        BADGE_STYLES[status.color] || BADGE_STYLES.gray,
+        className
+    );
+
+    const content = (
+        <>
+            {loading ? (
+                <Loader2 className="w-3 h-3 sm:w-4 sm:h-4 animate-spin" />
+            ) : (
+                <Icon className="w-3 h-3 sm:w-4 sm:h-4" />
+            )}
+            <span className="truncate">{status.label}</span>
+        </>
+    );
+
+    if (!onClick) {
+        return <span className={badgeClassName} title={title}>{content}</span>;
+    }
+
+    const inactive = disabled || loading;
+    return (
+        <motion.button
+            type="button"
+            onClick={onClick}
+            disabled={inactive}
+            whileHover={!disabled ? { scale: 1.05 } : {}}
+            whileTap={!disabled ? { scale: 0.95 } : {}}
+            className={clsx(
+                badgeClassName,
+                !disabled && clsx("hover:shadow-md", HOVER_STYLES[status.color] || HOVER_STYLES.gray),
+                inactive && "cursor-not-allowed",
+                loading && "opacity-50"
+            )}
+            title={title}
+        >
+            {content}
+        </motion.button>
+    );
+}
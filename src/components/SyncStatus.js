@@ -0,0 +1,158 @@
+/**
+ * Sync Status Components
+ *
+ * Surfaces the offline outbox:
+ * - Banner with the number of writes waiting to sync
+ * - Failed writes with retry and discard actions
+ * - Per-task badge for unsynced changes
+ */
+
+'use client';
+
+import { motion, AnimatePresence } from 'framer-motion';
+import { CloudOff, AlertTriangle, RotateCcw, X, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    retryOutboxEntry,
+    discardOutboxEntry,
+    selectFailedOutboxEntries,
+    selectPendingOutboxCount,
+    selectOutboxReplaying,
+    selectTaskSyncStatus
+} from '@/store/slices/outboxSlice';
+
+const ENTRY_LABELS = {
+    createTask: 'New task',
+    editTask: 'Task edit',
+    addComment: 'Comment'
+};
+
+// Short description of what a queued write contains
+const describeEntry = (entry) => {
+    const { taskData, commentData } = entry.payload;
+    if (entry.type === 'addComment') {
+        if (!commentData.text) {
+            return `${commentData.attachments?.length ?? 0} attached file(s)`;
+        }
+        return commentData.text.length > 60 ? `${commentData.text.substring(0, 60)}...` : commentData.text;
+    }
+    if (entry.type === 'createTask') {
+        return taskData.title;
+    }
+    return `Changed ${Object.keys(taskData).join(', ')}`;
+};
+
+export default function SyncStatusBanner({ taskId = null }) {
+    const dispatch = useAppDispatch();
+    const allFailedEntries = useAppSelector(selectFailedOutboxEntries);
+    const pendingCount = useAppSelector(selectPendingOutboxCount);
+    const replaying = useAppSelector(selectOutboxReplaying);
+
+    // On a task page only that task's failures are relevant
+    const failedEntries = taskId
+        ? allFailedEntries.filter(entry => entry.taskId === taskId)
+        : allFailedEntries;
+
+    if (pendingCount === 0 && failedEntries.length === 0) {
+        return null;
+    }
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="space-y-2 mb-4 sm:mb-6"
+        >
+            {pendingCount > 0 && (
+                <div className="flex items-center space-x-2 px-4 py-3 rounded-xl bg-amber-50 border border-amber-200 text-amber-800 text-sm">
+                    {replaying ? (
+                        <Loader2 className="w-4 h-4 animate-spin flex-shrink-0" />
+                    ) : (
+                        <CloudOff className="w-4 h-4 flex-shrink-0" />
+                    )}
+                    <span>
+                        {replaying
+                            ? `Syncing ${pendingCount} change(s)...`
+                            : `${pendingCount} change(s) saved on this device. They will sync when you are back online.`
+                        }
+                    </span>
+                </div>
+            )}
+
+            <AnimatePresence>
+                {failedEntries.map((entry) => (
+                    <motion.div
+                        key={entry.id}
+                        initial={{ opacity: 0, y: -10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, x: -20 }}
+                        className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 px-4 py-3 rounded-xl bg-red-50 border border-red-200"
+                    >
+                        <div className="flex items-start space-x-2 min-w-0">
+                            <AlertTriangle className="w-4 h-4 text-red-600 flex-shrink-0 mt-0.5" />
+                            <div className="min-w-0">
+                                <p className="text-sm font-medium text-red-800 break-words">
+                                    {ENTRY_LABELS[entry.type]} could not be saved: {describeEntry(entry)}
+                                </p>
+                                <p className="text-xs text-red-600 mt-1 break-words">{entry.error}</p>
+                            </div>
+                        </div>
+                        <div className="flex gap-2 flex-shrink-0">
+                            <button
+                                onClick={() => dispatch(retryOutboxEntry(entry.id))}
+                                disabled={replaying}
+                                className={clsx(
+                                    "flex items-center px-3 py-1.5 rounded-lg text-xs font-medium transition-colors",
+                                    replaying
+                                        ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                        : "bg-white hover:bg-red-100 text-red-700 border border-red-200"
+                                )}
+                            >
+                                <RotateCcw className="w-3 h-3 mr-1" />
+                                Retry
+                            </button>
+                            <button
+                                onClick={() => {
+                                    if (confirm('Discard this change? It will not be saved.')) {
+                                        dispatch(discardOutboxEntry(entry.id));
+                                    }
+                                }}
+                                className="flex items-center px-3 py-1.5 rounded-lg text-xs font-medium bg-red-600 hover:bg-red-700 text-white transition-colors"
+                            >
+                                <X className="w-3 h-3 mr-1" />
+                                Discard
+                            </button>
+                        </div>
+                    </motion.div>
+                ))}
+            </AnimatePresence>
+        </motion.div>
+    );
+}
+
+// Badge shown on tasks with changes that have not reached the backend
+export function SyncStatusBadge({ taskId }) {
+    const status = useAppSelector(selectTaskSyncStatus(taskId));
+
+    if (!status) {
+        return null;
+    }
+
+    return (
+        <span
+            className={clsx(
+                "inline-flex items-center px-2 py-1 text-xs font-medium rounded-md",
+                status === 'failed' ? "bg-red-100 text-red-700" : "bg-amber-100 text-amber-800"
+            )}
+            title={status === 'failed' ? 'Some changes could not be saved' : 'Waiting to sync'}
+        >
+            {status === 'failed' ? (
+                <AlertTriangle className="w-3 h-3 mr-1" />
+            ) : (
+                <CloudOff className="w-3 h-3 mr-1" />
+            )}
+            {status === 'failed' ? 'Sync failed' : 'Not synced'}
+        </span>
+    );
+}
@@ -0,0 +1,103 @@
+/**
+ * Tag Chip Component
+ *
+ * Colored tag label with:
+ * - Optional remove button (tag inputs)
+ * - Optional toggle behaviour with a selected state (filters)
+ * - Color picker for the tag palette
+ */
+
+'use client';
+
+import { Check, X } from 'lucide-react';
+import clsx from 'clsx';
+import { TAG_COLORS } from '@/lib/tags';
+
+const TAG_STYLES = {
+    gray: 'bg-gray-100 text-gray-700 border-gray-200',
+    red: 'bg-red-100 text-red-800 border-red-200',
+    orange: 'bg-orange-100 text-orange-800 border-orange-200',
+    amber: 'bg-amber-100 text-amber-800 border-amber-200',
+    green: 'bg-green-100 text-green-800 border-green-200',
+    teal: 'bg-teal-100 text-teal-800 border-teal-200',
+    blue: 'bg-blue-100 text-blue-800 border-blue-200',
+    indigo: 'bg-indigo-100 text-indigo-800 border-indigo-200',
+    purple: 'bg-purple-100 text-purple-800 border-purple-200',
+    pink: 'bg-pink-100 text-pink-800 border-pink-200'
+};
+
+const SWATCH_STYLES = {
+    gray: 'bg-gray-400',
+    red: 'bg-red-500',
+    orange: 'bg-orange-500',
+    amber: 'bg-amber-500',
+    green: 'bg-green-500',
+    teal: 'bg-teal-500',
+    blue: 'bg-blue-500',
+    indigo: 'bg-indigo-500',
+    purple: 'bg-purple-500',
+    pink: 'bg-pink-500'
+};
+
+export default function TagChip({ tag, onRemove, onClick, selected = false, className = '' }) {
+    const chipClassName = clsx(
+        "inline-flex items-center max-w-full px-2 py-0.5 text-xs font-medium rounded-full border",
+        TAG_STYLES[tag.color] || TAG_STYLES.gray,
+        onClick && "cursor-pointer transition-shadow hover:shadow-sm",
+        onClick && !selected && "opacity-60 hover:opacity-100",
+        selected && "ring-2 ring-offset-1 ring-blue-400",
+        className
+    );
+
+    const content = (
+        <>
+            <span className="truncate">{tag.name}</span>
+            {onRemove && (
+                <button
+                    type="button"
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onRemove(tag.id);
+                    }}
+                    className="ml-1 -mr-0.5 rounded-full hover:bg-black/10 p-0.5"
+                    aria-label={`Remove ${tag.name}`}
+                >
+                    <X className="w-3 h-3" />
+                </button>
+            )}
+        </>
+    );
+
+    if (onClick) {
+        return (
+            <button type="button" onClick={() => onClick(tag.id)} className={chipClassName} aria-pressed={selected}>
+                {content}
+            </button>
+        );
+    }
+    return <span className={chipClassName}>{content}</span>;
+}
+
+export function TagColorPicker({ value, onChange, disabled = false }) {
+    return (
+        <div className="flex flex-wrap items-center gap-1.5">
+            {TAG_COLORS.map(color => (
+                <button
+                    key={color}
+                    type="button"
+                    onClick={() => onChange(color)}
+                    disabled={disabled}
+                    className={clsx(
+                        "w-5 h-5 rounded-full flex items-center justify-center transition-transform hover:scale-110 disabled:opacity-50 disabled:hover:scale-100",
+                        SWATCH_STYLES[color],
+                        value === color && "ring-2 ring-offset-1 ring-gray-500"
+                    )}
+                    title={color}
+                    aria-label={`Color ${color}`}
+                >
+                    {value === color && <Check className="w-3 h-3 text-white" />}
+                </button>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,174 @@
+/**
+ * Tag Input Component
+ *
+ * Picks the tags of a task with:
+ * - Chips for the selected tags, removable one by one
+ * - Autocomplete over the user's tags as they type
+ * - Creating a new tag from the typed name
+ * - Keyboard navigation (arrows, Enter, Backspace, Escape)
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Tag, Plus, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import { TASK_FIELDS } from '@/lib/taskSchema';
+import { TAG_NAME_MAX_LENGTH, normalizeTagName, findTagByName } from '@/lib/tags';
+import TagChip from '@/components/TagChip';
+
+const MAX_TAGS = TASK_FIELDS.tags.maxItems;
+const MAX_SUGGESTIONS = 8;
+
+export default function TagInput({
+    value,
+    tags,
+    onChange,
+    onCreateTag,
+    disabled = false,
+    placeholder = 'Add tags...'
+}) {
+    const [text, setText] = useState('');
+    const [open, setOpen] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+    const [creating, setCreating] = useState(false);
+
+    const tagsById = Object.fromEntries(tags.map(tag => [tag.id, tag]));
+    const selectedTags = value.map(tagId => tagsById[tagId]).filter(Boolean);
+    const isFull = value.length >= MAX_TAGS;
+
+    const name = normalizeTagName(text);
+    const suggestions = tags
+        .filter(tag => !value.includes(tag.id) && tag.name.toLowerCase().includes(name.toLowerCase()))
+        .slice(0, MAX_SUGGESTIONS);
+    const canCreate = Boolean(name) && !findTagByName(tags, name) && Boolean(onCreateTag);
+    // Suggestions first, then the "create" entry
+    const options = [
+        ...suggestions.map(tag => ({ key: tag.id, tag })),
+        ...(canCreate ? [{ key: 'create', create: true }] : [])
+    ];
+
+    const reset = () => {
+        setText('');
+        setHighlighted(0);
+    };
+
+    const addTagId = (tagId) => {
+        if (!value.includes(tagId) && !isFull) {
+            onChange([...value, tagId]);
+        }
+        reset();
+    };
+
+    const handleCreate = async () => {
+        if (!canCreate || creating) return;
+
+        try {
+            setCreating(true);
+            const tagId = await onCreateTag(name);
+            addTagId(tagId);
+        } catch (error) {
+            console.error('Error creating tag:', error);
+            alert(`Failed to create tag: ${error}`);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const chooseOption = (option) => {
+        if (!option) return;
+        if (option.create) {
+            handleCreate();
+        } else {
+            addTagId(option.tag.id);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setOpen(true);
+            setHighlighted(prev => Math.min(prev + 1, options.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlighted(prev => Math.max(prev - 1, 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            // An exact name match wins over the highlighted suggestion
+            const exactMatch = findTagByName(tags, name);
+            if (exactMatch) {
+                addTagId(exactMatch.id);
+            } else {
+                chooseOption(options[highlighted]);
+            }
+        } else if (e.key === 'Backspace' && !text && value.length > 0) {
+            onChange(value.slice(0, -1));
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <div className={clsx(
+                "flex flex-wrap items-center gap-1.5 px-3 py-2 border border-gray-300 rounded-lg bg-white focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500",
+                disabled && "opacity-50"
+            )}>
+                <Tag className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                {selectedTags.map(tag => (
+                    <TagChip
+                        key={tag.id}
+                        tag={tag}
+                        onRemove={disabled ? undefined : (tagId) => onChange(value.filter(id => id !== tagId))}
+                    />
+                ))}
+                <input
+                    type="text"
+                    value={text}
+                    onChange={(e) => {
+                        setText(e.target.value);
+                        setHighlighted(0);
+                        setOpen(true);
+                    }}
+                    onFocus={() => setOpen(true)}
+                    // Delay so a click on a suggestion still lands
+                    onBlur={() => setTimeout(() => setOpen(false), 150)}
+                    onKeyDown={handleKeyDown}
+                    maxLength={TAG_NAME_MAX_LENGTH}
+                    disabled={disabled || isFull}
+                    className="flex-1 min-w-[8rem] text-sm bg-transparent focus:outline-none"
+                    placeholder={isFull ? `At most ${MAX_TAGS} tags` : placeholder}
+                />
+                {creating && <Loader2 className="w-4 h-4 animate-spin text-gray-400" />}
+            </div>
+
+            {open && !disabled && options.length > 0 && (
+                <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1 max-h-60 overflow-y-auto">
+                    {options.map((option, index) => (
+                        <li key={option.key}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => chooseOption(option)}
+                                onMouseEnter={() => setHighlighted(index)}
+                                className={clsx(
+                                    "w-full flex items-center px-3 py-1.5 text-left text-sm",
+                                    index === highlighted ? "bg-blue-50" : "hover:bg-gray-50"
+                                )}
+                            >
+                                {option.create ? (
+                                    <span className="flex items-center text-blue-700">
+                                        <Plus className="w-3 h-3 mr-1" />
+                                        Create &quot;{name}&quot;
+                                    </span>
+                                ) : (
+                                    <TagChip tag={option.tag} />
+                                )}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,181 @@
+/**
+ * Task Attachments Component
+ *
+ * Files attached to a task with:
+ * - A live list with image thumbnails and text/log previews
+ * - Uploads by drag-and-drop, paste or file picker, with progress
+ * - The user's storage used against their allowance
+ * - Deletion of attached files
+ */
+
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Paperclip, Plus, AlertTriangle, X } from 'lucide-react';
+import {
+    subscribeToTaskAttachments,
+    addTaskAttachment,
+    deleteTaskAttachment,
+    getAttachmentUsage
+} from '@/lib/firestore';
+import { isLocalTaskId } from '@/lib/outbox';
+import { ATTACHMENT_QUOTA_BYTES, MAX_ATTACHMENT_BYTES, formatFileSize } from '@/lib/attachments';
+import AttachmentDropzone from '@/components/AttachmentDropzone';
+import AttachmentList from '@/components/AttachmentList';
+
+let nextUploadId = 0;
+
+export default function TaskAttachments({ userId, uploaderName, taskId }) {
+    const [attachments, setAttachments] = useState([]);
+    // Files being uploaded or that failed: [{ id, name, progress, error }]
+    const [uploads, setUploads] = useState([]);
+    const [usedBytes, setUsedBytes] = useState(null);
+    const [deletingId, setDeletingId] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const syncing = isLocalTaskId(taskId);
+
+    useEffect(() => {
+        if (!taskId || syncing) return;
+        const unsubscribe = subscribeToTaskAttachments(taskId, setAttachments);
+        return () => unsubscribe();
+    }, [taskId, syncing]);
+
+    // Refreshed whenever the list changes, as uploads elsewhere count too
+    useEffect(() => {
+        if (!userId) return;
+        getAttachmentUsage(userId)
+            .then(setUsedBytes)
+            .catch((error) => console.warn('Could not load attachment usage:', error.message));
+    }, [userId, attachments]);
+
+    const updateUpload = (id, changes) => {
+        setUploads(prev => prev.map(upload => upload.id === id ? { ...upload, ...changes } : upload));
+    };
+
+    const handleFiles = async (files) => {
+        const queued = files.map(file => ({ id: nextUploadId++, name: file.name, progress: 0, error: null, file }));
+        setUploads(prev => [...prev, ...queued.map(({ file, ...upload }) => upload)]);
+
+        // One at a time, so each upload is checked against the allowance left by the previous ones
+        for (const { id, file } of queued) {
+            try {
+                await addTaskAttachment(userId, taskId, file, {
+                    uploaderName,
+                    onProgress: (progress) => updateUpload(id, { progress })
+                });
+                setUploads(prev => prev.filter(upload => upload.id !== id));
+            } catch (error) {
+                updateUpload(id, { error: error.message });
+            }
+        }
+    };
+
+    const handlePickFiles = (e) => {
+        handleFiles(Array.from(e.target.files));
+        e.target.value = '';
+    };
+
+    const handleDelete = async (attachment) => {
+        if (!confirm(`Delete ${attachment.name}?`)) return;
+
+        try {
+            setDeletingId(attachment.id);
+            await deleteTaskAttachment(taskId, attachment.id);
+        } catch (error) {
+            console.error('Error deleting attachment:', error);
+            alert(`Failed to delete ${attachment.name}: ${error.message}`);
+        } finally {
+            setDeletingId(null);
+        }
+    };
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: 0.25 }}
+        >
+            <AttachmentDropzone
+                onFiles={handleFiles}
+                disabled={syncing}
+                className="relative bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20 space-y-3"
+            >
+                <div className="flex items-center justify-between">
+                    <label className="flex items-center text-sm font-semibold text-gray-700">
+                        <Paperclip className="w-4 h-4 mr-2" />
+                        Attachments ({attachments.length})
+                    </label>
+                    {!syncing && (
+                        <button
+                            type="button"
+                            onClick={() => fileInputRef.current?.click()}
+                            className="inline-flex items-center px-2 py-1 text-xs font-medium text-blue-700 hover:bg-blue-50 rounded-md transition-colors"
+                        >
+                            <Plus className="w-3 h-3 mr-1" />
+                            Add files
+                        </button>
+                    )}
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        onChange={handlePickFiles}
+                        className="hidden"
+                    />
+                </div>
+
+                {syncing ? (
+                    <p className="text-xs text-gray-500">Files can be attached once the task has synced.</p>
+                ) : attachments.length === 0 && uploads.length === 0 && (
+                    <p className="text-xs text-gray-500">
+                        Drop screenshots, logs or other files here, or paste them. Up to {formatFileSize(MAX_ATTACHMENT_BYTES)} each.
+                    </p>
+                )}
+
+                {uploads.length > 0 && (
+                    <ul className="space-y-2">
+                        {uploads.map(upload => (
+                            <li key={upload.id} className="text-xs">
+                                <div className="flex items-center gap-2">
+                                    <span className="flex-1 min-w-0 truncate text-gray-700">{upload.name}</span>
+                                    {upload.error ? (
+                                        <button
+                                            type="button"
+                                            onClick={() => setUploads(prev => prev.filter(item => item.id !== upload.id))}
+                                            className="p-0.5 rounded text-gray-400 hover:text-gray-600"
+                                            aria-label="Clear failed upload"
+                                        >
+                                            <X className="w-3 h-3" />
+                                        </button>
+                                    ) : (
+                                        <span className="text-gray-500 tabular-nums">{Math.round(upload.progress * 100)}%</span>
+                                    )}
+                                </div>
+                                {upload.error ? (
+                                    <p className="flex items-start mt-0.5 text-red-600">
+                                        <AlertTriangle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                                        {upload.error}
+                                    </p>
+                                ) : (
+                                    <div className="mt-1 h-1 rounded-full bg-gray-200 overflow-hidden">
+                                        <div className="h-full bg-blue-500 transition-all" style={{ width: `${upload.progress * 100}%` }} />
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                <AttachmentList attachments={attachments} onDelete={handleDelete} deletingId={deletingId} />
+
+                {usedBytes !== null && !syncing && (
+                    <p className="text-xs text-gray-400">
+                        {formatFileSize(usedBytes)} of {formatFileSize(ATTACHMENT_QUOTA_BYTES)} used across your tasks
+                    </p>
+                )}
+            </AttachmentDropzone>
+        </motion.div>
+    );
+}
@@ -0,0 +1,176 @@
+/**
+ * Task Checklist Component
+ *
+ * Ordered checklist of a task with:
+ * - Adding, checking off and removing items
+ * - Moving items up and down
+ * - Promoting an item to a task of its own
+ * - Progress bar and auto-complete option
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ListChecks, Plus, ChevronUp, ChevronDown, X, ArrowUpRight, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import {
+    addChecklistItem,
+    toggleChecklistItem,
+    removeChecklistItem,
+    moveChecklistItem,
+    getChecklistProgress
+} from '@/lib/checklist';
+import { TASK_FIELDS } from '@/lib/taskSchema';
+
+const MAX_ITEMS = TASK_FIELDS.checklist.maxItems;
+const MAX_ITEM_LENGTH = TASK_FIELDS.checklist.maxItemLength;
+
+export default function TaskChecklist({
+    items,
+    autoComplete,
+    onChange,
+    onAutoCompleteChange,
+    onPromote,
+    promotingId = null
+}) {
+    const [newItemText, setNewItemText] = useState('');
+    const { done, total } = getChecklistProgress(items);
+    const canAdd = newItemText.trim() && items.length < MAX_ITEMS;
+
+    const handleAdd = () => {
+        if (!canAdd) return;
+        onChange(addChecklistItem(items, newItemText));
+        setNewItemText('');
+    };
+
+    const iconButtonClassName = "p-1 rounded-md text-gray-400 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-30 disabled:hover:bg-transparent transition-colors";
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: 0.15 }}
+            className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20"
+        >
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-3">
+                <label className="flex items-center text-sm font-semibold text-gray-700">
+                    <ListChecks className="w-4 h-4 mr-2" />
+                    Checklist
+                    {total > 0 && (
+                        <span className="ml-2 font-normal text-gray-500">{done}/{total}</span>
+                    )}
+                </label>
+                <label className="flex items-center space-x-2 text-xs text-gray-600 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={autoComplete}
+                        onChange={(e) => onAutoCompleteChange(e.target.checked)}
+                        className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>Complete the task when every item is done</span>
+                </label>
+            </div>
+
+            {total > 0 && (
+                <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden mb-3">
+                    <div
+                        className="h-full bg-green-500 transition-all duration-300"
+                        style={{ width: `${(done / total) * 100}%` }}
+                    />
+                </div>
+            )}
+
+            <ul className="space-y-1 mb-3">
+                <AnimatePresence initial={false}>
+                    {items.map((item, index) => (
+                        <motion.li
+                            key={item.id}
+                            layout
+                            initial={{ opacity: 0, y: -5 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            exit={{ opacity: 0, x: -20 }}
+                            className="group flex items-center gap-2 rounded-lg px-2 py-1.5 hover:bg-white/60"
+                        >
+                            <input
+                                type="checkbox"
+                                checked={item.done}
+                                onChange={() => onChange(toggleChecklistItem(items, item.id))}
+                                className="w-4 h-4 rounded border-gray-300 text-green-600 focus:ring-green-500 flex-shrink-0"
+                            />
+                            <span className={clsx(
+                                "flex-1 min-w-0 text-sm break-words",
+                                item.done ? "line-through text-gray-400" : "text-gray-800"
+                            )}>
+                                {item.text}
+                            </span>
+                            <div className="flex items-center flex-shrink-0 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity">
+                                <button
+                                    onClick={() => onChange(moveChecklistItem(items, item.id, -1))}
+                                    disabled={index === 0}
+                                    className={iconButtonClassName}
+                                    title="Move up"
+                                >
+                                    <ChevronUp className="w-4 h-4" />
+                                </button>
+                                <button
+                                    onClick={() => onChange(moveChecklistItem(items, item.id, 1))}
+                                    disabled={index === items.length - 1}
+                                    className={iconButtonClassName}
+                                    title="Move down"
+                                >
+                                    <ChevronDown className="w-4 h-4" />
+                                </button>
+                                <button
+                                    onClick={() => onPromote(item)}
+                                    disabled={Boolean(promotingId)}
+                                    className={iconButtonClassName}
+                                    title="Promote to task"
+                                >
+                                    {promotingId === item.id ? (
+                                        <Loader2 className="w-4 h-4 animate-spin" />
+                                    ) : (
+                                        <ArrowUpRight className="w-4 h-4" />
+                                    )}
+                                </button>
+                                <button
+                                    onClick={() => onChange(removeChecklistItem(items, item.id))}
+                                    className={iconButtonClassName}
+                                    title="Remove"
+                                >
+                                    <X className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </motion.li>
+                    ))}
+                </AnimatePresence>
+            </ul>
+
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    value={newItemText}
+                    onChange={(e) => setNewItemText(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+                    maxLength={MAX_ITEM_LENGTH}
+                    disabled={items.length >= MAX_ITEMS}
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                    placeholder={items.length >= MAX_ITEMS ? `At most ${MAX_ITEMS} items` : 'Add an item...'}
+                />
+                <button
+                    onClick={handleAdd}
+                    disabled={!canAdd}
+                    className={clsx(
+                        "flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors flex-shrink-0",
+                        canAdd
+                            ? "bg-blue-600 hover:bg-blue-700 text-white"
+                            : "bg-gray-200 text-gray-400 cursor-not-allowed"
+                    )}
+                >
+                    <Plus className="w-4 h-4 sm:mr-1" />
+                    <span className="hidden sm:inline">Add</span>
+                </button>
+            </div>
+        </motion.div>
+    );
+}
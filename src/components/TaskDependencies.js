@@ -0,0 +1,218 @@
+/**
+ * Task Dependencies Component
+ *
+ * Blocked-by and blocks relations of a task with:
+ * - The tasks blocking this one, loaded by ID
+ * - A live list of the tasks this one blocks
+ * - Task pickers to add either kind of link
+ * - Links that would close a cycle rejected before they are saved
+ *
+ * Both kinds of link are stored in the blockedBy list of the blocked task;
+ * onBlockedByChange(taskId, blockedBy) saves one.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import { motion } from 'framer-motion';
+import { GitBranch, X, ArrowUpRight } from 'lucide-react';
+import { useAppSelector } from '@/store/hooks';
+import { selectWorkflow } from '@/store/slices/settingsSlice';
+import { getStatusLabel, isTerminalStatus } from '@/lib/workflow';
+import { removeBlocker } from '@/lib/dependencies';
+import { getTask, getUserTasks, subscribeToDependentTasks, findDependencyCycle } from '@/lib/firestore';
+import TaskPicker from '@/components/TaskPicker';
+
+// The pickers offer the user's most recent active tasks
+const CANDIDATE_LIMIT = 100;
+
+export default function TaskDependencies({
+    userId,
+    taskId,
+    title,
+    status,
+    blockedBy,
+    onBlockedByChange
+}) {
+    const router = useRouter();
+    const workflow = useAppSelector(selectWorkflow);
+    // Blocking tasks by ID; null for tasks that are gone, missing while loading
+    const [blockers, setBlockers] = useState({});
+    const [dependents, setDependents] = useState([]);
+    const [candidates, setCandidates] = useState([]);
+    const [candidatesLoading, setCandidatesLoading] = useState(true);
+    const [linking, setLinking] = useState(false);
+
+    // Load blocking tasks not seen yet
+    useEffect(() => {
+        const missingIds = blockedBy.filter(id => !(id in blockers));
+        if (missingIds.length === 0) return;
+
+        Promise.all(missingIds.map(id => getTask(id).catch(() => null)))
+            .then((tasks) => {
+                setBlockers(prev => ({
+                    ...prev,
+                    ...Object.fromEntries(missingIds.map((id, index) => [id, tasks[index]]))
+                }));
+            });
+    }, [blockedBy, blockers]);
+
+    useEffect(() => {
+        if (!userId || !taskId) return;
+        const unsubscribe = subscribeToDependentTasks(userId, taskId, setDependents);
+        return () => unsubscribe();
+    }, [userId, taskId]);
+
+    useEffect(() => {
+        if (!userId) return;
+
+        getUserTasks(userId, { pageSize: CANDIDATE_LIMIT })
+            .then(({ tasks }) => setCandidates(tasks))
+            .catch((error) => console.error('Error loading tasks to link:', error))
+            .finally(() => setCandidatesLoading(false));
+    }, [userId]);
+
+    const titleOf = (id) => {
+        if (id === taskId) return title;
+        return [...candidates, ...dependents].find(task => task.id === id)?.title ?? blockers[id]?.title ?? 'a task';
+    };
+
+    // Add blockerId to the blocked-by list of dependentId (read with loadBlockedBy)
+    // unless that closes a cycle
+    const link = async (dependentId, blockerId, loadBlockedBy) => {
+        if (linking) return;
+
+        try {
+            setLinking(true);
+            const nextBlockedBy = [...await loadBlockedBy(), blockerId];
+            const cycle = await findDependencyCycle(dependentId, nextBlockedBy);
+            if (cycle) {
+                const [first, ...rest] = cycle.map(id => `"${titleOf(id)}"`);
+                alert(`This link would create a cycle: ${first} is blocked by ${rest.join(', which is blocked by ')}`);
+                return;
+            }
+            await onBlockedByChange(dependentId, nextBlockedBy);
+        } catch (error) {
+            console.error('Error linking tasks:', error);
+            alert(`Failed to link the tasks: ${error.message || error}`);
+        } finally {
+            setLinking(false);
+        }
+    };
+
+    // Save the blocked-by list of dependentId without blockerId
+    const unlink = async (dependentId, blockerId, currentBlockedBy) => {
+        if (linking) return;
+
+        try {
+            setLinking(true);
+            await onBlockedByChange(dependentId, removeBlocker(currentBlockedBy, blockerId));
+        } catch (error) {
+            console.error('Error unlinking tasks:', error);
+            alert(`Failed to remove the link: ${error.message || error}`);
+        } finally {
+            setLinking(false);
+        }
+    };
+
+    const handleAddBlocker = (blocker) => link(taskId, blocker.id, async () => blockedBy);
+
+    // The picked task's list is read fresh, since candidates are loaded once
+    const handleAddDependent = (dependent) =>
+        link(dependent.id, taskId, async () => (await getTask(dependent.id))?.blockedBy ?? []);
+
+    const blockerCandidates = candidates.filter(task =>
+        task.id !== taskId && !isTerminalStatus(workflow, task.status) && !blockedBy.includes(task.id)
+    );
+    const dependentCandidates = candidates.filter(task =>
+        task.id !== taskId && !isTerminalStatus(workflow, task.status) && !dependents.some(dependent => dependent.id === task.id)
+    );
+
+    const renderRow = (id, task, onRemove) => (
+        <li key={id} className="flex items-center gap-2 py-1.5 px-2 rounded-lg hover:bg-gray-50">
+            {task === undefined ? (
+                <span className="flex-1 text-sm text-gray-400">Loading...</span>
+            ) : task ? (
+                <button
+                    type="button"
+                    onClick={() => router.push(`/view-task/${id}`)}
+                    className="flex-1 min-w-0 flex items-center gap-1 text-left text-sm text-gray-900 hover:text-blue-700"
+                >
+                    <span className="truncate">{task.title}</span>
+                    <ArrowUpRight className="w-3 h-3 flex-shrink-0 text-gray-400" />
+                </button>
+            ) : (
+                <span className="flex-1 text-sm italic text-gray-400">Deleted task</span>
+            )}
+            {task && <span className="flex-shrink-0 text-xs text-gray-500">{getStatusLabel(workflow, task.status)}</span>}
+            <button
+                type="button"
+                onClick={onRemove}
+                disabled={linking}
+                className="p-1 rounded-md text-gray-400 hover:text-red-600 hover:bg-red-50 disabled:opacity-30 transition-colors"
+                aria-label="Remove link"
+            >
+                <X className="w-3 h-3" />
+            </button>
+        </li>
+    );
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: 0.2 }}
+            className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20 space-y-4"
+        >
+            <label className="flex items-center text-sm font-semibold text-gray-700">
+                <GitBranch className="w-4 h-4 mr-2" />
+                Dependencies
+            </label>
+
+            <div>
+                <h3 className="text-xs font-medium text-gray-500 mb-1">Blocked by</h3>
+                {blockedBy.length > 0 && (
+                    <ul className="mb-2">
+                        {blockedBy.map(id => renderRow(
+                            id,
+                            blockers[id],
+                            () => unlink(taskId, id, blockedBy)
+                        ))}
+                    </ul>
+                )}
+                <TaskPicker
+                    tasks={blockerCandidates}
+                    onPick={handleAddBlocker}
+                    loading={candidatesLoading}
+                    disabled={linking}
+                    placeholder="Add a task blocking this one..."
+                />
+            </div>
+
+            <div>
+                <h3 className="text-xs font-medium text-gray-500 mb-1">Blocks</h3>
+                {dependents.length > 0 && (
+                    <ul className="mb-2">
+                        {dependents.map(dependent => renderRow(
+                            dependent.id,
+                            dependent,
+                            () => unlink(dependent.id, taskId, dependent.blockedBy)
+                        ))}
+                    </ul>
+                )}
+                {isTerminalStatus(workflow, status) ? (
+                    <p className="text-xs text-gray-500">Completed tasks do not block other tasks.</p>
+                ) : (
+                    <TaskPicker
+                        tasks={dependentCandidates}
+                        onPick={handleAddDependent}
+                        loading={candidatesLoading}
+                        disabled={linking}
+                        placeholder="Add a task this one blocks..."
+                    />
+                )}
+            </div>
+        </motion.div>
+    );
+}
@@ -0,0 +1,142 @@
+/**
+ * Task History Component
+ *
+ * Timeline of changes made to a task with:
+ * - Field, old and new value, author and time of every change
+ * - One-click revert of a single field change
+ */
+
+'use client';
+
+import { motion } from 'framer-motion';
+import { History, RotateCcw, Loader2, ArrowRight } from 'lucide-react';
+import clsx from 'clsx';
+import { TASK_FIELD_LABELS, isSameTaskValue } from '@/lib/taskSchema';
+import { getChecklistProgress } from '@/lib/checklist';
+import { formatTagNames } from '@/lib/tags';
+import { describeRecurrence } from '@/lib/recurrence';
+import { formatEstimate } from '@/lib/estimates';
+import { describeReminders } from '@/lib/reminders';
+
+const MAX_VALUE_LENGTH = 80;
+
+// Fields set along with another one, never on their own (the completion date
+// follows the status)
+const DERIVED_FIELDS = ['completedAt'];
+
+const formatValue = (field, value, tagsById) => {
+    // No reminder list means the defaults, not nothing
+    if (field === 'reminders') {
+        return describeReminders(value);
+    }
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return 'empty';
+    }
+    if (field === 'completedAt') {
+        return new Date(value).toLocaleString();
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'on' : 'off';
+    }
+    if (field === 'checklist') {
+        const { done, total } = getChecklistProgress(value);
+        return total === 0 ? 'empty' : `${done}/${total} items done`;
+    }
+    if (field === 'recurrence') {
+        return describeRecurrence(value);
+    }
+    if (field === 'estimate') {
+        return formatEstimate(value);
+    }
+    if (field === 'blockedBy') {
+        return `${value.length} task${value.length === 1 ? '' : 's'}`;
+    }
+
+    const text = field === 'tags' ? formatTagNames(value, tagsById) : String(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.substring(0, MAX_VALUE_LENGTH)}...` : text;
+};
+
+export default function TaskHistory({
+    history,
+    task,
+    tagsById = {},
+    onRevert,
+    revertingId = null,
+    className = ''
+}) {
+    return (
+        <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.25 }}
+            className={clsx("bg-white/70 backdrop-blur-sm rounded-xl border border-white/20", className)}
+        >
+            <div className="p-3 sm:p-4 lg:p-6 border-b border-gray-200">
+                <h3 className="text-base sm:text-lg font-semibold text-gray-900 flex items-center">
+                    <History className="w-4 h-4 sm:w-5 sm:h-5 mr-2 flex-shrink-0" />
+                    <span>History ({history.length})</span>
+                </h3>
+            </div>
+
+            <div className="max-h-80 sm:max-h-96 overflow-y-auto overscroll-contain p-3 sm:p-4 lg:p-6">
+                {history.length === 0 ? (
+                    <p className="text-gray-500 text-center py-6 sm:py-8 text-sm">
+                        No changes yet.
+                    </p>
+                ) : (
+                    <ol className="relative border-l-2 border-gray-200 ml-2 space-y-4">
+                        {history.map((entry) => {
+                            // Nothing to revert when the field already holds the old value
+                            const canRevert = !DERIVED_FIELDS.includes(entry.field) &&
+                                !isSameTaskValue(task[entry.field], entry.oldValue);
+                            const isReverting = revertingId === entry.id;
+
+                            return (
+                                <li key={entry.id} className="ml-4">
+                                    <span className="absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full bg-blue-500 border-2 border-white" />
+                                    <div className="flex items-start justify-between gap-2">
+                                        <div className="min-w-0">
+                                            <p className="text-sm text-gray-900">
+                                                <span className="font-medium">{entry.actorName || 'Someone'}</span>
+                                                {' changed '}
+                                                <span className="font-medium">{TASK_FIELD_LABELS[entry.field] || entry.field}</span>
+                                            </p>
+                                            <p className="text-xs text-gray-600 mt-1 flex flex-wrap items-center gap-1 break-words">
+                                                <span className="line-through text-gray-400">{formatValue(entry.field, entry.oldValue, tagsById)}</span>
+                                                <ArrowRight className="w-3 h-3 flex-shrink-0" />
+                                                <span>{formatValue(entry.field, entry.newValue, tagsById)}</span>
+                                            </p>
+                                            <p className="text-xs text-gray-400 mt-1">
+                                                {entry.createdAt ? new Date(entry.createdAt).toLocaleString() : 'Just now'}
+                                            </p>
+                                        </div>
+                                        {canRevert && (
+                                            <button
+                                                onClick={() => onRevert(entry)}
+                                                disabled={Boolean(revertingId)}
+                                                className={clsx(
+                                                    "flex items-center px-2 py-1 rounded-md text-xs font-medium flex-shrink-0 transition-colors",
+                                                    revertingId
+                                                        ? "text-gray-400 cursor-not-allowed"
+                                                        : "text-blue-600 hover:bg-blue-50"
+                                                )}
+                                                title={`Set ${TASK_FIELD_LABELS[entry.field] || entry.field} back to its previous value`}
+                                            >
+                                                {isReverting ? (
+                                                    <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+                                                ) : (
+                                                    <RotateCcw className="w-3 h-3 mr-1" />
+                                                )}
+                                                Revert
+                                            </button>
+                                        )}
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ol>
+                )}
+            </div>
+        </motion.div>
+    );
+}
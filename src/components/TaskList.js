@@ -4,42 +4,99 @@
  * Enhanced task management interface with:
  * - Smooth animations and micro-interactions
  * - Modern card-based design
- * - Interactive status progression
+ * - Interactive status progression along the user's workflow
  * - Floating action button
- *     if (loading) {
-        return <FullScreenLoader message="Loading your tasks..." size="lg" />;
-    }ding states
+ * - Multi-select bulk status, type, due date and delete actions
+ * - Checklist progress on each card
+ * - Priority badges, filter and sort
+ * - Tag chips and multi-tag filter (any/all)
+ * - Recurrence summary on each card
+ * - Blocked badge, with a warning before starting a blocked task
+ * - Start/stop timer with tracked time on each card
+ * - Estimate badges and the remaining estimate of the filtered tasks
+ * - Reminder tray with snooze and dismiss, and a link to settings
+ * - Finished tasks archived after the user's archive delay, and a link to the archive
+ * - Link to the user's task templates
+ * - Due dates and times, overdue in the user's timezone
+ * - Loading states
  */
 
 'use client';
 
 import { useAuth } from '@/contexts/AuthContext';
-import { useEffect, useState, useMemo } from 'react';
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Plus, Eye, LogOut, CheckCircle2, Clock, Circle, User, Filter, ChevronLeft, ChevronRight, Loader2, Lightbulb, MessageSquare, Calendar } from 'lucide-react';
+import { Plus, Eye, LogOut, CheckCircle2, Clock, User, Filter, ChevronLeft, ChevronRight, Loader2, Lightbulb, MessageSquare, Calendar, Trash2, ListChecks, Tag, Repeat, Ban, Timer, Hourglass, Settings, Archive, LayoutTemplate } from 'lucide-react';
 import clsx from 'clsx';
 import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import { TASK_TYPE_OPTIONS, TASK_PRIORITY_OPTIONS, getTypeLabel } from '@/lib/taskSchema';
+import {
+    getStatus,
+    getStatusLabel,
+    getNextStatus,
+    getStatusUpdate,
+    canMoveToStatus,
+    isStartingStatus
+} from '@/lib/workflow';
+import { getChecklistProgress } from '@/lib/checklist';
+import { TAG_FILTER_MODES, MAX_FILTER_TAGS, matchesTagFilter } from '@/lib/tags';
+import { describeRecurrence } from '@/lib/recurrence';
+import { isBlocked } from '@/lib/dependencies';
+import { formatEstimate, formatEstimateTotals, sumRemainingEstimates } from '@/lib/estimates';
+import { describeDue, getDeadlineStatus, resolveTimeZone } from '@/lib/deadlines';
 import {
-    fetchTasks,
     editTask,
+    deleteTask,
+    bulkEditTasks,
+    bulkDeleteTasks,
+    subscribeToTasks,
+    fetchRemainingEstimate,
+    autoArchiveTasks,
+    setTaskQuery,
+    goToNextTaskPage,
+    goToPreviousTaskPage,
     selectTasks,
+    selectTaskQuery,
+    selectTaskPagination,
     selectTasksLoading,
+    selectTasksLastUpdated,
+    selectRemainingEstimate,
     updateTaskLocal
 } from '@/store/slices/tasksSlice';
+import { selectQueuedTasks } from '@/store/slices/outboxSlice';
+import { selectTags, selectTagsById, selectTagsLoaded } from '@/store/slices/tagsSlice';
+import {
+    selectWorkflow,
+    selectOpenStatuses,
+    selectTerminalStatuses,
+    selectArchiveAfterDays,
+    selectTimeZone,
+    selectSettingsLoaded
+} from '@/store/slices/settingsSlice';
 import { FullScreenLoader } from '@/components/Loader';
 import SuggestionModal from '@/components/SuggestionModal';
-import { getTaskCommentCounts } from '@/lib/firestore';
+import SyncStatusBanner, { SyncStatusBadge } from '@/components/SyncStatus';
+import BulkActionBar from '@/components/BulkActionBar';
+import PriorityBadge from '@/components/PriorityBadge';
+import StatusBadge from '@/components/StatusBadge';
+import TagChip from '@/components/TagChip';
+import TaskTimer from '@/components/TaskTimer';
+import ReminderTray from '@/components/ReminderTray';
+import { getUserTaskIds, getTask } from '@/lib/firestore';
+import { isLocalTaskId } from '@/lib/outbox';
 
 export default function TaskList() {
-    const { user, logout } = useAuth();
+    const { user, logout, getIdToken } = useAuth();
     const router = useRouter();
     const dispatch = useAppDispatch();
     const [updatingTasks, setUpdatingTasks] = useState(new Set());
     const [suggestionLoading, setSuggestionLoading] = useState(new Set());
     const [viewLoading, setViewLoading] = useState(new Set());
-    const [commentCounts, setCommentCounts] = useState({});
-    const [loadingCommentCounts, setLoadingCommentCounts] = useState(false);
+    const [deletingTasks, setDeletingTasks] = useState(new Set());
+    const [selectedTaskIds, setSelectedTaskIds] = useState(new Set());
+    const [selectingAll, setSelectingAll] = useState(false);
+    const [bulkUpdating, setBulkUpdating] = useState(false);
     const [suggestionModal, setSuggestionModal] = useState({
         isOpen: false,
         suggestion: '',
@@ -49,179 +106,288 @@ export default function TaskList() {
         limitMessage: ''
     });
 
-    // Filter and pagination state
-    const [filters, setFilters] = useState({
-        status: 'all',
-        type: 'all'
-    });
-    const [pagination, setPagination] = useState({
-        currentPage: 1,
-        itemsPerPage: 20
-    });
-
+    // Filters and cursor pagination are applied server-side by the live task feed
     const tasks = useAppSelector(selectTasks);
+    const filters = useAppSelector(selectTaskQuery);
+    const pagination = useAppSelector(selectTaskPagination);
     const loading = useAppSelector(selectTasksLoading);
+    const lastUpdated = useAppSelector(selectTasksLastUpdated);
+    const remainingEstimate = useAppSelector(selectRemainingEstimate);
+    const queuedTasks = useAppSelector(selectQueuedTasks);
+    const allTags = useAppSelector(selectTags);
+    const tagsById = useAppSelector(selectTagsById);
+    const tagsLoaded = useAppSelector(selectTagsLoaded);
+    const workflow = useAppSelector(selectWorkflow);
+    const openStatuses = useAppSelector(selectOpenStatuses);
+    const terminalStatuses = useAppSelector(selectTerminalStatuses);
+    const archiveAfterDays = useAppSelector(selectArchiveAfterDays);
+    const timeZone = useAppSelector(selectTimeZone);
+    const settingsLoaded = useAppSelector(selectSettingsLoaded);
+    const hasActiveFilters = filters.status !== 'all' || filters.type !== 'all' ||
+        filters.priority !== 'all' || filters.tags.length > 0;
+
+    // Tasks created offline are newest, so they lead the first page until they sync
+    const matchingQueuedTasks = queuedTasks.filter(task =>
+        (filters.status === 'all' || task.status === filters.status) &&
+        (filters.type === 'all' || task.type === filters.type) &&
+        (filters.priority === 'all' || task.priority === filters.priority) &&
+        matchesTagFilter(task.tags, filters.tags, filters.tagMode)
+    );
+    const displayedTasks = pagination.page === 1
+        ? [...matchingQueuedTasks.slice().reverse(), ...tasks]
+        : tasks;
+
+    const allOnPageSelected = displayedTasks.length > 0 &&
+        displayedTasks.every(task => selectedTaskIds.has(task.id));
+    const filteredTaskCount = pagination.totalCount === null
+        ? null
+        : pagination.totalCount + matchingQueuedTasks.length;
+    const queuedEstimate = sumRemainingEstimates(matchingQueuedTasks, openStatuses);
+    const filteredRemainingEstimate = remainingEstimate && {
+        hours: remainingEstimate.hours + queuedEstimate.hours,
+        points: remainingEstimate.points + queuedEstimate.points
+    };
 
     // Filter and pagination options
     const statusOptions = [
         { value: 'all', label: 'All Status' },
-        { value: 'pending', label: 'Pending' },
-        { value: 'in-progress', label: 'In Progress' },
-        { value: 'completed', label: 'Completed' }
+        ...workflow.map(status => ({ value: status.id, label: status.label }))
     ];
-
-    const typeOptions = [
-        { value: 'all', label: 'All Types' },
-        { value: 'task', label: 'Task' },
-        { value: 'bug', label: 'Bug' },
-        { value: 'feature', label: 'Feature' },
-        { value: 'improvement', label: 'Improvement' }
+    const typeOptions = [{ value: 'all', label: 'All Types' }, ...TASK_TYPE_OPTIONS];
+    const priorityOptions = [{ value: 'all', label: 'All Priorities' }, ...TASK_PRIORITY_OPTIONS];
+    const sortOptions = [
+        { value: 'newest', label: 'Newest first' },
+        { value: 'priority', label: 'Priority' }
     ];
 
     const itemsPerPageOptions = [5, 10, 20, 50, 100];
+    const tagModeLabels = { or: 'Any tag', and: 'All tags' };
 
-    // Filtered and paginated tasks
-    const { filteredTasks, totalPages, displayedTasks } = useMemo(() => {
-        let filtered = tasks;
-
-        // Apply status filter
-        if (filters.status !== 'all') {
-            filtered = filtered.filter(task => task.status === filters.status);
+    // (Re)subscribe whenever the filters or the page cursor change
+    useEffect(() => {
+        if (user) {
+            dispatch(subscribeToTasks(user.uid));
         }
+    }, [user, filters, pagination.page, dispatch]);
 
-        // Apply type filter
-        if (filters.type !== 'all') {
-            filtered = filtered.filter(task => task.type === filters.type);
+    // Drop tags deleted or merged away since they were picked as filters
+    useEffect(() => {
+        if (!tagsLoaded) return;
+        const knownTags = filters.tags.filter(tagId => tagsById[tagId]);
+        if (knownTags.length !== filters.tags.length) {
+            dispatch(setTaskQuery({ tags: knownTags }));
         }
+    }, [tagsLoaded, tagsById, filters.tags, dispatch]);
 
-        const totalPages = Math.ceil(filtered.length / pagination.itemsPerPage);
-        const startIndex = (pagination.currentPage - 1) * pagination.itemsPerPage;
-        const endIndex = startIndex + pagination.itemsPerPage;
-        const displayedTasks = filtered.slice(startIndex, endIndex);
-
-        return { filteredTasks: filtered, totalPages, displayedTasks };
-    }, [tasks, filters, pagination]);
-
-    // Reset to first page when filters change
+    // Drop a status filter for a status since removed from the workflow
     useEffect(() => {
-        setPagination(prev => ({ ...prev, currentPage: 1 }));
-    }, [filters]);
+        if (settingsLoaded && filters.status !== 'all' && !workflow.some(status => status.id === filters.status)) {
+            dispatch(setTaskQuery({ status: 'all' }));
+        }
+    }, [settingsLoaded, workflow, filters.status, dispatch]);
 
+    // The remaining estimate counts the open statuses, which arrive with the settings
     useEffect(() => {
         if (user) {
-            dispatch(fetchTasks(user.uid));
+            dispatch(fetchRemainingEstimate(user.uid));
         }
-    }, [user, dispatch]);
+    }, [user, openStatuses, dispatch]);
 
-    // Fetch comment counts when tasks are loaded
+    // Archive finished tasks past the archive delay once the settings are known,
+    // and again when the delay or the finishing statuses change
     useEffect(() => {
-        const fetchCommentCounts = async () => {
-            if (tasks.length > 0) {
-                setLoadingCommentCounts(true);
-                try {
-                    const taskIds = tasks.map(task => task.id);
-                    const counts = await getTaskCommentCounts(taskIds);
-                    setCommentCounts(counts);
-                } catch (error) {
-                    console.error('Error fetching comment counts:', error);
-                } finally {
-                    setLoadingCommentCounts(false);
-                }
-            }
-        };
-
-        fetchCommentCounts();
-    }, [tasks]);
+        if (user && settingsLoaded) {
+            dispatch(autoArchiveTasks(user.uid)).unwrap().catch((error) => {
+                console.warn('Skipping auto-archive:', error);
+            });
+        }
+    }, [user, settingsLoaded, archiveAfterDays, terminalStatuses, dispatch]);
 
     // Handler functions
+    // A selection only makes sense within the filters it was made under
     const handleFilterChange = (filterType, value) => {
-        setFilters(prev => ({ ...prev, [filterType]: value }));
+        setSelectedTaskIds(new Set());
+        dispatch(setTaskQuery({ [filterType]: value }));
+    };
+
+    const handleToggleTagFilter = (tagId) => {
+        const tags = filters.tags.includes(tagId)
+            ? filters.tags.filter(id => id !== tagId)
+            : [...filters.tags, tagId];
+        if (tags.length > MAX_FILTER_TAGS) {
+            alert(`You can filter by at most ${MAX_FILTER_TAGS} tags at once.`);
+            return;
+        }
+        handleFilterChange('tags', tags);
+    };
+
+    const handleNextPage = () => {
+        dispatch(goToNextTaskPage());
     };
 
-    const handlePageChange = (page) => {
-        setPagination(prev => ({ ...prev, currentPage: page }));
+    const handlePreviousPage = () => {
+        dispatch(goToPreviousTaskPage());
     };
 
     const handleItemsPerPageChange = (itemsPerPage) => {
-        setPagination(prev => ({
-            ...prev,
-            itemsPerPage: parseInt(itemsPerPage),
-            currentPage: 1
-        }));
+        setSelectedTaskIds(new Set());
+        dispatch(setTaskQuery({ pageSize: parseInt(itemsPerPage) }));
     };
 
-    // Helper function to get status display info
-    const getStatusInfo = (status) => {
-        switch (status) {
-            case 'pending':
-                return {
-                    label: 'Pending',
-                    icon: Circle,
-                    color: 'gray',
-                    bgClass: 'bg-gray-100 hover:bg-gray-200',
-                    textClass: 'text-gray-700',
-                    borderClass: 'border-gray-300'
-                };
-            case 'in-progress':
-                return {
-                    label: 'In Progress',
-                    icon: Clock,
-                    color: 'blue',
-                    bgClass: 'bg-blue-100 hover:bg-blue-200',
-                    textClass: 'text-blue-700',
-                    borderClass: 'border-blue-300'
-                };
-            case 'completed':
-                return {
-                    label: 'Completed',
-                    icon: CheckCircle2,
-                    color: 'green',
-                    bgClass: 'bg-green-100 hover:bg-green-200',
-                    textClass: 'text-green-700',
-                    borderClass: 'border-green-300'
-                };
-            default:
-                return {
-                    label: 'Pending',
-                    icon: Circle,
-                    color: 'gray',
-                    bgClass: 'bg-gray-100 hover:bg-gray-200',
-                    textClass: 'text-gray-700',
-                    borderClass: 'border-gray-300'
-                };
+    // Selection handlers
+    const toggleTaskSelection = (taskId) => {
+        setSelectedTaskIds(prev => {
+            const newSet = new Set(prev);
+            if (newSet.has(taskId)) {
+                newSet.delete(taskId);
+            } else {
+                newSet.add(taskId);
+            }
+            return newSet;
+        });
+    };
+
+    const handleToggleSelectPage = () => {
+        setSelectedTaskIds(prev => {
+            const newSet = new Set(prev);
+            displayedTasks.forEach(task => {
+                if (allOnPageSelected) {
+                    newSet.delete(task.id);
+                } else {
+                    newSet.add(task.id);
+                }
+            });
+            return newSet;
+        });
+    };
+
+    // Every task matching the filters, including those on other pages
+    const handleSelectAllFiltered = async () => {
+        if (selectingAll) return;
+
+        try {
+            setSelectingAll(true);
+            const taskIds = await getUserTaskIds(user.uid, {
+                status: filters.status,
+                type: filters.type,
+                priority: filters.priority,
+                tags: filters.tags,
+                tagMode: filters.tagMode
+            });
+            setSelectedTaskIds(new Set([...matchingQueuedTasks.map(task => task.id), ...taskIds]));
+        } catch (error) {
+            console.error('Error selecting tasks:', error);
+            alert('Failed to select all tasks. Please try again.');
+        } finally {
+            setSelectingAll(false);
         }
     };
 
-    const getNextStatus = (currentStatus) => {
-        switch (currentStatus) {
-            case 'pending':
-                return 'in-progress';
-            case 'in-progress':
-                return 'completed';
-            case 'completed':
-                return 'pending';
-            default:
-                return 'pending';
+    // Run bulk thunks over the selection, one after another; the store rolls each
+    // back on failure
+    const runBulkAction = async (actions, failureMessage) => {
+        if (bulkUpdating || selectedTaskIds.size === 0) return;
+
+        try {
+            setBulkUpdating(true);
+            for (const action of [actions].flat()) {
+                await dispatch(action).unwrap();
+            }
+            setSelectedTaskIds(new Set());
+        } catch (error) {
+            console.error('Bulk action error:', error);
+            alert(`${failureMessage}: ${error}`);
+        } finally {
+            setBulkUpdating(false);
         }
     };
 
-    const handleToggleStatus = async (taskId, currentStatus) => {
-        if (updatingTasks.has(taskId)) return;
+    // Selected tasks, read from storage when they are not loaded here (tasks
+    // deleted since they were selected are left out)
+    const loadSelectedTasks = async () => {
+        const loaded = new Map([...matchingQueuedTasks, ...tasks].map(task => [task.id, task]));
+        const selected = await Promise.all([...selectedTaskIds].map(taskId =>
+            loaded.get(taskId) ?? (isLocalTaskId(taskId) ? null : getTask(taskId))));
+        return selected.filter(task => task && !task.deletedAt);
+    };
+
+    const handleBulkStatusChange = async (status) => {
+        if (bulkUpdating || selectedTaskIds.size === 0) return;
+        const label = getStatusLabel(workflow, status);
+
+        let selectedTasks;
+        try {
+            setBulkUpdating(true);
+            selectedTasks = await loadSelectedTasks();
+        } catch (error) {
+            console.error('Error loading selected tasks:', error);
+            alert(`Failed to update tasks: ${error.message}`);
+            return;
+        } finally {
+            setBulkUpdating(false);
+        }
 
-        // Prevent changing status if task is completed
-        if (currentStatus === 'completed') {
+        const stuckCount = selectedTasks.filter(task => !canMoveToStatus(workflow, task.status, status)).length;
+        if (stuckCount > 0 &&
+            !confirm(`${stuckCount} of the selected tasks cannot move to ${label} from their status and will be left as they are. Continue?`)) {
             return;
         }
+        const movingTasks = selectedTasks.filter(task => canMoveToStatus(workflow, task.status, status));
+        if (movingTasks.length === 0) return;
 
-        try {
-            const newStatus = getNextStatus(currentStatus);
-            const updates = { status: newStatus };
+        const blockedCount = movingTasks.filter(task => isBlocked(task, workflow)).length;
+        if (isStartingStatus(workflow, status) && blockedCount > 0 &&
+            !confirm(`${blockedCount} of the selected tasks are blocked by unfinished tasks. Move them to ${label} anyway?`)) {
+            return;
+        }
 
-            // Add completion date when marking as completed
-            if (newStatus === 'completed') {
-                updates.completedAt = new Date().toISOString();
-            }
+        // Tasks finishing now are stamped and reopened ones cleared; tasks already
+        // finished keep their completion date. One bulk edit per kind of change.
+        const now = new Date();
+        const edits = new Map();
+        movingTasks.forEach((task) => {
+            const taskData = getStatusUpdate(workflow, task.status, status, now);
+            const key = 'completedAt' in taskData ? String(taskData.completedAt) : 'unchanged';
+            const edit = edits.get(key) ?? { taskIds: [], taskData };
+            edit.taskIds.push(task.id);
+            edits.set(key, edit);
+        });
+        runBulkAction([...edits.values()].map(edit => bulkEditTasks(edit)), 'Failed to update tasks');
+    };
+
+    const handleBulkTypeChange = (type) => {
+        runBulkAction(bulkEditTasks({ taskIds: [...selectedTaskIds], taskData: { type } }), 'Failed to update tasks');
+    };
+
+    // An empty date clears the due date, and the due time with it
+    const handleBulkDueDateChange = (dueDate) => {
+        const taskData = dueDate ? { dueDate } : { dueDate, dueTime: '' };
+        runBulkAction(bulkEditTasks({ taskIds: [...selectedTaskIds], taskData }), 'Failed to update tasks');
+    };
+
+    const handleBulkDelete = () => {
+        if (!confirm(`Move ${selectedTaskIds.size} task(s) to the trash?`)) return;
+        runBulkAction(bulkDeleteTasks([...selectedTaskIds]), 'Failed to delete tasks');
+    };
+
+    const handleToggleStatus = async (task) => {
+        const { id: taskId, status: currentStatus } = task;
+        if (updatingTasks.has(taskId)) return;
+
+        // Finished tasks are only reopened from the task page
+        const newStatus = getNextStatus(workflow, currentStatus);
+        if (!newStatus) return;
+
+        if (isStartingStatus(workflow, newStatus) && isBlocked(task, workflow) &&
+            !confirm(`This task is blocked by unfinished tasks. Move it to ${getStatusLabel(workflow, newStatus)} anyway?`)) {
+            return;
+        }
 
+        // Finishing the task stamps its completion date (and the backend creates
+        // the next occurrence of a recurring task)
+        const updates = getStatusUpdate(workflow, currentStatus, newStatus);
+
+        try {
             setUpdatingTasks(prev => new Set(prev).add(taskId));
 
             // Optimistic update
@@ -240,7 +406,10 @@ export default function TaskList() {
             // Revert optimistic update on error
             dispatch(updateTaskLocal({
                 taskId,
-                updates: { status: currentStatus }
+                updates: {
+                    status: currentStatus,
+                    ...('completedAt' in updates && { completedAt: task.completedAt ?? null })
+                }
             }));
         } finally {
             setUpdatingTasks(prev => {
@@ -251,6 +420,24 @@ export default function TaskList() {
         }
     };
 
+    const handleDeleteTask = async (taskId) => {
+        if (deletingTasks.has(taskId)) return;
+
+        try {
+            setDeletingTasks(prev => new Set(prev).add(taskId));
+            await dispatch(deleteTask(taskId)).unwrap();
+        } catch (error) {
+            console.error('Error moving task to trash:', error);
+            alert('Failed to delete task. Please try again.');
+        } finally {
+            setDeletingTasks(prev => {
+                const newSet = new Set(prev);
+                newSet.delete(taskId);
+                return newSet;
+            });
+        }
+    };
+
     const handleLogout = async () => {
         try {
             await logout();
@@ -267,17 +454,25 @@ export default function TaskList() {
         try {
             setSuggestionLoading(prev => new Set(prev).add(taskId));
 
+            // The route counts the suggestion against the user the ID token belongs to
+            const idToken = await getIdToken();
             const response = await fetch('/api/suggestions', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...(idToken && { Authorization: `Bearer ${idToken}` })
                 },
                 body: JSON.stringify({
                     userId: user.uid,
                     taskName: task.title,
                     taskType: task.type,
                     taskDescription: task.description,
-                    taskStatus: task.status
+                    taskStatus: task.status,
+                    taskPriority: task.priority,
+                    dueDate: task.dueDate,
+                    dueTime: task.dueTime,
+                    timeZone: resolveTimeZone(timeZone),
+                    completedAt: task.completedAt
                 }),
             });
 
@@ -327,6 +522,34 @@ export default function TaskList() {
         router.push('/add-task');
     };
 
+    const navigateToTrash = () => {
+        router.push('/trash');
+    };
+
+    const navigateToArchive = () => {
+        router.push('/archive');
+    };
+
+    const navigateToTemplates = () => {
+        router.push('/templates');
+    };
+
+    const navigateToTags = () => {
+        router.push('/tags');
+    };
+
+    const navigateToTimeReport = () => {
+        router.push('/time');
+    };
+
+    const navigateToEstimateReport = () => {
+        router.push('/estimates');
+    };
+
+    const navigateToSettings = () => {
+        router.push('/settings');
+    };
+
     const navigateToViewTask = (taskId) => {
         // Add loading state for this specific task
         setViewLoading(prev => new Set(prev).add(taskId));
@@ -335,7 +558,8 @@ export default function TaskList() {
         router.push(`/view-task/${taskId}`);
     };
 
-    if (loading) {
+    // Only block the whole screen until the first page arrives
+    if (loading && !lastUpdated) {
         return <FullScreenLoader message="Loading your tasks..." size="lg" />;
     }
 
@@ -365,16 +589,73 @@ export default function TaskList() {
                                 </div>
                             </div>
                         </div>
-                        <motion.button
-                            onClick={handleLogout}
-                            whileHover={{ scale: 1.05 }}
-                            whileTap={{ scale: 0.95 }}
-                            className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm sm:text-base"
-                        >
-                            <LogOut className="w-4 h-4" />
-                            <span className="hidden sm:inline">Sign Out</span>
-                            <span className="sm:hidden">Logout</span>
-                        </motion.button>
+                        <div className="flex items-center gap-2">
+                            <ReminderTray />
+                            <motion.button
+                                onClick={navigateToTimeReport}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm sm:text-base"
+                            >
+                                <Timer className="w-4 h-4" />
+                                <span>Time</span>
+                            </motion.button>
+                            <motion.button
+                                onClick={navigateToTags}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm sm:text-base"
+                            >
+                                <Tag className="w-4 h-4" />
+                                <span>Tags</span>
+                            </motion.button>
+                            <motion.button
+                                onClick={navigateToTrash}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm sm:text-base"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                                <span>Trash</span>
+                            </motion.button>
+                            <motion.button
+                                onClick={navigateToArchive}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm sm:text-base"
+                            >
+                                <Archive className="w-4 h-4" />
+                                <span>Archive</span>
+                            </motion.button>
+                            <motion.button
+                                onClick={navigateToTemplates}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm sm:text-base"
+                            >
+                                <LayoutTemplate className="w-4 h-4" />
+                                <span>Templates</span>
+                            </motion.button>
+                            <motion.button
+                                onClick={navigateToSettings}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center px-3 py-2 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200"
+                                aria-label="Settings"
+                            >
+                                <Settings className="w-4 h-4" />
+                            </motion.button>
+                            <motion.button
+                                onClick={handleLogout}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                                className="flex items-center space-x-2 px-3 py-2 sm:px-4 text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded-lg transition-all duration-200 text-sm sm:text-base"
+                            >
+                                <LogOut className="w-4 h-4" />
+                                <span className="hidden sm:inline">Sign Out</span>
+                                <span className="sm:hidden">Logout</span>
+                            </motion.button>
+                        </div>
                     </div>
                 </div>
             </motion.div>
@@ -391,7 +672,7 @@ export default function TaskList() {
                                 <span className="text-sm font-medium text-gray-700">Filters:</span>
                             </div>
 
-                            <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-3">
+                            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-3">
                                 {/* Status Filter */}
                                 <div className="flex flex-col">
                                     <label className="text-xs font-medium text-gray-500 mb-1">Status</label>
@@ -424,11 +705,43 @@ export default function TaskList() {
                                     </select>
                                 </div>
 
+                                {/* Priority Filter */}
+                                <div className="flex flex-col">
+                                    <label className="text-xs font-medium text-gray-500 mb-1">Priority</label>
+                                    <select
+                                        value={filters.priority}
+                                        onChange={(e) => handleFilterChange('priority', e.target.value)}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white"
+                                    >
+                                        {priorityOptions.map(option => (
+                                            <option key={option.value} value={option.value}>
+                                                {option.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                {/* Sort Control */}
+                                <div className="flex flex-col">
+                                    <label className="text-xs font-medium text-gray-500 mb-1">Sort by</label>
+                                    <select
+                                        value={filters.sort}
+                                        onChange={(e) => handleFilterChange('sort', e.target.value)}
+                                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white"
+                                    >
+                                        {sortOptions.map(option => (
+                                            <option key={option.value} value={option.value}>
+                                                {option.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+
                                 {/* Per Page Control */}
                                 <div className="flex flex-col">
                                     <label className="text-xs font-medium text-gray-500 mb-1">Per page</label>
                                     <select
-                                        value={pagination.itemsPerPage}
+                                        value={filters.pageSize}
                                         onChange={(e) => handleItemsPerPageChange(e.target.value)}
                                         className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm bg-white"
                                     >
@@ -440,18 +753,88 @@ export default function TaskList() {
 
                                 {/* Results Info */}
                                 <div className="flex flex-col justify-end">
-                                    <div className="text-sm text-gray-600 py-2">
-                                        <span className="font-medium">{displayedTasks.length}</span> of <span className="font-medium">{filteredTasks.length}</span> tasks
+                                    <div className="flex items-center text-sm text-gray-600 py-2">
+                                        <span className="font-medium">{tasks.length}</span>&nbsp;of&nbsp;<span className="font-medium">{pagination.totalCount ?? '...'}</span>&nbsp;tasks
+                                        {loading && <Loader2 className="w-3 h-3 ml-2 animate-spin text-gray-400" />}
                                     </div>
+                                    <button
+                                        onClick={navigateToEstimateReport}
+                                        className="flex items-center text-sm text-gray-600 pb-2 hover:text-blue-700 transition-colors"
+                                        title="Estimates of the tasks matching the filters that are not completed; open the estimate report"
+                                    >
+                                        <Hourglass className="w-3 h-3 mr-1 text-gray-400" />
+                                        Remaining:&nbsp;<span className="font-medium">{filteredRemainingEstimate ? formatEstimateTotals(filteredRemainingEstimate) : '...'}</span>
+                                    </button>
                                 </div>
                             </div>
+
+                            {/* Tag Filter */}
+                            {allTags.length > 0 && (
+                                <div className="flex flex-wrap items-center gap-2">
+                                    <span className="text-xs font-medium text-gray-500">Tags</span>
+                                    {allTags.map(tag => (
+                                        <TagChip
+                                            key={tag.id}
+                                            tag={tag}
+                                            selected={filters.tags.includes(tag.id)}
+                                            onClick={handleToggleTagFilter}
+                                        />
+                                    ))}
+                                    {filters.tags.length > 1 && (
+                                        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden text-xs">
+                                            {TAG_FILTER_MODES.map(mode => (
+                                                <button
+                                                    key={mode}
+                                                    onClick={() => handleFilterChange('tagMode', mode)}
+                                                    className={clsx(
+                                                        "px-2 py-1 transition-colors",
+                                                        filters.tagMode === mode
+                                                            ? "bg-blue-600 text-white"
+                                                            : "bg-white text-gray-600 hover:bg-gray-50"
+                                                    )}
+                                                >
+                                                    {tagModeLabels[mode]}
+                                                </button>
+                                            ))}
+                                        </div>
+                                    )}
+                                    {filters.tags.length > 0 && (
+                                        <button
+                                            onClick={() => handleFilterChange('tags', [])}
+                                            className="text-xs text-gray-500 hover:text-gray-700"
+                                        >
+                                            Clear tags
+                                        </button>
+                                    )}
+                                </div>
+                            )}
                         </div>
                     </div>
                 </div>
 
+                <SyncStatusBanner />
+
+                {displayedTasks.length > 0 && (
+                    <BulkActionBar
+                        selectedCount={selectedTaskIds.size}
+                        totalCount={filteredTaskCount}
+                        allOnPageSelected={allOnPageSelected}
+                        selectingAll={selectingAll}
+                        busy={bulkUpdating}
+                        onToggleSelectPage={handleToggleSelectPage}
+                        onSelectAllFiltered={handleSelectAllFiltered}
+                        onClearSelection={() => setSelectedTaskIds(new Set())}
+                        statuses={workflow}
+                        onChangeStatus={handleBulkStatusChange}
+                        onChangeType={handleBulkTypeChange}
+                        onSetDueDate={handleBulkDueDateChange}
+                        onDelete={handleBulkDelete}
+                    />
+                )}
+
                 {/* Tasks List */}
                 <AnimatePresence>
-                    {filteredTasks.length === 0 ? (
+                    {displayedTasks.length === 0 ? (
                         <motion.div
                             initial={{ opacity: 0, y: 20 }}
                             animate={{ opacity: 1, y: 0 }}
@@ -461,14 +844,23 @@ export default function TaskList() {
                                 <CheckCircle2 className="w-12 h-12 text-gray-400" />
                             </div>
                             <h3 className="text-xl font-semibold text-gray-900 mb-2">
-                                {tasks.length === 0 ? 'No tasks yet!' : 'No tasks match your filters'}
+                                {hasActiveFilters ? 'No tasks match your filters' : 'No tasks yet!'}
                             </h3>
                             <p className="text-gray-500 mb-8">
-                                {tasks.length === 0
-                                    ? 'Create your first task to get organized.'
-                                    : 'Try adjusting your filters to see more tasks.'
+                                {hasActiveFilters
+                                    ? 'Try adjusting your filters to see more tasks.'
+                                    : 'Create your first task to get organized.'
                                 }
                             </p>
+                            {pagination.page > 1 && (
+                                <button
+                                    onClick={handlePreviousPage}
+                                    className="inline-flex items-center px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-50 text-sm text-gray-700 transition-colors"
+                                >
+                                    <ChevronLeft className="w-4 h-4 mr-1" />
+                                    Previous page
+                                </button>
+                            )}
                         </motion.div>
                     ) : (
                         <>
@@ -479,11 +871,13 @@ export default function TaskList() {
                                 className="grid gap-4"
                             >
                                 {displayedTasks.map((task, index) => {
-                                    const statusInfo = getStatusInfo(task.status);
-                                    const StatusIcon = statusInfo.icon;
+                                    const status = getStatus(workflow, task.status);
+                                    const nextStatus = getNextStatus(workflow, task.status);
                                     const isUpdating = updatingTasks.has(task.id);
-                                    const isCompleted = task.status === 'completed';
-                                    const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && !isCompleted;
+                                    const isSelected = selectedTaskIds.has(task.id);
+                                    const checklistProgress = getChecklistProgress(task.checklist);
+                                    const isCompleted = status.terminal;
+                                    const { isOverdue } = getDeadlineStatus(task, timeZone, { done: isCompleted });
 
                                     return (
                                         <motion.div
@@ -496,40 +890,59 @@ export default function TaskList() {
                                                 "backdrop-blur-sm rounded-xl shadow-lg border p-4 sm:p-6 transition-all duration-300 hover:shadow-xl",
                                                 isCompleted && "bg-gray-50/70 border-gray-200/50",
                                                 isOverdue && "bg-red-50/70 border-red-200/50",
-                                                !isCompleted && !isOverdue && "bg-white/70 border-white/20"
+                                                !isCompleted && !isOverdue && "bg-white/70 border-white/20",
+                                                isSelected && "ring-2 ring-blue-400"
                                             )}
                                         >
                                             <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 sm:gap-4">
                                                 <div className="flex-1 min-w-0">
                                                     <div className="flex flex-wrap items-center gap-2 mb-3">
-                                                        <motion.button
-                                                            onClick={() => handleToggleStatus(task.id, task.status)}
-                                                            disabled={isUpdating || isCompleted}
-                                                            whileHover={!isCompleted ? { scale: 1.05 } : {}}
-                                                            whileTap={!isCompleted ? { scale: 0.95 } : {}}
-                                                            className={clsx(
-                                                                "flex items-center space-x-2 px-2 py-1 sm:px-3 sm:py-2 rounded-lg font-medium text-xs sm:text-sm transition-all duration-200",
-                                                                statusInfo.bgClass,
-                                                                statusInfo.textClass,
-                                                                !isCompleted && "hover:shadow-md",
-                                                                (isUpdating || isCompleted) && "cursor-not-allowed",
-                                                                isUpdating && "opacity-50"
-                                                            )}
-                                                        >
-                                                            {isUpdating ? (
-                                                                <Loader2 className="w-3 h-3 sm:w-4 sm:h-4 animate-spin" />
-                                                            ) : (
-                                                                <StatusIcon className="w-3 h-3 sm:w-4 sm:h-4" />
-                                                            )}
-                                                            <span className="truncate">{statusInfo.label}</span>
-                                                        </motion.button>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={isSelected}
+                                                            onChange={() => toggleTaskSelection(task.id)}
+                                                            className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+                                                            aria-label={`Select ${task.title}`}
+                                                        />
+                                                        <StatusBadge
+                                                            workflow={workflow}
+                                                            status={status}
+                                                            onClick={() => handleToggleStatus(task)}
+                                                            disabled={!nextStatus}
+                                                            loading={isUpdating}
+                                                            title={nextStatus ? `Move to ${getStatusLabel(workflow, nextStatus)}` : undefined}
+                                                        />
+
+                                                        <PriorityBadge priority={task.priority} />
+
+                                                        {isBlocked(task, workflow) && (
+                                                            <span
+                                                                className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md bg-rose-100 text-rose-800"
+                                                                title={`Blocked by ${task.blockedBy.length} unfinished task(s)`}
+                                                            >
+                                                                <Ban className="w-3 h-3 mr-1" />
+                                                                Blocked
+                                                            </span>
+                                                        )}
 
                                                         {/* Task Type Badge */}
                                                         {task.type && (
                                                             <span className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md bg-blue-100 text-blue-800">
-                                                                {task.type.charAt(0).toUpperCase() + task.type.slice(1)}
+                                                                {getTypeLabel(task.type)}
                                                             </span>
                                                         )}
+
+                                                        {task.estimate && (
+                                                            <span
+                                                                className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md bg-gray-100 text-gray-700"
+                                                                title="Estimate"
+                                                            >
+                                                                <Hourglass className="w-3 h-3 mr-1" />
+                                                                {formatEstimate(task.estimate)}
+                                                            </span>
+                                                        )}
+
+                                                        <SyncStatusBadge taskId={task.id} />
                                                     </div>
 
                                                     <h3 className={clsx(
@@ -551,19 +964,47 @@ export default function TaskList() {
                                                         </p>
                                                     )}
 
+                                                    {task.tags?.some(tagId => tagsById[tagId]) && (
+                                                        <div className="flex flex-wrap gap-1.5 mb-3">
+                                                            {task.tags.filter(tagId => tagsById[tagId]).map(tagId => (
+                                                                <TagChip key={tagId} tag={tagsById[tagId]} />
+                                                            ))}
+                                                        </div>
+                                                    )}
+
                                                     {/* Comment count and dates */}
                                                     <div className="mt-4 flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-2 sm:space-y-0">
                                                         <div className="flex items-center space-x-2 sm:space-x-4">
                                                             <div className="flex items-center space-x-1">
                                                                 <MessageSquare className="w-4 h-4 text-gray-400" />
-                                                                <span className="text-sm text-gray-500">
-                                                                    {loadingCommentCounts ? (
-                                                                        <Loader2 className="w-3 h-3 animate-spin" />
-                                                                    ) : (
-                                                                        `${commentCounts[task.id] || 0} comments`
-                                                                    )}
+                                                                <span
+                                                                    className="text-sm text-gray-500"
+                                                                    title={task.lastCommentAt ? `Last comment ${new Date(task.lastCommentAt).toLocaleString()}` : undefined}
+                                                                >
+                                                                    {`${task.commentCount || 0} comments`}
                                                                 </span>
                                                             </div>
+                                                            {checklistProgress.total > 0 && (
+                                                                <div
+                                                                    className="flex items-center space-x-1"
+                                                                    title={`${checklistProgress.done} of ${checklistProgress.total} checklist items done`}
+                                                                >
+                                                                    <ListChecks className={clsx(
+                                                                        "w-4 h-4",
+                                                                        checklistProgress.done === checklistProgress.total ? "text-green-500" : "text-gray-400"
+                                                                    )} />
+                                                                    <span className="text-sm text-gray-500">
+                                                                        {checklistProgress.done}/{checklistProgress.total}
+                                                                    </span>
+                                                                    <div className="w-12 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                                                                        <div
+                                                                            className="h-full bg-green-500"
+                                                                            style={{ width: `${(checklistProgress.done / checklistProgress.total) * 100}%` }}
+                                                                        />
+                                                                    </div>
+                                                                </div>
+                                                            )}
+                                                            <TaskTimer taskId={task.id} timeSpentMs={task.timeSpentMs} />
                                                         </div>
 
                                                         <div className="flex flex-wrap items-center gap-2 sm:gap-3 text-xs text-gray-500">
@@ -592,22 +1033,24 @@ export default function TaskList() {
                                                             ) : task.dueDate ? (
                                                                 <div className={clsx(
                                                                     "flex items-center space-x-1",
-                                                                    new Date(task.dueDate) < new Date() && !isCompleted
-                                                                        ? "text-red-600"
-                                                                        : "text-gray-500"
+                                                                    isOverdue ? "text-red-600" : "text-gray-500"
                                                                 )}>
                                                                     <Clock className="w-3 h-3" />
                                                                     <span className="whitespace-nowrap">
-                                                                        Due: {new Date(task.dueDate).toLocaleDateString('en-US', {
-                                                                            month: 'short',
-                                                                            day: 'numeric'
-                                                                        })}
-                                                                        {new Date(task.dueDate) < new Date() && !isCompleted && (
+                                                                        Due: {describeDue(task)}
+                                                                        {isOverdue && (
                                                                             <span className="text-red-600 font-medium ml-1">(Overdue)</span>
                                                                         )}
                                                                     </span>
                                                                 </div>
                                                             ) : null}
+
+                                                            {task.recurrence && (
+                                                                <div className="flex items-center space-x-1 text-indigo-600" title="Recurring task">
+                                                                    <Repeat className="w-3 h-3" />
+                                                                    <span className="whitespace-nowrap">{describeRecurrence(task.recurrence)}</span>
+                                                                </div>
+                                                            )}
                                                         </div>
                                                     </div>
                                                 </div>
@@ -662,6 +1105,27 @@ export default function TaskList() {
                                                             </>
                                                         )}
                                                     </motion.button>
+
+                                                    {/* Delete Button - Moves the task to the trash */}
+                                                    <motion.button
+                                                        onClick={() => handleDeleteTask(task.id)}
+                                                        disabled={deletingTasks.has(task.id)}
+                                                        whileHover={{ scale: 1.05 }}
+                                                        whileTap={{ scale: 0.95 }}
+                                                        className={clsx(
+                                                            "flex items-center justify-center px-2 py-2 sm:px-3 rounded-lg transition-all duration-200 text-xs sm:text-sm font-medium min-w-0",
+                                                            deletingTasks.has(task.id)
+                                                                ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                                                                : "bg-red-50 hover:bg-red-100 text-red-600"
+                                                        )}
+                                                        title="Move to trash"
+                                                    >
+                                                        {deletingTasks.has(task.id) ? (
+                                                            <Loader2 className="w-3 h-3 sm:w-4 sm:h-4 animate-spin" />
+                                                        ) : (
+                                                            <Trash2 className="w-3 h-3 sm:w-4 sm:h-4" />
+                                                        )}
+                                                    </motion.button>
                                                 </div>
                                             </div>
                                         </motion.div>
@@ -670,118 +1134,37 @@ export default function TaskList() {
                             </motion.div>
 
                             {/* Pagination */}
-                            {totalPages > 1 && (
+                            {(pagination.page > 1 || pagination.hasMore) && (
                                 <motion.div
                                     initial={{ opacity: 0, y: 20 }}
                                     animate={{ opacity: 1, y: 0 }}
                                     transition={{ delay: 0.3 }}
-                                    className="flex flex-col sm:flex-row items-center justify-between mt-6 sm:mt-8 bg-white/70 backdrop-blur-sm rounded-xl p-3 sm:p-4 border border-white/20 space-y-3 sm:space-y-0"
+                                    className="flex items-center justify-between mt-6 sm:mt-8 bg-white/70 backdrop-blur-sm rounded-xl p-3 sm:p-4 border border-white/20"
                                 >
-                                    <div className="flex items-center space-x-2 order-2 sm:order-1">
-                                        <span className="text-xs sm:text-sm text-gray-600">
-                                            Page {pagination.currentPage} of {totalPages}
-                                        </span>
-                                    </div>
-
-                                    <div className="flex items-center space-x-1 order-1 sm:order-2">
-                                        {/* Previous Button */}
-                                        <button
-                                            onClick={() => handlePageChange(pagination.currentPage - 1)}
-                                            disabled={pagination.currentPage === 1}
-                                            className="p-1.5 sm:p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                                        >
-                                            <ChevronLeft className="w-3 h-3 sm:w-4 sm:h-4" />
-                                        </button>
-
-                                        {/* Page Numbers - Show fewer on mobile */}
-                                        <div className="hidden sm:flex items-center space-x-1">
-                                            {Array.from({ length: Math.min(totalPages, 5) }, (_, i) => {
-                                                let pageNum;
-                                                if (totalPages <= 5) {
-                                                    pageNum = i + 1;
-                                                } else if (pagination.currentPage <= 3) {
-                                                    pageNum = i + 1;
-                                                } else if (pagination.currentPage >= totalPages - 2) {
-                                                    pageNum = totalPages - 4 + i;
-                                                } else {
-                                                    pageNum = pagination.currentPage - 2 + i;
-                                                }
-
-                                                return (
-                                                    <button
-                                                        key={pageNum}
-                                                        onClick={() => handlePageChange(pageNum)}
-                                                        className={clsx(
-                                                            "w-10 h-10 rounded-lg font-medium text-sm transition-colors",
-                                                            pagination.currentPage === pageNum
-                                                                ? "bg-blue-600 text-white"
-                                                                : "border border-gray-300 hover:bg-gray-50"
-                                                        )}
-                                                    >
-                                                        {pageNum}
-                                                    </button>
-                                                );
-                                            })}
-                                        </div>
-
-                                        {/* Mobile version - show fewer pages */}
-                                        <div className="flex sm:hidden items-center space-x-1">
-                                            {Array.from({ length: Math.min(totalPages, 3) }, (_, i) => {
-                                                let pageNum;
-                                                if (totalPages <= 3) {
-                                                    pageNum = i + 1;
-                                                } else if (pagination.currentPage <= 2) {
-                                                    pageNum = i + 1;
-                                                } else if (pagination.currentPage >= totalPages - 1) {
-                                                    pageNum = totalPages - 2 + i;
-                                                } else {
-                                                    pageNum = pagination.currentPage - 1 + i;
-                                                }
-
-                                                return (
-                                                    <button
-                                                        key={`mobile-${pageNum}`}
-                                                        onClick={() => handlePageChange(pageNum)}
-                                                        className={clsx(
-                                                            "w-8 h-8 rounded-lg font-medium text-xs transition-colors",
-                                                            pagination.currentPage === pageNum
-                                                                ? "bg-blue-600 text-white"
-                                                                : "border border-gray-300 hover:bg-gray-50"
-                                                        )}
-                                                    >
-                                                        {pageNum}
-                                                    </button>
-                                                );
-                                            })}
-                                        </div>
+                                    {/* Previous Button */}
+                                    <button
+                                        onClick={handlePreviousPage}
+                                        disabled={pagination.page === 1 || loading}
+                                        className="flex items-center px-3 py-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-xs sm:text-sm"
+                                    >
+                                        <ChevronLeft className="w-3 h-3 sm:w-4 sm:h-4 sm:mr-1" />
+                                        <span className="hidden sm:inline">Previous</span>
+                                    </button>
 
-                                        {/* Next Button */}
-                                        <button
-                                            onClick={() => handlePageChange(pagination.currentPage + 1)}
-                                            disabled={pagination.currentPage === totalPages}
-                                            className="p-1.5 sm:p-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                                        >
-                                            <ChevronRight className="w-3 h-3 sm:w-4 sm:h-4" />
-                                        </button>
-                                    </div>
+                                    <span className="text-xs sm:text-sm text-gray-600">
+                                        Page {pagination.page}
+                                        {pagination.totalCount !== null && ` of ${Math.max(1, Math.ceil(pagination.totalCount / filters.pageSize))}`}
+                                    </span>
 
-                                    <div className="flex items-center space-x-1 sm:space-x-2 order-3">
-                                        <span className="text-xs sm:text-sm text-gray-600 hidden sm:inline flex-shrink-0">Jump to:</span>
-                                        <input
-                                            type="number"
-                                            min="1"
-                                            max={totalPages}
-                                            value={pagination.currentPage}
-                                            onChange={(e) => {
-                                                const page = parseInt(e.target.value);
-                                                if (page >= 1 && page <= totalPages) {
-                                                    handlePageChange(page);
-                                                }
-                                            }}
-                                            className="w-10 sm:w-16 px-1 sm:px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-xs sm:text-sm text-center flex-shrink-0"
-                                            placeholder="Page"
-                                        />
-                                    </div>
+                                    {/* Next Button */}
+                                    <button
+                                        onClick={handleNextPage}
+                                        disabled={!pagination.hasMore || loading}
+                                        className="flex items-center px-3 py-2 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors text-xs sm:text-sm"
+                                    >
+                                        <span className="hidden sm:inline">Next</span>
+                                        <ChevronRight className="w-3 h-3 sm:w-4 sm:h-4 sm:ml-1" />
+                                    </button>
                                 </motion.div>
                             )}
                         </>
@@ -0,0 +1,115 @@
+/**
+ * Task Picker Component
+ *
+ * Search box for choosing one of the user's tasks with:
+ * - Title search over the given tasks as the user types
+ * - Status of each match
+ * - Keyboard navigation (arrows, Enter, Escape)
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Search, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppSelector } from '@/store/hooks';
+import { selectWorkflow } from '@/store/slices/settingsSlice';
+import { getStatusLabel } from '@/lib/workflow';
+
+const MAX_MATCHES = 8;
+
+export default function TaskPicker({
+    tasks,
+    onPick,
+    loading = false,
+    disabled = false,
+    placeholder = 'Search tasks...'
+}) {
+    const workflow = useAppSelector(selectWorkflow);
+    const [text, setText] = useState('');
+    const [open, setOpen] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+
+    const search = text.trim().toLowerCase();
+    const matches = tasks
+        .filter(task => task.title.toLowerCase().includes(search))
+        .slice(0, MAX_MATCHES);
+
+    const pick = (task) => {
+        if (!task) return;
+        onPick(task);
+        setText('');
+        setHighlighted(0);
+        setOpen(false);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setOpen(true);
+            setHighlighted(prev => Math.min(prev + 1, matches.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlighted(prev => Math.max(prev - 1, 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            pick(matches[highlighted]);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <div className={clsx(
+                "flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg bg-white focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500",
+                disabled && "opacity-50"
+            )}>
+                <Search className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                <input
+                    type="text"
+                    value={text}
+                    onChange={(e) => {
+                        setText(e.target.value);
+                        setHighlighted(0);
+                        setOpen(true);
+                    }}
+                    onFocus={() => setOpen(true)}
+                    // Delay so a click on a match still lands
+                    onBlur={() => setTimeout(() => setOpen(false), 150)}
+                    onKeyDown={handleKeyDown}
+                    disabled={disabled}
+                    className="flex-1 min-w-0 text-sm bg-transparent focus:outline-none"
+                    placeholder={placeholder}
+                />
+                {loading && <Loader2 className="w-4 h-4 animate-spin text-gray-400" />}
+            </div>
+
+            {open && !disabled && (
+                <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1 max-h-60 overflow-y-auto">
+                    {matches.length === 0 ? (
+                        <li className="px-3 py-1.5 text-sm text-gray-500">
+                            {loading ? 'Loading tasks...' : 'No matching tasks'}
+                        </li>
+                    ) : matches.map((task, index) => (
+                        <li key={task.id}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => pick(task)}
+                                onMouseEnter={() => setHighlighted(index)}
+                                className={clsx(
+                                    "w-full flex items-center justify-between gap-2 px-3 py-1.5 text-left text-sm",
+                                    index === highlighted ? "bg-blue-50" : "hover:bg-gray-50"
+                                )}
+                            >
+                                <span className="truncate text-gray-900">{task.title}</span>
+                                <span className="flex-shrink-0 text-xs text-gray-500">{getStatusLabel(workflow, task.status)}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,84 @@
+/**
+ * Task Timer Component
+ *
+ * Start/stop button for timing a task with:
+ * - The task's tracked time, counting up while its timer runs
+ * - One running timer per user: starting this one stops any other
+ * - Disabled for tasks that have not synced yet
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { Play, Square, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import { useAuth } from '@/contexts/AuthContext';
+import { useAppDispatch, useAppSelector } from '@/store/hooks';
+import {
+    startTimer,
+    stopTimer,
+    selectRunningTimer,
+    selectTimerSwitching
+} from '@/store/slices/timeTrackingSlice';
+import { isLocalTaskId } from '@/lib/outbox';
+import { getEntryDuration, formatDuration, formatTimerClock } from '@/lib/timeTracking';
+
+export default function TaskTimer({ taskId, timeSpentMs = 0, className = '' }) {
+    const { user } = useAuth();
+    const dispatch = useAppDispatch();
+    const running = useAppSelector(selectRunningTimer);
+    const switching = useAppSelector(selectTimerSwitching);
+    const isRunning = running?.taskId === taskId;
+    const [now, setNow] = useState(() => Date.now());
+
+    // Tick once a second while this task's timer runs
+    useEffect(() => {
+        if (!isRunning) return;
+
+        setNow(Date.now());
+        const intervalId = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(intervalId);
+    }, [isRunning]);
+
+    const handleClick = async (e) => {
+        e.stopPropagation();
+        if (!user || switching) return;
+
+        try {
+            if (isRunning) {
+                await dispatch(stopTimer(user.uid)).unwrap();
+            } else {
+                await dispatch(startTimer({ userId: user.uid, taskId })).unwrap();
+            }
+        } catch (error) {
+            console.error('Error switching timer:', error);
+            alert(`Failed to ${isRunning ? 'stop' : 'start'} the timer: ${error}`);
+        }
+    };
+
+    const disabled = switching || isLocalTaskId(taskId);
+    const Icon = switching ? Loader2 : isRunning ? Square : Play;
+
+    return (
+        <button
+            type="button"
+            onClick={handleClick}
+            disabled={disabled}
+            className={clsx(
+                "inline-flex items-center space-x-1 px-2 py-1 text-xs font-medium rounded-md transition-colors disabled:opacity-50",
+                isRunning
+                    ? "bg-emerald-100 text-emerald-800 hover:bg-emerald-200"
+                    : "bg-gray-100 text-gray-700 hover:bg-gray-200",
+                className
+            )}
+            title={isLocalTaskId(taskId) ? 'Available once the task has synced' : isRunning ? 'Stop timer' : 'Start timer'}
+        >
+            <Icon className={clsx("w-3 h-3", switching && "animate-spin", isRunning && !switching && "fill-current")} />
+            <span className="tabular-nums whitespace-nowrap">
+                {isRunning
+                    ? formatTimerClock(timeSpentMs + getEntryDuration(running, now))
+                    : formatDuration(timeSpentMs)}
+            </span>
+        </button>
+    );
+}
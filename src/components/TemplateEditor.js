@@ -0,0 +1,227 @@
+/**
+ * Template Editor Component
+ *
+ * Form for a task template with:
+ * - Name, title pattern, description and task type
+ * - Checklist items, one per line
+ * - Due date as a number of days after the task is created
+ * - The placeholders titles, descriptions and checklist items may use
+ * - Validation before anything is saved
+ *
+ * onSave(templateData) is called with valid template data; the parent stores it.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import { TASK_TYPE_OPTIONS } from '@/lib/taskSchema';
+import {
+    TEMPLATE_NAME_MAX_LENGTH,
+    MAX_DUE_OFFSET_DAYS,
+    TEMPLATE_PLACEHOLDERS,
+    validateTemplate
+} from '@/lib/templates';
+
+const inputClassName = (hasError) => clsx(
+    "w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 bg-white text-sm",
+    hasError ? "border-red-400" : "border-gray-300"
+);
+
+// Form fields of a stored template (or of a new one when template is null)
+const toFormState = (template) => ({
+    name: template?.name ?? '',
+    titlePattern: template?.titlePattern ?? '',
+    description: template?.description ?? '',
+    type: template?.type ?? 'task',
+    checklist: (template?.checklist ?? []).join('\n'),
+    dueOffsetDays: template?.dueOffsetDays === null || template?.dueOffsetDays === undefined
+        ? ''
+        : String(template.dueOffsetDays)
+});
+
+// Template data from the form fields
+const toTemplateData = (form) => ({
+    name: form.name,
+    titlePattern: form.titlePattern,
+    description: form.description,
+    type: form.type,
+    checklist: form.checklist.split('\n').map(item => item.trim()).filter(Boolean),
+    dueOffsetDays: form.dueOffsetDays.trim() === '' ? null : Number(form.dueOffsetDays)
+});
+
+export default function TemplateEditor({ template = null, onSave, onCancel, saving = false }) {
+    const [form, setForm] = useState(() => toFormState(template));
+    const [fieldErrors, setFieldErrors] = useState({});
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+        setFieldErrors(prev => ({ ...prev, [name]: null }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const templateData = toTemplateData(form);
+        const { valid, errors } = validateTemplate(templateData);
+        if (!valid) {
+            setFieldErrors(errors);
+            return;
+        }
+        await onSave(templateData);
+    };
+
+    const fieldError = (field) => fieldErrors[field] && (
+        <p className="mt-1 text-xs text-red-600">{fieldErrors[field]}</p>
+    );
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                    <label htmlFor="template-name" className="block text-sm font-medium text-gray-700 mb-1">
+                        Template Name *
+                    </label>
+                    <input
+                        type="text"
+                        id="template-name"
+                        name="name"
+                        value={form.name}
+                        onChange={handleChange}
+                        disabled={saving}
+                        maxLength={TEMPLATE_NAME_MAX_LENGTH}
+                        placeholder="e.g. Weekly report"
+                        className={inputClassName(fieldErrors.name)}
+                    />
+                    {fieldError('name')}
+                </div>
+                <div>
+                    <label htmlFor="template-type" className="block text-sm font-medium text-gray-700 mb-1">
+                        Task Type
+                    </label>
+                    <select
+                        id="template-type"
+                        name="type"
+                        value={form.type}
+                        onChange={handleChange}
+                        disabled={saving}
+                        className={inputClassName(fieldErrors.type)}
+                    >
+                        {TASK_TYPE_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                                {option.label}
+                            </option>
+                        ))}
+                    </select>
+                    {fieldError('type')}
+                </div>
+            </div>
+
+            <div>
+                <label htmlFor="template-title" className="block text-sm font-medium text-gray-700 mb-1">
+                    Task Title *
+                </label>
+                <input
+                    type="text"
+                    id="template-title"
+                    name="titlePattern"
+                    value={form.titlePattern}
+                    onChange={handleChange}
+                    disabled={saving}
+                    placeholder="e.g. Weekly report {week}"
+                    className={inputClassName(fieldErrors.titlePattern)}
+                />
+                {fieldError('titlePattern')}
+            </div>
+
+            <div>
+                <label htmlFor="template-description" className="block text-sm font-medium text-gray-700 mb-1">
+                    Description
+                </label>
+                <textarea
+                    id="template-description"
+                    name="description"
+                    value={form.description}
+                    onChange={handleChange}
+                    disabled={saving}
+                    rows={3}
+                    className={clsx(inputClassName(fieldErrors.description), "resize-none")}
+                />
+                {fieldError('description')}
+            </div>
+
+            <div>
+                <label htmlFor="template-checklist" className="block text-sm font-medium text-gray-700 mb-1">
+                    Checklist (one item per line)
+                </label>
+                <textarea
+                    id="template-checklist"
+                    name="checklist"
+                    value={form.checklist}
+                    onChange={handleChange}
+                    disabled={saving}
+                    rows={4}
+                    className={clsx(inputClassName(fieldErrors.checklist), "resize-y")}
+                />
+                {fieldError('checklist')}
+            </div>
+
+            <div>
+                <label htmlFor="template-due" className="block text-sm font-medium text-gray-700 mb-1">
+                    Due Date
+                </label>
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                        type="number"
+                        id="template-due"
+                        name="dueOffsetDays"
+                        value={form.dueOffsetDays}
+                        onChange={handleChange}
+                        disabled={saving}
+                        min={0}
+                        max={MAX_DUE_OFFSET_DAYS}
+                        step={1}
+                        placeholder="None"
+                        className={clsx(inputClassName(fieldErrors.dueOffsetDays), "w-24")}
+                    />
+                    <span>days after the task is created (leave empty for no due date)</span>
+                </div>
+                {fieldError('dueOffsetDays')}
+            </div>
+
+            <div className="rounded-lg bg-blue-50/60 border border-blue-100 p-3">
+                <p className="text-xs font-medium text-gray-700 mb-1">
+                    Placeholders in the title, description and checklist are filled in when a task is created:
+                </p>
+                <ul className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-0.5">
+                    {TEMPLATE_PLACEHOLDERS.map(({ token, description }) => (
+                        <li key={token} className="text-xs text-gray-600">
+                            <code className="text-blue-700">{token}</code> {description}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+
+            <div className="flex items-center justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    disabled={saving}
+                    className="px-3 py-1.5 rounded-lg text-sm text-gray-600 hover:bg-gray-100 disabled:opacity-50 transition-colors"
+                >
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="flex items-center px-4 py-1.5 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg text-sm font-medium shadow-md hover:shadow-lg disabled:opacity-50 transition-shadow"
+                >
+                    {saving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                    Save template
+                </button>
+            </div>
+        </form>
+    );
+}
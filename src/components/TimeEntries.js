@@ -0,0 +1,262 @@
+/**
+ * Time Entries Component
+ *
+ * Time logged against a task with:
+ * - A live list of the task's entries, newest first
+ * - Manual entries with start, end and an optional note
+ * - Inline editing and deletion of finished entries
+ * - The task's total, including a running timer
+ *
+ * The running entry is shown but can only be stopped, from the timer.
+ */
+
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Timer, Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+import clsx from 'clsx';
+import { useAppDispatch } from '@/store/hooks';
+import { addTimeEntry, editTimeEntry, deleteTimeEntry } from '@/store/slices/timeTrackingSlice';
+import { subscribeToTaskTimeEntries } from '@/lib/firestore';
+import { isLocalTaskId } from '@/lib/outbox';
+import {
+    TIME_ENTRY_NOTE_MAX_LENGTH,
+    validateTimeEntry,
+    getEntryDuration,
+    formatDuration,
+    toDateTimeInputValue,
+    fromDateTimeInputValue
+} from '@/lib/timeTracking';
+
+const EMPTY_FORM = { startedAt: '', endedAt: '', note: '' };
+
+const toFormValues = (entry) => ({
+    startedAt: toDateTimeInputValue(entry.startedAt),
+    endedAt: toDateTimeInputValue(entry.endedAt),
+    note: entry.note || ''
+});
+
+const fromFormValues = (form) => ({
+    startedAt: fromDateTimeInputValue(form.startedAt),
+    endedAt: fromDateTimeInputValue(form.endedAt),
+    note: form.note.trim()
+});
+
+export default function TimeEntries({ userId, taskId }) {
+    const dispatch = useAppDispatch();
+    const [entries, setEntries] = useState([]);
+    // 'new', an entry ID, or null when no form is open
+    const [editingId, setEditingId] = useState(null);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [formErrors, setFormErrors] = useState({});
+    const [saving, setSaving] = useState(false);
+    const [now, setNow] = useState(() => Date.now());
+
+    const syncing = isLocalTaskId(taskId);
+    const hasRunningEntry = entries.some(entry => !entry.endedAt);
+
+    useEffect(() => {
+        if (!userId || !taskId || syncing) return;
+        const unsubscribe = subscribeToTaskTimeEntries(userId, taskId, setEntries);
+        return () => unsubscribe();
+    }, [userId, taskId, syncing]);
+
+    // Keep the total current while a timer runs
+    useEffect(() => {
+        if (!hasRunningEntry) return;
+        const intervalId = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(intervalId);
+    }, [hasRunningEntry]);
+
+    const totalMs = entries.reduce((sum, entry) => sum + getEntryDuration(entry, now), 0);
+
+    const openForm = (id, values) => {
+        setEditingId(id);
+        setForm(values);
+        setFormErrors({});
+    };
+
+    const closeForm = () => {
+        setEditingId(null);
+        setForm(EMPTY_FORM);
+        setFormErrors({});
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        if (saving) return;
+
+        const entryData = fromFormValues(form);
+        const { valid, errors } = validateTimeEntry(entryData);
+        if (!valid) {
+            setFormErrors(errors);
+            return;
+        }
+
+        try {
+            setSaving(true);
+            if (editingId === 'new') {
+                await dispatch(addTimeEntry({ userId, taskId, entryData })).unwrap();
+            } else {
+                await dispatch(editTimeEntry({ entryId: editingId, entryData })).unwrap();
+            }
+            closeForm();
+        } catch (error) {
+            console.error('Error saving time entry:', error);
+            alert(`Failed to save the time entry: ${error}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (entry) => {
+        if (!confirm(`Delete this ${formatDuration(getEntryDuration(entry))} entry?`)) return;
+
+        try {
+            await dispatch(deleteTimeEntry(entry.id)).unwrap();
+            if (editingId === entry.id) closeForm();
+        } catch (error) {
+            console.error('Error deleting time entry:', error);
+            alert(`Failed to delete the time entry: ${error}`);
+        }
+    };
+
+    const inputClassName = (field) => clsx(
+        "w-full px-2 py-1 border rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-xs",
+        formErrors[field] ? "border-red-400" : "border-gray-300"
+    );
+
+    const renderForm = () => (
+        <form onSubmit={handleSave} className="space-y-2 p-3 rounded-lg bg-gray-50 border border-gray-200">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Start</label>
+                    <input
+                        type="datetime-local"
+                        value={form.startedAt}
+                        onChange={(e) => setForm(prev => ({ ...prev, startedAt: e.target.value }))}
+                        className={inputClassName('startedAt')}
+                    />
+                    {formErrors.startedAt && <p className="mt-1 text-xs text-red-600">{formErrors.startedAt}</p>}
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">End</label>
+                    <input
+                        type="datetime-local"
+                        value={form.endedAt}
+                        onChange={(e) => setForm(prev => ({ ...prev, endedAt: e.target.value }))}
+                        className={inputClassName('endedAt')}
+                    />
+                    {formErrors.endedAt && <p className="mt-1 text-xs text-red-600">{formErrors.endedAt}</p>}
+                </div>
+            </div>
+            <input
+                type="text"
+                value={form.note}
+                onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+                maxLength={TIME_ENTRY_NOTE_MAX_LENGTH}
+                className={inputClassName('note')}
+                placeholder="Note (optional)"
+            />
+            {formErrors.note && <p className="text-xs text-red-600">{formErrors.note}</p>}
+            <div className="flex justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={closeForm}
+                    className="inline-flex items-center px-2 py-1 text-xs text-gray-600 hover:bg-gray-200 rounded-md transition-colors"
+                >
+                    <X className="w-3 h-3 mr-1" />
+                    Cancel
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="inline-flex items-center px-2 py-1 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md disabled:opacity-50 transition-colors"
+                >
+                    <Check className="w-3 h-3 mr-1" />
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+        </form>
+    );
+
+    return (
+        <motion.div
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: 0.25 }}
+            className="bg-white/70 backdrop-blur-sm rounded-xl p-4 sm:p-6 border border-white/20 space-y-3"
+        >
+            <div className="flex items-center justify-between">
+                <label className="flex items-center text-sm font-semibold text-gray-700">
+                    <Timer className="w-4 h-4 mr-2" />
+                    Time Tracked
+                    <span className="ml-2 font-normal text-gray-500 tabular-nums">{formatDuration(totalMs)}</span>
+                </label>
+                {!syncing && editingId !== 'new' && (
+                    <button
+                        type="button"
+                        onClick={() => openForm('new', EMPTY_FORM)}
+                        className="inline-flex items-center px-2 py-1 text-xs font-medium text-blue-700 hover:bg-blue-50 rounded-md transition-colors"
+                    >
+                        <Plus className="w-3 h-3 mr-1" />
+                        Log time
+                    </button>
+                )}
+            </div>
+
+            {syncing && (
+                <p className="text-xs text-gray-500">Time can be tracked once the task has synced.</p>
+            )}
+
+            {editingId === 'new' && renderForm()}
+
+            {entries.length > 0 && (
+                <ul className="divide-y divide-gray-100">
+                    {entries.map(entry => editingId === entry.id ? (
+                        <li key={entry.id} className="py-2">{renderForm()}</li>
+                    ) : (
+                        <li key={entry.id} className="flex items-center gap-2 py-2">
+                            <div className="flex-1 min-w-0">
+                                <div className="text-sm text-gray-900">
+                                    {new Date(entry.startedAt).toLocaleString()}
+                                    {entry.endedAt && (
+                                        <span className="text-gray-500"> – {new Date(entry.endedAt).toLocaleTimeString()}</span>
+                                    )}
+                                </div>
+                                {entry.note && <p className="text-xs text-gray-500 truncate">{entry.note}</p>}
+                            </div>
+                            <span className={clsx(
+                                "flex-shrink-0 text-xs font-medium tabular-nums",
+                                entry.endedAt ? "text-gray-700" : "text-emerald-700"
+                            )}>
+                                {entry.endedAt ? formatDuration(getEntryDuration(entry)) : 'Running'}
+                            </span>
+                            {entry.endedAt && (
+                                <>
+                                    <button
+                                        type="button"
+                                        onClick={() => openForm(entry.id, toFormValues(entry))}
+                                        className="p-1 rounded-md text-gray-400 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        aria-label="Edit entry"
+                                    >
+                                        <Pencil className="w-3 h-3" />
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => handleDelete(entry)}
+                                        className="p-1 rounded-md text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+                                        aria-label="Delete entry"
+                                    >
+                                        <Trash2 className="w-3 h-3" />
+                                    </button>
+                                </>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </motion.div>
+    );
+}
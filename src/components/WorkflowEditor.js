@@ -0,0 +1,230 @@
+/**
+ * Workflow Editor Component
+ *
+ * Edits the statuses of the user's workflow with:
+ * - Adding, renaming, recoloring, reordering and removing statuses
+ * - A flag for statuses that finish tasks
+ * - The statuses each one may move to
+ * - Validation before anything is saved, and a reset to the saved workflow
+ *
+ * Changes are kept as a draft until saved; onSave(workflow) stores them.
+ */
+
+'use client';
+
+import { useState } from 'react';
+import { ChevronUp, ChevronDown, Trash2, Plus, Loader2 } from 'lucide-react';
+import clsx from 'clsx';
+import {
+    MAX_WORKFLOW_STATUSES,
+    STATUS_COLORS,
+    STATUS_LABEL_MAX_LENGTH,
+    createStatusId,
+    getWorkflowError
+} from '@/lib/workflow';
+import StatusBadge from '@/components/StatusBadge';
+import { TagColorPicker } from '@/components/TagChip';
+
+export default function WorkflowEditor({ value, onSave, saving = false }) {
+    // Unsaved edits; null shows the saved workflow
+    const [draft, setDraft] = useState(null);
+    const [newLabel, setNewLabel] = useState('');
+
+    const workflow = draft ?? value;
+    const error = draft ? getWorkflowError(draft) : null;
+
+    const updateStatus = (statusId, changes) => {
+        setDraft(workflow.map(status => (status.id === statusId ? { ...status, ...changes } : status)));
+    };
+
+    const toggleTransition = (status, targetId) => {
+        updateStatus(status.id, {
+            transitions: status.transitions.includes(targetId)
+                ? status.transitions.filter(id => id !== targetId)
+                : [...status.transitions, targetId]
+        });
+    };
+
+    const moveStatus = (index, offset) => {
+        const next = [...workflow];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        setDraft(next);
+    };
+
+    const removeStatus = (status) => {
+        if (!confirm(`Remove ${status.label}? Tasks already in it keep it until they are moved to another status.`)) return;
+        setDraft(workflow
+            .filter(candidate => candidate.id !== status.id)
+            .map(candidate => ({
+                ...candidate,
+                transitions: candidate.transitions.filter(id => id !== status.id)
+            })));
+    };
+
+    const addStatus = (e) => {
+        e.preventDefault();
+        const label = newLabel.trim();
+        if (!label) return;
+
+        setDraft([...workflow, {
+            id: createStatusId(label, workflow),
+            label,
+            color: STATUS_COLORS[workflow.length % STATUS_COLORS.length],
+            terminal: false,
+            transitions: []
+        }]);
+        setNewLabel('');
+    };
+
+    const handleSave = async () => {
+        if (!draft || error) return;
+        if (await onSave(draft)) {
+            setDraft(null);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <ul className="space-y-3">
+                {workflow.map((status, index) => (
+                    <li key={status.id} className="rounded-lg border border-gray-200 bg-white/60 p-3 space-y-2">
+                        <div className="flex flex-wrap items-center gap-2">
+                            <div className="flex flex-col">
+                                <button
+                                    type="button"
+                                    onClick={() => moveStatus(index, -1)}
+                                    disabled={saving || index === 0}
+                                    className="p-0.5 rounded text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                                    aria-label={`Move ${status.label} up`}
+                                >
+                                    <ChevronUp className="w-3 h-3" />
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => moveStatus(index, 1)}
+                                    disabled={saving || index === workflow.length - 1}
+                                    className="p-0.5 rounded text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                                    aria-label={`Move ${status.label} down`}
+                                >
+                                    <ChevronDown className="w-3 h-3" />
+                                </button>
+                            </div>
+                            <input
+                                type="text"
+                                value={status.label}
+                                onChange={(e) => updateStatus(status.id, { label: e.target.value })}
+                                disabled={saving}
+                                maxLength={STATUS_LABEL_MAX_LENGTH}
+                                className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-sm"
+                                aria-label="Status name"
+                            />
+                            <StatusBadge workflow={workflow} status={status} className="hidden sm:flex" />
+                            <button
+                                type="button"
+                                onClick={() => removeStatus(status)}
+                                disabled={saving}
+                                className="p-1 rounded-md text-gray-400 hover:text-red-600 hover:bg-red-50 disabled:opacity-30 transition-colors"
+                                aria-label={`Remove ${status.label}`}
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+
+                        <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+                            <TagColorPicker
+                                value={status.color}
+                                onChange={(color) => updateStatus(status.id, { color })}
+                                disabled={saving}
+                            />
+                            <label className="flex items-center gap-1.5 text-xs text-gray-600">
+                                <input
+                                    type="checkbox"
+                                    checked={status.terminal}
+                                    onChange={(e) => updateStatus(status.id, { terminal: e.target.checked })}
+                                    disabled={saving}
+                                    className="w-3.5 h-3.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                />
+                                Finishes the task
+                            </label>
+                            {index === 0 && (
+                                <span className="text-xs text-gray-400">New tasks start here</span>
+                            )}
+                        </div>
+
+                        {workflow.length > 1 && (
+                            <div className="flex flex-wrap items-center gap-1.5">
+                                <span className="text-xs text-gray-500 mr-1">Moves to:</span>
+                                {workflow.filter(target => target.id !== status.id).map(target => {
+                                    const allowed = status.transitions.includes(target.id);
+                                    return (
+                                        <button
+                                            key={target.id}
+                                            type="button"
+                                            onClick={() => toggleTransition(status, target.id)}
+                                            disabled={saving}
+                                            aria-pressed={allowed}
+                                            className={clsx(
+                                                "px-2 py-0.5 rounded-full text-xs border transition-colors disabled:opacity-50",
+                                                allowed
+                                                    ? "bg-blue-50 border-blue-300 text-blue-700"
+                                                    : "bg-white border-gray-200 text-gray-400 hover:text-gray-600"
+                                            )}
+                                        >
+                                            {target.label || target.id}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {workflow.length < MAX_WORKFLOW_STATUSES && (
+                <form onSubmit={addStatus} className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        value={newLabel}
+                        onChange={(e) => setNewLabel(e.target.value)}
+                        disabled={saving}
+                        maxLength={STATUS_LABEL_MAX_LENGTH}
+                        placeholder="New status, e.g. In Review"
+                        className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-white text-sm"
+                    />
+                    <button
+                        type="submit"
+                        disabled={saving || !newLabel.trim()}
+                        className="flex items-center px-3 py-1 rounded-md text-sm text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50 transition-colors"
+                    >
+                        <Plus className="w-4 h-4 mr-1" />
+                        Add
+                    </button>
+                </form>
+            )}
+
+            {error && <p className="text-xs text-red-600">{error}</p>}
+
+            {draft && (
+                <div className="flex items-center justify-end gap-2">
+                    <button
+                        type="button"
+                        onClick={() => setDraft(null)}
+                        disabled={saving}
+                        className="px-3 py-1.5 rounded-lg text-sm text-gray-600 hover:bg-gray-100 disabled:opacity-50 transition-colors"
+                    >
+                        Reset
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleSave}
+                        disabled={saving || Boolean(error)}
+                        className="flex items-center px-4 py-1.5 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg text-sm font-medium shadow-md hover:shadow-lg disabled:opacity-50 transition-shadow"
+                    >
+                        {saving && <Loader2 className="w-4 h-4 mr-1 animate-spin" />}
+                        Save workflow
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -2,6 +2,10 @@
  * Authentication Context
  * 
  * Provides Firebase authentication state and methods across the app.
+ * Signs in a local user instead when the local storage backend is selected.
+ * Replays the offline outbox on sign-in and whenever the connection returns.
+ * Keeps the user's profile in the directory comment @mentions resolve against.
+ * Hands out the user's ID token for server routes to identify them by.
  * Integrates with Redux store for centralized state management.
  */
 
@@ -10,6 +14,7 @@
 import { createContext, useContext, useEffect } from 'react';
 import { signInWithPopup, signOut, onAuthStateChanged } from 'firebase/auth';
 import { auth, googleProvider } from '@/lib/firebase';
+import { onLocalAuthStateChanged, signInLocally, signOutLocally } from '@/lib/localAuth';
 import { useAppDispatch, useAppSelector } from '@/store/hooks';
 import {
     setUser,
@@ -20,7 +25,19 @@ import {
     selectAuthLoading,
     selectIsAuthenticated
 } from '@/store/slices/authSlice';
-import { clearTasks } from '@/store/slices/tasksSlice';
+import { clearTasks, subscribeToTasks, unsubscribeFromTasks } from '@/store/slices/tasksSlice';
+import { clearTags, subscribeToTags, unsubscribeFromTags } from '@/store/slices/tagsSlice';
+import { clearTemplates, subscribeToTemplates, unsubscribeFromTemplates } from '@/store/slices/templatesSlice';
+import { clearTimer, subscribeToTimer, unsubscribeFromTimer } from '@/store/slices/timeTrackingSlice';
+import { clearReminders, subscribeToReminders, unsubscribeFromReminders } from '@/store/slices/remindersSlice';
+import { clearSettings, subscribeToSettings, unsubscribeFromSettings } from '@/store/slices/settingsSlice';
+import { outboxHydrated, replayOutbox } from '@/store/slices/outboxSlice';
+import { loadOutbox } from '@/lib/outbox';
+import { saveUserProfile, STORAGE_BACKEND } from '@/lib/firestore';
+
+// The local storage backend has no accounts to sign in to; Firestore needs a
+// Firebase sign-in even when Firebase is missing its configuration
+const usesLocalAuth = STORAGE_BACKEND === 'memory';
 
 const AuthContext = createContext({});
 
@@ -44,36 +61,93 @@ export const AuthProvider = ({ children }) => {
     const loading = useAppSelector(selectAuthLoading);
     const isAuthenticated = useAppSelector(selectIsAuthenticated);
 
-    // Listen to Firebase auth state changes
+    // Listen to Firebase (or local) auth state changes
     useEffect(() => {
-        if (!auth) return;
+        // Writes queued in an earlier session are kept across sign-outs and reloads
+        dispatch(outboxHydrated(loadOutbox()));
 
-        const unsubscribe = onAuthStateChanged(auth, (user) => {
+        const handleAuthStateChanged = (user) => {
             if (user) {
-                // User signed in - store user data in Redux
+                // User signed in - start the live task, tag, template, timer, reminder and settings feeds
+                // and store user data in Redux
+                dispatch(subscribeToTasks(user.uid));
+                dispatch(subscribeToTags(user.uid));
+                dispatch(subscribeToTemplates(user.uid));
+                dispatch(subscribeToTimer(user.uid));
+                dispatch(subscribeToReminders(user.uid));
+                dispatch(subscribeToSettings(user.uid));
                 dispatch(setUser({
                     uid: user.uid,
                     email: user.email,
                     displayName: user.displayName,
                     photoURL: user.photoURL
                 }));
+                // Mentions still work with a stale profile, so a failed save (logged) is not fatal
+                saveUserProfile(user.uid, {
+                    displayName: user.displayName,
+                    email: user.email,
+                    photoURL: user.photoURL
+                }).catch(() => {});
             } else {
-                // User signed out - clear all user data
+                // User signed out - stop the feeds and clear all user data
+                dispatch(unsubscribeFromTasks());
+                dispatch(unsubscribeFromTags());
+                dispatch(unsubscribeFromTemplates());
+                dispatch(unsubscribeFromTimer());
+                dispatch(unsubscribeFromReminders());
+                dispatch(unsubscribeFromSettings());
                 dispatch(clearUser());
                 dispatch(clearTasks());
+                dispatch(clearTags());
+                dispatch(clearTemplates());
+                dispatch(clearTimer());
+                dispatch(clearReminders());
+                dispatch(clearSettings());
             }
-        });
+        };
 
-        return () => unsubscribe();
+        let unsubscribe = () => {};
+        if (usesLocalAuth) {
+            unsubscribe = onLocalAuthStateChanged(handleAuthStateChanged);
+        } else if (auth) {
+            unsubscribe = onAuthStateChanged(auth, handleAuthStateChanged);
+        } else {
+            // Nobody can sign in until Firebase is configured
+            handleAuthStateChanged(null);
+        }
+
+        return () => {
+            unsubscribe();
+            dispatch(unsubscribeFromTasks());
+            dispatch(unsubscribeFromTags());
+            dispatch(unsubscribeFromTemplates());
+            dispatch(unsubscribeFromTimer());
+            dispatch(unsubscribeFromReminders());
+            dispatch(unsubscribeFromSettings());
+        };
     }, [dispatch]);
 
+    // Replay queued writes now and every time the browser comes back online
+    useEffect(() => {
+        if (!user) return;
+
+        const handleOnline = () => dispatch(replayOutbox(user.uid));
+        handleOnline();
+        window.addEventListener('online', handleOnline);
+
+        return () => window.removeEventListener('online', handleOnline);
+    }, [user, dispatch]);
+
     // Google Sign-In handler
     const signInWithGoogle = async () => {
         try {
             dispatch(setLoading(true));
 
+            if (usesLocalAuth) {
+                return await signInLocally();
+            }
             if (!auth) {
-                throw new Error('Firebase auth not initialized');
+                throw new Error('Firebase is not configured');
             }
 
             const result = await signInWithPopup(auth, googleProvider);
@@ -88,7 +162,11 @@ export const AuthProvider = ({ children }) => {
     // Sign out handler
     const logout = async () => {
         try {
-            await signOut(auth);
+            if (usesLocalAuth) {
+                await signOutLocally();
+            } else if (auth) {
+                await signOut(auth);
+            }
         } catch (error) {
             dispatch(setError(error.message));
             console.error('Error signing out:', error);
@@ -96,10 +174,14 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    // ID token server routes identify the signed-in user by (null for the local user)
+    const getIdToken = async () => !usesLocalAuth && auth?.currentUser ? auth.currentUser.getIdToken() : null;
+
     const value = {
         user,
         signInWithGoogle,
         logout,
+        getIdToken,
         loading,
         isAuthenticated
     };
@@ -0,0 +1,82 @@
+/**
+ * Attachments
+ *
+ * Files attached to tasks and comments (screenshots, logs, ...):
+ * - Per-file and per-user size limits
+ * - Storage paths, grouped by user and task so a task's files can be removed together
+ * - Preview kinds (image, text) and file size formatting
+ *
+ * File contents live in Firebase Storage (or the local backend); their metadata
+ * ({ id, name, size, contentType, storagePath, uploadedBy, uploaderName, createdAt })
+ * is kept in the task's attachments, or in the comment they were posted with.
+ */
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+export const MAX_ATTACHMENT_BYTES = 10 * MB;
+// Total size of the files one user may keep
+export const ATTACHMENT_QUOTA_BYTES = 250 * MB;
+export const MAX_COMMENT_ATTACHMENTS = 5;
+// Text files are previewed up to this size
+export const TEXT_PREVIEW_BYTES = 64 * KB;
+
+// Error codes for files rejected by assertAttachmentFits
+export const ATTACHMENT_TOO_LARGE = 'attachment-too-large';
+export const ATTACHMENT_QUOTA_EXCEEDED = 'attachment-quota-exceeded';
+
+const TEXT_EXTENSIONS = ['txt', 'log', 'md', 'csv', 'json', 'xml', 'yml', 'yaml', 'ini', 'conf', 'har'];
+const TEXT_CONTENT_TYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/x-ndjson'];
+
+const getExtension = (name) => {
+    const dot = name.lastIndexOf('.');
+    return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+};
+
+// "12 B", "3.4 KB", "1.2 MB"
+export const formatFileSize = (bytes) => {
+    if (bytes < KB) return `${bytes} B`;
+    if (bytes < MB) return `${(bytes / KB).toFixed(1).replace(/\.0$/, '')} KB`;
+    return `${(bytes / MB).toFixed(1).replace(/\.0$/, '')} MB`;
+};
+
+// Browsers leave the type of .log and similar files empty
+export const getAttachmentContentType = (file) => {
+    if (file.type) return file.type;
+    return TEXT_EXTENSIONS.includes(getExtension(file.name)) ? 'text/plain' : 'application/octet-stream';
+};
+
+// 'image', 'text' or 'file' (download only)
+export const getAttachmentKind = ({ name, contentType }) => {
+    if (contentType?.startsWith('image/')) return 'image';
+    if (contentType?.startsWith('text/') || TEXT_CONTENT_TYPES.includes(contentType)) return 'text';
+    return TEXT_EXTENSIONS.includes(getExtension(name)) ? 'text' : 'file';
+};
+
+// File names are kept for display; the stored path only uses safe characters
+const sanitizeFileName = (name) => name.replace(/[^\w.-]+/g, '_').slice(-100) || 'file';
+
+// Folder holding every file attached to a task or its comments
+export const getAttachmentUserPrefix = (userId) => `attachments/${userId}`;
+
+export const getTaskAttachmentPrefix = (userId, taskId) => `${getAttachmentUserPrefix(userId)}/${taskId}`;
+
+export const getAttachmentPath = (userId, taskId, attachmentId, name) =>
+    `${getTaskAttachmentPrefix(userId, taskId)}/${attachmentId}/${sanitizeFileName(name)}`;
+
+// Throw if a file is over the per-file limit or would take the user (currently
+// using usedBytes) over their quota
+export const assertAttachmentFits = (file, usedBytes) => {
+    let error = null;
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        error = new Error(`${file.name} is ${formatFileSize(file.size)}; files can be at most ${formatFileSize(MAX_ATTACHMENT_BYTES)}`);
+        error.code = ATTACHMENT_TOO_LARGE;
+    } else if (usedBytes + file.size > ATTACHMENT_QUOTA_BYTES) {
+        error = new Error(`Uploading ${file.name} would go over your ${formatFileSize(ATTACHMENT_QUOTA_BYTES)} attachment allowance (${formatFileSize(usedBytes)} used)`);
+        error.code = ATTACHMENT_QUOTA_EXCEEDED;
+    }
+    if (error) throw error;
+};
+
+// Files of a task's comments, from the attachments stored with each comment
+export const getCommentAttachments = (comments) => comments.flatMap(comment => comment.attachments || []);
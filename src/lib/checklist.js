@@ -0,0 +1,45 @@
+/**
+ * Task Checklists
+ *
+ * Helpers for the ordered checklist stored on a task ([{ id, text, done }]):
+ * - Creating, toggling, removing and moving items
+ * - Progress for the task list and auto-completion
+ *
+ * All helpers return new arrays so they can be saved as the task's checklist.
+ */
+
+const generateItemId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+export const createChecklistItem = (text) => ({
+    id: generateItemId(),
+    text: text.trim(),
+    done: false
+});
+
+export const addChecklistItem = (checklist, text) => [...checklist, createChecklistItem(text)];
+
+export const toggleChecklistItem = (checklist, itemId) =>
+    checklist.map(item => (item.id === itemId ? { ...item, done: !item.done } : item));
+
+export const removeChecklistItem = (checklist, itemId) =>
+    checklist.filter(item => item.id !== itemId);
+
+// Move an item one step up (-1) or down (1); out-of-range moves are ignored
+export const moveChecklistItem = (checklist, itemId, offset) => {
+    const from = checklist.findIndex(item => item.id === itemId);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= checklist.length) return checklist;
+
+    const next = [...checklist];
+    [next[from], next[to]] = [next[to], next[from]];
+    return next;
+};
+
+// { done, total } for a task's checklist (missing on older tasks)
+export const getChecklistProgress = (checklist = []) => ({
+    done: checklist.filter(item => item.done).length,
+    total: checklist.length
+});
+
+export const isChecklistComplete = (checklist = []) =>
+    checklist.length > 0 && checklist.every(item => item.done);
@@ -0,0 +1,134 @@
+/**
+ * Comments
+ *
+ * Comments on a task ({ id, text, authorId, authorName, createdAt, editedAt,
+ * parentId, replyCount, mentions, attachments, deleted }):
+ * - One level of threaded replies: a reply's parentId is a top-level comment
+ * - Edit and delete rights of the author
+ * - @mentions: user handles in the text, stored as { userId, handle, name }
+ * - Handles for the user directory, and the @-autocomplete query at the caret
+ *
+ * A deleted comment that still has replies is kept as an empty placeholder
+ * (deleted: true) so its thread stays together.
+ */
+
+// "@handle" not preceded by a word character, so email addresses are not mentions
+export const MENTION_PATTERN = /(^|[^\w@])@([a-z0-9](?:[a-z0-9._-]{0,28}[a-z0-9])?)/gi;
+
+// Code spans and blocks, where "@name" is not a mention
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]*`/g;
+
+export const HANDLE_MAX_LENGTH = 30;
+
+// Error code for a reply to a comment that cannot take one
+export const INVALID_REPLY = 'invalid-reply';
+
+// Error code for an edit or delete of a comment by someone other than its author
+export const NOT_COMMENT_AUTHOR = 'not-comment-author';
+
+// A handle for a user, from their name or email ("Ada Lovelace" -> "ada.lovelace").
+// Taken handles get a number added when the profile is saved.
+export const createHandle = ({ displayName, email } = {}) => {
+    const source = displayName || email?.split('@')[0] || '';
+    const handle = source
+        .normalize('NFKD')
+        .toLowerCase()
+        .replace(/\s+/g, '.')
+        .replace(/[^a-z0-9._-]/g, '')
+        .replace(/^[._-]+|[._-]+$/g, '')
+        .slice(0, HANDLE_MAX_LENGTH - 4)
+        .replace(/[._-]+$/, '');
+    return handle || 'user';
+};
+
+// Handles to try, in order, for a user whose preferred handle is base; the last
+// one includes the user ID and is only taken when the others all are
+export const getHandleCandidates = (base, userId) => [
+    base,
+    ...Array.from({ length: 8 }, (_, index) => `${base}${index + 2}`),
+    `${base}-${userId.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 8)}`
+];
+
+// Lowercase handles mentioned in text, in order of first appearance
+export const getMentionHandles = (text) => {
+    const handles = [...(text ?? '').replace(CODE_PATTERN, ' ').matchAll(MENTION_PATTERN)]
+        .map(match => match[2].toLowerCase());
+    return [...new Set(handles)];
+};
+
+// Mention references for the user profiles ({ id, handle, displayName }) whose
+// handles appear in text; handles without a profile stay plain text
+export const getCommentMentions = (text, profiles) => {
+    const profilesByHandle = new Map(profiles.map(profile => [profile.handle, profile]));
+    return getMentionHandles(text)
+        .filter(handle => profilesByHandle.has(handle))
+        .map((handle) => {
+            const profile = profilesByHandle.get(handle);
+            return { userId: profile.id, handle, name: profile.displayName || handle };
+        });
+};
+
+// The handle being typed at the caret ({ query, start } with start at the "@"),
+// or null when the caret is not in a mention
+export const getMentionQuery = (text, caret) => {
+    const match = /(^|[^\w@])@([a-z0-9._-]*)$/i.exec(text.slice(0, caret));
+    if (!match) return null;
+    return { query: match[2].toLowerCase(), start: caret - match[2].length - 1 };
+};
+
+// Text with the mention typed from start to caret completed as "@handle ",
+// and the caret position after it
+export const insertMention = (text, start, caret, handle) => {
+    const mention = `@${handle} `;
+    return {
+        text: text.slice(0, start) + mention + text.slice(caret).replace(/^\s/, ''),
+        caret: start + mention.length
+    };
+};
+
+// Top-level comments in order, each with its replies ([] when none) in order.
+// Replies whose comment is gone are shown as top-level comments.
+export const buildCommentThreads = (comments) => {
+    const topLevelIds = new Set(comments.filter(comment => !comment.parentId).map(comment => comment.id));
+    const repliesByParent = new Map();
+    comments
+        .filter(comment => comment.parentId && topLevelIds.has(comment.parentId))
+        .forEach(reply => repliesByParent.set(reply.parentId, [...(repliesByParent.get(reply.parentId) ?? []), reply]));
+
+    return comments
+        .filter(comment => !comment.parentId || !topLevelIds.has(comment.parentId))
+        .map(comment => ({ ...comment, replies: repliesByParent.get(comment.id) ?? [] }));
+};
+
+// Throw unless parent (the stored comment being replied to, or null when it is
+// gone) can take a reply: replies answer top-level comments that are not deleted
+export const assertCanReply = (parent) => {
+    let message = null;
+    if (!parent || parent.deleted) {
+        message = 'The comment being replied to was deleted';
+    } else if (parent.parentId) {
+        message = 'Replies can only answer top-level comments';
+    }
+    if (!message) return;
+
+    const error = new Error(message);
+    error.code = INVALID_REPLY;
+    throw error;
+};
+
+// Throw unless userId wrote the stored comment; checked by the storage backends
+// before a comment is edited or deleted
+export const assertCommentAuthor = (comment, userId) => {
+    if (userId && comment.authorId === userId) return;
+
+    const error = new Error('Only the author can change this comment');
+    error.code = NOT_COMMENT_AUTHOR;
+    throw error;
+};
+
+// Whether userId may edit or delete a comment: their own, once it has synced
+export const canManageComment = (comment, userId) =>
+    Boolean(userId) && comment.authorId === userId && !comment.deleted && !comment.syncStatus;
+
+// Whether a comment can be replied to: a synced top-level comment that is not deleted
+export const canReplyToComment = (comment) => !comment.parentId && !comment.deleted && !comment.syncStatus;
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addTask,
+    getTask,
+    addComment,
+    updateComment,
+    deleteComment,
+    subscribeToTaskComments
+} from './storage/memoryBackend.js';
+import { NOT_COMMENT_AUTHOR } from './comments.js';
+
+const userId = 'user-1';
+
+test('the task keeps its comment count and last comment time', async () => {
+    const taskId = await addTask(userId, { title: 'Task', status: 'pending', type: 'task' });
+
+    const firstId = await addComment(taskId, { text: 'First', authorId: userId });
+    const secondId = await addComment(taskId, { text: 'Second', authorId: userId });
+    let task = await getTask(taskId);
+    assert.equal(task.commentCount, 2);
+    assert.ok(task.lastCommentAt);
+
+    await deleteComment(taskId, secondId, userId);
+    await deleteComment(taskId, firstId, userId);
+    task = await getTask(taskId);
+    assert.equal(task.commentCount, 0);
+    assert.equal(task.lastCommentAt, null);
+});
+
+const getComments = (taskId) => new Promise((resolve, reject) => {
+    const unsubscribe = subscribeToTaskComments(taskId, (comments) => {
+        resolve(comments);
+        queueMicrotask(() => unsubscribe());
+    }, reject);
+});
+
+test('only the author can edit or delete a comment', async () => {
+    const taskId = await addTask(userId, { title: 'Task', status: 'pending', type: 'task' });
+    const commentId = await addComment(taskId, { text: 'First', authorId: userId });
+
+    await assert.rejects(updateComment(taskId, commentId, { text: 'Edited' }, 'user-2'), (error) => error.code === NOT_COMMENT_AUTHOR);
+    await assert.rejects(deleteComment(taskId, commentId, 'user-2'), (error) => error.code === NOT_COMMENT_AUTHOR);
+    assert.equal((await getComments(taskId))[0].text, 'First');
+});
+
+test('a deleted comment with replies stays as a placeholder until its last reply goes', async () => {
+    const taskId = await addTask(userId, { title: 'Task', status: 'pending', type: 'task' });
+    const commentId = await addComment(taskId, { text: 'First', authorId: userId });
+    const replyId = await addComment(taskId, { text: 'Reply', authorId: userId, parentId: commentId });
+
+    await deleteComment(taskId, commentId, userId);
+    assert.deepEqual((await getComments(taskId)).map(comment => [comment.id, comment.deleted ?? false]), [[commentId, true], [replyId, false]]);
+
+    await deleteComment(taskId, replyId, userId);
+    assert.deepEqual(await getComments(taskId), []);
+});
@@ -0,0 +1,205 @@
+/**
+ * Deadlines
+ *
+ * When tasks are due, read in the user's timezone. A task is due on `dueDate`
+ * ('YYYY-MM-DD') at `dueTime` ('HH:MM'), or by the end of that day when it has
+ * no time. Both are wall-clock values in the user's timezone setting, or in the
+ * device's timezone when none is set:
+ * - The moment a task is due, whether it is overdue and its urgency
+ * - The moment its reminders count back from: the due time, or
+ *   DEFAULT_REMINDER_TIME on the due date
+ * - Calendar days until the due date
+ * - Due date and time labels
+ * - Timezone validation and the timezones offered in settings
+ *
+ * Date-only strings must not go through `new Date(dueDate)`, which reads them
+ * as UTC midnight.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Reminders of tasks without a due time count back from this time on the due date
+export const DEFAULT_REMINDER_TIME = '09:00';
+
+// Days until the due date at which a task counts as urgent or due soon
+const URGENT_DAYS = 1;
+const SOON_DAYS = 3;
+
+// Time of day as produced by <input type="time">
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isTimeString = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+// Whether value names a timezone this runtime knows (e.g. 'Europe/Berlin')
+export const isValidTimeZone = (value) => {
+    if (typeof value !== 'string' || !value) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+export const getDeviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// The timezone deadlines are read in: the user's setting, or the device's
+export const resolveTimeZone = (timeZone) => timeZone || getDeviceTimeZone();
+
+// Timezones offered in settings; older runtimes only offer the device's
+export const getTimeZoneOptions = () =>
+    typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [getDeviceTimeZone()];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatterCache = new Map();
+
+const getPartsFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatterCache.get(timeZone);
+};
+
+// Wall-clock fields of an instant (ms) in a timezone
+const getZonedParts = (instant, timeZone) => {
+    return Object.fromEntries(getPartsFormatter(timeZone)
+        .formatToParts(new Date(instant))
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, Number(part.value)]));
+};
+
+// How far (ms) the timezone's wall clock is ahead of UTC at an instant
+const getTimeZoneOffset = (instant, timeZone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+    const wholeSeconds = Math.floor(instant / 1000) * 1000;
+    return Date.UTC(year, month - 1, day, hour, minute, second) - wholeSeconds;
+};
+
+// The instant (ms) a wall-clock date and time occur in a timezone. Around a
+// daylight saving change, a repeated time is its first occurrence and a skipped
+// time is moved forward by the gap.
+const getZonedInstant = (date, time, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Offsets in force on either side of any change near that time
+    const offsetBefore = getTimeZoneOffset(wallClock - DAY_MS, timeZone);
+    const offsetAfter = getTimeZoneOffset(wallClock + DAY_MS, timeZone);
+    const matches = [wallClock - offsetBefore, wallClock - offsetAfter]
+        .filter(instant => wallClock - getTimeZoneOffset(instant, timeZone) === instant);
+    return matches.length > 0 ? Math.min(...matches) : wallClock - offsetBefore;
+};
+
+// The calendar date ('YYYY-MM-DD') in a timezone at an instant (ms)
+export const getZonedDate = (instant, timeZone) => {
+    const { year, month, day } = getZonedParts(instant, resolveTimeZone(timeZone));
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// The calendar date ('YYYY-MM-DD') after a date
+const getNextDate = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+// The moment a task ({ dueDate, dueTime }) is due as a Date, or null without a
+// due date. A task without a due time is due by the end of its due date.
+export const getDueMoment = (task, timeZone) => {
+    if (!task.dueDate) return null;
+    const zone = resolveTimeZone(timeZone);
+    return new Date(task.dueTime
+        ? getZonedInstant(task.dueDate, task.dueTime, zone)
+        : getZonedInstant(getNextDate(task.dueDate), '00:00', zone));
+};
+
+// The time of day a task's reminders count back from: its due time, or DEFAULT_REMINDER_TIME
+export const getReminderTime = (task) => task.dueTime || DEFAULT_REMINDER_TIME;
+
+// The moment a task's reminders count back from as a Date, or null without a due date
+export const getReminderMoment = (task, timeZone) => {
+    if (!task.dueDate) return null;
+    return new Date(getZonedInstant(task.dueDate, getReminderTime(task), resolveTimeZone(timeZone)));
+};
+
+// Whole days between two calendar dates ('YYYY-MM-DD')
+const daysBetween = (from, to) => {
+    const toUtc = (date) => {
+        const [year, month, day] = date.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUtc(to) - toUtc(from)) / DAY_MS);
+};
+
+// Calendar days from today to the due date in the timezone: 0 when it is due
+// today, negative once the date has passed; null without a due date
+export const getDaysUntilDue = (task, timeZone, now = Date.now()) => {
+    if (!task.dueDate) return null;
+    return daysBetween(getZonedDate(now, timeZone), task.dueDate);
+};
+
+// Deadline context of a task at `now`:
+// { dueAt, isOverdue, daysUntilDue, urgencyLevel: 'overdue' | 'urgent' | 'soon' | 'normal' }.
+// Finished tasks (done) are never overdue or urgent.
+export const getDeadlineStatus = (task, timeZone, { now = Date.now(), done = false } = {}) => {
+    const dueAt = getDueMoment(task, timeZone);
+    const daysUntilDue = getDaysUntilDue(task, timeZone, now);
+    const isOverdue = !done && dueAt !== null && dueAt.getTime() < now;
+
+    let urgencyLevel = 'normal';
+    if (isOverdue) {
+        urgencyLevel = 'overdue';
+    } else if (!done && daysUntilDue !== null && daysUntilDue <= URGENT_DAYS) {
+        urgencyLevel = 'urgent';
+    } else if (!done && daysUntilDue !== null && daysUntilDue <= SOON_DAYS) {
+        urgencyLevel = 'soon';
+    }
+
+    return { dueAt, isOverdue, daysUntilDue, urgencyLevel };
+};
+
+// "Mar 14" (or "Mar 14, 2025" with year) for a calendar date, read as written
+export const formatDueDate = (dueDate, { year = false } = {}) => {
+    const [y, month, day] = dueDate.split('-').map(Number);
+    return new Date(Date.UTC(y, month - 1, day)).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        month: 'short',
+        day: 'numeric',
+        ...(year && { year: 'numeric' })
+    });
+};
+
+// "5:30 PM" for a time of day ('HH:MM'), in the viewer's locale
+export const formatDueTime = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return new Date(Date.UTC(1970, 0, 1, hour, minute)).toLocaleTimeString([], {
+        timeZone: 'UTC',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+};
+
+// "Mar 14" or "Mar 14, 5:30 PM" for a task with a due date; the time is only
+// shown when the task sets one
+export const describeDue = (task, options) => task.dueTime
+    ? `${formatDueDate(task.dueDate, options)}, ${formatDueTime(task.dueTime)}`
+    : formatDueDate(task.dueDate, options);
+
+// "Europe/Berlin (GMT+1)" for a timezone, with its current offset
+export const describeTimeZone = (timeZone, now = Date.now()) => {
+    const offset = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' })
+        .formatToParts(new Date(now))
+        .find(part => part.type === 'timeZoneName')?.value;
+    return offset ? `${timeZone.replace(/_/g, ' ')} (${offset})` : timeZone.replace(/_/g, ' ');
+};
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDeadlineStatus, getDueMoment, getReminderMoment } from './deadlines.js';
+
+const TIME_ZONE = 'America/New_York';
+// 3 PM in New York on 2025-03-14
+const AFTERNOON = Date.parse('2025-03-14T19:00:00Z');
+
+test('a date-only task is not overdue in the afternoon of its due date', () => {
+    const status = getDeadlineStatus({ dueDate: '2025-03-14' }, TIME_ZONE, { now: AFTERNOON });
+    assert.equal(status.isOverdue, false);
+    assert.equal(status.urgencyLevel, 'urgent');
+    assert.equal(status.daysUntilDue, 0);
+});
+
+test('a date-only task is due at the end of its due date in the timezone', () => {
+    assert.equal(getDueMoment({ dueDate: '2025-03-14' }, TIME_ZONE).toISOString(), '2025-03-15T04:00:00.000Z');
+
+    const nextMorning = Date.parse('2025-03-15T04:30:00Z');
+    assert.equal(getDeadlineStatus({ dueDate: '2025-03-14' }, TIME_ZONE, { now: nextMorning }).isOverdue, true);
+});
+
+test('a task with a due time is overdue once that time has passed', () => {
+    const status = getDeadlineStatus({ dueDate: '2025-03-14', dueTime: '14:00' }, TIME_ZONE, { now: AFTERNOON });
+    assert.equal(status.isOverdue, true);
+    assert.equal(status.urgencyLevel, 'overdue');
+});
+
+test('reminders of a date-only task count back from the default reminder time', () => {
+    assert.equal(getReminderMoment({ dueDate: '2025-03-14' }, TIME_ZONE).toISOString(), '2025-03-14T13:00:00.000Z');
+    assert.equal(getReminderMoment({ dueDate: '2025-03-14', dueTime: '17:30' }, TIME_ZONE).toISOString(), '2025-03-14T21:30:00.000Z');
+});
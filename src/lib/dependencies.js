@@ -0,0 +1,69 @@
+/**
+ * Task Dependencies
+ *
+ * Helpers for the blocked-by relation between tasks. A task lists the IDs
+ * of the tasks blocking it in blockedBy; the tasks it blocks are the ones
+ * listing it in theirs.
+ * - Blocked state of a task
+ * - Cycle detection over the blocked-by graph
+ * - Error raised for links that would close a cycle
+ *
+ * When a blocker is completed (moved to a terminal status, which stamps its
+ * completedAt), moved to the trash or purged, the storage backends take it off
+ * the blockedBy list of its dependents. Restoring it does not link it again.
+ */
+
+import { isTerminalStatus } from '@/lib/workflow';
+
+// Error code for blocked-by links that would make a task (indirectly) block itself
+export const DEPENDENCY_CYCLE = 'dependency-cycle';
+
+// A task waits on its blockers until it is in a terminal status of the workflow itself
+export const isBlocked = (task, workflow) =>
+    !isTerminalStatus(workflow, task.status) && (task.blockedBy?.length ?? 0) > 0;
+
+export const removeBlocker = (blockedBy = [], blockerId) => blockedBy.filter(taskId => taskId !== blockerId);
+
+// The chain of task IDs [taskId, blocker, ..., taskId] that blocking taskId by
+// blockerIds would close, or null when there is none. loadBlockedBy(id)
+// resolves with the blockedBy list of a task ([] for unknown tasks).
+// The graph is walked breadth first, one level of tasks loaded at a time.
+export const traceDependencyCycle = async (taskId, blockerIds, loadBlockedBy) => {
+    if (blockerIds.includes(taskId)) return [taskId, taskId];
+
+    // Each task reached -> the task it blocks on the way back to taskId
+    const blocks = new Map(blockerIds.map(blockerId => [blockerId, taskId]));
+    const chainTo = (lastId) => {
+        const chain = [];
+        for (let id = lastId; id !== taskId; id = blocks.get(id)) {
+            chain.unshift(id);
+        }
+        return [taskId, ...chain];
+    };
+
+    let level = [...blocks.keys()];
+    while (level.length > 0) {
+        const blockedByLists = await Promise.all(level.map(loadBlockedBy));
+        const nextLevel = [];
+        for (const [index, id] of level.entries()) {
+            for (const blockerId of blockedByLists[index]) {
+                if (blockerId === taskId) {
+                    return [...chainTo(id), taskId];
+                }
+                if (!blocks.has(blockerId)) {
+                    blocks.set(blockerId, id);
+                    nextLevel.push(blockerId);
+                }
+            }
+        }
+        level = nextLevel;
+    }
+    return null;
+};
+
+export const createDependencyCycleError = (cycle) => {
+    const error = new Error('A task cannot be blocked by a task it blocks, directly or through other tasks');
+    error.code = DEPENDENCY_CYCLE;
+    error.cycle = cycle;
+    return error;
+};
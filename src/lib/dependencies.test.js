@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addTask,
+    getTask,
+    updateTask,
+    findDependencyCycle,
+    softDeleteTask,
+    purgeTask
+} from './storage/memoryBackend.js';
+import { DEPENDENCY_CYCLE } from './dependencies.js';
+
+// The store lives for the whole process, so every test works as its own user
+let userCount = 0;
+const createUser = () => `user-${++userCount}`;
+
+const createTask = (userId, taskData = {}) =>
+    addTask(userId, { title: 'Task', status: 'pending', type: 'task', ...taskData });
+
+test('a blocked-by link that closes a cycle is reported and not saved', async () => {
+    const userId = createUser();
+    const first = await createTask(userId);
+    const second = await createTask(userId, { blockedBy: [first] });
+    const third = await createTask(userId, { blockedBy: [second] });
+
+    assert.deepEqual(await findDependencyCycle(first, [third]), [first, third, second, first]);
+    await assert.rejects(
+        updateTask(first, { blockedBy: [third] }),
+        (error) => error.code === DEPENDENCY_CYCLE
+    );
+    assert.deepEqual((await getTask(first)).blockedBy ?? [], []);
+});
+
+test('completing, trashing or purging a blocker releases the tasks it blocks', async () => {
+    const userId = createUser();
+    const completed = await createTask(userId);
+    const trashed = await createTask(userId);
+    const purged = await createTask(userId);
+    const dependent = await createTask(userId, { blockedBy: [completed, trashed, purged] });
+
+    await updateTask(completed, { status: 'completed', completedAt: new Date().toISOString() });
+    assert.deepEqual((await getTask(dependent)).blockedBy, [trashed, purged]);
+
+    await softDeleteTask(trashed);
+    assert.deepEqual((await getTask(dependent)).blockedBy, [purged]);
+
+    await purgeTask(purged);
+    assert.deepEqual((await getTask(dependent)).blockedBy, []);
+});
@@ -0,0 +1,116 @@
+/**
+ * Estimates
+ *
+ * Helpers for task estimates ({ value, unit } in hours or story points):
+ * - Display of single estimates and of hour/point totals
+ * - Remaining estimate of the tasks that are not completed yet
+ * - Actual duration of completed tasks, from tracked time or, when none was
+ *   tracked, from creation to completion
+ * - Estimated vs actual totals by task type
+ *
+ * Hours and points are never added together; every total keeps them apart.
+ */
+
+import { getTypeLabel } from '@/lib/taskSchema';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const EMPTY_ESTIMATE_TOTALS = { hours: 0, points: 0 };
+
+// Up to two decimals, without trailing zeros
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+// "3h", "1.5h", "1 pt", "5 pts"
+export const formatEstimate = (estimate) => {
+    if (!estimate) return '';
+    return estimate.unit === 'hours'
+        ? `${formatNumber(estimate.value)}h`
+        : `${formatNumber(estimate.value)} pt${estimate.value === 1 ? '' : 's'}`;
+};
+
+// "12h · 8 pts" for { hours, points }; "None" when both are zero
+export const formatEstimateTotals = ({ hours, points }) => {
+    const parts = [];
+    if (hours > 0) parts.push(formatEstimate({ value: hours, unit: 'hours' }));
+    if (points > 0) parts.push(formatEstimate({ value: points, unit: 'points' }));
+    return parts.length > 0 ? parts.join(' · ') : 'None';
+};
+
+export const estimateToMs = (estimate) => estimate.value * HOUR_MS;
+
+// Hour and point totals of the estimates of the tasks in an open status
+// (openStatuses, see lib/workflow.js)
+export const sumRemainingEstimates = (tasks, openStatuses) => tasks.reduce((totals, task) => {
+    if (!task.estimate || !openStatuses.includes(task.status)) return totals;
+    return { ...totals, [task.estimate.unit]: totals[task.estimate.unit] + task.estimate.value };
+}, EMPTY_ESTIMATE_TOTALS);
+
+// How long a completed task took: { ms, source } with source 'tracked' for
+// logged time and 'elapsed' for creation to completion; null if unknown
+export const getActualDuration = (task) => {
+    if (task.timeSpentMs > 0) {
+        return { ms: task.timeSpentMs, source: 'tracked' };
+    }
+    if (task.createdAt && task.completedAt) {
+        const ms = Date.parse(task.completedAt) - Date.parse(task.createdAt);
+        return ms > 0 ? { ms, source: 'elapsed' } : null;
+    }
+    return null;
+};
+
+const emptyAccuracyTotals = () => ({
+    hours: { count: 0, estimatedMs: 0, actualMs: 0 },
+    points: { count: 0, points: 0, actualMs: 0 }
+});
+
+const addToTotals = (totals, estimate, actualMs) => {
+    if (estimate.unit === 'hours') {
+        totals.hours.count += 1;
+        totals.hours.estimatedMs += estimateToMs(estimate);
+        totals.hours.actualMs += actualMs;
+    } else {
+        totals.points.count += 1;
+        totals.points.points += estimate.value;
+        totals.points.actualMs += actualMs;
+    }
+};
+
+// Estimated vs actual totals of completed, estimated tasks:
+// { totals, byType: [{ type, label, ...totals }], tasks: [{ task, actual }] }
+// where totals are { hours: { count, estimatedMs, actualMs }, points: { count, points, actualMs } }.
+// Tasks without an estimate or a known duration are left out.
+export const summarizeEstimateAccuracy = (tasks) => {
+    const totals = emptyAccuracyTotals();
+    const byType = new Map();
+    const rows = [];
+
+    tasks.forEach((task) => {
+        if (!task.estimate || !task.completedAt) return;
+        const actual = getActualDuration(task);
+        if (!actual) return;
+
+        if (!byType.has(task.type)) {
+            byType.set(task.type, { type: task.type, label: getTypeLabel(task.type), ...emptyAccuracyTotals() });
+        }
+        addToTotals(totals, task.estimate, actual.ms);
+        addToTotals(byType.get(task.type), task.estimate, actual.ms);
+        rows.push({ task, actual });
+    });
+
+    return {
+        totals,
+        byType: [...byType.values()].sort((a, b) => a.label.localeCompare(b.label)),
+        tasks: rows
+    };
+};
+
+// Actual time relative to the estimate: "+25%" over, "-10%" under; '' without an estimate
+export const formatVariance = (actualMs, estimatedMs) => {
+    if (!estimatedMs) return '';
+    const percent = Math.round(((actualMs - estimatedMs) / estimatedMs) * 100);
+    return `${percent > 0 ? '+' : ''}${percent}%`;
+};
+
+// Tracked or elapsed hours per story point, e.g. "2.5h"
+export const formatHoursPerPoint = (actualMs, points) =>
+    points > 0 ? `${formatNumber(actualMs / HOUR_MS / points)}h` : '';
@@ -4,11 +4,16 @@
  * Initializes Firebase services for the application:
  * - Authentication with Google provider
  * - Firestore database
+ * - Cloud Storage for attachments, or the Storage emulator when configured
+ *
+ * Services are left null when no Firebase project is configured so the app
+ * can run against the local storage backend (see '@/lib/firestore').
  */
 
 import { initializeApp } from 'firebase/app';
 import { getAuth, GoogleAuthProvider } from 'firebase/auth';
 import { getFirestore } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
 
 // Firebase project configuration from environment variables
 const firebaseConfig = {
@@ -21,11 +26,13 @@ const firebaseConfig = {
     measurementId: process.env.NEXT_PUBLIC_MEASUREMENT_ID
 };
 
+export const isFirebaseConfigured = Boolean(firebaseConfig.apiKey && firebaseConfig.projectId);
+
 // Initialize Firebase app
-const app = initializeApp(firebaseConfig);
+const app = isFirebaseConfigured ? initializeApp(firebaseConfig) : null;
 
 // Initialize Authentication service
-export const auth = getAuth(app);
+export const auth = app ? getAuth(app) : null;
 
 // Configure Google Authentication Provider
 export const googleProvider = new GoogleAuthProvider();
@@ -34,6 +41,16 @@ googleProvider.setCustomParameters({
 });
 
 // Initialize Firestore database
-export const db = getFirestore(app);
+export const db = app ? getFirestore(app) : null;
+
+// Initialize Cloud Storage
+export const storage = app ? getStorage(app) : null;
+
+// Use the local Storage emulator (e.g. "127.0.0.1:9199") when configured
+const storageEmulatorHost = process.env.NEXT_PUBLIC_FIREBASE_STORAGE_EMULATOR_HOST;
+if (storage && storageEmulatorHost) {
+    const [host, port] = storageEmulatorHost.split(':');
+    connectStorageEmulator(storage, host, Number(port));
+}
 
 export default app;
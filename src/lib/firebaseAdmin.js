@@ -0,0 +1,37 @@
+/**
+ * Firebase Admin Configuration
+ *
+ * Server-only Firebase services for API routes, which act with the project's
+ * own credentials and are not bound by the security rules:
+ * - Verifying the ID tokens of signed-in users
+ * - Firestore, for records clients may only read (user stats, attachment usage)
+ * - Cloud Storage, to count the attachment bytes each user stores
+ *
+ * Credentials come from FIREBASE_SERVICE_ACCOUNT (the service account key as
+ * JSON) or from Application Default Credentials. Services are left null when
+ * neither is set. Never import this module from client code.
+ */
+
+import { initializeApp, getApps, cert, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+
+const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+
+export const isFirebaseAdminConfigured = Boolean(serviceAccount || process.env.GOOGLE_APPLICATION_CREDENTIALS);
+
+// Reuse the app across hot reloads and route invocations
+const app = isFirebaseAdminConfigured
+    ? getApps()[0] ?? initializeApp({
+        credential: serviceAccount ? cert(JSON.parse(serviceAccount)) : applicationDefault(),
+        projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+        storageBucket: process.env.NEXT_PUBLIC_FIREBASE_STORAGE_BUCKET
+    })
+    : null;
+
+export const adminAuth = app ? getAuth(app) : null;
+
+export const adminDb = app ? getFirestore(app) : null;
+
+export const adminStorage = app ? getStorage(app) : null;
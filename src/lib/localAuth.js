@@ -0,0 +1,48 @@
+/**
+ * Local Authentication
+ * 
+ * Stand-in for Firebase Auth with the local storage backend.
+ * Signs in a single local user, remembered in localStorage, so the whole
+ * app can run against the local storage backend.
+ */
+
+const STORAGE_KEY = 'task-manager-local-user';
+
+export const LOCAL_USER = {
+    uid: 'local-user',
+    email: 'local@localhost',
+    displayName: 'Local User',
+    photoURL: null
+};
+
+const listeners = new Set();
+
+const readStoredUser = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+};
+
+const notifyListeners = (user) => {
+    listeners.forEach((callback) => callback(user));
+};
+
+// Mirrors Firebase's onAuthStateChanged: called immediately and on every change
+export const onLocalAuthStateChanged = (callback) => {
+    listeners.add(callback);
+    callback(readStoredUser());
+    return () => listeners.delete(callback);
+};
+
+export const signInLocally = async () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(LOCAL_USER));
+    notifyListeners(LOCAL_USER);
+    return LOCAL_USER;
+};
+
+export const signOutLocally = async () => {
+    localStorage.removeItem(STORAGE_KEY);
+    notifyListeners(null);
+};
@@ -0,0 +1,77 @@
+/**
+ * Markdown
+ *
+ * How task descriptions and comments are rendered:
+ * - GitHub Flavored Markdown: tables, task lists, strikethrough and autolinks
+ * - Sanitized output, so raw HTML and script URLs never reach the page
+ * - Syntax highlighting for fenced code blocks that name their language
+ * - Checking off a task-list item by editing its source
+ * - Comment @mentions turned into mention links
+ */
+
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import { MENTION_PATTERN } from '@/lib/comments';
+
+export const MARKDOWN_REMARK_PLUGINS = [remarkGfm];
+
+// Highlighting runs after sanitizing so its classes are kept
+export const MARKDOWN_REHYPE_PLUGINS = [rehypeSanitize, rehypeHighlight];
+
+// Link target marking a mention; MarkdownContent renders these as mention chips
+export const MENTION_LINK_PREFIX = '#mention-';
+
+// Remark plugin turning "@handle" into a mention link for each of mentions
+// ({ userId, handle, name }, see lib/comments.js). Code and links are left alone.
+export const remarkMentions = ({ mentions = [] } = {}) => {
+    const handles = new Set(mentions.map(mention => mention.handle));
+
+    const splitText = (node) => {
+        const parts = [];
+        let last = 0;
+        for (const match of node.value.matchAll(MENTION_PATTERN)) {
+            const handle = match[2].toLowerCase();
+            if (!handles.has(handle)) continue;
+
+            const start = match.index + match[1].length;
+            if (start > last) parts.push({ type: 'text', value: node.value.slice(last, start) });
+            parts.push({
+                type: 'link',
+                url: `${MENTION_LINK_PREFIX}${handle}`,
+                children: [{ type: 'text', value: `@${match[2]}` }]
+            });
+            last = start + match[2].length + 1;
+        }
+        if (parts.length === 0) return [node];
+        if (last < node.value.length) parts.push({ type: 'text', value: node.value.slice(last) });
+        return parts;
+    };
+
+    const visit = (node) => {
+        if (!node.children || node.type === 'link' || node.type === 'linkReference') return;
+        node.children = node.children.flatMap((child) => {
+            if (child.type === 'text') return splitText(child);
+            visit(child);
+            return [child];
+        });
+    };
+
+    return (tree) => {
+        if (handles.size > 0) visit(tree);
+    };
+};
+
+// The marker and checkbox at the start of a task-list item, e.g. "- [ ]" or "2. [x]"
+const TASK_ITEM_PATTERN = /^([ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])\]/;
+
+// Markdown with the checkbox of the task-list item starting at offset (the
+// item's source position) flipped; unchanged when there is no checkbox there
+export const toggleTaskListItem = (markdown, offset) => {
+    const match = TASK_ITEM_PATTERN.exec(markdown.slice(offset));
+    if (!match) return markdown;
+
+    const checkboxAt = offset + match[1].length;
+    const next = match[2] === ' ' ? 'x' : ' ';
+    return markdown.slice(0, checkboxAt) + next + markdown.slice(checkboxAt + 1);
+};
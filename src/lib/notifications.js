@@ -0,0 +1,121 @@
+/**
+ * Browser Notifications
+ *
+ * Shows due-date reminders as system notifications through the reminder
+ * service worker (public/reminder-sw.js):
+ * - Permission checks and requests
+ * - One notification per reminder, tagged with its key so it is never stacked
+ * - Snooze and dismiss buttons, reported back to the open app
+ * - Notifications closed once a reminder is handled on any device
+ *
+ * Notifications are only shown while the app is open in some tab; the tray
+ * lists the same reminders in the app.
+ */
+
+const WORKER_URL = '/reminder-sw.js';
+const NOTIFIED_STORAGE_KEY = 'task-manager-notified-reminders';
+const MAX_NOTIFIED_ENTRIES = 200;
+
+// Message type the service worker posts when a notification is clicked
+const REMINDER_ACTION_MESSAGE = 'reminder-action';
+
+// How long the notification's snooze button hides a reminder
+export const NOTIFICATION_SNOOZE_MINUTES = 60;
+
+export const isNotificationSupported = () =>
+    typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+export const getNotificationPermission = () =>
+    isNotificationSupported() ? Notification.permission : 'unsupported';
+
+export const requestNotificationPermission = async () => {
+    if (!isNotificationSupported()) return 'unsupported';
+    return Notification.requestPermission();
+};
+
+let registrationPromise = null;
+
+// Register the reminder service worker once per page load
+export const registerReminderWorker = () => {
+    if (!isNotificationSupported()) return Promise.resolve(null);
+
+    registrationPromise ??= navigator.serviceWorker.register(WORKER_URL).catch((error) => {
+        console.error('Error registering reminder service worker:', error);
+        registrationPromise = null;
+        return null;
+    });
+    return registrationPromise;
+};
+
+// Reminder showings already notified on this device, as `${key}@${showAt}`, so
+// a reload or a second tab does not notify again
+const loadNotified = () => {
+    try {
+        return JSON.parse(localStorage.getItem(NOTIFIED_STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+};
+
+const notifiedId = (reminder) => `${reminder.key}@${reminder.showAt}`;
+
+export const wasNotified = (reminder) => loadNotified().includes(notifiedId(reminder));
+
+const markNotified = (reminder) => {
+    try {
+        const notified = [...loadNotified(), notifiedId(reminder)].slice(-MAX_NOTIFIED_ENTRIES);
+        localStorage.setItem(NOTIFIED_STORAGE_KEY, JSON.stringify(notified));
+    } catch (error) {
+        console.error('Error saving notified reminders:', error);
+    }
+};
+
+// Show a reminder ({ key, taskId, showAt, task }) as a system notification
+// with the given body text. Does nothing without permission.
+export const showReminderNotification = async (reminder, body) => {
+    if (getNotificationPermission() !== 'granted') return;
+
+    const registration = await registerReminderWorker();
+    if (!registration) return;
+
+    markNotified(reminder);
+    await registration.showNotification(reminder.task.title, {
+        body,
+        tag: reminder.key,
+        data: { key: reminder.key, taskId: reminder.taskId, url: `/view-task/${reminder.taskId}` },
+        actions: [
+            { action: 'snooze', title: `Snooze ${NOTIFICATION_SNOOZE_MINUTES / 60} hour` },
+            { action: 'dismiss', title: 'Dismiss' }
+        ]
+    });
+};
+
+// Close notifications of reminders no longer showing (snoozed, dismissed,
+// completed or rescheduled, possibly on another device)
+export const closeStaleReminderNotifications = async (activeKeys) => {
+    if (getNotificationPermission() !== 'granted') return;
+
+    const registration = await registerReminderWorker();
+    if (!registration) return;
+
+    const notifications = await registration.getNotifications();
+    notifications
+        .filter(notification => notification.data?.key && !activeKeys.includes(notification.data.key))
+        .forEach(notification => notification.close());
+};
+
+// Listen for notification clicks. onAction receives { action, key, taskId } with
+// action 'snooze', 'dismiss' or 'open'. Returns an unsubscribe function.
+export const onReminderAction = (onAction) => {
+    if (!isNotificationSupported()) return () => {};
+
+    const handleMessage = (event) => {
+        if (event.data?.type === REMINDER_ACTION_MESSAGE) {
+            const { action, key, taskId } = event.data;
+            onAction({ action, key, taskId });
+        }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
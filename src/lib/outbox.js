@@ -0,0 +1,86 @@
+/**
+ * Offline Outbox
+ *
+ * Persistent queue of writes that could not reach the backend:
+ * - Entries are stored in localStorage and survive reloads
+ * - Replayed in order through the storage API once the network is back
+ * - Tasks created offline get a temporary local ID until they sync
+ */
+
+import { addTask, updateTask, addComment } from '@/lib/firestore';
+
+const STORAGE_KEY = 'task-manager-outbox';
+
+// Prefix for IDs of tasks that only exist in the outbox
+export const LOCAL_TASK_PREFIX = 'local_';
+
+export const isLocalTaskId = (taskId) => typeof taskId === 'string' && taskId.startsWith(LOCAL_TASK_PREFIX);
+
+const generateId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+export const createLocalTaskId = () => `${LOCAL_TASK_PREFIX}${generateId()}`;
+
+export const createOutboxEntry = (type, { userId, taskId, payload }) => ({
+    id: generateId(),
+    type,
+    userId,
+    taskId,
+    payload,
+    status: 'pending',
+    error: null,
+    attempts: 0,
+    createdAt: new Date().toISOString()
+});
+
+export const loadOutbox = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+};
+
+export const saveOutbox = (entries) => {
+    try {
+        if (entries.length === 0) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        }
+    } catch (error) {
+        console.error('Error saving outbox:', error);
+    }
+};
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Errors worth retrying later rather than surfacing to the user
+const TRANSIENT_ERROR_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'cancelled'];
+
+export const isNetworkError = (error) => {
+    if (isOffline()) return true;
+    if (TRANSIENT_ERROR_CODES.includes(error?.code)) return true;
+
+    const message = error?.message || '';
+    return message.includes('Failed to fetch') ||
+        message.includes('NetworkError') ||
+        message.includes('network') ||
+        message.includes('offline');
+};
+
+// Perform a queued write; resolves with the created ID for creates and the new revision for edits
+export const executeOutboxEntry = async (entry) => {
+    switch (entry.type) {
+        case 'createTask':
+            return addTask(entry.userId, entry.payload.taskData);
+        case 'editTask':
+            return updateTask(entry.taskId, entry.payload.taskData, {
+                expectedRevision: entry.payload.expectedRevision,
+                actor: entry.payload.actor
+            });
+        case 'addComment':
+            return addComment(entry.taskId, entry.payload.commentData);
+        default:
+            throw new Error(`Unknown outbox entry type: ${entry.type}`);
+    }
+};
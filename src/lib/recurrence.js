@@ -0,0 +1,166 @@
+/**
+ * Recurring Tasks
+ *
+ * Helpers for the recurrence rule stored on a task
+ * ({ frequency, interval, weekdays?, dayOfMonth? }):
+ * - Default rules for the recurrence editor
+ * - Next due date for daily, weekly, monthly and after-completion rules
+ * - Readable summaries ("Every 2 weeks on Mon, Thu")
+ * - The task data of the next occurrence
+ *
+ * Only the open occurrence carries the rule: completing it creates the next
+ * occurrence with the rule and clears it on the completed task, so reopening
+ * and completing that task again does not create a second occurrence.
+ *
+ * "Today" and the day a task was completed are read in the user's timezone
+ * setting (see lib/deadlines.js).
+ */
+
+import { getZonedDate } from '@/lib/deadlines';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Dates are handled as UTC midnights of 'YYYY-MM-DD' strings so that
+// stepping by days never trips over daylight saving changes
+const parseDate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+};
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Sunday that starts the week of a date
+const getWeekStart = (time) => time - new Date(time).getUTCDay() * DAY_MS;
+
+// Keep only the keys the frequency uses, in a stable order, so rules compare by content
+export const normalizeRecurrence = (recurrence) => {
+    if (!recurrence) return null;
+
+    const { frequency, interval } = recurrence;
+    switch (frequency) {
+        case 'weekly':
+            return { frequency, interval, weekdays: [...recurrence.weekdays].sort((a, b) => a - b) };
+        case 'monthly':
+            return { frequency, interval, dayOfMonth: recurrence.dayOfMonth };
+        default:
+            return { frequency, interval };
+    }
+};
+
+// Rule for a newly picked frequency, anchored on the due date (or today in timeZone)
+export const createRecurrence = (frequency, dueDate, timeZone) => {
+    if (!frequency) return null;
+
+    const anchor = parseDate(dueDate || getZonedDate(Date.now(), timeZone));
+    return normalizeRecurrence({
+        frequency,
+        interval: 1,
+        weekdays: [new Date(anchor).getUTCDay()],
+        dayOfMonth: new Date(anchor).getUTCDate()
+    });
+};
+
+// First scheduled date strictly after `from` (a UTC midnight)
+const getFollowingDate = (recurrence, from) => {
+    const { frequency, interval } = recurrence;
+
+    if (frequency === 'weekly') {
+        // Only every interval-th week (counted from the week of `from`) is eligible
+        for (let day = from + DAY_MS; ; day += DAY_MS) {
+            const weeks = Math.round((getWeekStart(day) - getWeekStart(from)) / (7 * DAY_MS));
+            if (weeks % interval === 0 && recurrence.weekdays.includes(new Date(day).getUTCDay())) {
+                return day;
+            }
+        }
+    }
+
+    if (frequency === 'monthly') {
+        const start = new Date(from);
+        for (let month = start.getUTCMonth(); ; month += interval) {
+            // Day 31 falls on the last day of shorter months
+            const day = Math.min(recurrence.dayOfMonth, daysInMonth(start.getUTCFullYear(), month));
+            const time = Date.UTC(start.getUTCFullYear(), month, day);
+            if (time > from) return time;
+        }
+    }
+
+    return from + interval * DAY_MS;
+};
+
+// Due date ('YYYY-MM-DD') of the occurrence after one completed at completedAt,
+// counting from the day of completion in timeZone
+export const getNextDueDate = (recurrence, { dueDate, completedAt }, timeZone) => {
+    const completedOn = parseDate(getZonedDate(Date.parse(completedAt), timeZone));
+
+    if (recurrence.frequency === 'after-completion') {
+        return formatDate(completedOn + recurrence.interval * DAY_MS);
+    }
+
+    // Scheduled rules continue from the due date; without one, from the completion day
+    let next = getFollowingDate(recurrence, dueDate ? parseDate(dueDate) : completedOn);
+    // Occurrences missed by completing late are skipped rather than created overdue
+    while (next < completedOn) {
+        next = getFollowingDate(recurrence, next);
+    }
+    return formatDate(next);
+};
+
+const plural = (count, unit) => (count === 1 ? unit : `${count} ${unit}s`);
+
+// One-line summary of a rule; empty for tasks that do not repeat
+export const describeRecurrence = (recurrence) => {
+    if (!recurrence) return '';
+
+    const { frequency, interval } = recurrence;
+    switch (frequency) {
+        case 'daily':
+            return `Every ${plural(interval, 'day')}`;
+        case 'weekly':
+            return `Every ${plural(interval, 'week')} on ${recurrence.weekdays.map(day => WEEKDAY_LABELS[day]).join(', ')}`;
+        case 'monthly':
+            return `Every ${plural(interval, 'month')} on day ${recurrence.dayOfMonth}`;
+        case 'after-completion':
+            return `${interval} day${interval === 1 ? '' : 's'} after completion`;
+        default:
+            return '';
+    }
+};
+
+// Task data for the occurrence that follows `task`, which was completed at completedAt.
+// It starts in `status` (the first status of the workflow). Content, tags, the
+// due time, estimate, reminders and the rule carry over; the checklist starts over undone.
+export const buildNextOccurrence = (task, completedAt, status, timeZone) => {
+    const nextTask = {
+        title: task.title,
+        description: task.description || '',
+        status,
+        type: task.type,
+        dueDate: getNextDueDate(task.recurrence, { dueDate: task.dueDate, completedAt }, timeZone),
+        recurrence: task.recurrence
+    };
+
+    if (task.priority) {
+        nextTask.priority = task.priority;
+    }
+    if (task.dueTime) {
+        nextTask.dueTime = task.dueTime;
+    }
+    if (task.tags?.length) {
+        nextTask.tags = task.tags;
+    }
+    if (task.estimate) {
+        nextTask.estimate = task.estimate;
+    }
+    if (Array.isArray(task.reminders)) {
+        nextTask.reminders = task.reminders;
+    }
+    if (task.checklist?.length) {
+        nextTask.checklist = task.checklist.map(item => ({ ...item, done: false }));
+        nextTask.autoCompleteChecklist = Boolean(task.autoCompleteChecklist);
+    }
+    return nextTask;
+};
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextDueDate } from './recurrence.js';
+
+// 10 PM on 2025-03-14 in New York, already 2025-03-15 in UTC
+const LATE_EVENING = '2025-03-15T02:00:00.000Z';
+
+test('an after-completion rule counts from the day of completion in the timezone', () => {
+    const recurrence = { frequency: 'after-completion', interval: 1 };
+    assert.equal(getNextDueDate(recurrence, { completedAt: LATE_EVENING }, 'America/New_York'), '2025-03-15');
+    assert.equal(getNextDueDate(recurrence, { completedAt: LATE_EVENING }, 'UTC'), '2025-03-16');
+});
+
+test('a late completion skips occurrences up to the day of completion in the timezone', () => {
+    const recurrence = { frequency: 'daily', interval: 1 };
+    assert.equal(getNextDueDate(recurrence, { dueDate: '2025-03-10', completedAt: LATE_EVENING }, 'America/New_York'), '2025-03-14');
+});
@@ -0,0 +1,187 @@
+/**
+ * Reminders
+ *
+ * Due-date reminders of tasks. A reminder is a number of minutes before the
+ * task's due time (0 is at the due time; tasks without one use
+ * DEFAULT_REMINDER_TIME, see lib/deadlines.js); a task lists its own in `reminders`,
+ * or uses the user's default reminders when that is null:
+ * - Presets, custom offsets and their descriptions
+ * - Validation of reminder lists
+ * - The moments reminders fire, and which ones are showing at a given time
+ * - Snooze choices
+ *
+ * Snoozing or dismissing a reminder is stored per occurrence (see getReminderKey),
+ * so it holds on every device; moving the due date or time starts a fresh occurrence.
+ * Due moments are read in the user's timezone setting (timeZone; null is the device's).
+ */
+
+import { getDueMoment, getReminderMoment, getZonedDate, formatDueDate, formatDueTime } from '@/lib/deadlines';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MINUTES = 60;
+const DAY_MINUTES = 24 * HOUR_MINUTES;
+
+export const MAX_REMINDER_OFFSET_DAYS = 30;
+export const MAX_REMINDER_OFFSET_MINUTES = MAX_REMINDER_OFFSET_DAYS * DAY_MINUTES;
+
+// Reminders that fired longer ago than this stop showing
+export const REMINDER_EXPIRY_DAYS = 7;
+
+export const REMINDER_PRESETS = [
+    { offsetMinutes: 0, label: 'At due time' },
+    { offsetMinutes: HOUR_MINUTES, label: '1 hour before' },
+    { offsetMinutes: 3 * HOUR_MINUTES, label: '3 hours before' },
+    { offsetMinutes: DAY_MINUTES, label: '1 day before' },
+    { offsetMinutes: 2 * DAY_MINUTES, label: '2 days before' },
+    { offsetMinutes: 7 * DAY_MINUTES, label: '1 week before' }
+];
+
+// Units for custom offsets, in minutes
+export const REMINDER_OFFSET_UNITS = [
+    { value: 'minutes', label: 'minutes', minutes: 1 },
+    { value: 'hours', label: 'hours', minutes: HOUR_MINUTES },
+    { value: 'days', label: 'days', minutes: DAY_MINUTES }
+];
+
+export const SNOOZE_OPTIONS = [
+    { label: '15 minutes', minutes: 15 },
+    { label: '1 hour', minutes: HOUR_MINUTES },
+    { label: '1 day', minutes: DAY_MINUTES }
+];
+
+// What a user did with a reminder; stored per occurrence
+export const REMINDER_STATUSES = ['snoozed', 'dismissed'];
+
+// Error code for reminder states rejected by assertValidReminderState
+export const INVALID_REMINDER_STATE = 'invalid-reminder-state';
+
+// A snoozed reminder needs the time it comes back ({ status, snoozedUntil })
+export const assertValidReminderState = (state) => {
+    let message = null;
+    if (!REMINDER_STATUSES.includes(state?.status)) {
+        message = `Reminder status must be one of: ${REMINDER_STATUSES.join(', ')}`;
+    } else if (state.status === 'snoozed' && Number.isNaN(Date.parse(state.snoozedUntil))) {
+        message = 'A snoozed reminder needs the time it comes back';
+    }
+    if (!message) return;
+
+    const error = new Error(`Invalid reminder state: ${message}`);
+    error.code = INVALID_REMINDER_STATE;
+    throw error;
+};
+
+const isOffset = (value) =>
+    Number.isInteger(value) && value >= 0 && value <= MAX_REMINDER_OFFSET_MINUTES;
+
+// Message for an invalid reminder list, or null when it is valid
+export const getRemindersError = (value, { label = 'Reminders', maxItems }) => {
+    if (!Array.isArray(value) || !value.every(isOffset)) {
+        return `${label} must be whole minutes from 0 to ${MAX_REMINDER_OFFSET_DAYS} days before the due time`;
+    }
+    if (value.length > maxItems) {
+        return `A task can have at most ${maxItems} reminders`;
+    }
+    if (new Set(value).size !== value.length) {
+        return `${label} cannot contain the same reminder twice`;
+    }
+    return null;
+};
+
+// Reminder lists are kept earliest-firing (largest offset) first
+export const sortReminders = (offsets) => [...offsets].sort((a, b) => b - a);
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+// "At due time", "90 minutes before", "3 hours before", "2 days before"
+export const describeReminder = (offsetMinutes) => {
+    if (offsetMinutes === 0) return 'At due time';
+    if (offsetMinutes % DAY_MINUTES === 0) return `${plural(offsetMinutes / DAY_MINUTES, 'day')} before`;
+    if (offsetMinutes % HOUR_MINUTES === 0) return `${plural(offsetMinutes / HOUR_MINUTES, 'hour')} before`;
+    return `${plural(offsetMinutes, 'minute')} before`;
+};
+
+// Summary of a task's reminder setting; null means the defaults apply
+export const describeReminders = (offsets) => {
+    if (offsets === null || offsets === undefined) return 'Default reminders';
+    if (offsets.length === 0) return 'No reminders';
+    return sortReminders(offsets).map(describeReminder).join(', ');
+};
+
+// The reminders that apply to a task
+export const getTaskReminders = (task, defaultReminders) => task.reminders ?? defaultReminders;
+
+// ID of one firing of a reminder; it changes with the due date
+export const getReminderKey = (taskId, offsetMinutes, fireAt) =>
+    `${taskId}_${offsetMinutes}_${Date.parse(fireAt)}`;
+
+// Every reminder of a task with a due date: [{ key, taskId, offsetMinutes, fireAt }].
+// Only open tasks are passed in (see subscribeToDueTasks).
+export const getReminderOccurrences = (task, defaultReminders, timeZone) => {
+    if (!task.dueDate) return [];
+
+    const remindAt = getReminderMoment(task, timeZone).getTime();
+    return getTaskReminders(task, defaultReminders).map((offsetMinutes) => {
+        const fireAt = new Date(remindAt - offsetMinutes * MINUTE_MS).toISOString();
+        return { key: getReminderKey(task.id, offsetMinutes, fireAt), taskId: task.id, offsetMinutes, fireAt };
+    });
+};
+
+// When an occurrence shows, given its stored state ({ status, snoozedUntil });
+// null once it is dismissed
+const getShowAt = (occurrence, state) => {
+    if (state?.status === 'dismissed') return null;
+    return state?.status === 'snoozed' ? state.snoozedUntil : occurrence.fireAt;
+};
+
+const forEachOccurrence = (tasks, defaultReminders, states, timeZone, callback) => {
+    tasks.forEach((task) => {
+        getReminderOccurrences(task, defaultReminders, timeZone).forEach((occurrence) => {
+            const showAt = getShowAt(occurrence, states[occurrence.key]);
+            if (showAt) callback({ ...occurrence, task, showAt });
+        });
+    });
+};
+
+// Reminders showing at `now` (fired or back from a snooze, not dismissed or
+// expired), most recent first: [{ key, taskId, offsetMinutes, fireAt, showAt, task }]
+export const getActiveReminders = (tasks, defaultReminders, states, now, timeZone) => {
+    const expiredBefore = now - REMINDER_EXPIRY_DAYS * DAY_MINUTES * MINUTE_MS;
+    const active = [];
+
+    forEachOccurrence(tasks, defaultReminders, states, timeZone, (reminder) => {
+        const showAt = Date.parse(reminder.showAt);
+        if (showAt <= now && Date.parse(reminder.fireAt) >= expiredBefore) {
+            active.push(reminder);
+        }
+    });
+    return active.sort((a, b) => Date.parse(b.showAt) - Date.parse(a.showAt));
+};
+
+// Time (ms) of the next reminder to show after `now`, or null if none is pending
+export const getNextReminderTime = (tasks, defaultReminders, states, now, timeZone) => {
+    let next = null;
+
+    forEachOccurrence(tasks, defaultReminders, states, timeZone, (reminder) => {
+        const showAt = Date.parse(reminder.showAt);
+        if (showAt > now && (next === null || showAt < next)) {
+            next = showAt;
+        }
+    });
+    return next;
+};
+
+// Text of a reminder as shown in notifications: "Due today at 09:00", or "Due
+// today" for a task without a due time. The date and time are the task's own, in
+// the user's timezone.
+export const describeReminderDue = (task, { now = Date.now(), timeZone } = {}) => {
+    const time = task.dueTime ? formatDueTime(task.dueTime) : null;
+    if (getDueMoment(task, timeZone).getTime() < now) {
+        return `Overdue since ${formatDueDate(task.dueDate)}${time ? ` ${time}` : ''}`;
+    }
+    const day = task.dueDate === getZonedDate(now, timeZone)
+        ? 'today'
+        : task.dueDate === getZonedDate(now + DAY_MINUTES * MINUTE_MS, timeZone)
+            ? 'tomorrow'
+            : `on ${formatDueDate(task.dueDate)}`;
+    return time ? `Due ${day} at ${time}` : `Due ${day}`;
+};
@@ -0,0 +1,28 @@
+/**
+ * Server Storage Operations
+ *
+ * Storage API for API routes, for records only the server may change (user
+ * stats, the suggestion log and attachment usage). Calls go to the backend
+ * selected with NEXT_PUBLIC_STORAGE_BACKEND, as in '@/lib/firestore':
+ * - 'firestore' (default): the Admin SDK, see storage/adminBackend.js
+ * - 'memory': the in-memory store of this server process
+ *
+ * With Firestore, callers identify users by verifying their ID token. Attachment
+ * usage is only recounted there; the memory backend keeps its own count.
+ */
+
+import { STORAGE_BACKEND } from '@/lib/firestore';
+import * as adminBackend from '@/lib/storage/adminBackend';
+import * as memoryBackend from '@/lib/storage/memoryBackend';
+
+const backend = STORAGE_BACKEND === 'memory' ? memoryBackend : adminBackend;
+
+export { STORAGE_BACKEND };
+
+export const { verifyIdToken, recountAttachmentUsage } = adminBackend;
+
+export const {
+    getUserStats,
+    recordSuggestionUsage,
+    saveSuggestion
+} = backend;
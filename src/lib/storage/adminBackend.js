@@ -0,0 +1,105 @@
+/**
+ * Firestore Admin Backend
+ *
+ * Server half of the Firestore backend, on the Admin SDK: records that clients
+ * may read but only the server may change, so users cannot reset them
+ * (suggestion usage, the suggestion log and attachment usage). Used through
+ * '@/lib/serverStorage'.
+ * Timestamps are returned as ISO strings, like the client backends.
+ */
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { adminAuth, adminDb, adminStorage } from '@/lib/firebaseAdmin';
+import { getAttachmentUserPrefix } from '@/lib/attachments';
+
+const USER_STATS_COLLECTION = 'userStats';
+const SUGGESTIONS_COLLECTION = 'suggestions';
+const ATTACHMENT_USAGE_COLLECTION = 'attachmentUsage';
+
+const toISOString = (value) => value?.toDate?.() ? value.toDate().toISOString() : value;
+
+const getAdminDb = () => {
+    if (!adminDb) {
+        throw new Error('Firebase Admin is not configured');
+    }
+    return adminDb;
+};
+
+// The user ID of a valid Firebase ID token; throws for missing, expired or forged tokens
+export const verifyIdToken = async (idToken) => {
+    if (!adminAuth) {
+        throw new Error('Firebase Admin is not configured');
+    }
+    const { uid } = await adminAuth.verifyIdToken(idToken);
+    return uid;
+};
+
+// Get a user's usage stats (null if none recorded yet)
+export const getUserStats = async (userId) => {
+    try {
+        const userStatsSnap = await getAdminDb().collection(USER_STATS_COLLECTION).doc(userId).get();
+        if (!userStatsSnap.exists) {
+            return null;
+        }
+
+        const data = userStatsSnap.data();
+        return {
+            ...data,
+            createdAt: toISOString(data.createdAt),
+            lastSuggestionAt: toISOString(data.lastSuggestionAt)
+        };
+    } catch (error) {
+        console.error('Error getting user stats:', error);
+        throw error;
+    }
+};
+
+// Count one more AI suggestion against a user's free allowance
+export const recordSuggestionUsage = async (userId) => {
+    try {
+        const userStatsRef = getAdminDb().collection(USER_STATS_COLLECTION).doc(userId);
+        await getAdminDb().runTransaction(async (transaction) => {
+            const userStatsSnap = await transaction.get(userStatsRef);
+            transaction.set(userStatsRef, {
+                suggestionCount: FieldValue.increment(1),
+                lastSuggestionAt: FieldValue.serverTimestamp(),
+                ...(!userStatsSnap.exists && { createdAt: FieldValue.serverTimestamp() })
+            }, { merge: true });
+        });
+    } catch (error) {
+        console.error('Error recording suggestion usage:', error);
+        throw error;
+    }
+};
+
+// Store a generated suggestion for analytics
+export const saveSuggestion = async (suggestionData) => {
+    try {
+        const docRef = await getAdminDb().collection(SUGGESTIONS_COLLECTION).add({
+            ...suggestionData,
+            createdAt: FieldValue.serverTimestamp()
+        });
+        return docRef.id;
+    } catch (error) {
+        console.error('Error saving suggestion:', error);
+        throw error;
+    }
+};
+
+// Count the bytes of the attachment files a user stores, as storage.rules read
+// it for the allowance. Counted from the files themselves, so a recount is
+// always safe to ask for. Resolves with the count.
+export const recountAttachmentUsage = async (userId) => {
+    try {
+        if (!adminStorage) {
+            throw new Error('Firebase Admin is not configured');
+        }
+        const [files] = await adminStorage.bucket().getFiles({ prefix: `${getAttachmentUserPrefix(userId)}/` });
+        const attachmentBytes = files.reduce((total, file) => total + Number(file.metadata.size ?? 0), 0);
+        await getAdminDb().collection(ATTACHMENT_USAGE_COLLECTION).doc(userId).set({ attachmentBytes });
+        return attachmentBytes;
+    } catch (error) {
+        console.error('Error recounting attachment usage:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,103 @@
+/**
+ * Storage Backend Shared Definitions
+ * 
+ * Constants and helpers shared by every storage backend so that
+ * Firestore and local storage behave the same way.
+ */
+
+import { isSameTaskValue, DEFAULT_PRIORITY } from '@/lib/taskSchema';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of days a task stays in the trash before it is purged automatically
+export const TRASH_RETENTION_DAYS = 30;
+
+// Default number of tasks per list page
+export const DEFAULT_PAGE_SIZE = 20;
+
+// Defaults for fields every task is expected to have (the list queries filter
+// on some of them, so older documents are backfilled)
+export const TASK_DEFAULTS = {
+    deletedAt: null,
+    // Set when a finished task is archived (see archiveCompletedTasks)
+    archivedAt: null,
+    // Incremented on every update; edits may name the revision they were based on
+    revision: 0,
+    priority: DEFAULT_PRIORITY
+};
+
+// List orderings: newest first, or most urgent first (newest first within a priority).
+// Tasks created at the same time are ordered by ID, descending, as Firestore
+// orders them when the last sort field is descending.
+export const DEFAULT_TASK_SORT = 'newest';
+
+const compareIdsDescending = (a, b) => {
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? 1 : -1;
+};
+
+const compareNewestFirst = (a, b) => {
+    const byCreatedAt = a.createdAt && b.createdAt ? new Date(b.createdAt) - new Date(a.createdAt) : 0;
+    return byCreatedAt !== 0 ? byCreatedAt : compareIdsDescending(a, b);
+};
+
+// Comparator matching the backend order of a task list sorted by sort
+export const getTaskComparator = (sort = DEFAULT_TASK_SORT) => {
+    if (sort !== 'priority') return compareNewestFirst;
+
+    return (a, b) => {
+        const byPriority = (a.priority ?? DEFAULT_PRIORITY).localeCompare(b.priority ?? DEFAULT_PRIORITY);
+        return byPriority !== 0 ? byPriority : compareNewestFirst(a, b);
+    };
+};
+
+// Comment summary kept on every task document so lists need no per-task
+// count queries. Older tasks get real values from the one-off backfill.
+export const COMMENT_SUMMARY_DEFAULTS = {
+    commentCount: 0,
+    // Time of the most recently posted comment
+    lastCommentAt: null
+};
+
+// Tracked time kept on every task document (sum of its finished time entries)
+// so lists need no per-task queries. Missing on older tasks, where it reads as 0.
+export const TIME_SUMMARY_DEFAULTS = {
+    timeSpentMs: 0
+};
+
+// Error code for an update based on a revision that is no longer current
+export const REVISION_CONFLICT = 'revision-conflict';
+
+// Error carrying the current version of the task so the caller can merge
+export const createRevisionConflictError = (remoteTask) => {
+    const error = new Error('This task was changed elsewhere since you started editing it');
+    error.code = REVISION_CONFLICT;
+    error.remoteTask = remoteTask;
+    return error;
+};
+
+// Cursor pointing just past the given task in the list ordering (any sort)
+export const getTaskCursor = (task) => (task
+    ? { id: task.id, createdAt: task.createdAt, priority: task.priority ?? DEFAULT_PRIORITY }
+    : null);
+
+// The update to write for taskData: completing a recurring task hands its rule
+// on to its next occurrence, which the backend creates after the write
+export const getCompletionChanges = (task, taskData) => (taskData.completedAt && task.recurrence
+    ? { ...taskData, recurrence: null }
+    : taskData);
+
+// History entries for the fields an update actually changes. Values are stored
+// as-is with null for missing ones; createdAt is added by the backend.
+export const getHistoryEntries = (task, updates, actor, revision) => {
+    return Object.entries(updates)
+        .filter(([field, value]) => !isSameTaskValue(task[field], value))
+        .map(([field, value]) => ({
+            field,
+            oldValue: task[field] ?? null,
+            newValue: value ?? null,
+            actorId: actor?.id ?? null,
+            actorName: actor?.name ?? null,
+            revision
+        }));
+};
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTaskComparator, getTaskCursor } from './common.js';
+
+const createdAt = '2026-01-05T09:00:00.000Z';
+const tasks = [
+    { id: 'b', createdAt, priority: 'p2' },
+    { id: 'c', createdAt, priority: 'p2' },
+    { id: 'a', createdAt, priority: 'p2' }
+];
+
+test('tasks created at the same time page in ID order without skipping any', () => {
+    for (const sort of ['newest', 'priority']) {
+        const compare = getTaskComparator(sort);
+        const sorted = [...tasks].sort(compare);
+        assert.deepEqual(sorted.map(task => task.id), ['c', 'b', 'a']);
+
+        const cursor = getTaskCursor(sorted[0]);
+        assert.deepEqual(sorted.filter(task => compare(task, cursor) > 0).map(task => task.id), ['b', 'a']);
+    }
+});
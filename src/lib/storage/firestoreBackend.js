@@ -0,0 +1,1876 @@
+/**
+ * Firestore Storage Backend
+ * 
+ * Firebase Firestore implementation of the storage API re-exported by
+ * '@/lib/firestore' (tasks and the archive, tags, templates, task dependencies, comments, change history,
+ * attachments, time entries, reminders and user settings). User stats are
+ * written on the server, see storage/adminBackend.js.
+ * Attachment files are kept in Cloud Storage.
+ * Converts Firestore timestamps to ISO strings for Redux serialization.
+ */
+
+import {
+    collection,
+    addDoc,
+    getDocs,
+    getDoc,
+    doc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    documentId,
+    serverTimestamp,
+    getCountFromServer,
+    getAggregateFromServer,
+    sum,
+    writeBatch,
+    onSnapshot,
+    increment,
+    runTransaction,
+    Timestamp
+} from 'firebase/firestore';
+import { ref, uploadBytesResumable, getDownloadURL, getBytes, deleteObject } from 'firebase/storage';
+import { auth, db, storage } from '@/lib/firebase';
+import { assertValidTask, ESTIMATE_UNITS } from '@/lib/taskSchema';
+import {
+    DEFAULT_TAG_FILTER_MODE,
+    normalizeTagName,
+    assertValidTag,
+    assertUniqueTagName,
+    matchesTagFilter,
+    replaceTagId
+} from '@/lib/tags';
+import { traceDependencyCycle, createDependencyCycleError, removeBlocker } from '@/lib/dependencies';
+import { buildNextOccurrence } from '@/lib/recurrence';
+import { getInitialStatus } from '@/lib/workflow';
+import { assertValidTimeEntry, getEntryDuration } from '@/lib/timeTracking';
+import { EMPTY_ESTIMATE_TOTALS, sumRemainingEstimates } from '@/lib/estimates';
+import { REMINDER_EXPIRY_DAYS, assertValidReminderState } from '@/lib/reminders';
+import {
+    assertAttachmentFits,
+    getAttachmentPath,
+    getAttachmentContentType,
+    getCommentAttachments
+} from '@/lib/attachments';
+import { withSettingsDefaults, assertValidUserSettings, normalizeUserSettings } from '@/lib/userSettings';
+import { assertValidTemplate, normalizeTemplate } from '@/lib/templates';
+import { assertCanReply, assertCommentAuthor, createHandle, getHandleCandidates } from '@/lib/comments';
+import {
+    TRASH_RETENTION_DAYS,
+    DEFAULT_PAGE_SIZE,
+    TASK_DEFAULTS,
+    COMMENT_SUMMARY_DEFAULTS,
+    TIME_SUMMARY_DEFAULTS,
+    DEFAULT_TASK_SORT,
+    DAY_MS,
+    getTaskCursor,
+    getHistoryEntries,
+    getCompletionChanges,
+    createRevisionConflictError
+} from '@/lib/storage/common';
+
+// Collection references
+const TASKS_COLLECTION = 'tasks';
+const TAGS_COLLECTION = 'tags';
+const TEMPLATES_COLLECTION = 'templates';
+const COMMENTS_COLLECTION = 'comments';
+const HISTORY_COLLECTION = 'history';
+const ATTACHMENTS_COLLECTION = 'attachments';
+const TIME_ENTRIES_COLLECTION = 'timeEntries';
+const REMINDER_STATES_COLLECTION = 'reminderStates';
+const USER_SETTINGS_COLLECTION = 'userSettings';
+const ATTACHMENT_USAGE_COLLECTION = 'attachmentUsage';
+const USER_PROFILES_COLLECTION = 'userProfiles';
+const USER_HANDLES_COLLECTION = 'userHandles';
+
+// Firestore caps a batched write at 500 operations
+const BATCH_LIMIT = 500;
+
+// Convert a Firestore timestamp (or already-serialized value) to an ISO string
+const toISOString = (value) => value?.toDate?.() ? value.toDate().toISOString() : value;
+
+// Convert a task document to a serializable object for Redux.
+// Pending server timestamps are estimated so locally written tasks sort correctly.
+const convertTaskData = (doc) => {
+    const data = doc.data({ serverTimestamps: 'estimate' });
+    return {
+        id: doc.id,
+        ...data,
+        createdAt: toISOString(data.createdAt),
+        updatedAt: toISOString(data.updatedAt),
+        completedAt: toISOString(data.completedAt),
+        deletedAt: toISOString(data.deletedAt) ?? null,
+        archivedAt: toISOString(data.archivedAt) ?? null,
+        unarchivedAt: toISOString(data.unarchivedAt) ?? null,
+        lastCommentAt: toISOString(data.lastCommentAt) ?? null
+    };
+};
+
+// Add a new task
+export const addTask = async (userId, taskData) => {
+    const maxRetries = 3;
+    let attempt = 0;
+
+    while (attempt < maxRetries) {
+        try {
+            console.log(`Adding task to Firestore (attempt ${attempt + 1}):`, { userId, taskData });
+
+            if (!db) {
+                throw new Error('Firestore database not initialized');
+            }
+
+            if (!userId) {
+                throw new Error('User ID is required');
+            }
+
+            assertValidTask(taskData);
+
+            const docRef = await addDoc(collection(db, TASKS_COLLECTION), {
+                ...TASK_DEFAULTS,
+                ...COMMENT_SUMMARY_DEFAULTS,
+                ...TIME_SUMMARY_DEFAULTS,
+                ...taskData,
+                userId,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp(),
+                // Add a unique identifier to help prevent duplicates
+                clientId: `${userId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+            });
+
+            console.log('Task added successfully with ID:', docRef.id);
+            return docRef.id;
+        } catch (error) {
+            console.error(`Firestore addTask error (attempt ${attempt + 1}):`, {
+                message: error.message,
+                code: error.code,
+                stack: error.stack
+            });
+
+            // If it's a document already exists error and we have retries left, try again
+            if ((error.message.includes('Document already exists') || error.code === 'already-exists') && attempt < maxRetries - 1) {
+                attempt++;
+                console.log(`Retrying task creation (attempt ${attempt + 1})...`);
+                // Add a small delay before retrying
+                await new Promise(resolve => setTimeout(resolve, 100 * attempt));
+                continue;
+            }
+
+            // If we've exhausted retries or it's a different error, throw it
+            if (error.message.includes('Document already exists') || error.code === 'already-exists') {
+                throw new Error('Unable to create task due to ID conflict. Please try again.');
+            }
+
+            throw error;
+        }
+    }
+};
+
+// Query constraints selecting a user's active (not trashed or archived) tasks
+// that match the list filters.
+// Firestore allows a single array-contains(-any) clause per query, so a filter
+// requiring several tags only narrows by the first one here; the rest is
+// checked on the results with matchesTaskFilters.
+const buildTaskFilterConstraints = (userId, {
+    status = 'all',
+    type = 'all',
+    priority = 'all',
+    tags = [],
+    tagMode = DEFAULT_TAG_FILTER_MODE
+} = {}) => {
+    const constraints = [
+        where('userId', '==', userId),
+        where('deletedAt', '==', null),
+        where('archivedAt', '==', null)
+    ];
+
+    if (status !== 'all') {
+        constraints.push(where('status', '==', status));
+    }
+    if (type !== 'all') {
+        constraints.push(where('type', '==', type));
+    }
+    if (priority !== 'all') {
+        constraints.push(where('priority', '==', priority));
+    }
+    if (tags.length > 0) {
+        constraints.push(tagMode === 'and'
+            ? where('tags', 'array-contains', tags[0])
+            : where('tags', 'array-contains-any', tags));
+    }
+    return constraints;
+};
+
+// The part of the list filters Firestore could not apply
+const matchesTaskFilters = (task, { tags = [], tagMode = DEFAULT_TAG_FILTER_MODE } = {}) =>
+    matchesTagFilter(task.tags, tags, tagMode);
+
+// Whether a filter leaves results for matchesTaskFilters to drop
+const needsClientFilter = ({ tags = [], tagMode = DEFAULT_TAG_FILTER_MODE } = {}) =>
+    tagMode === 'and' && tags.length > 1;
+
+// Build the paginated task list query. Filters and sort are pushed into
+// Firestore; the cursor is the serializable value returned by getTaskCursor.
+// One extra document is requested so callers can tell whether another page exists.
+// A filter checked on the results leaves no way to tell where a page ends, so
+// those queries read every narrowed task after the cursor.
+const buildTaskPageQuery = (userId, {
+    status = 'all',
+    type = 'all',
+    priority = 'all',
+    tags = [],
+    tagMode = DEFAULT_TAG_FILTER_MODE,
+    sort = DEFAULT_TASK_SORT,
+    pageSize = DEFAULT_PAGE_SIZE,
+    cursor = null
+} = {}) => {
+    const constraints = buildTaskFilterConstraints(userId, { status, type, priority, tags, tagMode });
+    // With a single priority selected, priority order is just newest first
+    const byPriority = sort === 'priority' && priority === 'all';
+
+    if (byPriority) {
+        constraints.push(orderBy('priority', 'asc'));
+    }
+    constraints.push(orderBy('createdAt', 'desc'), orderBy(documentId(), 'desc'));
+
+    if (cursor) {
+        const createdAt = Timestamp.fromDate(new Date(cursor.createdAt));
+        constraints.push(byPriority
+            ? startAfter(cursor.priority, createdAt, cursor.id)
+            : startAfter(createdAt, cursor.id));
+    }
+
+    if (!needsClientFilter({ tags, tagMode })) {
+        constraints.push(limit(pageSize + 1));
+    }
+
+    return query(collection(db, TASKS_COLLECTION), ...constraints);
+};
+
+// Get one page of a user's active tasks
+export const getUserTasks = async (userId, options = {}) => {
+    try {
+        const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        console.log('Fetching tasks for user:', userId, options);
+
+        const querySnapshot = await getDocs(buildTaskPageQuery(userId, { ...options, pageSize }));
+        const tasks = querySnapshot.docs
+            .map(convertTaskData)
+            .filter(task => matchesTaskFilters(task, options));
+        const hasMore = tasks.length > pageSize;
+        const pageTasks = tasks.slice(0, pageSize);
+
+        return {
+            tasks: pageTasks,
+            hasMore,
+            nextCursor: hasMore ? getTaskCursor(pageTasks[pageTasks.length - 1]) : null
+        };
+    } catch (error) {
+        console.error('Error getting tasks:', error);
+        throw error;
+    }
+};
+
+// Count a user's active tasks matching the list filters
+export const countUserTasks = async (userId, filters = {}) => {
+    try {
+        const constraints = buildTaskFilterConstraints(userId, filters);
+        // Aggregate counts cannot see the client-side part of the filter
+        if (needsClientFilter(filters)) {
+            const querySnapshot = await getDocs(query(collection(db, TASKS_COLLECTION), ...constraints));
+            return querySnapshot.docs.filter(taskDoc => matchesTaskFilters(taskDoc.data(), filters)).length;
+        }
+        const snapshot = await getCountFromServer(query(collection(db, TASKS_COLLECTION), ...constraints));
+        return snapshot.data().count;
+    } catch (error) {
+        console.error('Error counting tasks:', error);
+        throw error;
+    }
+};
+
+// IDs of all of a user's active tasks matching the list filters, newest first
+export const getUserTaskIds = async (userId, filters = {}) => {
+    try {
+        const querySnapshot = await getDocs(query(
+            collection(db, TASKS_COLLECTION),
+            ...buildTaskFilterConstraints(userId, filters),
+            orderBy('createdAt', 'desc')
+        ));
+        return querySnapshot.docs
+            .filter((taskDoc) => matchesTaskFilters(taskDoc.data(), filters))
+            .map((taskDoc) => taskDoc.id);
+    } catch (error) {
+        console.error('Error getting task IDs:', error);
+        throw error;
+    }
+};
+
+// Hour and point totals of the estimates of a user's tasks in one of openStatuses
+// (see lib/workflow.js) matching the list filters: { hours, points }
+export const getRemainingEstimate = async (userId, openStatuses, filters = {}) => {
+    try {
+        const tasksRef = collection(db, TASKS_COLLECTION);
+        const constraints = buildTaskFilterConstraints(userId, filters);
+        // Aggregates cannot see the client-side part of the filter
+        if (needsClientFilter(filters)) {
+            const querySnapshot = await getDocs(query(tasksRef, ...constraints));
+            return sumRemainingEstimates(querySnapshot.docs
+                .map(taskDoc => taskDoc.data())
+                .filter(task => matchesTaskFilters(task, filters)), openStatuses);
+        }
+
+        // One sum per open status and unit keeps every query to equality
+        // filters, which need no composite index
+        const { status = 'all' } = filters;
+        if (status !== 'all' && !openStatuses.includes(status)) return EMPTY_ESTIMATE_TOTALS;
+        const statusConstraints = status === 'all'
+            ? openStatuses.map(value => [where('status', '==', value)])
+            : [[]];
+
+        const totals = await Promise.all(ESTIMATE_UNITS.map(async (unit) => {
+            const snapshots = await Promise.all(statusConstraints.map(statusConstraint =>
+                getAggregateFromServer(
+                    query(tasksRef, ...constraints, ...statusConstraint, where('estimate.unit', '==', unit)),
+                    { total: sum('estimate.value') }
+                )
+            ));
+            return [unit, snapshots.reduce((total, snapshot) => total + (snapshot.data().total ?? 0), 0)];
+        }));
+        return Object.fromEntries(totals);
+    } catch (error) {
+        console.error('Error summing remaining estimates:', error);
+        throw error;
+    }
+};
+
+// A user's active tasks in one of terminalStatuses (see lib/workflow.js) that were
+// completed within [start, end) (ISO timestamps), most recent first
+export const getCompletedTasks = async (userId, terminalStatuses, { start, end }) => {
+    try {
+        const querySnapshot = await getDocs(query(
+            collection(db, TASKS_COLLECTION),
+            where('userId', '==', userId),
+            where('deletedAt', '==', null),
+            where('status', 'in', terminalStatuses),
+            where('completedAt', '>=', start),
+            where('completedAt', '<', end),
+            orderBy('completedAt', 'desc')
+        ));
+        return querySnapshot.docs.map(convertTaskData);
+    } catch (error) {
+        console.error('Error getting completed tasks:', error);
+        throw error;
+    }
+};
+
+// Get a single task by ID (null if it does not exist)
+export const getTask = async (taskId) => {
+    try {
+        const taskSnap = await getDoc(doc(db, TASKS_COLLECTION, taskId));
+        return taskSnap.exists() ? convertTaskData(taskSnap) : null;
+    } catch (error) {
+        console.error('Error getting task:', taskId, error);
+        throw error;
+    }
+};
+
+// Get a user's trashed tasks, most recently deleted first
+export const getTrashedTasks = async (userId) => {
+    try {
+        const q = query(
+            collection(db, TASKS_COLLECTION),
+            where('userId', '==', userId),
+            where('deletedAt', '!=', null),
+            orderBy('deletedAt', 'desc')
+        );
+        const querySnapshot = await getDocs(q);
+        return querySnapshot.docs.map(convertTaskData);
+    } catch (error) {
+        console.error('Error getting trashed tasks:', error);
+        throw error;
+    }
+};
+
+// Get a user's archived tasks (not in the trash), most recently archived first
+export const getArchivedTasks = async (userId) => {
+    try {
+        const q = query(
+            collection(db, TASKS_COLLECTION),
+            where('userId', '==', userId),
+            where('deletedAt', '==', null),
+            where('archivedAt', '!=', null),
+            orderBy('archivedAt', 'desc')
+        );
+        const querySnapshot = await getDocs(q);
+        return querySnapshot.docs.map(convertTaskData);
+    } catch (error) {
+        console.error('Error getting archived tasks:', error);
+        throw error;
+    }
+};
+
+// Comment count and latest comment time of a task, read from its comments
+const summarizeTaskComments = async (taskId) => {
+    const commentsRef = collection(db, TASKS_COLLECTION, taskId, COMMENTS_COLLECTION);
+    const [countSnapshot, latestSnapshot] = await Promise.all([
+        getCountFromServer(commentsRef),
+        getDocs(query(commentsRef, orderBy('createdAt', 'desc'), limit(1)))
+    ]);
+    return {
+        commentCount: countSnapshot.data().count,
+        lastCommentAt: latestSnapshot.docs[0]?.data().createdAt ?? null
+    };
+};
+
+// Fill in fields that list queries filter on for tasks created before those
+// fields existed. Firestore equality filters skip documents missing the field.
+// Tasks without a comment summary get one counted from their comments.
+export const backfillTaskDefaults = async (userId) => {
+    try {
+        const querySnapshot = await getDocs(query(
+            collection(db, TASKS_COLLECTION),
+            where('userId', '==', userId)
+        ));
+
+        const updates = [];
+        for (const taskDoc of querySnapshot.docs) {
+            const data = taskDoc.data();
+            const missing = {};
+            Object.entries(TASK_DEFAULTS).forEach(([field, value]) => {
+                if (!(field in data)) {
+                    missing[field] = value;
+                }
+            });
+            if (!('commentCount' in data)) {
+                Object.assign(missing, await summarizeTaskComments(taskDoc.id));
+            }
+            if (Object.keys(missing).length > 0) {
+                updates.push({ ref: taskDoc.ref, missing });
+            }
+        }
+
+        for (let i = 0; i < updates.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            updates.slice(i, i + BATCH_LIMIT).forEach(({ ref, missing }) => batch.update(ref, missing));
+            await batch.commit();
+        }
+
+        if (updates.length > 0) {
+            console.log('Backfilled task defaults:', updates.length);
+        }
+        return updates.length;
+    } catch (error) {
+        console.error('Error backfilling task defaults:', error);
+        throw error;
+    }
+};
+
+// Subscribe to live changes for one page of a user's tasks (same options as getUserTasks).
+// onChanges receives { changes: [{ type, task }], initial, hasMore, nextCursor } where
+// type is 'added' | 'modified' | 'removed', initial marks the first snapshot and
+// nextCursor starts the next page. Tasks failing the client-side part of the
+// filter are left out, and reported as removed when an edit makes them fail it.
+export const subscribeToUserTasks = (userId, options = {}, onChanges, onError) => {
+    const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    const q = buildTaskPageQuery(userId, { ...options, pageSize });
+    let initial = true;
+
+    return onSnapshot(q, (snapshot) => {
+        const changes = snapshot.docChanges().flatMap((change) => {
+            const task = convertTaskData(change.doc);
+            if (change.type === 'removed' || matchesTaskFilters(task, options)) {
+                return [{ type: change.type, task }];
+            }
+            return change.type === 'modified' ? [{ type: 'removed', task }] : [];
+        });
+        const tasks = snapshot.docs
+            .map(convertTaskData)
+            .filter(task => matchesTaskFilters(task, options));
+        const hasMore = tasks.length > pageSize;
+
+        onChanges({
+            changes,
+            initial,
+            hasMore,
+            nextCursor: hasMore ? getTaskCursor(tasks[pageSize - 1]) : null
+        });
+        initial = false;
+    }, (error) => {
+        console.error('Task subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Blocked-by list of a task, read for cycle detection ([] once it is gone)
+const loadTaskBlockedBy = async (taskId) => {
+    const taskSnap = await getDoc(doc(db, TASKS_COLLECTION, taskId));
+    return taskSnap.exists() ? taskSnap.data().blockedBy ?? [] : [];
+};
+
+// Throw a dependency cycle error if taskId cannot be blocked by blockerIds
+const assertNoDependencyCycle = async (taskId, blockerIds) => {
+    const cycle = await traceDependencyCycle(taskId, blockerIds, loadTaskBlockedBy);
+    if (cycle) {
+        throw createDependencyCycleError(cycle);
+    }
+};
+
+// The occurrence following a completed recurring task starts in the owner's
+// first status, due as their timezone reckons it
+const addNextOccurrence = async (task, completedAt) => {
+    const settingsDoc = await getDoc(doc(db, USER_SETTINGS_COLLECTION, task.userId));
+    const { workflow, timeZone } = withSettingsDefaults(settingsDoc.exists() ? settingsDoc.data() : {});
+    return addTask(task.userId, buildNextOccurrence(task, completedAt, getInitialStatus(workflow), timeZone));
+};
+
+// Update a task, bump its revision and record each changed field in the task's
+// history, attributed to actor ({ id, name }). When expectedRevision is given the
+// write is rejected with a conflict error if the task has moved past that revision.
+// Blocked-by lists closing a dependency cycle are rejected, and completing a task
+// releases the tasks it blocks and creates the next occurrence of a recurring one.
+// Resolves with the new revision.
+export const updateTask = async (taskId, taskData, { expectedRevision, actor = null } = {}) => {
+    try {
+        assertValidTask(taskData, { partial: true });
+        if (taskData.blockedBy?.length) {
+            await assertNoDependencyCycle(taskId, taskData.blockedBy);
+        }
+
+        const taskRef = doc(db, TASKS_COLLECTION, taskId);
+        let previousTask = null;
+
+        const revision = await runTransaction(db, async (transaction) => {
+            const taskDoc = await transaction.get(taskRef);
+            if (!taskDoc.exists()) {
+                throw new Error(`Task ${taskId} does not exist`);
+            }
+
+            const currentTask = convertTaskData(taskDoc);
+            const currentRevision = currentTask.revision ?? 0;
+            if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+                throw createRevisionConflictError(currentTask);
+            }
+            previousTask = currentTask;
+
+            const changes = getCompletionChanges(currentTask, taskData);
+            transaction.update(taskRef, {
+                ...changes,
+                revision: currentRevision + 1,
+                updatedAt: serverTimestamp()
+            });
+
+            const historyRef = collection(db, TASKS_COLLECTION, taskId, HISTORY_COLLECTION);
+            getHistoryEntries(currentTask, changes, actor, currentRevision + 1).forEach((entry) => {
+                transaction.set(doc(historyRef), { ...entry, createdAt: serverTimestamp() });
+            });
+
+            return currentRevision + 1;
+        });
+
+        // Only a move into a terminal status stamps completedAt
+        if (taskData.completedAt) {
+            await releaseDependentTasks(previousTask.userId, taskId, actor);
+            if (previousTask.recurrence) {
+                await addNextOccurrence(previousTask, taskData.completedAt);
+            }
+        }
+        return revision;
+    } catch (error) {
+        console.error('Error updating task:', error);
+        throw error;
+    }
+};
+
+// Update several task documents with batched writes, bumping each revision and
+// recording history like updateTask. getTaskData returns the change for one task.
+// Work needing more than BATCH_LIMIT writes is committed in several batches.
+const commitTaskUpdates = async (taskDocs, getTaskData, actor) => {
+    let batch = writeBatch(db);
+    let operations = 0;
+
+    for (const taskDoc of taskDocs) {
+        const currentTask = convertTaskData(taskDoc);
+        const taskData = getTaskData(currentTask);
+        const revision = (currentTask.revision ?? 0) + 1;
+        const historyEntries = getHistoryEntries(currentTask, taskData, actor, revision);
+
+        // Keep a task and its history entries in the same batch
+        if (operations + 1 + historyEntries.length > BATCH_LIMIT) {
+            await batch.commit();
+            batch = writeBatch(db);
+            operations = 0;
+        }
+
+        batch.update(taskDoc.ref, { ...taskData, revision, updatedAt: serverTimestamp() });
+        const historyRef = collection(db, TASKS_COLLECTION, taskDoc.id, HISTORY_COLLECTION);
+        historyEntries.forEach((entry) => {
+            batch.set(doc(historyRef), { ...entry, createdAt: serverTimestamp() });
+        });
+        operations += 1 + historyEntries.length;
+    }
+
+    if (operations > 0) {
+        await batch.commit();
+    }
+};
+
+// Query for the user's tasks (trashed ones included) blocked by a task
+const dependentTasksQuery = (userId, taskId) => query(
+    collection(db, TASKS_COLLECTION),
+    where('userId', '==', userId),
+    where('blockedBy', 'array-contains', taskId)
+);
+
+// Take a completed, trashed or purged task off the blocked-by lists of the tasks
+// it blocks. Resolves with the number of tasks released.
+const releaseDependentTasks = async (userId, taskId, actor) => {
+    const querySnapshot = await getDocs(dependentTasksQuery(userId, taskId));
+    await commitTaskUpdates(
+        querySnapshot.docs,
+        (task) => ({ blockedBy: removeBlocker(task.blockedBy, taskId) }),
+        actor
+    );
+    return querySnapshot.size;
+};
+
+// Live list of the active tasks blocked by a task, oldest first
+export const subscribeToDependentTasks = (userId, taskId, onTasks, onError) => {
+    return onSnapshot(dependentTasksQuery(userId, taskId), (snapshot) => {
+        onTasks(snapshot.docs
+            .map(convertTaskData)
+            .filter(task => task.deletedAt === null)
+            .sort((a, b) => (a.createdAt ?? '').localeCompare(b.createdAt ?? '')));
+    }, (error) => {
+        console.error('Dependent task subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Chain of task IDs that blocking taskId by blockerIds would close (see
+// lib/dependencies.js), or null when the link is allowed
+export const findDependencyCycle = async (taskId, blockerIds) => {
+    try {
+        return await traceDependencyCycle(taskId, blockerIds, loadTaskBlockedBy);
+    } catch (error) {
+        console.error('Error checking task dependencies:', error);
+        throw error;
+    }
+};
+
+// Apply the same change to several tasks with batched writes
+export const bulkUpdateTasks = async (taskIds, taskData, { actor = null } = {}) => {
+    try {
+        assertValidTask(taskData, { partial: true });
+
+        const taskDocs = await Promise.all(taskIds.map((taskId) => getDoc(doc(db, TASKS_COLLECTION, taskId))));
+        const missingDoc = taskDocs.find((taskDoc) => !taskDoc.exists());
+        if (missingDoc) {
+            throw new Error(`Task ${missingDoc.id} does not exist`);
+        }
+
+        await commitTaskUpdates(taskDocs, (task) => getCompletionChanges(task, taskData), actor);
+
+        if (taskData.completedAt) {
+            for (const taskDoc of taskDocs) {
+                const task = convertTaskData(taskDoc);
+                await releaseDependentTasks(task.userId, task.id, actor);
+                if (task.recurrence) {
+                    await addNextOccurrence(task, taskData.completedAt);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error bulk updating tasks:', error);
+        throw error;
+    }
+};
+
+// Move several tasks to the trash with batched writes
+export const bulkSoftDeleteTasks = async (taskIds, { actor = null } = {}) => {
+    try {
+        for (let i = 0; i < taskIds.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            taskIds.slice(i, i + BATCH_LIMIT).forEach((taskId) => {
+                batch.update(doc(db, TASKS_COLLECTION, taskId), {
+                    deletedAt: serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                });
+            });
+            await batch.commit();
+        }
+
+        const taskDocs = await Promise.all(taskIds.map((taskId) => getDoc(doc(db, TASKS_COLLECTION, taskId))));
+        for (const taskDoc of taskDocs) {
+            await releaseDependentTasks(taskDoc.data().userId, taskDoc.id, actor);
+        }
+    } catch (error) {
+        console.error('Error moving tasks to trash:', error);
+        throw error;
+    }
+};
+
+// Move a task to the trash
+export const softDeleteTask = async (taskId, { actor = null } = {}) => {
+    try {
+        const taskRef = doc(db, TASKS_COLLECTION, taskId);
+        await updateDoc(taskRef, {
+            deletedAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        await releaseDependentTasks((await getDoc(taskRef)).data().userId, taskId, actor);
+    } catch (error) {
+        console.error('Error moving task to trash:', error);
+        throw error;
+    }
+};
+
+// Restore a task from the trash
+export const restoreTask = async (taskId) => {
+    try {
+        const taskRef = doc(db, TASKS_COLLECTION, taskId);
+        await updateDoc(taskRef, {
+            deletedAt: null,
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error restoring task:', error);
+        throw error;
+    }
+};
+
+// Archive a user's tasks in one of terminalStatuses (see lib/workflow.js) that
+// were completed, and last unarchived, at least archiveAfterDays ago. Returns the
+// archived task IDs.
+export const archiveCompletedTasks = async (userId, terminalStatuses, archiveAfterDays) => {
+    try {
+        const cutoff = new Date(Date.now() - archiveAfterDays * DAY_MS).toISOString();
+        const querySnapshot = await getDocs(query(
+            collection(db, TASKS_COLLECTION),
+            where('userId', '==', userId),
+            where('deletedAt', '==', null),
+            where('archivedAt', '==', null),
+            where('status', 'in', terminalStatuses),
+            where('completedAt', '<=', cutoff)
+        ));
+        // Firestore cannot filter on a field missing from most tasks, so tasks
+        // unarchived within the delay are skipped here
+        const archivedIds = querySnapshot.docs
+            .filter((taskDoc) => !(toISOString(taskDoc.data().unarchivedAt) > cutoff))
+            .map((taskDoc) => taskDoc.id);
+
+        for (let i = 0; i < archivedIds.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            archivedIds.slice(i, i + BATCH_LIMIT).forEach((taskId) => {
+                batch.update(doc(db, TASKS_COLLECTION, taskId), {
+                    archivedAt: serverTimestamp(),
+                    updatedAt: serverTimestamp()
+                });
+            });
+            await batch.commit();
+        }
+
+        if (archivedIds.length > 0) {
+            console.log('Archived completed tasks:', archivedIds.length);
+        }
+        return archivedIds;
+    } catch (error) {
+        console.error('Error archiving completed tasks:', error);
+        throw error;
+    }
+};
+
+// Bring an archived task back to the task list, where it stays for another
+// archive delay before it is archived again
+export const unarchiveTask = async (taskId) => {
+    try {
+        const taskRef = doc(db, TASKS_COLLECTION, taskId);
+        await updateDoc(taskRef, {
+            archivedAt: null,
+            unarchivedAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error unarchiving task:', error);
+        throw error;
+    }
+};
+
+// Delete every document in one of a task's subcollections
+const deleteTaskSubcollection = async (taskId, subcollection) => {
+    const snapshot = await getDocs(collection(db, TASKS_COLLECTION, taskId, subcollection));
+    const docs = snapshot.docs;
+
+    for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        docs.slice(i, i + BATCH_LIMIT).forEach((subDoc) => batch.delete(subDoc.ref));
+        await batch.commit();
+    }
+};
+
+// Files attached to a task or its comments
+const getTaskAttachmentFiles = async (taskId) => {
+    const [attachmentsSnapshot, commentsSnapshot] = await Promise.all([
+        getDocs(collection(db, TASKS_COLLECTION, taskId, ATTACHMENTS_COLLECTION)),
+        getDocs(collection(db, TASKS_COLLECTION, taskId, COMMENTS_COLLECTION))
+    ]);
+    return [
+        ...attachmentsSnapshot.docs.map(attachmentDoc => attachmentDoc.data()),
+        ...getCommentAttachments(commentsSnapshot.docs.map(commentDoc => commentDoc.data()))
+    ];
+};
+
+// Permanently delete a task together with its subcollections and attached files
+export const purgeTask = async (taskId, { actor = null } = {}) => {
+    try {
+        const taskSnap = await getDoc(doc(db, TASKS_COLLECTION, taskId));
+        if (taskSnap.exists()) {
+            await releaseDependentTasks(taskSnap.data().userId, taskId, actor);
+        }
+        // Files go first so a failed purge still has the metadata to retry with
+        await deleteAttachmentFiles(await getTaskAttachmentFiles(taskId));
+        await deleteTaskSubcollection(taskId, ATTACHMENTS_COLLECTION);
+        await deleteTaskSubcollection(taskId, COMMENTS_COLLECTION);
+        await deleteTaskSubcollection(taskId, HISTORY_COLLECTION);
+        await deleteDoc(doc(db, TASKS_COLLECTION, taskId));
+    } catch (error) {
+        console.error('Error purging task:', taskId, error);
+        throw error;
+    }
+};
+
+// Permanently delete trashed tasks older than the retention period
+export const purgeExpiredTasks = async (userId, retentionDays = TRASH_RETENTION_DAYS) => {
+    try {
+        const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+        const q = query(
+            collection(db, TASKS_COLLECTION),
+            where('userId', '==', userId),
+            where('deletedAt', '<=', Timestamp.fromDate(cutoff))
+        );
+        const querySnapshot = await getDocs(q);
+        const expiredIds = querySnapshot.docs.map((taskDoc) => taskDoc.id);
+
+        for (const taskId of expiredIds) {
+            await purgeTask(taskId);
+        }
+
+        if (expiredIds.length > 0) {
+            console.log('Purged expired tasks from trash:', expiredIds.length);
+        }
+        return expiredIds;
+    } catch (error) {
+        console.error('Error purging expired tasks:', error);
+        throw error;
+    }
+};
+
+// Tags
+// Convert a tag document to a serializable object for Redux
+const convertTagData = (tagDoc) => {
+    const data = tagDoc.data({ serverTimestamps: 'estimate' });
+    return {
+        id: tagDoc.id,
+        ...data,
+        createdAt: toISOString(data.createdAt),
+        updatedAt: toISOString(data.updatedAt)
+    };
+};
+
+const sortTagsByName = (tags) => tags.sort((a, b) => a.name.localeCompare(b.name));
+
+const userTagsQuery = (userId) => query(collection(db, TAGS_COLLECTION), where('userId', '==', userId));
+
+// Get a user's tags in name order
+export const getUserTags = async (userId) => {
+    try {
+        const querySnapshot = await getDocs(userTagsQuery(userId));
+        return sortTagsByName(querySnapshot.docs.map(convertTagData));
+    } catch (error) {
+        console.error('Error getting tags:', error);
+        throw error;
+    }
+};
+
+// Subscribe to a user's tags. onTags receives the full list in name order on every change.
+export const subscribeToUserTags = (userId, onTags, onError) => {
+    return onSnapshot(userTagsQuery(userId), (snapshot) => {
+        onTags(sortTagsByName(snapshot.docs.map(convertTagData)));
+    }, (error) => {
+        console.error('Tag subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Create a tag; names are unique per user regardless of case
+export const addTag = async (userId, tagData) => {
+    try {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        assertValidTag(tagData);
+
+        const name = normalizeTagName(tagData.name);
+        assertUniqueTagName(await getUserTags(userId), name);
+
+        const docRef = await addDoc(collection(db, TAGS_COLLECTION), {
+            name,
+            color: tagData.color,
+            userId,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        return docRef.id;
+    } catch (error) {
+        console.error('Error adding tag:', error);
+        throw error;
+    }
+};
+
+// Rename or recolor a tag. Tasks hold tag IDs, so a rename needs no task writes.
+export const updateTag = async (tagId, tagData) => {
+    try {
+        assertValidTag(tagData, { partial: true });
+
+        const tagRef = doc(db, TAGS_COLLECTION, tagId);
+        const tagSnap = await getDoc(tagRef);
+        if (!tagSnap.exists()) {
+            throw new Error(`Tag ${tagId} does not exist`);
+        }
+
+        const updates = {};
+        if ('name' in tagData) {
+            updates.name = normalizeTagName(tagData.name);
+            assertUniqueTagName(await getUserTags(tagSnap.data().userId), updates.name, tagId);
+        }
+        if ('color' in tagData) {
+            updates.color = tagData.color;
+        }
+
+        await updateDoc(tagRef, { ...updates, updatedAt: serverTimestamp() });
+    } catch (error) {
+        console.error('Error updating tag:', error);
+        throw error;
+    }
+};
+
+// Swap a tag for another (or drop it when replacementId is null) on every task
+// of the user carrying it, trashed ones included. Resolves with the task count.
+const replaceTagOnTasks = async (userId, tagId, replacementId, actor) => {
+    const querySnapshot = await getDocs(query(
+        collection(db, TASKS_COLLECTION),
+        where('userId', '==', userId),
+        where('tags', 'array-contains', tagId)
+    ));
+
+    await commitTaskUpdates(
+        querySnapshot.docs,
+        (task) => ({ tags: replaceTagId(task.tags, tagId, replacementId) }),
+        actor
+    );
+    return querySnapshot.size;
+};
+
+// Move every task from one tag to another and delete the first. The source tag
+// is only deleted once all tasks are moved, so a failed merge can be retried.
+export const mergeTags = async (userId, sourceTagId, targetTagId, { actor = null } = {}) => {
+    try {
+        if (sourceTagId === targetTagId) {
+            throw new Error('A tag cannot be merged into itself');
+        }
+        const targetSnap = await getDoc(doc(db, TAGS_COLLECTION, targetTagId));
+        if (!targetSnap.exists()) {
+            throw new Error(`Tag ${targetTagId} does not exist`);
+        }
+
+        const updatedCount = await replaceTagOnTasks(userId, sourceTagId, targetTagId, actor);
+        await deleteDoc(doc(db, TAGS_COLLECTION, sourceTagId));
+        return updatedCount;
+    } catch (error) {
+        console.error('Error merging tags:', error);
+        throw error;
+    }
+};
+
+// Take a tag off every task and delete it
+export const deleteTag = async (userId, tagId, { actor = null } = {}) => {
+    try {
+        const updatedCount = await replaceTagOnTasks(userId, tagId, null, actor);
+        await deleteDoc(doc(db, TAGS_COLLECTION, tagId));
+        return updatedCount;
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        throw error;
+    }
+};
+
+// Templates
+// Convert a template document to a serializable object for Redux
+const convertTemplateData = (templateDoc) => {
+    const data = templateDoc.data({ serverTimestamps: 'estimate' });
+    return {
+        id: templateDoc.id,
+        ...data,
+        createdAt: toISOString(data.createdAt),
+        updatedAt: toISOString(data.updatedAt)
+    };
+};
+
+// Subscribe to a user's task templates. onTemplates receives the full list in name order on every change.
+export const subscribeToUserTemplates = (userId, onTemplates, onError) => {
+    const templatesQuery = query(collection(db, TEMPLATES_COLLECTION), where('userId', '==', userId));
+    return onSnapshot(templatesQuery, (snapshot) => {
+        onTemplates(snapshot.docs.map(convertTemplateData).sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => {
+        console.error('Template subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Create a task template (see lib/templates.js for the fields)
+export const addTemplate = async (userId, templateData) => {
+    try {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        assertValidTemplate(templateData);
+
+        const docRef = await addDoc(collection(db, TEMPLATES_COLLECTION), {
+            ...normalizeTemplate(templateData),
+            userId,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        return docRef.id;
+    } catch (error) {
+        console.error('Error adding template:', error);
+        throw error;
+    }
+};
+
+// Update some fields of a task template
+export const updateTemplate = async (templateId, templateData) => {
+    try {
+        assertValidTemplate(templateData, { partial: true });
+
+        const templateRef = doc(db, TEMPLATES_COLLECTION, templateId);
+        const templateSnap = await getDoc(templateRef);
+        if (!templateSnap.exists()) {
+            throw new Error(`Template ${templateId} does not exist`);
+        }
+
+        await updateDoc(templateRef, {
+            ...normalizeTemplate(templateData, { partial: true }),
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error updating template:', error);
+        throw error;
+    }
+};
+
+// Delete a task template. Tasks made from it are not affected.
+export const deleteTemplate = async (templateId) => {
+    try {
+        await deleteDoc(doc(db, TEMPLATES_COLLECTION, templateId));
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        throw error;
+    }
+};
+
+// Add a comment to a task and update the task's comment summary in the same transaction.
+// A reply (commentData.parentId) must answer a top-level comment that is not
+// deleted, and counts towards that comment's replyCount.
+export const addComment = async (taskId, commentData) => {
+    try {
+        const taskRef = doc(db, TASKS_COLLECTION, taskId);
+        const commentRef = doc(collection(db, TASKS_COLLECTION, taskId, COMMENTS_COLLECTION));
+        const parentRef = commentData.parentId
+            ? doc(db, TASKS_COLLECTION, taskId, COMMENTS_COLLECTION, commentData.parentId)
+            : null;
+
+        await runTransaction(db, async (transaction) => {
+            const taskDoc = await transaction.get(taskRef);
+            if (!taskDoc.exists()) {
+                throw new Error(`Task ${taskId} does not exist`);
+            }
+            if (parentRef) {
+                const parentDoc = await transaction.get(parentRef);
+                assertCanReply(parentDoc.exists() ? parentDoc.data() : null);
+            }
+
+            transaction.set(commentRef, {
+                ...commentData,
+                createdAt: serverTimestamp()
+            });
+            if (parentRef) {
+                transaction.update(parentRef, { replyCount: increment(1) });
+            }
+            // Tasks not backfilled yet get their count from the backfill instead
+            if ('commentCount' in taskDoc.data()) {
+                transaction.update(taskRef, {
+                    commentCount: increment(1),
+                    lastCommentAt: serverTimestamp()
+                });
+            }
+        });
+        return commentRef.id;
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        throw error;
+    }
+};
+
+// Change the text and mentions ({ text, mentions }) of a comment and mark it edited.
+// Only the comment's author (userId) may edit it.
+export const updateComment = async (taskId, commentId, commentData, userId) => {
+    try {
+        const commentRef = doc(db, TASKS_COLLECTION, taskId, COMMENTS_COLLECTION, commentId);
+
+        await runTransaction(db, async (transaction) => {
+            const commentDoc = await transaction.get(commentRef);
+            if (!commentDoc.exists() || commentDoc.data().deleted) {
+                throw new Error(`Comment ${commentId} does not exist`);
+            }
+            assertCommentAuthor(commentDoc.data(), userId);
+            transaction.update(commentRef, {
+                text: commentData.text,
+                mentions: commentData.mentions ?? [],
+                editedAt: serverTimestamp()
+            });
+        });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        throw error;
+    }
+};
+
+// Remove a comment and update the task's comment summary in the same transaction.
+// A comment with replies is emptied and kept as a deleted placeholder, which goes
+// once its last reply is deleted. lastCommentAt is kept unless no comments remain.
+// Only the comment's author (userId) may delete it. Files posted with the comment
+// are deleted afterwards.
+export const deleteComment = async (taskId, commentId, userId) => {
+    try {
+        const taskRef = doc(db, TASKS_COLLECTION, taskId);
+        const commentRef = doc(db, TASKS_COLLECTION, taskId, COMMENTS_COLLECTION, commentId);
+        let attachments = [];
+
+        await runTransaction(db, async (transaction) => {
+            const [taskDoc, commentDoc] = await Promise.all([
+                transaction.get(taskRef),
+                transaction.get(commentRef)
+            ]);
+            if (!commentDoc.exists() || commentDoc.data().deleted) return;
+
+            const comment = commentDoc.data();
+            assertCommentAuthor(comment, userId);
+            const parentRef = comment.parentId
+                ? doc(db, TASKS_COLLECTION, taskId, COMMENTS_COLLECTION, comment.parentId)
+                : null;
+            const parentDoc = parentRef ? await transaction.get(parentRef) : null;
+
+            attachments = comment.attachments || [];
+            if (comment.replyCount > 0) {
+                transaction.update(commentRef, {
+                    deleted: true,
+                    text: '',
+                    mentions: [],
+                    attachments: [],
+                    deletedAt: serverTimestamp()
+                });
+            } else {
+                transaction.delete(commentRef);
+            }
+            if (parentDoc?.exists()) {
+                const parent = parentDoc.data();
+                if (parent.deleted && parent.replyCount <= 1) {
+                    transaction.delete(parentRef);
+                } else {
+                    transaction.update(parentRef, { replyCount: increment(-1) });
+                }
+            }
+            if (taskDoc.exists() && 'commentCount' in taskDoc.data()) {
+                const commentCount = Math.max(0, taskDoc.data().commentCount - 1);
+                transaction.update(taskRef, {
+                    commentCount,
+                    ...(commentCount === 0 && { lastCommentAt: null })
+                });
+            }
+        });
+        await deleteAttachmentFiles(attachments);
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        throw error;
+    }
+};
+
+// Subscribe to a task's comments in chronological order.
+// onComments receives the full, serializable comment list on every change.
+export const subscribeToTaskComments = (taskId, onComments, onError) => {
+    const commentsQuery = query(
+        collection(db, TASKS_COLLECTION, taskId, COMMENTS_COLLECTION),
+        orderBy('createdAt', 'asc')
+    );
+
+    return onSnapshot(commentsQuery, (snapshot) => {
+        onComments(snapshot.docs.map((commentDoc) => {
+            const data = commentDoc.data({ serverTimestamps: 'estimate' });
+            return {
+                id: commentDoc.id,
+                ...data,
+                createdAt: toISOString(data.createdAt),
+                editedAt: toISOString(data.editedAt) ?? null,
+                deletedAt: toISOString(data.deletedAt) ?? null
+            };
+        }));
+    }, (error) => {
+        console.error('Comment subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Attachments
+// Files are stored under attachments/{userId}/{taskId}/ in Cloud Storage. Files
+// attached to the task have a document in its attachments subcollection; files
+// posted with a comment are listed in the comment. The bytes each user stores
+// are counted in attachmentUsage/{userId} (attachmentBytes), which storage.rules
+// check every upload against. Only the server writes that count: it is recounted
+// from the stored files through /api/attachments/usage after each change.
+const convertAttachmentData = (attachmentDoc) => {
+    const data = attachmentDoc.data({ serverTimestamps: 'estimate' });
+    return {
+        id: attachmentDoc.id,
+        ...data,
+        createdAt: toISOString(data.createdAt)
+    };
+};
+
+// Have the server recount the bytes users store. A failed recount only delays
+// the count until the next one, so it is logged rather than thrown.
+const recountAttachmentUsage = async (userIds) => {
+    try {
+        const idToken = await auth.currentUser?.getIdToken();
+        for (const userId of userIds) {
+            const response = await fetch('/api/attachments/usage', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(idToken && { Authorization: `Bearer ${idToken}` })
+                },
+                body: JSON.stringify({ userId })
+            });
+            if (!response.ok) {
+                throw new Error((await response.json().catch(() => ({}))).error || `Recount failed (${response.status})`);
+            }
+        }
+    } catch (error) {
+        console.error('Error recounting attachment usage:', error);
+    }
+};
+
+// Delete stored files ({ storagePath, size, uploadedBy }) and have the
+// uploaders' usage recounted. Files already gone are skipped.
+const deleteAttachmentFiles = async (attachments) => {
+    for (const attachment of attachments) {
+        try {
+            await deleteObject(ref(storage, attachment.storagePath));
+        } catch (error) {
+            if (error.code !== 'storage/object-not-found') throw error;
+        }
+    }
+    if (attachments.length > 0) {
+        await recountAttachmentUsage([...new Set(attachments.map(attachment => attachment.uploadedBy))]);
+    }
+};
+
+// Bytes of attachments a user currently stores
+export const getAttachmentUsage = async (userId) => {
+    try {
+        const usageSnap = await getDoc(doc(db, ATTACHMENT_USAGE_COLLECTION, userId));
+        return Math.max(0, usageSnap.data()?.attachmentBytes ?? 0);
+    } catch (error) {
+        console.error('Error getting attachment usage:', error);
+        throw error;
+    }
+};
+
+// Upload a file for a task or one of its comments and count it against the
+// user's allowance. onProgress receives the uploaded fraction (0 to 1).
+// Resolves with the attachment's metadata.
+export const uploadAttachmentFile = async (userId, taskId, file, { uploaderName = null, onProgress } = {}) => {
+    try {
+        if (!storage) {
+            throw new Error('Cloud Storage is not configured');
+        }
+        assertAttachmentFits(file, await getAttachmentUsage(userId));
+
+        const attachmentId = doc(collection(db, TASKS_COLLECTION, taskId, ATTACHMENTS_COLLECTION)).id;
+        const storagePath = getAttachmentPath(userId, taskId, attachmentId, file.name);
+        const contentType = getAttachmentContentType(file);
+        const upload = uploadBytesResumable(ref(storage, storagePath), file, {
+            contentType,
+            customMetadata: { uploadedBy: userId, taskId }
+        });
+
+        await new Promise((resolve, reject) => {
+            upload.on(
+                'state_changed',
+                (snapshot) => onProgress?.(snapshot.totalBytes ? snapshot.bytesTransferred / snapshot.totalBytes : 0),
+                reject,
+                resolve
+            );
+        });
+        await recountAttachmentUsage([userId]);
+
+        return {
+            id: attachmentId,
+            name: file.name,
+            size: file.size,
+            contentType,
+            storagePath,
+            uploadedBy: userId,
+            uploaderName,
+            createdAt: new Date().toISOString()
+        };
+    } catch (error) {
+        console.error('Error uploading attachment:', error);
+        throw error;
+    }
+};
+
+// Upload a file and attach it to the task. Resolves with the attachment.
+export const addTaskAttachment = async (userId, taskId, file, options = {}) => {
+    const attachment = await uploadAttachmentFile(userId, taskId, file, options);
+    try {
+        const { id, createdAt, ...data } = attachment;
+        await setDoc(doc(db, TASKS_COLLECTION, taskId, ATTACHMENTS_COLLECTION, id), {
+            ...data,
+            createdAt: serverTimestamp()
+        });
+        return attachment;
+    } catch (error) {
+        console.error('Error adding attachment:', error);
+        // Do not leave a file behind that nothing points to
+        await deleteAttachmentFiles([attachment]).catch(() => {});
+        throw error;
+    }
+};
+
+// Subscribe to the files attached to a task, oldest first
+export const subscribeToTaskAttachments = (taskId, onAttachments, onError) => {
+    const attachmentsQuery = query(
+        collection(db, TASKS_COLLECTION, taskId, ATTACHMENTS_COLLECTION),
+        orderBy('createdAt', 'asc')
+    );
+
+    return onSnapshot(attachmentsQuery, (snapshot) => {
+        onAttachments(snapshot.docs.map(convertAttachmentData));
+    }, (error) => {
+        console.error('Attachment subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Remove a file attached to a task
+export const deleteTaskAttachment = async (taskId, attachmentId) => {
+    try {
+        const attachmentRef = doc(db, TASKS_COLLECTION, taskId, ATTACHMENTS_COLLECTION, attachmentId);
+        const attachmentSnap = await getDoc(attachmentRef);
+        if (!attachmentSnap.exists()) return;
+
+        await deleteAttachmentFiles([attachmentSnap.data()]);
+        await deleteDoc(attachmentRef);
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+        throw error;
+    }
+};
+
+// Delete files uploaded with uploadAttachmentFile that were never attached,
+// e.g. because the comment they were for could not be posted
+export const discardUploadedFiles = async (attachments) => {
+    try {
+        await deleteAttachmentFiles(attachments);
+    } catch (error) {
+        console.error('Error discarding uploaded files:', error);
+        throw error;
+    }
+};
+
+// URL an attachment can be shown or downloaded from
+export const getAttachmentUrl = async (storagePath) => {
+    try {
+        return await getDownloadURL(ref(storage, storagePath));
+    } catch (error) {
+        console.error('Error getting attachment URL:', error);
+        throw error;
+    }
+};
+
+// The start (up to maxBytes) of a text attachment
+export const getAttachmentText = async (storagePath, maxBytes) => {
+    try {
+        const bytes = await getBytes(ref(storage, storagePath), maxBytes);
+        return new TextDecoder().decode(bytes);
+    } catch (error) {
+        console.error('Error reading attachment:', error);
+        throw error;
+    }
+};
+
+// Change history
+// Live history of a task, newest first
+export const subscribeToTaskHistory = (taskId, onHistory, onError) => {
+    const historyQuery = query(
+        collection(db, TASKS_COLLECTION, taskId, HISTORY_COLLECTION),
+        orderBy('createdAt', 'desc')
+    );
+
+    return onSnapshot(historyQuery, (snapshot) => {
+        onHistory(snapshot.docs.map((historyDoc) => {
+            const data = historyDoc.data({ serverTimestamps: 'estimate' });
+            return {
+                id: historyDoc.id,
+                ...data,
+                createdAt: toISOString(data.createdAt)
+            };
+        }));
+    }, (error) => {
+        console.error('History subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Time tracking
+// Entries live in a top-level collection so reports can span tasks. Their start
+// and end are Firestore timestamps, converted to ISO strings when read.
+const convertTimeEntryData = (entryDoc) => {
+    const data = entryDoc.data({ serverTimestamps: 'estimate' });
+    return {
+        id: entryDoc.id,
+        ...data,
+        startedAt: toISOString(data.startedAt),
+        endedAt: toISOString(data.endedAt) ?? null,
+        createdAt: toISOString(data.createdAt)
+    };
+};
+
+const toTimestamp = (isoString) => Timestamp.fromDate(new Date(isoString));
+
+const runningTimeEntriesQuery = (userId) => query(
+    collection(db, TIME_ENTRIES_COLLECTION),
+    where('userId', '==', userId),
+    where('endedAt', '==', null)
+);
+
+// Stop a running entry at endedAt and add its length to the task's time spent.
+// Entries already stopped (e.g. from another tab) are left alone.
+const finishTimeEntry = async (entryId, endedAt) => {
+    const entryRef = doc(db, TIME_ENTRIES_COLLECTION, entryId);
+
+    await runTransaction(db, async (transaction) => {
+        const entryDoc = await transaction.get(entryRef);
+        if (!entryDoc.exists() || entryDoc.data().endedAt !== null) return;
+
+        const entry = convertTimeEntryData(entryDoc);
+        const taskRef = doc(db, TASKS_COLLECTION, entry.taskId);
+        const taskDoc = await transaction.get(taskRef);
+
+        transaction.update(entryRef, { endedAt: toTimestamp(endedAt) });
+        if (taskDoc.exists()) {
+            transaction.update(taskRef, { timeSpentMs: increment(getEntryDuration({ ...entry, endedAt })) });
+        }
+    });
+};
+
+// Start timing a task, stopping the user's running timer first.
+// Resolves with the new entry's ID.
+export const startTimer = async (userId, taskId) => {
+    try {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        const taskSnap = await getDoc(doc(db, TASKS_COLLECTION, taskId));
+        if (!taskSnap.exists()) {
+            throw new Error(`Task ${taskId} does not exist`);
+        }
+
+        const startedAt = new Date().toISOString();
+        const runningSnapshot = await getDocs(runningTimeEntriesQuery(userId));
+        for (const entryDoc of runningSnapshot.docs) {
+            await finishTimeEntry(entryDoc.id, startedAt);
+        }
+
+        const entryRef = await addDoc(collection(db, TIME_ENTRIES_COLLECTION), {
+            userId,
+            taskId,
+            startedAt: toTimestamp(startedAt),
+            endedAt: null,
+            note: '',
+            createdAt: serverTimestamp()
+        });
+        return entryRef.id;
+    } catch (error) {
+        console.error('Error starting timer:', error);
+        throw error;
+    }
+};
+
+// Stop the user's running timer, if any
+export const stopTimer = async (userId) => {
+    try {
+        const endedAt = new Date().toISOString();
+        const runningSnapshot = await getDocs(runningTimeEntriesQuery(userId));
+        for (const entryDoc of runningSnapshot.docs) {
+            await finishTimeEntry(entryDoc.id, endedAt);
+        }
+    } catch (error) {
+        console.error('Error stopping timer:', error);
+        throw error;
+    }
+};
+
+// Subscribe to the user's running entry (null when no timer runs)
+export const subscribeToRunningTimer = (userId, onEntry, onError) => {
+    return onSnapshot(runningTimeEntriesQuery(userId), (snapshot) => {
+        const entries = snapshot.docs
+            .map(convertTimeEntryData)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+        onEntry(entries[0] ?? null);
+    }, (error) => {
+        console.error('Timer subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Live time entries of a task, most recent first
+export const subscribeToTaskTimeEntries = (userId, taskId, onEntries, onError) => {
+    const entriesQuery = query(
+        collection(db, TIME_ENTRIES_COLLECTION),
+        where('userId', '==', userId),
+        where('taskId', '==', taskId),
+        orderBy('startedAt', 'desc')
+    );
+
+    return onSnapshot(entriesQuery, (snapshot) => {
+        onEntries(snapshot.docs.map(convertTimeEntryData));
+    }, (error) => {
+        console.error('Time entry subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// A user's entries started within [start, end) (ISO timestamps), oldest first
+export const getTimeEntries = async (userId, { start, end }) => {
+    try {
+        const querySnapshot = await getDocs(query(
+            collection(db, TIME_ENTRIES_COLLECTION),
+            where('userId', '==', userId),
+            where('startedAt', '>=', toTimestamp(start)),
+            where('startedAt', '<', toTimestamp(end)),
+            orderBy('startedAt', 'asc')
+        ));
+        return querySnapshot.docs.map(convertTimeEntryData);
+    } catch (error) {
+        console.error('Error getting time entries:', error);
+        throw error;
+    }
+};
+
+// Log a finished entry { startedAt, endedAt, note } by hand
+export const addTimeEntry = async (userId, taskId, entryData) => {
+    try {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        assertValidTimeEntry(entryData);
+
+        const { startedAt, endedAt, note = '' } = entryData;
+        const taskRef = doc(db, TASKS_COLLECTION, taskId);
+        const entryRef = doc(collection(db, TIME_ENTRIES_COLLECTION));
+
+        await runTransaction(db, async (transaction) => {
+            const taskDoc = await transaction.get(taskRef);
+            if (!taskDoc.exists()) {
+                throw new Error(`Task ${taskId} does not exist`);
+            }
+
+            transaction.set(entryRef, {
+                userId,
+                taskId,
+                startedAt: toTimestamp(startedAt),
+                endedAt: toTimestamp(endedAt),
+                note,
+                createdAt: serverTimestamp()
+            });
+            transaction.update(taskRef, { timeSpentMs: increment(getEntryDuration({ startedAt, endedAt })) });
+        });
+        return entryRef.id;
+    } catch (error) {
+        console.error('Error adding time entry:', error);
+        throw error;
+    }
+};
+
+// Change the start, end or note of a finished entry and adjust the task's time spent
+export const updateTimeEntry = async (entryId, entryData) => {
+    try {
+        const entryRef = doc(db, TIME_ENTRIES_COLLECTION, entryId);
+
+        await runTransaction(db, async (transaction) => {
+            const entryDoc = await transaction.get(entryRef);
+            if (!entryDoc.exists()) {
+                throw new Error(`Time entry ${entryId} does not exist`);
+            }
+
+            const entry = convertTimeEntryData(entryDoc);
+            if (!entry.endedAt) {
+                throw new Error('Stop the timer before editing its entry');
+            }
+            const { startedAt, endedAt, note } = { ...entry, ...entryData };
+            assertValidTimeEntry({ startedAt, endedAt, note });
+
+            const taskRef = doc(db, TASKS_COLLECTION, entry.taskId);
+            const taskDoc = await transaction.get(taskRef);
+
+            transaction.update(entryRef, {
+                startedAt: toTimestamp(startedAt),
+                endedAt: toTimestamp(endedAt),
+                note: note ?? ''
+            });
+            if (taskDoc.exists()) {
+                const change = getEntryDuration({ startedAt, endedAt }) - getEntryDuration(entry);
+                transaction.update(taskRef, { timeSpentMs: increment(change) });
+            }
+        });
+    } catch (error) {
+        console.error('Error updating time entry:', error);
+        throw error;
+    }
+};
+
+// Remove an entry; a finished one is taken off the task's time spent
+export const deleteTimeEntry = async (entryId) => {
+    try {
+        const entryRef = doc(db, TIME_ENTRIES_COLLECTION, entryId);
+
+        await runTransaction(db, async (transaction) => {
+            const entryDoc = await transaction.get(entryRef);
+            if (!entryDoc.exists()) return;
+
+            const entry = convertTimeEntryData(entryDoc);
+            const taskRef = doc(db, TASKS_COLLECTION, entry.taskId);
+            const taskDoc = await transaction.get(taskRef);
+
+            transaction.delete(entryRef);
+            if (entry.endedAt && taskDoc.exists()) {
+                transaction.update(taskRef, { timeSpentMs: increment(-getEntryDuration(entry)) });
+            }
+        });
+    } catch (error) {
+        console.error('Error deleting time entry:', error);
+        throw error;
+    }
+};
+
+// Reminders
+// Snoozing or dismissing a reminder is stored per user and reminder key (see
+// lib/reminders.js), so it holds on every device the user is signed in on.
+const reminderStateId = (userId, key) => `${userId}_${key}`;
+
+// Subscribe to a user's tasks in one of openStatuses (see lib/workflow.js) that
+// have a due date, the ones reminders can fire for
+export const subscribeToDueTasks = (userId, openStatuses, onTasks, onError) => {
+    const dueTasksQuery = query(
+        collection(db, TASKS_COLLECTION),
+        where('userId', '==', userId),
+        where('deletedAt', '==', null),
+        where('status', 'in', openStatuses),
+        where('dueDate', '>', '')
+    );
+
+    return onSnapshot(dueTasksQuery, (snapshot) => {
+        onTasks(snapshot.docs.map(convertTaskData));
+    }, (error) => {
+        console.error('Due task subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Subscribe to a user's reminder states. onStates receives { [key]: { status, snoozedUntil } }.
+export const subscribeToReminderStates = (userId, onStates, onError) => {
+    const statesQuery = query(
+        collection(db, REMINDER_STATES_COLLECTION),
+        where('userId', '==', userId)
+    );
+
+    return onSnapshot(statesQuery, (snapshot) => {
+        const states = {};
+        snapshot.docs.forEach((stateDoc) => {
+            const { key, status, snoozedUntil } = stateDoc.data();
+            states[key] = { status, snoozedUntil };
+        });
+        onStates(states);
+    }, (error) => {
+        console.error('Reminder state subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Snooze or dismiss one reminder ({ key, taskId, fireAt }) with state { status, snoozedUntil }
+export const saveReminderState = async (userId, reminder, state) => {
+    try {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        assertValidReminderState(state);
+
+        await setDoc(doc(db, REMINDER_STATES_COLLECTION, reminderStateId(userId, reminder.key)), {
+            userId,
+            key: reminder.key,
+            taskId: reminder.taskId,
+            fireAt: reminder.fireAt,
+            status: state.status,
+            snoozedUntil: state.status === 'snoozed' ? state.snoozedUntil : null,
+            updatedAt: serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error saving reminder state:', error);
+        throw error;
+    }
+};
+
+// Delete the states of reminders that fired before they expire from view
+export const purgeExpiredReminderStates = async (userId) => {
+    try {
+        const cutoff = new Date(Date.now() - REMINDER_EXPIRY_DAYS * DAY_MS).toISOString();
+        const querySnapshot = await getDocs(query(
+            collection(db, REMINDER_STATES_COLLECTION),
+            where('userId', '==', userId),
+            where('fireAt', '<', cutoff)
+        ));
+
+        for (let i = 0; i < querySnapshot.docs.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            querySnapshot.docs.slice(i, i + BATCH_LIMIT).forEach(stateDoc => batch.delete(stateDoc.ref));
+            await batch.commit();
+        }
+        return querySnapshot.size;
+    } catch (error) {
+        console.error('Error purging reminder states:', error);
+        throw error;
+    }
+};
+
+// User settings
+// Subscribe to a user's settings, completed with the defaults for anything never saved
+export const subscribeToUserSettings = (userId, onSettings, onError) => {
+    return onSnapshot(doc(db, USER_SETTINGS_COLLECTION, userId), (settingsDoc) => {
+        const { userId: _userId, updatedAt, ...settings } = settingsDoc.exists()
+            ? settingsDoc.data({ serverTimestamps: 'estimate' })
+            : {};
+        onSettings({ ...withSettingsDefaults(settings), updatedAt: toISOString(updatedAt) ?? null });
+    }, (error) => {
+        console.error('Settings subscription error:', error);
+        onError?.(error);
+    });
+};
+
+// Save part of a user's settings; fields left out keep their value
+export const updateUserSettings = async (userId, settings) => {
+    try {
+        if (!userId) {
+            throw new Error('User ID is required');
+        }
+        assertValidUserSettings(settings);
+
+        await setDoc(doc(db, USER_SETTINGS_COLLECTION, userId), {
+            ...normalizeUserSettings(settings),
+            userId,
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+    } catch (error) {
+        console.error('Error updating settings:', error);
+        throw error;
+    }
+};
+
+// User profiles
+// The directory comment @mentions are resolved against ({ handle, displayName,
+// photoURL } per user). Handles are unique: userHandles/{handle} names the user
+// holding each one.
+const convertProfileData = (profileDoc) => ({ id: profileDoc.id, ...profileDoc.data() });
+
+// Create or refresh a signed-in user's profile. A new profile claims the first
+// free handle made from the user's name (see lib/comments.js). Resolves with the profile.
+export const saveUserProfile = async (userId, { displayName, email, photoURL }) => {
+    try {
+        const profileRef = doc(db, USER_PROFILES_COLLECTION, userId);
+
+        return await runTransaction(db, async (transaction) => {
+            const profileDoc = await transaction.get(profileRef);
+            let handle = profileDoc.exists() ? profileDoc.data().handle : null;
+
+            if (!handle) {
+                for (const candidate of getHandleCandidates(createHandle({ displayName, email }), userId)) {
+                    const handleDoc = await transaction.get(doc(db, USER_HANDLES_COLLECTION, candidate));
+                    if (!handleDoc.exists() || handleDoc.data().userId === userId) {
+                        handle = candidate;
+                        break;
+                    }
+                }
+                if (!handle) {
+                    throw new Error('No free handle left for this user');
+                }
+                transaction.set(doc(db, USER_HANDLES_COLLECTION, handle), { userId });
+            }
+
+            const profile = { handle, displayName: displayName || handle, photoURL: photoURL || null };
+            transaction.set(profileRef, profile);
+            return { id: userId, ...profile };
+        });
+    } catch (error) {
+        console.error('Error saving user profile:', error);
+        throw error;
+    }
+};
+
+// Profiles whose handle starts with prefix, in handle order
+export const searchUserProfiles = async (prefix, max = 5) => {
+    try {
+        const start = prefix.toLowerCase();
+        const snapshot = await getDocs(query(
+            collection(db, USER_PROFILES_COLLECTION),
+            where('handle', '>=', start),
+            where('handle', '<=', `${start}\uf8ff`),
+            orderBy('handle'),
+            limit(max)
+        ));
+        return snapshot.docs.map(convertProfileData);
+    } catch (error) {
+        console.error('Error searching user profiles:', error);
+        throw error;
+    }
+};
+
+// Profiles holding the given (lowercase) handles; unknown handles are left out
+export const getUserProfilesByHandles = async (handles) => {
+    try {
+        // Firestore 'in' filters take up to 30 values
+        const chunks = [];
+        for (let i = 0; i < handles.length; i += 30) {
+            chunks.push(handles.slice(i, i + 30));
+        }
+        const snapshots = await Promise.all(chunks.map(chunk =>
+            getDocs(query(collection(db, USER_PROFILES_COLLECTION), where('handle', 'in', chunk)))));
+        return snapshots.flatMap(snapshot => snapshot.docs.map(convertProfileData));
+    } catch (error) {
+        console.error('Error loading user profiles:', error);
+        throw error;
+    }
+};
@@ -0,0 +1,1219 @@
+/**
+ * In-Memory Storage Backend
+ *
+ * Local implementation of the storage API re-exported by '@/lib/firestore',
+ * used to run the app (and tests) without a Firebase project:
+ * - Documents live in memory, grouped by collection path
+ * - Persisted to IndexedDB in the browser; process lifetime on the server
+ * - Live queries emit the same { changes, initial } shape as Firestore listeners
+ * - Timestamps are stored as ISO strings
+ * - Attachment files are kept as Blobs
+ */
+
+import {
+    TRASH_RETENTION_DAYS,
+    DEFAULT_PAGE_SIZE,
+    TASK_DEFAULTS,
+    COMMENT_SUMMARY_DEFAULTS,
+    TIME_SUMMARY_DEFAULTS,
+    DEFAULT_TASK_SORT,
+    getTaskComparator,
+    DAY_MS,
+    getTaskCursor,
+    getHistoryEntries,
+    getCompletionChanges,
+    createRevisionConflictError
+} from '@/lib/storage/common';
+import { assertValidTask } from '@/lib/taskSchema';
+import {
+    DEFAULT_TAG_FILTER_MODE,
+    normalizeTagName,
+    assertValidTag,
+    assertUniqueTagName,
+    matchesTagFilter,
+    replaceTagId
+} from '@/lib/tags';
+import { traceDependencyCycle, createDependencyCycleError, removeBlocker } from '@/lib/dependencies';
+import { buildNextOccurrence } from '@/lib/recurrence';
+import { getInitialStatus } from '@/lib/workflow';
+import { assertValidTimeEntry, getEntryDuration } from '@/lib/timeTracking';
+import { sumRemainingEstimates } from '@/lib/estimates';
+import { REMINDER_EXPIRY_DAYS, assertValidReminderState } from '@/lib/reminders';
+import {
+    assertAttachmentFits,
+    getAttachmentPath,
+    getAttachmentContentType,
+    getCommentAttachments
+} from '@/lib/attachments';
+import { withSettingsDefaults, assertValidUserSettings, normalizeUserSettings } from '@/lib/userSettings';
+import { assertValidTemplate, normalizeTemplate } from '@/lib/templates';
+import { assertCanReply, assertCommentAuthor, createHandle, getHandleCandidates } from '@/lib/comments';
+
+// Collection paths (mirroring the Firestore layout)
+const TASKS_COLLECTION = 'tasks';
+const TAGS_COLLECTION = 'tags';
+const TEMPLATES_COLLECTION = 'templates';
+const TIME_ENTRIES_COLLECTION = 'timeEntries';
+const REMINDER_STATES_COLLECTION = 'reminderStates';
+const USER_SETTINGS_COLLECTION = 'userSettings';
+const USER_STATS_COLLECTION = 'userStats';
+const ATTACHMENT_USAGE_COLLECTION = 'attachmentUsage';
+const USER_PROFILES_COLLECTION = 'userProfiles';
+const USER_HANDLES_COLLECTION = 'userHandles';
+const SUGGESTIONS_COLLECTION = 'suggestions';
+const commentsPath = (taskId) => `${TASKS_COLLECTION}/${taskId}/comments`;
+const historyPath = (taskId) => `${TASKS_COLLECTION}/${taskId}/history`;
+const attachmentsPath = (taskId) => `${TASKS_COLLECTION}/${taskId}/attachments`;
+const ATTACHMENT_FILES_COLLECTION = 'attachmentFiles';
+
+// IndexedDB persistence settings
+const DB_NAME = 'task-manager-local';
+const DB_STORE = 'collections';
+const SNAPSHOT_KEY = 'snapshot';
+const PERSIST_DELAY_MS = 200;
+
+// Kept on globalThis so data survives hot reloads during development
+const store = globalThis.__taskManagerMemoryStore ?? (globalThis.__taskManagerMemoryStore = {
+    collections: new Map(),
+    listeners: new Set(),
+    ready: null,
+    persistTimer: null
+});
+
+const generateId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+const now = () => new Date().toISOString();
+const clone = (value) => structuredClone(value);
+
+// IndexedDB helpers
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const loadSnapshot = async () => {
+    const database = await openDatabase();
+    const snapshot = await new Promise((resolve, reject) => {
+        const request = database.transaction(DB_STORE, 'readonly').objectStore(DB_STORE).get(SNAPSHOT_KEY);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    database.close();
+
+    Object.entries(snapshot || {}).forEach(([path, docs]) => {
+        store.collections.set(path, new Map(Object.entries(docs)));
+    });
+};
+
+const saveSnapshot = async () => {
+    const snapshot = {};
+    store.collections.forEach((docs, path) => {
+        snapshot[path] = Object.fromEntries(docs);
+    });
+
+    const database = await openDatabase();
+    await new Promise((resolve, reject) => {
+        const transaction = database.transaction(DB_STORE, 'readwrite');
+        transaction.objectStore(DB_STORE).put(snapshot, SNAPSHOT_KEY);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+    database.close();
+};
+
+// Resolves once persisted data (if any) has been loaded
+const ready = () => {
+    if (!store.ready) {
+        store.ready = typeof indexedDB === 'undefined'
+            ? Promise.resolve()
+            : loadSnapshot().catch((error) => {
+                console.warn('Local storage snapshot unavailable, starting empty:', error.message);
+            });
+    }
+    return store.ready;
+};
+
+const schedulePersist = () => {
+    if (typeof indexedDB === 'undefined') return;
+
+    clearTimeout(store.persistTimer);
+    store.persistTimer = setTimeout(() => {
+        saveSnapshot().catch((error) => console.error('Error persisting local data:', error));
+    }, PERSIST_DELAY_MS);
+};
+
+// Document helpers
+const getCollection = (path) => {
+    if (!store.collections.has(path)) {
+        store.collections.set(path, new Map());
+    }
+    return store.collections.get(path);
+};
+
+const listDocs = (path) => Array.from(getCollection(path), ([id, data]) => ({ id, ...data }));
+
+const getDocument = (path, id) => {
+    const data = getCollection(path).get(id);
+    return data ? { id, ...data } : null;
+};
+
+const notifyListeners = (path) => {
+    store.listeners.forEach((listener) => {
+        if (listener.path === path) {
+            listener.run();
+        }
+    });
+};
+
+const setDocument = (path, id, data) => {
+    getCollection(path).set(id, data);
+    notifyListeners(path);
+    schedulePersist();
+};
+
+const updateDocument = (path, id, updates) => {
+    const existing = getCollection(path).get(id);
+    if (!existing) {
+        throw new Error(`No document to update: ${path}/${id}`);
+    }
+    setDocument(path, id, { ...existing, ...updates });
+};
+
+const deleteDocument = (path, id) => {
+    getCollection(path).delete(id);
+    notifyListeners(path);
+    schedulePersist();
+};
+
+// Re-run a query whenever its collection changes and report what changed.
+// onResults receives (results, changes, initial) with changes as [{ type, item }].
+const watchQuery = (path, runQuery, onResults, onError) => {
+    let previous = null;
+    const listener = {
+        path,
+        run: () => {
+            try {
+                const results = runQuery();
+                const next = new Map(results.map(item => [item.id, JSON.stringify(item)]));
+                const changes = [];
+
+                results.forEach((item) => {
+                    const before = previous?.get(item.id);
+                    if (before === undefined) {
+                        changes.push({ type: 'added', item: clone(item) });
+                    } else if (before !== next.get(item.id)) {
+                        changes.push({ type: 'modified', item: clone(item) });
+                    }
+                });
+                previous?.forEach((json, id) => {
+                    if (!next.has(id)) {
+                        changes.push({ type: 'removed', item: JSON.parse(json) });
+                    }
+                });
+
+                const initial = previous === null;
+                previous = next;
+                if (initial || changes.length > 0) {
+                    onResults(clone(results), changes, initial);
+                }
+            } catch (error) {
+                console.error('Local subscription error:', error);
+                onError?.(error);
+            }
+        }
+    };
+
+    ready().then(() => {
+        store.listeners.add(listener);
+        listener.run();
+    });
+
+    return () => {
+        store.listeners.delete(listener);
+        listener.run = () => {};
+    };
+};
+
+// Task queries
+const queryTaskPage = (userId, {
+    status = 'all',
+    type = 'all',
+    priority = 'all',
+    tags = [],
+    tagMode = DEFAULT_TAG_FILTER_MODE,
+    sort = DEFAULT_TASK_SORT,
+    pageSize = DEFAULT_PAGE_SIZE,
+    cursor = null
+} = {}) => {
+    const compare = getTaskComparator(sort);
+    return listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId && task.deletedAt === null && task.archivedAt === null)
+        .filter(task => status === 'all' || task.status === status)
+        .filter(task => type === 'all' || task.type === type)
+        .filter(task => priority === 'all' || task.priority === priority)
+        .filter(task => matchesTagFilter(task.tags, tags, tagMode))
+        .sort(compare)
+        .filter(task => !cursor || compare(task, cursor) > 0)
+        .slice(0, pageSize + 1);
+};
+
+// Tasks
+export const addTask = async (userId, taskData) => {
+    await ready();
+
+    if (!userId) {
+        throw new Error('User ID is required');
+    }
+    assertValidTask(taskData);
+
+    const taskId = generateId();
+    const timestamp = now();
+    setDocument(TASKS_COLLECTION, taskId, {
+        ...TASK_DEFAULTS,
+        ...COMMENT_SUMMARY_DEFAULTS,
+        ...TIME_SUMMARY_DEFAULTS,
+        ...taskData,
+        userId,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        clientId: `${userId}_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`
+    });
+    return taskId;
+};
+
+export const getUserTasks = async (userId, options = {}) => {
+    await ready();
+
+    const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    const tasks = queryTaskPage(userId, { ...options, pageSize });
+    const hasMore = tasks.length > pageSize;
+    const pageTasks = clone(tasks.slice(0, pageSize));
+
+    return {
+        tasks: pageTasks,
+        hasMore,
+        nextCursor: hasMore ? getTaskCursor(pageTasks[pageTasks.length - 1]) : null
+    };
+};
+
+export const countUserTasks = async (userId, { status, type, priority, tags, tagMode } = {}) => {
+    await ready();
+    return queryTaskPage(userId, { status, type, priority, tags, tagMode, pageSize: Infinity }).length;
+};
+
+export const getUserTaskIds = async (userId, { status, type, priority, tags, tagMode } = {}) => {
+    await ready();
+    return queryTaskPage(userId, { status, type, priority, tags, tagMode, pageSize: Infinity }).map(task => task.id);
+};
+
+export const getRemainingEstimate = async (userId, openStatuses, { status, type, priority, tags, tagMode } = {}) => {
+    await ready();
+    return sumRemainingEstimates(
+        queryTaskPage(userId, { status, type, priority, tags, tagMode, pageSize: Infinity }),
+        openStatuses
+    );
+};
+
+export const getCompletedTasks = async (userId, terminalStatuses, { start, end }) => {
+    await ready();
+    return clone(listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId && task.deletedAt === null && terminalStatuses.includes(task.status))
+        .filter(task => task.completedAt >= start && task.completedAt < end)
+        .sort((a, b) => b.completedAt.localeCompare(a.completedAt)));
+};
+
+export const getTask = async (taskId) => {
+    await ready();
+    const task = getDocument(TASKS_COLLECTION, taskId);
+    return task ? clone(task) : null;
+};
+
+export const getTrashedTasks = async (userId) => {
+    await ready();
+    return clone(listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId && task.deletedAt)
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+};
+
+export const getArchivedTasks = async (userId) => {
+    await ready();
+    return clone(listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId && task.deletedAt === null && task.archivedAt)
+        .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt)));
+};
+
+const summarizeTaskComments = (taskId) => {
+    const comments = listDocs(commentsPath(taskId));
+    return {
+        commentCount: comments.length,
+        lastCommentAt: comments.reduce((latest, comment) =>
+            (!latest || comment.createdAt > latest ? comment.createdAt : latest), null)
+    };
+};
+
+export const backfillTaskDefaults = async (userId) => {
+    await ready();
+
+    let updated = 0;
+    listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId)
+        .forEach((task) => {
+            const missing = {};
+            Object.entries(TASK_DEFAULTS).forEach(([field, value]) => {
+                if (!(field in task)) {
+                    missing[field] = value;
+                }
+            });
+            if (!('commentCount' in task)) {
+                Object.assign(missing, summarizeTaskComments(task.id));
+            }
+            if (Object.keys(missing).length > 0) {
+                updateDocument(TASKS_COLLECTION, task.id, missing);
+                updated++;
+            }
+        });
+    return updated;
+};
+
+export const subscribeToUserTasks = (userId, options = {}, onChanges, onError) => {
+    const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    return watchQuery(
+        TASKS_COLLECTION,
+        () => queryTaskPage(userId, { ...options, pageSize }),
+        (results, changes, initial) => {
+            const hasMore = results.length > pageSize;
+            onChanges({
+                changes: changes.map(({ type, item }) => ({ type, task: item })),
+                initial,
+                hasMore,
+                nextCursor: hasMore ? getTaskCursor(results[pageSize - 1]) : null
+            });
+        },
+        onError
+    );
+};
+
+// Blocked-by list of a task, read for cycle detection ([] once it is gone)
+const loadTaskBlockedBy = async (taskId) => getDocument(TASKS_COLLECTION, taskId)?.blockedBy ?? [];
+
+// Take a completed, trashed or purged task off the blocked-by lists of the tasks it blocks
+const releaseDependentTasks = (userId, taskId, actor) => {
+    const tasks = listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId && task.blockedBy?.includes(taskId));
+
+    const timestamp = now();
+    tasks.forEach((task) => {
+        const taskData = { blockedBy: removeBlocker(task.blockedBy, taskId) };
+        const revision = (task.revision ?? 0) + 1;
+        getHistoryEntries(task, taskData, actor, revision).forEach((entry) => {
+            setDocument(historyPath(task.id), generateId(), { ...entry, createdAt: timestamp });
+        });
+        updateDocument(TASKS_COLLECTION, task.id, { ...taskData, revision, updatedAt: timestamp });
+    });
+    return tasks.length;
+};
+
+// The occurrence following a completed recurring task starts in the owner's
+// first status, due as their timezone reckons it
+const addNextOccurrence = (task, completedAt) => {
+    const { workflow, timeZone } = withSettingsDefaults(getDocument(USER_SETTINGS_COLLECTION, task.userId) ?? {});
+    return addTask(task.userId, buildNextOccurrence(task, completedAt, getInitialStatus(workflow), timeZone));
+};
+
+export const updateTask = async (taskId, taskData, { expectedRevision, actor = null } = {}) => {
+    await ready();
+    assertValidTask(taskData, { partial: true });
+
+    const task = getDocument(TASKS_COLLECTION, taskId);
+    if (!task) {
+        throw new Error(`Task ${taskId} does not exist`);
+    }
+    if (taskData.blockedBy?.length) {
+        const cycle = await traceDependencyCycle(taskId, taskData.blockedBy, loadTaskBlockedBy);
+        if (cycle) {
+            throw createDependencyCycleError(cycle);
+        }
+    }
+
+    const currentRevision = task.revision ?? 0;
+    if (expectedRevision !== undefined && expectedRevision !== currentRevision) {
+        throw createRevisionConflictError(clone(task));
+    }
+
+    const changes = getCompletionChanges(task, taskData);
+    const timestamp = now();
+    getHistoryEntries(task, changes, actor, currentRevision + 1).forEach((entry) => {
+        setDocument(historyPath(taskId), generateId(), { ...entry, createdAt: timestamp });
+    });
+    updateDocument(TASKS_COLLECTION, taskId, { ...changes, revision: currentRevision + 1, updatedAt: timestamp });
+
+    // Only a move into a terminal status stamps completedAt
+    if (taskData.completedAt) {
+        releaseDependentTasks(task.userId, taskId, actor);
+        if (task.recurrence) {
+            await addNextOccurrence(task, taskData.completedAt);
+        }
+    }
+    return currentRevision + 1;
+};
+
+// All tasks are checked before any is written, so a failed call changes nothing
+export const bulkUpdateTasks = async (taskIds, taskData, { actor = null } = {}) => {
+    await ready();
+    assertValidTask(taskData, { partial: true });
+
+    const tasks = taskIds.map((taskId) => {
+        const task = getDocument(TASKS_COLLECTION, taskId);
+        if (!task) {
+            throw new Error(`Task ${taskId} does not exist`);
+        }
+        return task;
+    });
+
+    const timestamp = now();
+    tasks.forEach((task) => {
+        const revision = (task.revision ?? 0) + 1;
+        const changes = getCompletionChanges(task, taskData);
+        getHistoryEntries(task, changes, actor, revision).forEach((entry) => {
+            setDocument(historyPath(task.id), generateId(), { ...entry, createdAt: timestamp });
+        });
+        updateDocument(TASKS_COLLECTION, task.id, { ...changes, revision, updatedAt: timestamp });
+    });
+
+    if (taskData.completedAt) {
+        tasks.forEach(task => releaseDependentTasks(task.userId, task.id, actor));
+        for (const task of tasks.filter(task => task.recurrence)) {
+            await addNextOccurrence(task, taskData.completedAt);
+        }
+    }
+};
+
+// Task dependencies
+export const subscribeToDependentTasks = (userId, taskId, onTasks, onError) => {
+    return watchQuery(
+        TASKS_COLLECTION,
+        () => listDocs(TASKS_COLLECTION)
+            .filter(task => task.userId === userId && task.deletedAt === null && task.blockedBy?.includes(taskId))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+        (results) => onTasks(results),
+        onError
+    );
+};
+
+export const findDependencyCycle = async (taskId, blockerIds) => {
+    await ready();
+    return traceDependencyCycle(taskId, blockerIds, loadTaskBlockedBy);
+};
+
+export const bulkSoftDeleteTasks = async (taskIds, { actor = null } = {}) => {
+    await ready();
+
+    const tasks = taskIds.map((taskId) => {
+        const task = getDocument(TASKS_COLLECTION, taskId);
+        if (!task) {
+            throw new Error(`No document to update: ${TASKS_COLLECTION}/${taskId}`);
+        }
+        return task;
+    });
+
+    const timestamp = now();
+    tasks.forEach((task) => {
+        updateDocument(TASKS_COLLECTION, task.id, { deletedAt: timestamp, updatedAt: timestamp });
+        releaseDependentTasks(task.userId, task.id, actor);
+    });
+};
+
+export const softDeleteTask = async (taskId, { actor = null } = {}) => {
+    await ready();
+    const timestamp = now();
+    updateDocument(TASKS_COLLECTION, taskId, { deletedAt: timestamp, updatedAt: timestamp });
+    releaseDependentTasks(getDocument(TASKS_COLLECTION, taskId).userId, taskId, actor);
+};
+
+export const restoreTask = async (taskId) => {
+    await ready();
+    updateDocument(TASKS_COLLECTION, taskId, { deletedAt: null, updatedAt: now() });
+};
+
+export const archiveCompletedTasks = async (userId, terminalStatuses, archiveAfterDays) => {
+    await ready();
+
+    const cutoff = new Date(Date.now() - archiveAfterDays * DAY_MS).toISOString();
+    const archivedIds = listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId && task.deletedAt === null && task.archivedAt === null)
+        .filter(task => terminalStatuses.includes(task.status) && task.completedAt && task.completedAt <= cutoff)
+        .filter(task => !(task.unarchivedAt > cutoff))
+        .map(task => task.id);
+
+    const timestamp = now();
+    archivedIds.forEach((taskId) => {
+        updateDocument(TASKS_COLLECTION, taskId, { archivedAt: timestamp, updatedAt: timestamp });
+    });
+    return archivedIds;
+};
+
+export const unarchiveTask = async (taskId) => {
+    await ready();
+    const timestamp = now();
+    updateDocument(TASKS_COLLECTION, taskId, { archivedAt: null, unarchivedAt: timestamp, updatedAt: timestamp });
+};
+
+export const purgeTask = async (taskId, { actor = null } = {}) => {
+    await ready();
+    const task = getDocument(TASKS_COLLECTION, taskId);
+    if (task) {
+        releaseDependentTasks(task.userId, taskId, actor);
+    }
+    deleteAttachmentFiles([
+        ...listDocs(attachmentsPath(taskId)),
+        ...getCommentAttachments(listDocs(commentsPath(taskId)))
+    ]);
+    store.collections.delete(attachmentsPath(taskId));
+    store.collections.delete(commentsPath(taskId));
+    store.collections.delete(historyPath(taskId));
+    deleteDocument(TASKS_COLLECTION, taskId);
+};
+
+export const purgeExpiredTasks = async (userId, retentionDays = TRASH_RETENTION_DAYS) => {
+    await ready();
+
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    const expiredIds = listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId && task.deletedAt && task.deletedAt <= cutoff)
+        .map(task => task.id);
+
+    for (const taskId of expiredIds) {
+        await purgeTask(taskId);
+    }
+    return expiredIds;
+};
+
+// Tags
+const listUserTags = (userId) => listDocs(TAGS_COLLECTION)
+    .filter(tag => tag.userId === userId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+export const getUserTags = async (userId) => {
+    await ready();
+    return clone(listUserTags(userId));
+};
+
+export const subscribeToUserTags = (userId, onTags, onError) => {
+    return watchQuery(
+        TAGS_COLLECTION,
+        () => listUserTags(userId),
+        (results) => onTags(results),
+        onError
+    );
+};
+
+export const addTag = async (userId, tagData) => {
+    await ready();
+
+    if (!userId) {
+        throw new Error('User ID is required');
+    }
+    assertValidTag(tagData);
+
+    const name = normalizeTagName(tagData.name);
+    assertUniqueTagName(listUserTags(userId), name);
+
+    const tagId = generateId();
+    const timestamp = now();
+    setDocument(TAGS_COLLECTION, tagId, {
+        name,
+        color: tagData.color,
+        userId,
+        createdAt: timestamp,
+        updatedAt: timestamp
+    });
+    return tagId;
+};
+
+export const updateTag = async (tagId, tagData) => {
+    await ready();
+    assertValidTag(tagData, { partial: true });
+
+    const tag = getDocument(TAGS_COLLECTION, tagId);
+    if (!tag) {
+        throw new Error(`Tag ${tagId} does not exist`);
+    }
+
+    const updates = {};
+    if ('name' in tagData) {
+        updates.name = normalizeTagName(tagData.name);
+        assertUniqueTagName(listUserTags(tag.userId), updates.name, tagId);
+    }
+    if ('color' in tagData) {
+        updates.color = tagData.color;
+    }
+    updateDocument(TAGS_COLLECTION, tagId, { ...updates, updatedAt: now() });
+};
+
+const replaceTagOnTasks = (userId, tagId, replacementId, actor) => {
+    const tasks = listDocs(TASKS_COLLECTION)
+        .filter(task => task.userId === userId && task.tags?.includes(tagId));
+
+    const timestamp = now();
+    tasks.forEach((task) => {
+        const taskData = { tags: replaceTagId(task.tags, tagId, replacementId) };
+        const revision = (task.revision ?? 0) + 1;
+        getHistoryEntries(task, taskData, actor, revision).forEach((entry) => {
+            setDocument(historyPath(task.id), generateId(), { ...entry, createdAt: timestamp });
+        });
+        updateDocument(TASKS_COLLECTION, task.id, { ...taskData, revision, updatedAt: timestamp });
+    });
+    return tasks.length;
+};
+
+export const mergeTags = async (userId, sourceTagId, targetTagId, { actor = null } = {}) => {
+    await ready();
+
+    if (sourceTagId === targetTagId) {
+        throw new Error('A tag cannot be merged into itself');
+    }
+    if (!getDocument(TAGS_COLLECTION, targetTagId)) {
+        throw new Error(`Tag ${targetTagId} does not exist`);
+    }
+
+    const updatedCount = replaceTagOnTasks(userId, sourceTagId, targetTagId, actor);
+    deleteDocument(TAGS_COLLECTION, sourceTagId);
+    return updatedCount;
+};
+
+export const deleteTag = async (userId, tagId, { actor = null } = {}) => {
+    await ready();
+
+    const updatedCount = replaceTagOnTasks(userId, tagId, null, actor);
+    deleteDocument(TAGS_COLLECTION, tagId);
+    return updatedCount;
+};
+
+// Templates
+export const subscribeToUserTemplates = (userId, onTemplates, onError) => {
+    return watchQuery(
+        TEMPLATES_COLLECTION,
+        () => listDocs(TEMPLATES_COLLECTION)
+            .filter(template => template.userId === userId)
+            .sort((a, b) => a.name.localeCompare(b.name)),
+        (results) => onTemplates(results),
+        onError
+    );
+};
+
+export const addTemplate = async (userId, templateData) => {
+    await ready();
+
+    if (!userId) {
+        throw new Error('User ID is required');
+    }
+    assertValidTemplate(templateData);
+
+    const templateId = generateId();
+    const timestamp = now();
+    setDocument(TEMPLATES_COLLECTION, templateId, {
+        ...normalizeTemplate(templateData),
+        userId,
+        createdAt: timestamp,
+        updatedAt: timestamp
+    });
+    return templateId;
+};
+
+export const updateTemplate = async (templateId, templateData) => {
+    await ready();
+    assertValidTemplate(templateData, { partial: true });
+
+    if (!getDocument(TEMPLATES_COLLECTION, templateId)) {
+        throw new Error(`Template ${templateId} does not exist`);
+    }
+    updateDocument(TEMPLATES_COLLECTION, templateId, {
+        ...normalizeTemplate(templateData, { partial: true }),
+        updatedAt: now()
+    });
+};
+
+export const deleteTemplate = async (templateId) => {
+    await ready();
+    deleteDocument(TEMPLATES_COLLECTION, templateId);
+};
+
+// Comments
+export const addComment = async (taskId, commentData) => {
+    await ready();
+
+    const task = getDocument(TASKS_COLLECTION, taskId);
+    if (!task) {
+        throw new Error(`Task ${taskId} does not exist`);
+    }
+    const parent = commentData.parentId ? getDocument(commentsPath(taskId), commentData.parentId) : null;
+    if (commentData.parentId) {
+        assertCanReply(parent);
+    }
+
+    const commentId = generateId();
+    const timestamp = now();
+    setDocument(commentsPath(taskId), commentId, { ...commentData, createdAt: timestamp });
+    if (parent) {
+        updateDocument(commentsPath(taskId), parent.id, { replyCount: (parent.replyCount || 0) + 1 });
+    }
+    // Tasks not backfilled yet get their count from the backfill instead
+    if ('commentCount' in task) {
+        updateDocument(TASKS_COLLECTION, taskId, {
+            commentCount: task.commentCount + 1,
+            lastCommentAt: timestamp
+        });
+    }
+    return commentId;
+};
+
+export const updateComment = async (taskId, commentId, commentData, userId) => {
+    await ready();
+
+    const comment = getDocument(commentsPath(taskId), commentId);
+    if (!comment || comment.deleted) {
+        throw new Error(`Comment ${commentId} does not exist`);
+    }
+    assertCommentAuthor(comment, userId);
+    updateDocument(commentsPath(taskId), commentId, {
+        text: commentData.text,
+        mentions: commentData.mentions ?? [],
+        editedAt: now()
+    });
+};
+
+// A comment with replies is kept as an empty, deleted placeholder until its last reply goes
+export const deleteComment = async (taskId, commentId, userId) => {
+    await ready();
+
+    const comment = getDocument(commentsPath(taskId), commentId);
+    if (!comment || comment.deleted) return;
+    assertCommentAuthor(comment, userId);
+    if (comment.replyCount > 0) {
+        updateDocument(commentsPath(taskId), commentId, {
+            deleted: true,
+            text: '',
+            mentions: [],
+            attachments: [],
+            deletedAt: now()
+        });
+    } else {
+        deleteDocument(commentsPath(taskId), commentId);
+    }
+    deleteAttachmentFiles(comment.attachments || []);
+
+    const parent = comment.parentId ? getDocument(commentsPath(taskId), comment.parentId) : null;
+    if (parent?.deleted && parent.replyCount <= 1) {
+        deleteDocument(commentsPath(taskId), parent.id);
+    } else if (parent) {
+        updateDocument(commentsPath(taskId), parent.id, { replyCount: Math.max(0, parent.replyCount - 1) });
+    }
+
+    const task = getDocument(TASKS_COLLECTION, taskId);
+    if (task && 'commentCount' in task) {
+        const commentCount = Math.max(0, task.commentCount - 1);
+        updateDocument(TASKS_COLLECTION, taskId, {
+            commentCount,
+            ...(commentCount === 0 && { lastCommentAt: null })
+        });
+    }
+};
+
+export const subscribeToTaskComments = (taskId, onComments, onError) => {
+    return watchQuery(
+        commentsPath(taskId),
+        () => listDocs(commentsPath(taskId)).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+        (results) => onComments(results),
+        onError
+    );
+};
+
+// Attachments
+// File contents are kept as Blobs keyed by storage path, outside any watched collection
+const getStoredAttachmentBytes = (userId) => getDocument(ATTACHMENT_USAGE_COLLECTION, userId)?.attachmentBytes ?? 0;
+
+const addAttachmentBytes = (userId, change) => {
+    setDocument(ATTACHMENT_USAGE_COLLECTION, userId, {
+        attachmentBytes: Math.max(0, getStoredAttachmentBytes(userId) + change)
+    });
+};
+
+const deleteAttachmentFiles = (attachments) => {
+    attachments.forEach((attachment) => {
+        if (getCollection(ATTACHMENT_FILES_COLLECTION).has(attachment.storagePath)) {
+            deleteDocument(ATTACHMENT_FILES_COLLECTION, attachment.storagePath);
+        }
+        addAttachmentBytes(attachment.uploadedBy, -attachment.size);
+    });
+};
+
+export const getAttachmentUsage = async (userId) => {
+    await ready();
+    return getStoredAttachmentBytes(userId);
+};
+
+export const uploadAttachmentFile = async (userId, taskId, file, { uploaderName = null, onProgress } = {}) => {
+    await ready();
+    assertAttachmentFits(file, getStoredAttachmentBytes(userId));
+
+    const attachmentId = generateId();
+    const storagePath = getAttachmentPath(userId, taskId, attachmentId, file.name);
+    const contentType = getAttachmentContentType(file);
+    setDocument(ATTACHMENT_FILES_COLLECTION, storagePath, { blob: file.slice(0, file.size, contentType) });
+    addAttachmentBytes(userId, file.size);
+    onProgress?.(1);
+
+    return {
+        id: attachmentId,
+        name: file.name,
+        size: file.size,
+        contentType,
+        storagePath,
+        uploadedBy: userId,
+        uploaderName,
+        createdAt: now()
+    };
+};
+
+export const addTaskAttachment = async (userId, taskId, file, options = {}) => {
+    await ready();
+
+    if (!getDocument(TASKS_COLLECTION, taskId)) {
+        throw new Error(`Task ${taskId} does not exist`);
+    }
+    const attachment = await uploadAttachmentFile(userId, taskId, file, options);
+    const { id, ...data } = attachment;
+    setDocument(attachmentsPath(taskId), id, data);
+    return attachment;
+};
+
+export const subscribeToTaskAttachments = (taskId, onAttachments, onError) => {
+    return watchQuery(
+        attachmentsPath(taskId),
+        () => listDocs(attachmentsPath(taskId)).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+        (results) => onAttachments(results),
+        onError
+    );
+};
+
+export const deleteTaskAttachment = async (taskId, attachmentId) => {
+    await ready();
+
+    const attachment = getDocument(attachmentsPath(taskId), attachmentId);
+    if (!attachment) return;
+
+    deleteAttachmentFiles([attachment]);
+    deleteDocument(attachmentsPath(taskId), attachmentId);
+};
+
+export const discardUploadedFiles = async (attachments) => {
+    await ready();
+    deleteAttachmentFiles(attachments);
+};
+
+const getAttachmentBlob = (storagePath) => {
+    const file = getCollection(ATTACHMENT_FILES_COLLECTION).get(storagePath);
+    if (!file) {
+        throw new Error(`Attachment ${storagePath} does not exist`);
+    }
+    return file.blob;
+};
+
+// Object URLs live as long as the page; attachments are few enough not to revoke them
+export const getAttachmentUrl = async (storagePath) => {
+    await ready();
+    return URL.createObjectURL(getAttachmentBlob(storagePath));
+};
+
+export const getAttachmentText = async (storagePath, maxBytes) => {
+    await ready();
+    return getAttachmentBlob(storagePath).slice(0, maxBytes).text();
+};
+
+// Change history
+export const subscribeToTaskHistory = (taskId, onHistory, onError) => {
+    return watchQuery(
+        historyPath(taskId),
+        () => listDocs(historyPath(taskId)).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+        (results) => onHistory(results),
+        onError
+    );
+};
+
+// Time tracking
+const listUserTimeEntries = (userId) => listDocs(TIME_ENTRIES_COLLECTION).filter(entry => entry.userId === userId);
+
+// Add a change in tracked time to a task that still exists
+const addTimeSpent = (taskId, change) => {
+    const task = getDocument(TASKS_COLLECTION, taskId);
+    if (task) {
+        updateDocument(TASKS_COLLECTION, taskId, { timeSpentMs: (task.timeSpentMs ?? 0) + change });
+    }
+};
+
+const finishRunningTimeEntries = (userId, endedAt) => {
+    listUserTimeEntries(userId)
+        .filter(entry => entry.endedAt === null)
+        .forEach((entry) => {
+            updateDocument(TIME_ENTRIES_COLLECTION, entry.id, { endedAt });
+            addTimeSpent(entry.taskId, getEntryDuration({ ...entry, endedAt }));
+        });
+};
+
+export const startTimer = async (userId, taskId) => {
+    await ready();
+
+    if (!userId) {
+        throw new Error('User ID is required');
+    }
+    if (!getDocument(TASKS_COLLECTION, taskId)) {
+        throw new Error(`Task ${taskId} does not exist`);
+    }
+
+    const startedAt = now();
+    finishRunningTimeEntries(userId, startedAt);
+
+    const entryId = generateId();
+    setDocument(TIME_ENTRIES_COLLECTION, entryId, {
+        userId,
+        taskId,
+        startedAt,
+        endedAt: null,
+        note: '',
+        createdAt: startedAt
+    });
+    return entryId;
+};
+
+export const stopTimer = async (userId) => {
+    await ready();
+    finishRunningTimeEntries(userId, now());
+};
+
+export const subscribeToRunningTimer = (userId, onEntry, onError) => {
+    return watchQuery(
+        TIME_ENTRIES_COLLECTION,
+        () => listUserTimeEntries(userId).filter(entry => entry.endedAt === null),
+        (results) => onEntry(results.sort((a, b) => b.startedAt.localeCompare(a.startedAt))[0] ?? null),
+        onError
+    );
+};
+
+export const subscribeToTaskTimeEntries = (userId, taskId, onEntries, onError) => {
+    return watchQuery(
+        TIME_ENTRIES_COLLECTION,
+        () => listUserTimeEntries(userId)
+            .filter(entry => entry.taskId === taskId)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt)),
+        (results) => onEntries(results),
+        onError
+    );
+};
+
+export const getTimeEntries = async (userId, { start, end }) => {
+    await ready();
+    return clone(listUserTimeEntries(userId)
+        .filter(entry => entry.startedAt >= start && entry.startedAt < end)
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt)));
+};
+
+export const addTimeEntry = async (userId, taskId, entryData) => {
+    await ready();
+
+    if (!userId) {
+        throw new Error('User ID is required');
+    }
+    assertValidTimeEntry(entryData);
+    if (!getDocument(TASKS_COLLECTION, taskId)) {
+        throw new Error(`Task ${taskId} does not exist`);
+    }
+
+    const { startedAt, endedAt, note = '' } = entryData;
+    const entryId = generateId();
+    setDocument(TIME_ENTRIES_COLLECTION, entryId, { userId, taskId, startedAt, endedAt, note, createdAt: now() });
+    addTimeSpent(taskId, getEntryDuration({ startedAt, endedAt }));
+    return entryId;
+};
+
+export const updateTimeEntry = async (entryId, entryData) => {
+    await ready();
+
+    const entry = getDocument(TIME_ENTRIES_COLLECTION, entryId);
+    if (!entry) {
+        throw new Error(`Time entry ${entryId} does not exist`);
+    }
+    if (!entry.endedAt) {
+        throw new Error('Stop the timer before editing its entry');
+    }
+    const { startedAt, endedAt, note } = { ...entry, ...entryData };
+    assertValidTimeEntry({ startedAt, endedAt, note });
+
+    updateDocument(TIME_ENTRIES_COLLECTION, entryId, { startedAt, endedAt, note: note ?? '' });
+    addTimeSpent(entry.taskId, getEntryDuration({ startedAt, endedAt }) - getEntryDuration(entry));
+};
+
+export const deleteTimeEntry = async (entryId) => {
+    await ready();
+
+    const entry = getDocument(TIME_ENTRIES_COLLECTION, entryId);
+    if (!entry) return;
+
+    deleteDocument(TIME_ENTRIES_COLLECTION, entryId);
+    if (entry.endedAt) {
+        addTimeSpent(entry.taskId, -getEntryDuration(entry));
+    }
+};
+
+// Reminders
+const reminderStateId = (userId, key) => `${userId}_${key}`;
+
+export const subscribeToDueTasks = (userId, openStatuses, onTasks, onError) => {
+    return watchQuery(
+        TASKS_COLLECTION,
+        () => listDocs(TASKS_COLLECTION).filter(task =>
+            task.userId === userId &&
+            task.deletedAt === null &&
+            openStatuses.includes(task.status) &&
+            Boolean(task.dueDate)
+        ),
+        (results) => onTasks(results),
+        onError
+    );
+};
+
+export const subscribeToReminderStates = (userId, onStates, onError) => {
+    return watchQuery(
+        REMINDER_STATES_COLLECTION,
+        () => listDocs(REMINDER_STATES_COLLECTION).filter(state => state.userId === userId),
+        (results) => {
+            const states = {};
+            results.forEach(({ key, status, snoozedUntil }) => {
+                states[key] = { status, snoozedUntil };
+            });
+            onStates(states);
+        },
+        onError
+    );
+};
+
+export const saveReminderState = async (userId, reminder, state) => {
+    await ready();
+
+    if (!userId) {
+        throw new Error('User ID is required');
+    }
+    assertValidReminderState(state);
+
+    setDocument(REMINDER_STATES_COLLECTION, reminderStateId(userId, reminder.key), {
+        userId,
+        key: reminder.key,
+        taskId: reminder.taskId,
+        fireAt: reminder.fireAt,
+        status: state.status,
+        snoozedUntil: state.status === 'snoozed' ? state.snoozedUntil : null,
+        updatedAt: now()
+    });
+};
+
+export const purgeExpiredReminderStates = async (userId) => {
+    await ready();
+
+    const cutoff = new Date(Date.now() - REMINDER_EXPIRY_DAYS * DAY_MS).toISOString();
+    const expired = listDocs(REMINDER_STATES_COLLECTION)
+        .filter(state => state.userId === userId && state.fireAt < cutoff);
+    expired.forEach(state => deleteDocument(REMINDER_STATES_COLLECTION, state.id));
+    return expired.length;
+};
+
+// User settings
+export const subscribeToUserSettings = (userId, onSettings, onError) => {
+    return watchQuery(
+        USER_SETTINGS_COLLECTION,
+        () => listDocs(USER_SETTINGS_COLLECTION).filter(settings => settings.id === userId),
+        (results) => {
+            const { id: _id, userId: _userId, updatedAt = null, ...settings } = results[0] ?? {};
+            onSettings({ ...withSettingsDefaults(settings), updatedAt });
+        },
+        onError
+    );
+};
+
+export const updateUserSettings = async (userId, settings) => {
+    await ready();
+
+    if (!userId) {
+        throw new Error('User ID is required');
+    }
+    assertValidUserSettings(settings);
+
+    setDocument(USER_SETTINGS_COLLECTION, userId, {
+        ...getCollection(USER_SETTINGS_COLLECTION).get(userId),
+        ...normalizeUserSettings(settings),
+        userId,
+        updatedAt: now()
+    });
+};
+
+// User profiles
+export const saveUserProfile = async (userId, { displayName, email, photoURL }) => {
+    await ready();
+
+    let handle = getDocument(USER_PROFILES_COLLECTION, userId)?.handle;
+    if (!handle) {
+        handle = getHandleCandidates(createHandle({ displayName, email }), userId).find((candidate) => {
+            const holder = getDocument(USER_HANDLES_COLLECTION, candidate);
+            return !holder || holder.userId === userId;
+        });
+        if (!handle) {
+            throw new Error('No free handle left for this user');
+        }
+        setDocument(USER_HANDLES_COLLECTION, handle, { userId });
+    }
+
+    const profile = { handle, displayName: displayName || handle, photoURL: photoURL || null };
+    setDocument(USER_PROFILES_COLLECTION, userId, profile);
+    return { id: userId, ...profile };
+};
+
+export const searchUserProfiles = async (prefix, max = 5) => {
+    await ready();
+    const start = prefix.toLowerCase();
+    return clone(listDocs(USER_PROFILES_COLLECTION)
+        .filter(profile => profile.handle.startsWith(start))
+        .sort((a, b) => a.handle.localeCompare(b.handle))
+        .slice(0, max));
+};
+
+export const getUserProfilesByHandles = async (handles) => {
+    await ready();
+    return clone(listDocs(USER_PROFILES_COLLECTION).filter(profile => handles.includes(profile.handle)));
+};
+
+// User stats
+export const getUserStats = async (userId) => {
+    await ready();
+    const stats = getDocument(USER_STATS_COLLECTION, userId);
+    return stats ? clone(stats) : null;
+};
+
+export const recordSuggestionUsage = async (userId) => {
+    await ready();
+
+    const stats = getCollection(USER_STATS_COLLECTION).get(userId);
+    const timestamp = now();
+    setDocument(USER_STATS_COLLECTION, userId, {
+        createdAt: stats?.createdAt ?? timestamp,
+        ...stats,
+        suggestionCount: (stats?.suggestionCount || 0) + 1,
+        lastSuggestionAt: timestamp
+    });
+};
+
+export const saveSuggestion = async (suggestionData) => {
+    await ready();
+
+    const suggestionId = generateId();
+    setDocument(SUGGESTIONS_COLLECTION, suggestionId, { ...suggestionData, createdAt: now() });
+    return suggestionId;
+};
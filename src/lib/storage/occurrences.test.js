@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addTask, getTask, getUserTasks, updateTask, bulkUpdateTasks } from './memoryBackend.js';
+
+const recurrence = { frequency: 'daily', interval: 1 };
+
+const completeAndFindNext = async (userId, complete) => {
+    const taskId = await addTask(userId, { title: 'Water plants', status: 'pending', type: 'task', dueDate: '2026-03-10', recurrence });
+    await complete(taskId, { status: 'completed', completedAt: '2026-03-10T12:00:00.000Z' });
+
+    assert.equal((await getTask(taskId)).recurrence, null);
+    const { tasks } = await getUserTasks(userId);
+    return tasks.find(task => task.id !== taskId);
+};
+
+test('completing a recurring task creates its next occurrence', async () => {
+    const next = await completeAndFindNext('user-1', (taskId, taskData) => updateTask(taskId, taskData));
+    assert.equal(next.title, 'Water plants');
+    assert.equal(next.status, 'pending');
+    assert.equal(next.dueDate, '2026-03-11');
+    assert.deepEqual(next.recurrence, recurrence);
+});
+
+test('a bulk completion creates the next occurrence too', async () => {
+    const next = await completeAndFindNext('user-2', (taskId, taskData) => bulkUpdateTasks([taskId], taskData));
+    assert.equal(next.dueDate, '2026-03-11');
+    assert.deepEqual(next.recurrence, recurrence);
+});
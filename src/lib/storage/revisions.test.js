@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addTask, getTask, updateTask } from './memoryBackend.js';
+import { REVISION_CONFLICT } from './common.js';
+
+test('an edit based on an older revision is rejected with the current task', async () => {
+    const taskId = await addTask('user-1', { title: 'Task', status: 'pending', type: 'task' });
+
+    assert.equal(await updateTask(taskId, { title: 'First' }, { expectedRevision: 0 }), 1);
+    await assert.rejects(
+        updateTask(taskId, { title: 'Second' }, { expectedRevision: 0 }),
+        (error) => error.code === REVISION_CONFLICT && error.remoteTask.title === 'First'
+    );
+    assert.equal((await getTask(taskId)).title, 'First');
+});
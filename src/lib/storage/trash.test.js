@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addTask,
+    getTask,
+    softDeleteTask,
+    restoreTask,
+    purgeExpiredTasks,
+    getTrashedTasks
+} from './memoryBackend.js';
+
+const userId = 'user-1';
+
+test('trashed tasks can be restored until they are purged', async () => {
+    const taskId = await addTask(userId, { title: 'Task', status: 'pending', type: 'task' });
+
+    await softDeleteTask(taskId);
+    assert.deepEqual((await getTrashedTasks(userId)).map(task => task.id), [taskId]);
+
+    await restoreTask(taskId);
+    assert.deepEqual(await getTrashedTasks(userId), []);
+    assert.equal((await getTask(taskId)).deletedAt, null);
+
+    await softDeleteTask(taskId);
+    assert.deepEqual(await purgeExpiredTasks(userId, 30), []);
+    assert.deepEqual(await purgeExpiredTasks(userId, 0), [taskId]);
+    assert.equal(await getTask(taskId), null);
+});
@@ -0,0 +1,102 @@
+/**
+ * Task Tags
+ *
+ * User-defined tags ({ id, userId, name, color }) that tasks reference by ID
+ * in their tags field:
+ * - Color palette and name rules
+ * - Tag validation with user-facing messages
+ * - Case-insensitive name lookup for autocomplete and duplicate checks
+ * - AND/OR matching of a task's tags against the list filter
+ */
+
+// Palette names; components map them to Tailwind classes
+export const TAG_COLORS = ['gray', 'red', 'orange', 'amber', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
+export const DEFAULT_TAG_COLOR = 'blue';
+
+export const TAG_NAME_MAX_LENGTH = 40;
+
+// 'or' matches tasks with any selected tag, 'and' tasks with all of them
+export const TAG_FILTER_MODES = ['or', 'and'];
+export const DEFAULT_TAG_FILTER_MODE = 'or';
+
+// Firestore accepts at most 30 values in an array-contains-any filter
+export const MAX_FILTER_TAGS = 30;
+
+// Error code for tag data that is invalid or clashes with an existing tag
+export const INVALID_TAG = 'invalid-tag';
+
+// Trimmed name with inner whitespace collapsed
+export const normalizeTagName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ');
+
+export const findTagByName = (tags, name) => {
+    const wanted = normalizeTagName(name).toLowerCase();
+    return tags.find(tag => tag.name.toLowerCase() === wanted) ?? null;
+};
+
+// Colors are handed out in palette order so new tags look different
+export const pickTagColor = (tags) => TAG_COLORS[tags.length % TAG_COLORS.length];
+
+// Validate { name, color }. With partial, only the given fields are checked.
+// Returns { valid, errors } with errors keyed by field.
+export const validateTag = (data, { partial = false } = {}) => {
+    const errors = {};
+
+    if (!partial || 'name' in (data || {})) {
+        const name = normalizeTagName(data?.name);
+        if (!name) {
+            errors.name = 'Tag name is required';
+        } else if (name.length > TAG_NAME_MAX_LENGTH) {
+            errors.name = `Tag name must be at most ${TAG_NAME_MAX_LENGTH} characters`;
+        }
+    }
+    if (!partial || 'color' in (data || {})) {
+        if (!TAG_COLORS.includes(data?.color)) {
+            errors.color = `Tag color must be one of: ${TAG_COLORS.join(', ')}`;
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+};
+
+const createTagError = (message) => {
+    const error = new Error(message);
+    error.code = INVALID_TAG;
+    return error;
+};
+
+export const assertValidTag = (data, options) => {
+    const { valid, errors } = validateTag(data, options);
+    if (!valid) {
+        throw createTagError(Object.values(errors).join('; '));
+    }
+};
+
+// Reject a name already used by another of the user's tags
+export const assertUniqueTagName = (tags, name, tagId = null) => {
+    const existing = findTagByName(tags, name);
+    if (existing && existing.id !== tagId) {
+        throw createTagError(`A tag named "${existing.name}" already exists`);
+    }
+};
+
+// Whether a task's tag IDs satisfy the list filter (no selected tags matches all)
+export const matchesTagFilter = (taskTags = [], tags = [], mode = DEFAULT_TAG_FILTER_MODE) => {
+    if (tags.length === 0) return true;
+    return mode === 'and'
+        ? tags.every(tagId => taskTags.includes(tagId))
+        : tags.some(tagId => taskTags.includes(tagId));
+};
+
+// Tag IDs of a task with one tag swapped for another (or dropped when
+// replacementId is null), without duplicates
+export const replaceTagId = (taskTags = [], tagId, replacementId = null) => {
+    const next = taskTags.map(id => (id === tagId ? replacementId : id)).filter(Boolean);
+    return [...new Set(next)];
+};
+
+// Readable list of tag names; tags deleted meanwhile are counted as such
+export const formatTagNames = (tagIds = [], tagsById = {}) => {
+    if (tagIds.length === 0) return '';
+    return tagIds.map(tagId => tagsById[tagId]?.name ?? 'deleted tag').join(', ');
+};
@@ -0,0 +1,258 @@
+/**
+ * Task Schema
+ *
+ * Single definition of the task shape shared by the storage backends,
+ * the pages and the API routes:
+ * - Editable fields with labels, length limits and date formats
+ * - Due dates with an optional time of day (see lib/deadlines.js)
+ * - Type and priority enums, and well-formed status IDs (the statuses
+ *   themselves are each user's workflow, see lib/workflow.js)
+ * - Checklist item shape
+ * - Tag ID lists
+ * - Recurrence rules
+ * - Blocked-by task ID lists
+ * - Estimates in hours or story points
+ * - Due-date reminder offsets
+ * - Field-level validation with user-facing messages
+ */
+
+import { getRemindersError } from '@/lib/reminders';
+import { isTimeString } from '@/lib/deadlines';
+import { getStatusIdError } from '@/lib/workflow';
+
+export const TASK_TYPE_OPTIONS = [
+    { value: 'task', label: 'Task' },
+    { value: 'bug', label: 'Bug' },
+    { value: 'feature', label: 'Feature' },
+    { value: 'improvement', label: 'Improvement' }
+];
+
+// P0 is the most urgent; the values sort in priority order
+export const TASK_PRIORITY_OPTIONS = [
+    { value: 'P0', label: 'P0 - Critical' },
+    { value: 'P1', label: 'P1 - High' },
+    { value: 'P2', label: 'P2 - Medium' },
+    { value: 'P3', label: 'P3 - Low' }
+];
+
+// Priority of new tasks and of tasks created before priorities existed
+export const DEFAULT_PRIORITY = 'P2';
+
+// How a recurring task schedules its next occurrence (see lib/recurrence.js)
+export const RECURRENCE_FREQUENCY_OPTIONS = [
+    { value: 'daily', label: 'Daily' },
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'after-completion', label: 'After completion' }
+];
+
+// Units a task can be estimated in (see lib/estimates.js)
+export const ESTIMATE_UNIT_OPTIONS = [
+    { value: 'hours', label: 'Hours' },
+    { value: 'points', label: 'Story points' }
+];
+
+export const TASK_TYPES = TASK_TYPE_OPTIONS.map(option => option.value);
+export const TASK_PRIORITIES = TASK_PRIORITY_OPTIONS.map(option => option.value);
+export const RECURRENCE_FREQUENCIES = RECURRENCE_FREQUENCY_OPTIONS.map(option => option.value);
+export const ESTIMATE_UNITS = ESTIMATE_UNIT_OPTIONS.map(option => option.value);
+
+// Calendar date as produced by <input type="date">
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Full ISO 8601 timestamp as produced by Date#toISOString
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Fields that may be written through addTask/updateTask. Bookkeeping fields
+// (userId, timestamps, revision, deletedAt) are managed by the backends.
+export const TASK_FIELDS = {
+    title: { label: 'Title', type: 'string', required: true, maxLength: 200 },
+    description: { label: 'Description', type: 'string', maxLength: 5000 },
+    // ID of a status of the user's workflow (see lib/workflow.js)
+    status: { label: 'Status', type: 'status', required: true },
+    type: { label: 'Type', type: 'enum', values: TASK_TYPES, required: true },
+    priority: { label: 'Priority', type: 'enum', values: TASK_PRIORITIES },
+    dueDate: { label: 'Due date', type: 'date' },
+    // 'HH:MM' in the user's timezone; without one the task is due by the end of its due date.
+    // Only counts with a due date.
+    dueTime: { label: 'Due time', type: 'time' },
+    completedAt: { label: 'Completed at', type: 'datetime' },
+    // Ordered [{ id, text, done }]
+    checklist: { label: 'Checklist', type: 'checklist', maxItems: 100, maxItemLength: 500 },
+    // Complete the task once every checklist item is done
+    autoCompleteChecklist: { label: 'Auto-complete', type: 'boolean' },
+    // IDs of the user's tags (see lib/tags.js)
+    tags: { label: 'Tags', type: 'tags', maxItems: 20 },
+    // { frequency, interval, weekdays?, dayOfMonth? }; null when the task does not repeat
+    recurrence: { label: 'Recurrence', type: 'recurrence', maxInterval: 365 },
+    // IDs of the tasks this one waits on (see lib/dependencies.js)
+    blockedBy: { label: 'Blocked by', type: 'taskIds', maxItems: 50 },
+    // { value, unit }; null when the task is not estimated
+    estimate: { label: 'Estimate', type: 'estimate', maxValue: 1000 },
+    // Minutes before the due time (see lib/reminders.js); null uses the user's defaults
+    reminders: { label: 'Reminders', type: 'reminders', maxItems: 10 }
+};
+
+export const TASK_FIELD_LABELS = Object.fromEntries(
+    Object.entries(TASK_FIELDS).map(([field, definition]) => [field, definition.label])
+);
+
+export const getTypeLabel = (type) =>
+    TASK_TYPE_OPTIONS.find(option => option.value === type)?.label ?? type;
+
+export const getPriorityLabel = (priority) =>
+    TASK_PRIORITY_OPTIONS.find(option => option.value === priority)?.label ?? priority;
+
+// Field values compare by content, since checklists, ID lists and recurrence rules are not scalars
+export const isSameTaskValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const isChecklistItem = (item) =>
+    typeof item?.id === 'string' && typeof item.text === 'string' && typeof item.done === 'boolean';
+
+const isWeekday = (day) => Number.isInteger(day) && day >= 0 && day <= 6;
+
+const isDateString = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+const isDateTimeString = (value) => DATETIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+// Message for a single field value, or null when it is valid
+const validateField = (definition, value) => {
+    const isEmpty = value === undefined || value === null || value === '';
+    if (isEmpty) {
+        return definition.required ? `${definition.label} is required` : null;
+    }
+
+    switch (definition.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return `${definition.label} must be text`;
+            }
+            if (definition.required && !value.trim()) {
+                return `${definition.label} is required`;
+            }
+            if (definition.maxLength && value.length > definition.maxLength) {
+                return `${definition.label} must be at most ${definition.maxLength} characters`;
+            }
+            return null;
+        case 'enum':
+            return definition.values.includes(value)
+                ? null
+                : `${definition.label} must be one of: ${definition.values.join(', ')}`;
+        case 'status':
+            return getStatusIdError(value, definition.label);
+        case 'date':
+            return typeof value === 'string' && isDateString(value)
+                ? null
+                : `${definition.label} must be a date (YYYY-MM-DD)`;
+        case 'time':
+            return isTimeString(value) ? null : `${definition.label} must be a time (HH:MM)`;
+        case 'datetime':
+            return typeof value === 'string' && isDateTimeString(value)
+                ? null
+                : `${definition.label} must be an ISO timestamp`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${definition.label} must be on or off`;
+        case 'checklist':
+            if (!Array.isArray(value) || !value.every(isChecklistItem)) {
+                return `${definition.label} items must have an id, text and done flag`;
+            }
+            if (value.length > definition.maxItems) {
+                return `${definition.label} can have at most ${definition.maxItems} items`;
+            }
+            if (value.some(item => !item.text.trim())) {
+                return `${definition.label} items cannot be empty`;
+            }
+            if (value.some(item => item.text.length > definition.maxItemLength)) {
+                return `${definition.label} items must be at most ${definition.maxItemLength} characters`;
+            }
+            return null;
+        case 'tags':
+            if (!Array.isArray(value) || !value.every(tagId => typeof tagId === 'string' && tagId)) {
+                return `${definition.label} must be a list of tag IDs`;
+            }
+            if (value.length > definition.maxItems) {
+                return `A task can have at most ${definition.maxItems} tags`;
+            }
+            if (new Set(value).size !== value.length) {
+                return `${definition.label} cannot contain the same tag twice`;
+            }
+            return null;
+        case 'taskIds':
+            if (!Array.isArray(value) || !value.every(taskId => typeof taskId === 'string' && taskId)) {
+                return `${definition.label} must be a list of task IDs`;
+            }
+            if (value.length > definition.maxItems) {
+                return `${definition.label} can list at most ${definition.maxItems} tasks`;
+            }
+            if (new Set(value).size !== value.length) {
+                return `${definition.label} cannot list the same task twice`;
+            }
+            return null;
+        case 'recurrence':
+            if (typeof value !== 'object' || Array.isArray(value) || !RECURRENCE_FREQUENCIES.includes(value.frequency)) {
+                return `${definition.label} must have a frequency of: ${RECURRENCE_FREQUENCIES.join(', ')}`;
+            }
+            if (!Number.isInteger(value.interval) || value.interval < 1 || value.interval > definition.maxInterval) {
+                return `${definition.label} interval must be a whole number from 1 to ${definition.maxInterval}`;
+            }
+            if (value.frequency === 'weekly' && (
+                !Array.isArray(value.weekdays) || value.weekdays.length === 0 ||
+                !value.weekdays.every(isWeekday) || new Set(value.weekdays).size !== value.weekdays.length
+            )) {
+                return `Weekly ${definition.label.toLowerCase()} needs at least one weekday`;
+            }
+            if (value.frequency === 'monthly' && (
+                !Number.isInteger(value.dayOfMonth) || value.dayOfMonth < 1 || value.dayOfMonth > 31
+            )) {
+                return `Monthly ${definition.label.toLowerCase()} needs a day of the month from 1 to 31`;
+            }
+            return null;
+        case 'estimate':
+            if (typeof value !== 'object' || Array.isArray(value) || !ESTIMATE_UNITS.includes(value.unit)) {
+                return `${definition.label} must be in one of: ${ESTIMATE_UNITS.join(', ')}`;
+            }
+            if (typeof value.value !== 'number' || !Number.isFinite(value.value) || value.value <= 0 || value.value > definition.maxValue) {
+                return `${definition.label} must be a number above 0 and at most ${definition.maxValue}`;
+            }
+            return null;
+        case 'reminders':
+            return getRemindersError(value, definition);
+        default:
+            return null;
+    }
+};
+
+// Validate task data. With partial, only the given fields are checked (updates).
+// Returns { valid, errors } with errors keyed by field.
+export const validateTask = (data, { partial = false } = {}) => {
+    const errors = {};
+
+    Object.keys(data || {}).forEach((field) => {
+        if (!TASK_FIELDS[field]) {
+            errors[field] = `Unknown task field "${field}"`;
+        }
+    });
+
+    Object.entries(TASK_FIELDS).forEach(([field, definition]) => {
+        if (partial && !(field in (data || {}))) return;
+
+        const message = validateField(definition, data?.[field]);
+        if (message) {
+            errors[field] = message;
+        }
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors };
+};
+
+// Error code for task data rejected by the schema
+export const INVALID_TASK = 'invalid-task';
+
+// Throw an error listing every invalid field; fieldErrors is keyed by field
+export const assertValidTask = (data, options) => {
+    const { valid, errors } = validateTask(data, options);
+    if (valid) return;
+
+    const error = new Error(`Invalid task: ${Object.values(errors).join('; ')}`);
+    error.code = INVALID_TASK;
+    error.fieldErrors = errors;
+    throw error;
+};
@@ -0,0 +1,249 @@
+/**
+ * Task Templates
+ *
+ * Reusable task outlines ({ id, userId, name, titlePattern, description, type,
+ * checklist, dueOffsetDays }) that new tasks can start from:
+ * - Validation with user-facing messages
+ * - Templates made from an existing task
+ * - Placeholders ({date}, {week}, ...) filled in when a task is created
+ * - JSON export and import for sharing templates
+ *
+ * Checklists are kept as item texts; every task made from a template gets
+ * fresh, unchecked items. Days ("today", the day a task was created) are read
+ * in the user's timezone setting (see lib/deadlines.js).
+ */
+
+import { TASK_FIELDS, TASK_TYPES } from '@/lib/taskSchema';
+import { createChecklistItem } from '@/lib/checklist';
+import { getZonedDate } from '@/lib/deadlines';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TEMPLATE_NAME_MAX_LENGTH = 100;
+export const MAX_DUE_OFFSET_DAYS = 365;
+
+// Error code for template data rejected by validateTemplate
+export const INVALID_TEMPLATE = 'invalid-template';
+
+// Marks a file written by exportTemplates
+export const TEMPLATE_EXPORT_FORMAT = 'task-templates';
+export const TEMPLATE_EXPORT_VERSION = 1;
+
+// The fields a template holds, in export order
+const TEMPLATE_FIELDS = ['name', 'titlePattern', 'description', 'type', 'checklist', 'dueOffsetDays'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Calendar dates ('YYYY-MM-DD') are handled as UTC midnights, read with the UTC getters
+const parseDate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// ISO 8601 week of a day: weeks start on Monday and belong to the year of their Thursday
+const getIsoWeek = (date) => {
+    const thursday = new Date(date);
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    return { year: thursday.getUTCFullYear(), week: Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7) };
+};
+
+// Placeholders, their value on a given day (a UTC midnight) and the longest value they can have
+export const TEMPLATE_PLACEHOLDERS = [
+    { token: '{date}', description: 'Today, e.g. 2025-03-14', maxLength: 10, value: (date) => formatDate(date) },
+    {
+        token: '{week}',
+        description: 'ISO week, e.g. 2025-W11',
+        maxLength: 8,
+        value: (date) => {
+            const { year, week } = getIsoWeek(date);
+            return `${year}-W${pad(week)}`;
+        }
+    },
+    { token: '{month}', description: 'Month, e.g. 2025-03', maxLength: 7, value: (date) => formatDate(date).slice(0, 7) },
+    { token: '{year}', description: 'Year, e.g. 2025', maxLength: 4, value: (date) => String(date.getUTCFullYear()) },
+    { token: '{weekday}', description: 'Day of the week, e.g. Friday', maxLength: 9, value: (date) => WEEKDAY_NAMES[date.getUTCDay()] }
+];
+
+// Text with every known placeholder replaced by its value on the calendar date
+// today ('YYYY-MM-DD'); unknown placeholders are left as typed
+export const fillPlaceholders = (text, today) => {
+    const date = parseDate(today);
+    return TEMPLATE_PLACEHOLDERS.reduce((result, { token, value }) => result.split(token).join(value(date)), text);
+};
+
+// Length text can reach once its placeholders are filled in, on any day
+export const getMaxFilledLength = (text) =>
+    TEMPLATE_PLACEHOLDERS.reduce((length, { token, maxLength }) =>
+        length + (text.split(token).length - 1) * Math.max(maxLength - token.length, 0), text.length);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Validate template data. With partial, only the given fields are checked.
+// Returns { valid, errors } with errors keyed by field.
+export const validateTemplate = (data, { partial = false } = {}) => {
+    const errors = {};
+    const has = (field) => !partial || field in (data || {});
+
+    if (has('name')) {
+        const name = typeof data?.name === 'string' ? data.name.trim() : '';
+        if (!name) {
+            errors.name = 'Template name is required';
+        } else if (name.length > TEMPLATE_NAME_MAX_LENGTH) {
+            errors.name = `Template name must be at most ${TEMPLATE_NAME_MAX_LENGTH} characters`;
+        }
+    }
+    if (has('titlePattern')) {
+        const titlePattern = typeof data?.titlePattern === 'string' ? data.titlePattern.trim() : '';
+        if (!titlePattern) {
+            errors.titlePattern = 'Title is required';
+        } else if (titlePattern.length > TASK_FIELDS.title.maxLength) {
+            errors.titlePattern = `Title must be at most ${TASK_FIELDS.title.maxLength} characters`;
+        } else if (getMaxFilledLength(titlePattern) > TASK_FIELDS.title.maxLength) {
+            errors.titlePattern = `Title can be up to ${getMaxFilledLength(titlePattern)} characters once placeholders are filled in; tasks allow ${TASK_FIELDS.title.maxLength}`;
+        }
+    }
+    if (has('description') && !isBlank(data?.description)) {
+        if (typeof data.description !== 'string') {
+            errors.description = 'Description must be text';
+        } else if (data.description.length > TASK_FIELDS.description.maxLength) {
+            errors.description = `Description must be at most ${TASK_FIELDS.description.maxLength} characters`;
+        } else if (getMaxFilledLength(data.description) > TASK_FIELDS.description.maxLength) {
+            errors.description = `Description can be up to ${getMaxFilledLength(data.description)} characters once placeholders are filled in; tasks allow ${TASK_FIELDS.description.maxLength}`;
+        }
+    }
+    if (has('type') && !TASK_TYPES.includes(data?.type)) {
+        errors.type = `Type must be one of: ${TASK_TYPES.join(', ')}`;
+    }
+    if (has('checklist') && !isBlank(data?.checklist)) {
+        const { maxItems, maxItemLength } = TASK_FIELDS.checklist;
+        if (!Array.isArray(data.checklist) || !data.checklist.every(item => typeof item === 'string' && item.trim())) {
+            errors.checklist = 'Checklist items must be non-empty text';
+        } else if (data.checklist.length > maxItems) {
+            errors.checklist = `A checklist can have at most ${maxItems} items`;
+        } else if (data.checklist.some(item => getMaxFilledLength(item.trim()) > maxItemLength)) {
+            errors.checklist = `Checklist items must be at most ${maxItemLength} characters once placeholders are filled in`;
+        }
+    }
+    if (has('dueOffsetDays') && data?.dueOffsetDays !== null && data?.dueOffsetDays !== undefined) {
+        const offset = data.dueOffsetDays;
+        if (!Number.isInteger(offset) || offset < 0 || offset > MAX_DUE_OFFSET_DAYS) {
+            errors.dueOffsetDays = `Due date must be 0 to ${MAX_DUE_OFFSET_DAYS} days after the task is created`;
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+};
+
+export const assertValidTemplate = (data, options) => {
+    const { valid, errors } = validateTemplate(data, options);
+    if (valid) return;
+
+    const error = new Error(`Invalid template: ${Object.values(errors).join('; ')}`);
+    error.code = INVALID_TEMPLATE;
+    error.fieldErrors = errors;
+    throw error;
+};
+
+// Template data in the stored form: trimmed text, missing optional fields filled in.
+// With partial, only the given fields are returned.
+export const normalizeTemplate = (data, { partial = false } = {}) => {
+    const normalized = {
+        name: data.name?.trim(),
+        titlePattern: data.titlePattern?.trim(),
+        description: data.description ?? '',
+        type: data.type,
+        checklist: (data.checklist ?? []).map(item => item.trim()),
+        dueOffsetDays: data.dueOffsetDays ?? null
+    };
+    return partial
+        ? Object.fromEntries(Object.entries(normalized).filter(([field]) => field in data))
+        : normalized;
+};
+
+// Whole days from the day of createdAt in timeZone to dueDate ('YYYY-MM-DD'); never negative
+const getDueOffset = (createdAt, dueDate, timeZone) => {
+    const createdOn = getZonedDate(Date.parse(createdAt), timeZone);
+    const days = Math.round((parseDate(dueDate) - parseDate(createdOn)) / DAY_MS);
+    return Math.min(Math.max(days, 0), MAX_DUE_OFFSET_DAYS);
+};
+
+// Template data for saving a task as a template named name. The due date is kept
+// as the number of days it fell after the task was created, in timeZone.
+export const createTemplateFromTask = (task, name, timeZone, now = new Date()) => ({
+    name: name.trim(),
+    titlePattern: task.title,
+    description: task.description ?? '',
+    type: task.type,
+    checklist: (task.checklist ?? []).map(item => item.text),
+    dueOffsetDays: task.dueDate ? getDueOffset(task.createdAt ?? now.toISOString(), task.dueDate, timeZone) : null
+});
+
+// Task fields of a new task made from a template on the day of now in timeZone
+export const fillTemplate = (template, timeZone, now = Date.now()) => {
+    const today = getZonedDate(now, timeZone);
+    const dueDate = parseDate(today);
+    dueDate.setUTCDate(dueDate.getUTCDate() + (template.dueOffsetDays ?? 0));
+
+    return {
+        title: fillPlaceholders(template.titlePattern, today),
+        description: fillPlaceholders(template.description ?? '', today),
+        type: template.type,
+        checklist: (template.checklist ?? []).map(text => createChecklistItem(fillPlaceholders(text, today))),
+        dueDate: template.dueOffsetDays === null || template.dueOffsetDays === undefined ? '' : formatDate(dueDate)
+    };
+};
+
+// "Due 3 days after creation", "Due on the day it is created" or "No due date"
+export const describeDueOffset = (dueOffsetDays) => {
+    if (dueOffsetDays === null || dueOffsetDays === undefined) return 'No due date';
+    if (dueOffsetDays === 0) return 'Due on the day it is created';
+    return `Due ${dueOffsetDays} day${dueOffsetDays === 1 ? '' : 's'} after creation`;
+};
+
+// JSON text holding the given templates, without IDs or owner, for sharing
+export const exportTemplates = (templates) => JSON.stringify({
+    format: TEMPLATE_EXPORT_FORMAT,
+    version: TEMPLATE_EXPORT_VERSION,
+    templates: templates.map(template =>
+        Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, template[field] ?? null])))
+}, null, 2);
+
+const createImportError = (message) => {
+    const error = new Error(message);
+    error.code = INVALID_TEMPLATE;
+    return error;
+};
+
+// Template data read from text written by exportTemplates. Throws with a
+// user-facing message when the file is not a valid export.
+export const parseTemplateExport = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw createImportError('The file is not valid JSON');
+    }
+    if (data?.format !== TEMPLATE_EXPORT_FORMAT || !Array.isArray(data.templates)) {
+        throw createImportError('The file is not a task template export');
+    }
+    if (data.version > TEMPLATE_EXPORT_VERSION) {
+        throw createImportError('The file was exported by a newer version of the app');
+    }
+
+    return data.templates.map((template, index) => {
+        const templateData = Object.fromEntries(TEMPLATE_FIELDS
+            .filter(field => template?.[field] !== undefined)
+            .map(field => [field, template[field]]));
+        const { valid, errors } = validateTemplate(templateData);
+        if (!valid) {
+            const label = typeof template?.name === 'string' && template.name.trim() ? `"${template.name.trim()}"` : `#${index + 1}`;
+            throw createImportError(`Template ${label}: ${Object.values(errors).join('; ')}`);
+        }
+        return normalizeTemplate(templateData);
+    });
+};
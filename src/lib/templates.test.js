@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TASK_FIELDS } from './taskSchema.js';
+import { fillTemplate, validateTemplate } from './templates.js';
+
+// 10 PM on Friday 2025-03-14 in New York, already Saturday in UTC
+const LATE_EVENING = Date.parse('2025-03-15T02:00:00Z');
+
+const TEMPLATE = {
+    titlePattern: 'Review {date} ({weekday})',
+    description: 'Week {week}',
+    type: 'task',
+    checklist: [],
+    dueOffsetDays: 3
+};
+
+test('placeholders and the due date are filled in for today in the timezone', () => {
+    const filled = fillTemplate(TEMPLATE, 'America/New_York', LATE_EVENING);
+    assert.equal(filled.title, 'Review 2025-03-14 (Friday)');
+    assert.equal(filled.description, 'Week 2025-W11');
+    assert.equal(filled.dueDate, '2025-03-17');
+
+    assert.equal(fillTemplate(TEMPLATE, 'UTC', LATE_EVENING).title, 'Review 2025-03-15 (Saturday)');
+});
+
+test('a title pattern must fit the task title limit with its longest placeholder values', () => {
+    const { maxLength } = TASK_FIELDS.title;
+    const fits = { ...TEMPLATE, name: 'Daily', titlePattern: `${'x'.repeat(maxLength - 10)}{date}` };
+    assert.equal(validateTemplate(fits).valid, true);
+    assert.equal(fillTemplate(fits, 'UTC', LATE_EVENING).title.length, maxLength);
+
+    const overflows = { ...fits, titlePattern: `${'x'.repeat(maxLength - 15)}{weekday}{date}` };
+    const { valid, errors } = validateTemplate(overflows);
+    assert.equal(valid, false);
+    assert.match(errors.titlePattern, /once placeholders are filled in/);
+});
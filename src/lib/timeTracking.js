@@ -0,0 +1,156 @@
+/**
+ * Time Tracking
+ *
+ * Helpers for the time entries logged against tasks
+ * ({ id, userId, taskId, startedAt, endedAt, note }):
+ * - Validation of entries added or edited by hand
+ * - Durations, with a running entry (endedAt null) counted up to now
+ * - Duration formatting for totals and running timers
+ * - Local date ranges and datetime-local input values
+ * - Totals by task and by task type
+ *
+ * A user has at most one running entry; starting a timer stops it. Every task
+ * keeps the total of its finished entries in timeSpentMs.
+ */
+
+import { getTypeLabel } from '@/lib/taskSchema';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const TIME_ENTRY_NOTE_MAX_LENGTH = 500;
+
+// Longest entry that can be logged by hand
+export const MAX_TIME_ENTRY_HOURS = 24;
+
+// Error code for time entry data rejected by validateTimeEntry
+export const INVALID_TIME_ENTRY = 'invalid-time-entry';
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Validate a finished entry { startedAt, endedAt, note? } with ISO timestamps.
+// Returns { valid, errors } with errors keyed by field.
+export const validateTimeEntry = (data) => {
+    const errors = {};
+
+    if (!isTimestamp(data?.startedAt)) {
+        errors.startedAt = 'Start time is required';
+    }
+    if (!isTimestamp(data?.endedAt)) {
+        errors.endedAt = 'End time is required';
+    }
+    if (!errors.startedAt && !errors.endedAt) {
+        const duration = Date.parse(data.endedAt) - Date.parse(data.startedAt);
+        if (duration <= 0) {
+            errors.endedAt = 'End time must be after the start time';
+        } else if (duration > MAX_TIME_ENTRY_HOURS * HOUR_MS) {
+            errors.endedAt = `An entry can be at most ${MAX_TIME_ENTRY_HOURS} hours long`;
+        } else if (Date.parse(data.endedAt) > Date.now()) {
+            errors.endedAt = 'End time cannot be in the future';
+        }
+    }
+    if (data?.note !== undefined && data.note !== null) {
+        if (typeof data.note !== 'string') {
+            errors.note = 'Note must be text';
+        } else if (data.note.length > TIME_ENTRY_NOTE_MAX_LENGTH) {
+            errors.note = `Note must be at most ${TIME_ENTRY_NOTE_MAX_LENGTH} characters`;
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+};
+
+export const assertValidTimeEntry = (data) => {
+    const { valid, errors } = validateTimeEntry(data);
+    if (valid) return;
+
+    const error = new Error(`Invalid time entry: ${Object.values(errors).join('; ')}`);
+    error.code = INVALID_TIME_ENTRY;
+    error.fieldErrors = errors;
+    throw error;
+};
+
+// Length of an entry in milliseconds; a running entry counts up to now
+export const getEntryDuration = (entry, now = Date.now()) => {
+    const end = entry.endedAt ? Date.parse(entry.endedAt) : now;
+    return Math.max(0, end - Date.parse(entry.startedAt));
+};
+
+// "2h 05m" for totals; anything under a minute shows as "0m"
+export const formatDuration = (ms) => {
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    return hours > 0
+        ? `${hours}h ${String(minutes % 60).padStart(2, '0')}m`
+        : `${minutes}m`;
+};
+
+// "1:02:03" for a running timer
+export const formatTimerClock = (ms) => {
+    const seconds = Math.floor(ms / 1000);
+    return [
+        Math.floor(seconds / 3600),
+        String(Math.floor(seconds / 60) % 60).padStart(2, '0'),
+        String(seconds % 60).padStart(2, '0')
+    ].join(':');
+};
+
+// ISO bounds of the local days from..to ('YYYY-MM-DD', both included); the end is exclusive
+export const getDateRangeBounds = (from, to) => {
+    const start = new Date(`${from}T00:00:00`);
+    const end = new Date(`${to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    return { start: start.toISOString(), end: end.toISOString() };
+};
+
+// 'YYYY-MM-DD' of a local day, offset by a number of days from today
+export const getLocalDate = (offsetDays = 0) => {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+};
+
+// Value for <input type="datetime-local"> showing an ISO timestamp in local time
+export const toDateTimeInputValue = (timestamp) => {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// ISO timestamp of a datetime-local input value ('' stays empty)
+export const fromDateTimeInputValue = (value) => (value ? new Date(value).toISOString() : '');
+
+const sortByTotal = (rows) => rows.sort((a, b) => b.totalMs - a.totalMs);
+
+// Totals of a set of entries: { totalMs, byTask: [{ taskId, task, totalMs }],
+// byType: [{ type, label, totalMs }] }, largest first. Entries of tasks missing
+// from tasksById (deleted meanwhile) are grouped under a null task and type.
+export const summarizeTimeEntries = (entries, tasksById = {}, now = Date.now()) => {
+    const byTask = new Map();
+    const byType = new Map();
+    let totalMs = 0;
+
+    entries.forEach((entry) => {
+        const duration = getEntryDuration(entry, now);
+        const task = tasksById[entry.taskId] ?? null;
+        const type = task?.type ?? null;
+        totalMs += duration;
+
+        const taskRow = byTask.get(entry.taskId) ?? { taskId: entry.taskId, task, totalMs: 0 };
+        taskRow.totalMs += duration;
+        byTask.set(entry.taskId, taskRow);
+
+        const typeRow = byType.get(type) ?? { type, label: type ? getTypeLabel(type) : 'Deleted tasks', totalMs: 0 };
+        typeRow.totalMs += duration;
+        byType.set(type, typeRow);
+    });
+
+    return {
+        totalMs,
+        byTask: sortByTotal([...byTask.values()]),
+        byType: sortByTotal([...byType.values()])
+    };
+};
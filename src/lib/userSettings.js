@@ -0,0 +1,99 @@
+/**
+ * User Settings
+ *
+ * Preferences kept per user and shared by all of their devices:
+ * - Default reminders for tasks that do not set their own
+ * - The workflow: statuses, their colors and the moves between them
+ * - How long finished tasks stay in the list before they are archived
+ * - The timezone due dates and times are read in
+ * - Defaults for settings a user has never saved
+ * - Validation of settings updates
+ */
+
+import { getRemindersError, sortReminders } from '@/lib/reminders';
+import { DEFAULT_WORKFLOW, getWorkflowError, normalizeWorkflow } from '@/lib/workflow';
+import { isValidTimeZone } from '@/lib/deadlines';
+
+export const MAX_ARCHIVE_AFTER_DAYS = 365;
+
+export const USER_SETTINGS_DEFAULTS = {
+    // Minutes before the due time (see lib/reminders.js)
+    reminderDefaults: [0],
+    // Ordered statuses (see lib/workflow.js)
+    workflow: DEFAULT_WORKFLOW,
+    // Days after completion before a finished task is archived; null never archives
+    archiveAfterDays: 14,
+    // IANA timezone due dates and times are read in (see lib/deadlines.js); null uses the device's
+    timeZone: null
+};
+
+const USER_SETTINGS_FIELDS = {
+    reminderDefaults: { label: 'Default reminders', maxItems: 10 },
+    workflow: { label: 'Workflow' },
+    archiveAfterDays: { label: 'Archive after', maxDays: MAX_ARCHIVE_AFTER_DAYS },
+    timeZone: { label: 'Timezone' }
+};
+
+// Message for an invalid archive delay, or null when it is valid
+const getArchiveAfterDaysError = (value, { label, maxDays }) => {
+    if (value === null) return null;
+    if (!Number.isInteger(value) || value < 1 || value > maxDays) {
+        return `${label} must be a whole number of days from 1 to ${maxDays}, or never`;
+    }
+    return null;
+};
+
+// Message for an unknown timezone, or null when it is valid
+const getTimeZoneError = (value, { label }) => {
+    if (value === null || isValidTimeZone(value)) return null;
+    return `${label} must be a known timezone such as Europe/Berlin, or the device's`;
+};
+
+// Error code for settings rejected by validateUserSettings
+export const INVALID_USER_SETTINGS = 'invalid-user-settings';
+
+// Stored settings completed with the defaults
+export const withSettingsDefaults = (settings) => ({ ...USER_SETTINGS_DEFAULTS, ...settings });
+
+// Validate a (partial) settings update. Returns { valid, errors } keyed by field.
+export const validateUserSettings = (data) => {
+    const errors = {};
+
+    Object.entries(data || {}).forEach(([field, value]) => {
+        const definition = USER_SETTINGS_FIELDS[field];
+        if (!definition) {
+            errors[field] = `Unknown setting "${field}"`;
+        } else if (field === 'reminderDefaults') {
+            const message = getRemindersError(value, definition);
+            if (message) errors[field] = message;
+        } else if (field === 'workflow') {
+            const message = getWorkflowError(value, definition);
+            if (message) errors[field] = message;
+        } else if (field === 'archiveAfterDays') {
+            const message = getArchiveAfterDaysError(value, definition);
+            if (message) errors[field] = message;
+        } else if (field === 'timeZone') {
+            const message = getTimeZoneError(value, definition);
+            if (message) errors[field] = message;
+        }
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors };
+};
+
+export const assertValidUserSettings = (data) => {
+    const { valid, errors } = validateUserSettings(data);
+    if (valid) return;
+
+    const error = new Error(`Invalid settings: ${Object.values(errors).join('; ')}`);
+    error.code = INVALID_USER_SETTINGS;
+    error.fieldErrors = errors;
+    throw error;
+};
+
+// Settings update in the stored form (reminder lists sorted, status names trimmed)
+export const normalizeUserSettings = (data) => ({
+    ...data,
+    ...(data.reminderDefaults && { reminderDefaults: sortReminders(data.reminderDefaults) }),
+    ...(data.workflow && { workflow: normalizeWorkflow(data.workflow) })
+});
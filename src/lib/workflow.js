@@ -0,0 +1,188 @@
+/**
+ * Workflow
+ *
+ * The statuses a user's tasks move through, kept in their settings as an
+ * ordered list of { id, label, color, terminal, transitions }:
+ * - The default workflow (Pending, In Progress, Completed)
+ * - Validation of custom workflows with user-facing messages
+ * - Status lookups: labels, open and terminal statuses, allowed moves
+ * - The status the task list's toggle moves a task on to
+ * - The completedAt change that goes with a status change
+ *
+ * New tasks start in the first status. Terminal statuses finish a task:
+ * moving into one stamps completedAt (and the backends then release the tasks
+ * it blocks), moving back out clears it. Status IDs never change once made,
+ * so relabelling a status keeps its tasks.
+ */
+
+import { TAG_COLORS } from '@/lib/tags';
+
+// Firestore accepts at most 30 values in an 'in' filter (see subscribeToDueTasks)
+export const MAX_WORKFLOW_STATUSES = 20;
+
+export const STATUS_LABEL_MAX_LENGTH = 40;
+
+// Statuses use the tag palette; components map the names to Tailwind classes
+export const STATUS_COLORS = TAG_COLORS;
+
+// Lowercase words joined by dashes, as in 'in-progress'
+export const STATUS_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+export const STATUS_ID_MAX_LENGTH = 40;
+
+export const DEFAULT_WORKFLOW = [
+    { id: 'pending', label: 'Pending', color: 'gray', terminal: false, transitions: ['in-progress', 'completed'] },
+    { id: 'in-progress', label: 'In Progress', color: 'blue', terminal: false, transitions: ['pending', 'completed'] },
+    { id: 'completed', label: 'Completed', color: 'green', terminal: true, transitions: ['pending', 'in-progress'] }
+];
+
+const isStatusId = (value) =>
+    typeof value === 'string' && value.length <= STATUS_ID_MAX_LENGTH && STATUS_ID_PATTERN.test(value);
+
+// Message for an invalid status ID on a task, or null when it is well formed.
+// Whether the status is part of the user's workflow is up to the caller.
+export const getStatusIdError = (value, label = 'Status') =>
+    isStatusId(value) ? null : `${label} must be lowercase letters and numbers joined by dashes`;
+
+// Message for one status of a workflow, or null when it is valid
+const getStatusError = (status, ids) => {
+    if (typeof status !== 'object' || status === null || !isStatusId(status.id)) {
+        return 'Every status needs an ID of lowercase letters and numbers joined by dashes';
+    }
+    const label = typeof status.label === 'string' ? status.label.trim() : '';
+    if (!label) {
+        return 'Every status needs a name';
+    }
+    if (label.length > STATUS_LABEL_MAX_LENGTH) {
+        return `Status names must be at most ${STATUS_LABEL_MAX_LENGTH} characters`;
+    }
+    if (!STATUS_COLORS.includes(status.color)) {
+        return `The color of ${label} must be one of: ${STATUS_COLORS.join(', ')}`;
+    }
+    if (typeof status.terminal !== 'boolean') {
+        return `${label} must be marked as finishing tasks or not`;
+    }
+    if (!Array.isArray(status.transitions) || !status.transitions.every(id => ids.includes(id) && id !== status.id)) {
+        return `${label} can only move to the other statuses of the workflow`;
+    }
+    if (new Set(status.transitions).size !== status.transitions.length) {
+        return `${label} lists the same next status twice`;
+    }
+    return null;
+};
+
+// Message for an invalid workflow, or null when it is valid
+export const getWorkflowError = (workflow, { label = 'Workflow' } = {}) => {
+    if (!Array.isArray(workflow) || workflow.length === 0) {
+        return `${label} needs at least one status`;
+    }
+    if (workflow.length > MAX_WORKFLOW_STATUSES) {
+        return `${label} can have at most ${MAX_WORKFLOW_STATUSES} statuses`;
+    }
+
+    const ids = workflow.map(status => status?.id);
+    if (new Set(ids).size !== ids.length) {
+        return `${label} cannot contain the same status twice`;
+    }
+    for (const status of workflow) {
+        const message = getStatusError(status, ids);
+        if (message) return message;
+    }
+
+    const labels = workflow.map(status => status.label.trim().toLowerCase());
+    if (new Set(labels).size !== labels.length) {
+        return 'Every status needs a different name';
+    }
+    if (workflow[0].terminal) {
+        return 'New tasks start in the first status, so it cannot finish tasks';
+    }
+    if (!workflow.some(status => status.terminal)) {
+        return `${label} needs at least one status that finishes tasks`;
+    }
+    return null;
+};
+
+// Workflow in the stored form (labels trimmed)
+export const normalizeWorkflow = (workflow) =>
+    workflow.map(status => ({ ...status, label: status.label.trim() }));
+
+// ID for a new status named label that no status in workflow has yet
+export const createStatusId = (label, workflow) => {
+    const base = String(label ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, STATUS_ID_MAX_LENGTH - 4) || 'status';
+    const ids = new Set(workflow.map(status => status.id));
+
+    let id = base;
+    for (let n = 2; ids.has(id); n += 1) {
+        id = `${base}-${n}`;
+    }
+    return id;
+};
+
+// The status with the given ID. Tasks can be left in a status that was since
+// removed from the workflow; it reads as an open status that may move anywhere.
+export const getStatus = (workflow, statusId) =>
+    workflow.find(status => status.id === statusId) ?? {
+        id: statusId,
+        label: statusId,
+        color: 'gray',
+        terminal: false,
+        transitions: workflow.map(status => status.id),
+        removed: true
+    };
+
+export const getStatusLabel = (workflow, statusId) => getStatus(workflow, statusId).label;
+
+export const isTerminalStatus = (workflow, statusId) => getStatus(workflow, statusId).terminal;
+
+// The status new tasks start in
+export const getInitialStatus = (workflow) => workflow[0].id;
+
+// The status a task is finished with when no status is picked (e.g. when its
+// checklist auto-completes): the first terminal one
+export const getDoneStatus = (workflow) => workflow.find(status => status.terminal).id;
+
+export const getOpenStatuses = (workflow) =>
+    workflow.filter(status => !status.terminal).map(status => status.id);
+
+export const getTerminalStatuses = (workflow) =>
+    workflow.filter(status => status.terminal).map(status => status.id);
+
+// The statuses a task in statusId may be moved to, in workflow order
+export const getAllowedStatuses = (workflow, statusId) => {
+    const { transitions } = getStatus(workflow, statusId);
+    return workflow.filter(status => transitions.includes(status.id));
+};
+
+export const canMoveToStatus = (workflow, fromId, toId) =>
+    fromId === toId || getStatus(workflow, fromId).transitions.includes(toId);
+
+// The status the task list's toggle moves a task on to: the first allowed one
+// further down the workflow, else the first allowed one. Null for finished
+// tasks, which are only reopened from the task page.
+export const getNextStatus = (workflow, statusId) => {
+    const status = getStatus(workflow, statusId);
+    if (status.terminal) return null;
+
+    const index = workflow.findIndex(candidate => candidate.id === statusId);
+    const allowed = getAllowedStatuses(workflow, statusId);
+    const next = allowed.find(candidate => workflow.indexOf(candidate) > index) ?? allowed[0];
+    return next?.id ?? null;
+};
+
+// Moving a blocked task on from its first status (other than finishing it)
+// starts work on it, which the pages confirm first
+export const isStartingStatus = (workflow, statusId) =>
+    statusId !== getInitialStatus(workflow) && !isTerminalStatus(workflow, statusId);
+
+// Update moving a task from fromId to toId: the status, plus completedAt
+// stamped when it finishes or cleared when it is reopened
+export const getStatusUpdate = (workflow, fromId, toId, now = new Date()) => {
+    const wasDone = isTerminalStatus(workflow, fromId);
+    const isDone = isTerminalStatus(workflow, toId);
+    if (isDone && !wasDone) return { status: toId, completedAt: now.toISOString() };
+    if (wasDone && !isDone) return { status: toId, completedAt: null };
+    return { status: toId };
+};
@@ -5,10 +5,13 @@
  * Provides type-safe dispatch and selector hooks.
  */
 
-import { useSelector, useDispatch } from 'react-redux';
+import { useSelector, useDispatch, useStore } from 'react-redux';
 
 // Typed dispatch hook
 export const useAppDispatch = () => useDispatch();
 
 // Typed selector hook
 export const useAppSelector = (selector) => useSelector(selector);
+
+// Store hook, for reading the latest state inside async handlers
+export const useAppStore = () => useStore();
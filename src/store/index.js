@@ -4,17 +4,36 @@
  * Configures the main Redux store with:
  * - Authentication state slice
  * - Tasks state slice
+ * - Tags state slice
+ * - Task templates slice
+ * - Time tracking (running timer) slice
+ * - Reminders slice (due tasks, snoozed and dismissed reminders)
+ * - User settings slice
+ * - Offline outbox slice, persisted to localStorage
  * - Custom middleware for Firebase compatibility
  */
 
 import { configureStore } from '@reduxjs/toolkit';
 import authReducer from './slices/authSlice';
 import tasksReducer from './slices/tasksSlice';
+import tagsReducer from './slices/tagsSlice';
+import templatesReducer from './slices/templatesSlice';
+import timeTrackingReducer from './slices/timeTrackingSlice';
+import remindersReducer from './slices/remindersSlice';
+import settingsReducer from './slices/settingsSlice';
+import outboxReducer from './slices/outboxSlice';
+import { saveOutbox } from '@/lib/outbox';
 
 export const store = configureStore({
     reducer: {
         auth: authReducer,
         tasks: tasksReducer,
+        tags: tagsReducer,
+        templates: templatesReducer,
+        timeTracking: timeTrackingReducer,
+        reminders: remindersReducer,
+        settings: settingsReducer,
+        outbox: outboxReducer,
     },
     middleware: (getDefaultMiddleware) =>
         getDefaultMiddleware({
@@ -25,9 +44,12 @@ export const store = configureStore({
                     'tasks/setTasks',
                     'tasks/addTask',
                     'tasks/updateTask',
-                    'tasks/fetchTasks/fulfilled',
+                    'tasks/applyTaskChanges',
+                    'tasks/fetchTask/fulfilled',
+                    'tasks/fetchTrashedTasks/fulfilled',
                     'tasks/createTask/fulfilled',
-                    'tasks/editTask/fulfilled'
+                    'tasks/editTask/fulfilled',
+                    'tasks/taskConflictDetected'
                 ],
                 ignoredActionsPaths: [
                     'payload.createdAt',
@@ -37,8 +59,21 @@ export const store = configureStore({
                 ],
                 ignoredPaths: [
                     'auth.user',
-                    'tasks.tasks'
+                    'tasks.tasks',
+                    'tasks.taskDetails',
+                    'tasks.trashedTasks',
+                    'tasks.conflicts'
                 ],
             },
         }),
 });
+
+// Persist the outbox whenever it changes, once the saved copy has been loaded
+let persistedOutboxEntries = null;
+store.subscribe(() => {
+    const { entries, hydrated } = store.getState().outbox;
+    if (hydrated && entries !== persistedOutboxEntries) {
+        persistedOutboxEntries = entries;
+        saveOutbox(entries);
+    }
+});
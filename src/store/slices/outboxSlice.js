@@ -0,0 +1,256 @@
+/**
+ * Outbox Redux Slice
+ *
+ * Tracks writes made while the backend was unreachable:
+ * - Queuing task creates, edits and comment posts
+ * - In-order replay once the connection is back
+ * - Permanently failed writes kept for manual retry or discard
+ * - Per-task sync state for the UI
+ */
+
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import {
+    createOutboxEntry,
+    executeOutboxEntry,
+    isNetworkError,
+    isOffline
+} from '@/lib/outbox';
+import { REVISION_CONFLICT } from '@/lib/firestore';
+import { settleTaskUpdates, fetchTask, taskConflictDetected } from './tasksSlice';
+
+// An entry waits while an earlier write for the same task is unresolved,
+// so a task's writes always reach the backend in the order they were made
+const findNextReplayableEntry = (entries, userId) => {
+    const blockedTaskIds = new Set();
+
+    for (const entry of entries) {
+        if (entry.userId !== userId) continue;
+        if (entry.status === 'pending' && !blockedTaskIds.has(entry.taskId)) {
+            return entry;
+        }
+        blockedTaskIds.add(entry.taskId);
+    }
+    return null;
+};
+
+// Async thunks
+export const replayOutbox = createAsyncThunk(
+    'outbox/replay',
+    async (userId, { dispatch, getState }) => {
+        let synced = 0;
+
+        for (;;) {
+            const entry = findNextReplayableEntry(getState().outbox.entries, userId);
+            if (!entry) break;
+
+            try {
+                const result = await executeOutboxEntry(entry);
+                dispatch(outboxEntrySynced({
+                    id: entry.id,
+                    createdTaskId: entry.type === 'createTask' ? result : null,
+                    revision: entry.type === 'editTask' ? result : null
+                }));
+                if (entry.type === 'editTask') {
+                    dispatch(settleTaskUpdates({ taskId: entry.taskId, taskData: entry.payload.taskData }));
+                }
+                synced++;
+            } catch (error) {
+                // Still offline: leave the rest of the queue for the next attempt
+                if (isNetworkError(error)) break;
+
+                console.error('Outbox replay error:', error);
+                dispatch(outboxEntryFailed({ id: entry.id, error: error.message }));
+                if (error.code === REVISION_CONFLICT) {
+                    dispatch(taskConflictDetected({
+                        taskId: entry.taskId,
+                        remoteTask: error.remoteTask,
+                        localChanges: entry.payload.taskData
+                    }));
+                }
+            }
+        }
+
+        return synced;
+    },
+    {
+        condition: (userId, { getState }) => Boolean(userId) && !getState().outbox.replaying && !isOffline()
+    }
+);
+
+// Add a write to the outbox; returns the new entry
+export const queueWrite = (type, { userId, taskId, payload }) => (dispatch) => {
+    const entry = createOutboxEntry(type, { userId, taskId, payload });
+    dispatch(outboxEntryQueued(entry));
+    return entry;
+};
+
+// Put a failed write back in the queue and try again
+export const retryOutboxEntry = (entryId) => (dispatch, getState) => {
+    const entry = getState().outbox.entries.find(item => item.id === entryId);
+    if (!entry) return;
+
+    dispatch(outboxEntryRetried(entryId));
+    dispatch(replayOutbox(entry.userId));
+};
+
+// Give up on a write; edits fall back to whatever the backend holds
+export const discardOutboxEntry = (entryId) => (dispatch, getState) => {
+    const entry = getState().outbox.entries.find(item => item.id === entryId);
+    if (!entry) return;
+
+    dispatch(outboxEntryDiscarded(entryId));
+    if (entry.type === 'editTask') {
+        dispatch(settleTaskUpdates({ taskId: entry.taskId, taskData: entry.payload.taskData }));
+        dispatch(fetchTask(entry.taskId));
+    }
+};
+
+const initialState = {
+    // Queued writes in the order they were made
+    entries: [],
+    // False until the persisted outbox has been loaded into the store
+    hydrated: false,
+    replaying: false,
+    // Local IDs of tasks created offline mapped to their backend IDs once synced
+    syncedTaskIds: {}
+};
+
+const outboxSlice = createSlice({
+    name: 'outbox',
+    initialState,
+    reducers: {
+        outboxHydrated: (state, action) => {
+            const queuedIds = new Set(action.payload.map(entry => entry.id));
+            state.entries = [
+                ...action.payload,
+                ...state.entries.filter(entry => !queuedIds.has(entry.id))
+            ];
+            state.hydrated = true;
+        },
+        outboxEntryQueued: (state, action) => {
+            state.entries.push(action.payload);
+        },
+        // Fold further edits of an offline-created task into its queued create
+        queuedTaskUpdated: (state, action) => {
+            const { taskId, taskData } = action.payload;
+            const entry = state.entries.find(item => item.type === 'createTask' && item.taskId === taskId);
+            if (entry) {
+                entry.payload.taskData = { ...entry.payload.taskData, ...taskData };
+            }
+        },
+        // Drop everything queued for a task that never reached the backend
+        queuedTaskRemoved: (state, action) => {
+            state.entries = state.entries.filter(item => item.taskId !== action.payload);
+        },
+        outboxEntrySynced: (state, action) => {
+            const { id, createdTaskId, revision } = action.payload;
+            const entry = state.entries.find(item => item.id === id);
+            state.entries = state.entries.filter(item => item.id !== id);
+
+            // Edits queued on the same base revision build on the one just written,
+            // not on someone else's change
+            const baseRevision = entry?.payload.expectedRevision;
+            if (entry?.type === 'editTask' && revision !== null && baseRevision !== undefined) {
+                state.entries.forEach((item) => {
+                    if (item.type === 'editTask' && item.taskId === entry.taskId &&
+                        item.payload.expectedRevision === baseRevision) {
+                        item.payload.expectedRevision = revision;
+                    }
+                });
+            }
+
+            // Later writes to an offline-created task now target the real document
+            if (entry && createdTaskId) {
+                state.syncedTaskIds[entry.taskId] = createdTaskId;
+                state.entries.forEach((item) => {
+                    if (item.taskId === entry.taskId) {
+                        item.taskId = createdTaskId;
+                    }
+                });
+            }
+        },
+        outboxEntryFailed: (state, action) => {
+            const entry = state.entries.find(item => item.id === action.payload.id);
+            if (entry) {
+                entry.status = 'failed';
+                entry.error = action.payload.error;
+                entry.attempts += 1;
+            }
+        },
+        outboxEntryRetried: (state, action) => {
+            const entry = state.entries.find(item => item.id === action.payload);
+            if (entry) {
+                entry.status = 'pending';
+                entry.error = null;
+            }
+        },
+        outboxEntryDiscarded: (state, action) => {
+            const entry = state.entries.find(item => item.id === action.payload);
+            if (!entry) return;
+
+            // Without its create, nothing else queued for an offline task can succeed
+            state.entries = entry.type === 'createTask'
+                ? state.entries.filter(item => item.taskId !== entry.taskId)
+                : state.entries.filter(item => item.id !== entry.id);
+        }
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(replayOutbox.pending, (state) => {
+                state.replaying = true;
+            })
+            .addCase(replayOutbox.fulfilled, (state) => {
+                state.replaying = false;
+            })
+            .addCase(replayOutbox.rejected, (state) => {
+                state.replaying = false;
+            });
+    }
+});
+
+export const {
+    outboxHydrated,
+    outboxEntryQueued,
+    queuedTaskUpdated,
+    queuedTaskRemoved,
+    outboxEntrySynced,
+    outboxEntryFailed,
+    outboxEntryRetried,
+    outboxEntryDiscarded
+} = outboxSlice.actions;
+
+// Selectors
+export const selectOutboxEntries = (state) => state.outbox.entries;
+export const selectOutboxHydrated = (state) => state.outbox.hydrated;
+export const selectOutboxReplaying = (state) => state.outbox.replaying;
+export const selectFailedOutboxEntries = createSelector(
+    [selectOutboxEntries],
+    (entries) => entries.filter(entry => entry.status === 'failed')
+);
+export const selectPendingOutboxCount = (state) =>
+    state.outbox.entries.filter(entry => entry.status === 'pending').length;
+
+// Tasks created offline, shaped like tasks from the backend
+export const selectQueuedTasks = createSelector(
+    [selectOutboxEntries],
+    (entries) => entries
+        .filter(entry => entry.type === 'createTask')
+        .map(entry => ({
+            ...entry.payload.taskData,
+            id: entry.taskId,
+            userId: entry.userId,
+            createdAt: entry.createdAt,
+            updatedAt: entry.createdAt
+        }))
+);
+
+// 'failed', 'pending' or null when the task has nothing waiting to sync
+export const selectTaskSyncStatus = (taskId) => (state) => {
+    const entries = state.outbox.entries.filter(entry => entry.taskId === taskId);
+    if (entries.some(entry => entry.status === 'failed')) return 'failed';
+    return entries.length > 0 ? 'pending' : null;
+};
+
+export const selectSyncedTaskId = (taskId) => (state) => state.outbox.syncedTaskIds[taskId];
+
+export default outboxSlice.reducer;
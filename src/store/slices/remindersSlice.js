@@ -0,0 +1,178 @@
+/**
+ * Reminders Redux Slice
+ *
+ * Manages the signed-in user's due-date reminders with:
+ * - Live sync of open tasks with a due date and of snoozed/dismissed reminders,
+ *   following the open statuses of the user's workflow
+ * - Snoozing and dismissing, shown right away and stored for every device
+ * - A clock moved on when the next reminder is due (see ReminderNotifier)
+ * - The reminders showing now, for the notification tray
+ */
+
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import {
+    subscribeToDueTasks,
+    subscribeToReminderStates,
+    saveReminderState,
+    purgeExpiredReminderStates
+} from '@/lib/firestore';
+import { getActiveReminders } from '@/lib/reminders';
+import { selectReminderDefaults, selectOpenStatuses, selectTimeZone } from '@/store/slices/settingsSlice';
+
+const MINUTE_MS = 60 * 1000;
+
+// Store a reminder's new state, showing it before the write finishes and
+// putting the previous one back if the write fails
+const changeReminderState = async ({ userId, reminder, state }, { dispatch, getState, rejectWithValue }) => {
+    const previous = getState().reminders.states[reminder.key] ?? null;
+    dispatch(reminderStateChanged({ key: reminder.key, state }));
+    try {
+        await saveReminderState(userId, reminder, state);
+        return { key: reminder.key, state };
+    } catch (error) {
+        dispatch(reminderStateChanged({ key: reminder.key, state: previous }));
+        return rejectWithValue(error.message);
+    }
+};
+
+// Async thunks
+// Hide a reminder for `minutes`; it shows again afterwards
+export const snoozeReminder = createAsyncThunk(
+    'reminders/snoozeReminder',
+    ({ userId, reminder, minutes }, thunkAPI) => changeReminderState({
+        userId,
+        reminder,
+        state: { status: 'snoozed', snoozedUntil: new Date(Date.now() + minutes * MINUTE_MS).toISOString() }
+    }, thunkAPI)
+);
+
+export const dismissReminder = createAsyncThunk(
+    'reminders/dismissReminder',
+    ({ userId, reminder }, thunkAPI) => changeReminderState({
+        userId,
+        reminder,
+        state: { status: 'dismissed' }
+    }, thunkAPI)
+);
+
+// Handles, user and key of the active reminder feeds (kept out of Redux state)
+let unsubscribeReminderFeeds = null;
+let activeReminderFeedUserId = null;
+let activeReminderFeedKey = null;
+
+// Start the due-task and reminder-state feeds for a user; a no-op when they are
+// already running for the same open statuses. States of long-expired reminders
+// are cleared out when a user's feeds first start.
+export const subscribeToReminders = (userId) => (dispatch, getState) => {
+    const openStatuses = selectOpenStatuses(getState());
+    const feedKey = JSON.stringify({ userId, openStatuses });
+    if (unsubscribeReminderFeeds && activeReminderFeedKey === feedKey) return;
+
+    unsubscribeReminderFeeds?.();
+    const isNewUser = activeReminderFeedUserId !== userId;
+    activeReminderFeedUserId = userId;
+    activeReminderFeedKey = feedKey;
+
+    const unsubscribeDueTasks = subscribeToDueTasks(
+        userId,
+        openStatuses,
+        (tasks) => dispatch(dueTasksReceived(tasks)),
+        (error) => dispatch(reminderFeedFailed(error.message))
+    );
+    const unsubscribeStates = subscribeToReminderStates(
+        userId,
+        (states) => dispatch(reminderStatesReceived(states)),
+        (error) => dispatch(reminderFeedFailed(error.message))
+    );
+    unsubscribeReminderFeeds = () => {
+        unsubscribeDueTasks();
+        unsubscribeStates();
+    };
+
+    if (isNewUser) {
+        purgeExpiredReminderStates(userId).catch(() => {
+            // Logged by the storage layer; the states are cleared out on a later sign-in
+        });
+    }
+};
+
+// Stop the reminder feeds (e.g. on logout)
+export const unsubscribeFromReminders = () => () => {
+    unsubscribeReminderFeeds?.();
+    unsubscribeReminderFeeds = null;
+    activeReminderFeedUserId = null;
+    activeReminderFeedKey = null;
+};
+
+const initialState = {
+    // Open tasks with a due date
+    dueTasks: [],
+    // Snoozed and dismissed reminders by key: { status, snoozedUntil }
+    states: {},
+    // Time (ms) reminders are worked out for
+    now: Date.now(),
+    loaded: false,
+    error: null
+};
+
+const remindersSlice = createSlice({
+    name: 'reminders',
+    initialState,
+    reducers: {
+        clearReminders: () => ({ ...initialState, now: Date.now() }),
+        dueTasksReceived: (state, action) => {
+            state.dueTasks = action.payload;
+            state.loaded = true;
+            state.error = null;
+        },
+        reminderStatesReceived: (state, action) => {
+            state.states = action.payload;
+        },
+        reminderStateChanged: (state, action) => {
+            const { key, state: reminderState } = action.payload;
+            if (reminderState) {
+                state.states[key] = reminderState;
+            } else {
+                delete state.states[key];
+            }
+        },
+        reminderFeedFailed: (state, action) => {
+            state.error = action.payload;
+        },
+        remindersClockTicked: (state, action) => {
+            state.now = action.payload;
+        }
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(snoozeReminder.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(dismissReminder.rejected, (state, action) => {
+                state.error = action.payload;
+            });
+    }
+});
+
+export const {
+    clearReminders,
+    dueTasksReceived,
+    reminderStatesReceived,
+    reminderStateChanged,
+    reminderFeedFailed,
+    remindersClockTicked
+} = remindersSlice.actions;
+
+// Selectors
+export const selectDueTasks = (state) => state.reminders.dueTasks;
+export const selectReminderStates = (state) => state.reminders.states;
+export const selectRemindersNow = (state) => state.reminders.now;
+export const selectRemindersError = (state) => state.reminders.error;
+
+// Reminders showing now, most recent first
+export const selectActiveReminders = createSelector(
+    [selectDueTasks, selectReminderDefaults, selectReminderStates, selectRemindersNow, selectTimeZone],
+    getActiveReminders
+);
+
+export default remindersSlice.reducer;
@@ -0,0 +1,105 @@
+/**
+ * Settings Redux Slice
+ *
+ * Manages the signed-in user's settings with:
+ * - Live sync, so a change on one device reaches the others
+ * - Saving part of the settings (e.g. the default reminders)
+ * - Defaults for anything the user has never saved
+ * - The workflow and its open and terminal statuses
+ */
+
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import { subscribeToUserSettings, updateUserSettings } from '@/lib/firestore';
+import { USER_SETTINGS_DEFAULTS, normalizeUserSettings } from '@/lib/userSettings';
+import { getOpenStatuses, getTerminalStatuses } from '@/lib/workflow';
+
+// Async thunks
+export const saveSettings = createAsyncThunk(
+    'settings/saveSettings',
+    async ({ userId, settings }, { rejectWithValue }) => {
+        try {
+            await updateUserSettings(userId, settings);
+            return normalizeUserSettings(settings);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Handle and user of the active settings feed (kept out of Redux state)
+let unsubscribeSettingsFeed = null;
+let activeSettingsFeedUserId = null;
+
+// Start the settings feed for a user; a no-op when it is already running
+export const subscribeToSettings = (userId) => (dispatch) => {
+    if (unsubscribeSettingsFeed && activeSettingsFeedUserId === userId) return;
+
+    unsubscribeSettingsFeed?.();
+    activeSettingsFeedUserId = userId;
+    unsubscribeSettingsFeed = subscribeToUserSettings(
+        userId,
+        (settings) => dispatch(settingsReceived(settings)),
+        (error) => dispatch(settingsFeedFailed(error.message))
+    );
+};
+
+// Stop the settings feed (e.g. on logout)
+export const unsubscribeFromSettings = () => () => {
+    unsubscribeSettingsFeed?.();
+    unsubscribeSettingsFeed = null;
+    activeSettingsFeedUserId = null;
+};
+
+const initialState = {
+    settings: USER_SETTINGS_DEFAULTS,
+    loaded: false,
+    saving: false,
+    error: null
+};
+
+const settingsSlice = createSlice({
+    name: 'settings',
+    initialState,
+    reducers: {
+        clearSettings: () => initialState,
+        settingsReceived: (state, action) => {
+            state.settings = action.payload;
+            state.loaded = true;
+            state.error = null;
+        },
+        settingsFeedFailed: (state, action) => {
+            state.error = action.payload;
+        }
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(saveSettings.pending, (state) => {
+                state.saving = true;
+                state.error = null;
+            })
+            .addCase(saveSettings.fulfilled, (state, action) => {
+                state.saving = false;
+                state.settings = { ...state.settings, ...action.payload };
+            })
+            .addCase(saveSettings.rejected, (state, action) => {
+                state.saving = false;
+                state.error = action.payload;
+            });
+    }
+});
+
+export const { clearSettings, settingsReceived, settingsFeedFailed } = settingsSlice.actions;
+
+// Selectors
+export const selectUserSettings = (state) => state.settings.settings;
+export const selectReminderDefaults = (state) => state.settings.settings.reminderDefaults;
+export const selectWorkflow = (state) => state.settings.settings.workflow;
+export const selectOpenStatuses = createSelector([selectWorkflow], getOpenStatuses);
+export const selectTerminalStatuses = createSelector([selectWorkflow], getTerminalStatuses);
+export const selectArchiveAfterDays = (state) => state.settings.settings.archiveAfterDays;
+export const selectTimeZone = (state) => state.settings.settings.timeZone;
+export const selectSettingsLoaded = (state) => state.settings.loaded;
+export const selectSettingsSaving = (state) => state.settings.saving;
+export const selectSettingsError = (state) => state.settings.error;
+
+export default settingsSlice.reducer;
@@ -0,0 +1,172 @@
+/**
+ * Tags Redux Slice
+ *
+ * Manages the signed-in user's tags with:
+ * - Live tag list sync through a storage listener
+ * - Creating, renaming and recoloring tags
+ * - Merging one tag into another and deleting tags across all tasks
+ */
+
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import {
+    subscribeToUserTags,
+    addTag,
+    updateTag,
+    mergeTags as mergeStoredTags,
+    deleteTag as deleteStoredTag
+} from '@/lib/firestore';
+import { normalizeTagName } from '@/lib/tags';
+
+// Signed-in user as recorded in the history of retagged tasks
+const getHistoryActor = (state) => {
+    const { user } = state.auth;
+    return user ? { id: user.uid, name: user.displayName || user.email } : null;
+};
+
+// Async thunks
+// Tags are written straight to the backend; they are not queued while offline
+export const createTag = createAsyncThunk(
+    'tags/createTag',
+    async ({ userId, name, color }, { rejectWithValue }) => {
+        try {
+            const tagId = await addTag(userId, { name, color });
+            return { id: tagId, userId, name: normalizeTagName(name), color };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Rename and/or recolor a tag
+export const editTag = createAsyncThunk(
+    'tags/editTag',
+    async ({ tagId, tagData }, { rejectWithValue }) => {
+        try {
+            await updateTag(tagId, tagData);
+            return { id: tagId, ...tagData };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Move every task from sourceTagId to targetTagId and delete the source tag.
+// Resolves with the number of tasks retagged.
+export const mergeTags = createAsyncThunk(
+    'tags/mergeTags',
+    async ({ userId, sourceTagId, targetTagId }, { getState, rejectWithValue }) => {
+        try {
+            return await mergeStoredTags(userId, sourceTagId, targetTagId, { actor: getHistoryActor(getState()) });
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Take a tag off every task and delete it
+export const deleteTag = createAsyncThunk(
+    'tags/deleteTag',
+    async ({ userId, tagId }, { getState, rejectWithValue }) => {
+        try {
+            return await deleteStoredTag(userId, tagId, { actor: getHistoryActor(getState()) });
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Handle and user of the active live tag feed (kept out of Redux state)
+let unsubscribeTagFeed = null;
+let activeTagFeedUserId = null;
+
+// Start the live tag feed for a user; a no-op when it is already running
+export const subscribeToTags = (userId) => (dispatch) => {
+    if (unsubscribeTagFeed && activeTagFeedUserId === userId) return;
+
+    unsubscribeTagFeed?.();
+    activeTagFeedUserId = userId;
+    unsubscribeTagFeed = subscribeToUserTags(
+        userId,
+        (tags) => dispatch(tagsReceived(tags)),
+        (error) => dispatch(tagFeedFailed(error.message))
+    );
+};
+
+// Stop the live tag feed (e.g. on logout)
+export const unsubscribeFromTags = () => () => {
+    unsubscribeTagFeed?.();
+    unsubscribeTagFeed = null;
+    activeTagFeedUserId = null;
+};
+
+const initialState = {
+    // The user's tags in name order
+    tags: [],
+    loaded: false,
+    error: null
+};
+
+const tagsSlice = createSlice({
+    name: 'tags',
+    initialState,
+    reducers: {
+        clearTags: () => initialState,
+        tagsReceived: (state, action) => {
+            state.tags = action.payload;
+            state.loaded = true;
+            state.error = null;
+        },
+        tagFeedFailed: (state, action) => {
+            state.error = action.payload;
+        }
+    },
+    extraReducers: (builder) => {
+        builder
+            // Shown right away so a tag created from a task form can be picked at once
+            .addCase(createTag.fulfilled, (state, action) => {
+                if (!state.tags.some(tag => tag.id === action.payload.id)) {
+                    state.tags.push(action.payload);
+                    state.tags.sort((a, b) => a.name.localeCompare(b.name));
+                }
+            })
+            .addCase(editTag.fulfilled, (state, action) => {
+                const { id, ...tagData } = action.payload;
+                const tag = state.tags.find(item => item.id === id);
+                if (tag) {
+                    Object.assign(tag, tagData, tagData.name ? { name: normalizeTagName(tagData.name) } : {});
+                    state.tags.sort((a, b) => a.name.localeCompare(b.name));
+                }
+            })
+            .addCase(mergeTags.fulfilled, (state, action) => {
+                state.tags = state.tags.filter(tag => tag.id !== action.meta.arg.sourceTagId);
+            })
+            .addCase(deleteTag.fulfilled, (state, action) => {
+                state.tags = state.tags.filter(tag => tag.id !== action.meta.arg.tagId);
+            })
+            .addCase(createTag.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(editTag.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(mergeTags.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(deleteTag.rejected, (state, action) => {
+                state.error = action.payload;
+            });
+    }
+});
+
+export const { clearTags, tagsReceived, tagFeedFailed } = tagsSlice.actions;
+
+// Selectors
+export const selectTags = (state) => state.tags.tags;
+export const selectTagsLoaded = (state) => state.tags.loaded;
+export const selectTagsError = (state) => state.tags.error;
+export const selectTagsById = createSelector(
+    [selectTags],
+    (tags) => Object.fromEntries(tags.map(tag => [tag.id, tag]))
+);
+
+export default tagsSlice.reducer;
@@ -2,22 +2,147 @@
  * Tasks Redux Slice
  * 
  * Manages task state with async operations for:
- * - Fetching user tasks from Firestore
+ * - Live, cursor-paginated task list sync through a Firestore listener
+ * - Fetching single tasks, the trash and the archive
+ * - Total count and remaining estimate of the tasks matching the filters
  * - Creating new tasks
- * - Updating existing tasks
+ * - Updating existing tasks, with conflict detection for concurrent edits
+ * - Moving tasks to the trash, restoring and purging them
+ * - Archiving finished tasks after the user's archive delay, and unarchiving them
+ * - Bulk edits and deletes with one optimistic update and rollback
+ * - Posting comments and replies; editing and deleting them while online
+ * - Queuing writes in the outbox while offline
  * - Local state management
  */
 
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import { addTask, getUserTasks, updateTask } from '@/lib/firestore';
+import { createSlice, createAsyncThunk, createSelector } from '@reduxjs/toolkit';
+import {
+    addTask,
+    getTask,
+    getTrashedTasks,
+    getArchivedTasks,
+    countUserTasks,
+    getRemainingEstimate,
+    getTaskComparator,
+    DEFAULT_TASK_SORT,
+    backfillTaskDefaults,
+    subscribeToUserTasks,
+    updateTask,
+    bulkUpdateTasks,
+    softDeleteTask,
+    bulkSoftDeleteTasks,
+    restoreTask as restoreTaskFromTrash,
+    purgeTask as purgeTaskFromTrash,
+    purgeExpiredTasks,
+    archiveCompletedTasks,
+    unarchiveTask as unarchiveTaskInStorage,
+    addComment,
+    updateComment,
+    deleteComment,
+    getUserProfilesByHandles,
+    REVISION_CONFLICT
+} from '@/lib/firestore';
+import { createLocalTaskId, isLocalTaskId, isNetworkError, isOffline } from '@/lib/outbox';
+import { assertValidTask, isSameTaskValue } from '@/lib/taskSchema';
+import { DEFAULT_TAG_FILTER_MODE } from '@/lib/tags';
+import { getCommentMentions, getMentionHandles } from '@/lib/comments';
+import {
+    selectOpenStatuses,
+    selectTerminalStatuses,
+    selectArchiveAfterDays
+} from './settingsSlice';
+import {
+    queueWrite,
+    queuedTaskUpdated,
+    queuedTaskRemoved,
+    replayOutbox,
+    discardOutboxEntry,
+    selectQueuedTasks
+} from './outboxSlice';
+
+// Signed-in user as recorded in a task's change history
+const getHistoryActor = (state) => {
+    const { user } = state.auth;
+    return user ? { id: user.uid, name: user.displayName || user.email } : null;
+};
+
+// Writes go through the outbox while offline, and while earlier writes for the
+// same task are still queued so they cannot overtake them
+const shouldQueueWrite = (state, taskId) =>
+    isOffline() || state.outbox.entries.some(entry => entry.taskId === taskId);
 
 // Async thunks
-export const fetchTasks = createAsyncThunk(
-    'tasks/fetchTasks',
+// Load a task that is not part of the current list page (e.g. direct URL access)
+export const fetchTask = createAsyncThunk(
+    'tasks/fetchTask',
+    async (taskId, { rejectWithValue }) => {
+        try {
+            const task = await getTask(taskId);
+            return { id: taskId, task };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const fetchTrashedTasks = createAsyncThunk(
+    'tasks/fetchTrashedTasks',
     async (userId, { rejectWithValue }) => {
         try {
-            const tasks = await getUserTasks(userId);
-            return tasks;
+            return await getTrashedTasks(userId);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const fetchArchivedTasks = createAsyncThunk(
+    'tasks/fetchArchivedTasks',
+    async (userId, { rejectWithValue }) => {
+        try {
+            return await getArchivedTasks(userId);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Archive the tasks finished longer ago than the user's archive delay (a no-op
+// when archiving is off); the live feed then drops them from the list
+export const autoArchiveTasks = createAsyncThunk(
+    'tasks/autoArchiveTasks',
+    async (userId, { getState, rejectWithValue }) => {
+        const archiveAfterDays = selectArchiveAfterDays(getState());
+        if (archiveAfterDays === null) return [];
+
+        try {
+            return await archiveCompletedTasks(userId, selectTerminalStatuses(getState()), archiveAfterDays);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Total number of tasks matching the current filters (for the results summary)
+export const fetchTaskCount = createAsyncThunk(
+    'tasks/fetchTaskCount',
+    async (userId, { getState, rejectWithValue }) => {
+        try {
+            const { status, type, priority, tags, tagMode } = getState().tasks.query;
+            return await countUserTasks(userId, { status, type, priority, tags, tagMode });
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Hour and point totals of the open tasks matching the current filters
+export const fetchRemainingEstimate = createAsyncThunk(
+    'tasks/fetchRemainingEstimate',
+    async (userId, { getState, rejectWithValue }) => {
+        try {
+            const { status, type, priority, tags, tagMode } = getState().tasks.query;
+            return await getRemainingEstimate(userId, selectOpenStatuses(getState()), { status, type, priority, tags, tagMode });
         } catch (error) {
             return rejectWithValue(error.message);
         }
@@ -26,23 +151,399 @@ export const fetchTasks = createAsyncThunk(
 
 export const createTask = createAsyncThunk(
     'tasks/createTask',
-    async ({ userId, taskData }, { rejectWithValue }) => {
+    async ({ userId, taskData }, { dispatch, rejectWithValue }) => {
+        // Invalid data must not reach the outbox, where it could only fail later
+        try {
+            assertValidTask(taskData);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+
+        const queueCreate = () => {
+            const taskId = createLocalTaskId();
+            dispatch(queueWrite('createTask', { userId, taskId, payload: { taskData } }));
+            return { id: taskId, ...taskData, userId, queued: true };
+        };
+
+        if (isOffline()) {
+            return queueCreate();
+        }
+
         try {
             const taskId = await addTask(userId, taskData);
             return { id: taskId, ...taskData, userId };
         } catch (error) {
+            if (isNetworkError(error)) {
+                return queueCreate();
+            }
             console.error('Redux createTask error:', error);
             return rejectWithValue(error.message || 'Failed to create task');
         }
     }
 );
 
+// Pass expectedRevision (the revision the edit started from) to have the write
+// rejected, and the conflict recorded, if the task was changed elsewhere meanwhile
 export const editTask = createAsyncThunk(
     'tasks/editTask',
-    async ({ taskId, taskData }, { rejectWithValue }) => {
+    async ({ taskId, taskData, expectedRevision }, { dispatch, getState, rejectWithValue }) => {
         try {
-            await updateTask(taskId, taskData);
-            return { id: taskId, ...taskData };
+            assertValidTask(taskData, { partial: true });
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+
+        // Not on the backend yet: fold the edit into the queued create
+        if (isLocalTaskId(taskId)) {
+            dispatch(queuedTaskUpdated({ taskId, taskData }));
+            return { id: taskId, ...taskData, queued: true };
+        }
+
+        const actor = getHistoryActor(getState());
+
+        const queueEdit = () => {
+            const userId = getState().auth.user?.uid;
+            dispatch(queueWrite('editTask', { userId, taskId, payload: { taskData, expectedRevision, actor } }));
+            dispatch(replayOutbox(userId));
+            return { id: taskId, ...taskData, queued: true };
+        };
+
+        if (shouldQueueWrite(getState(), taskId)) {
+            return queueEdit();
+        }
+
+        try {
+            const revision = await updateTask(taskId, taskData, { expectedRevision, actor });
+            return { id: taskId, ...taskData, revision };
+        } catch (error) {
+            if (error.code === REVISION_CONFLICT) {
+                dispatch(taskConflictDetected({ taskId, remoteTask: error.remoteTask, localChanges: taskData }));
+                return rejectWithValue(error.message);
+            }
+            if (isNetworkError(error)) {
+                return queueEdit();
+            }
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Save the user's choice for a conflicting edit on top of the version that won.
+// Edits that failed to sync because of the conflict are superseded by it.
+export const resolveTaskConflict = ({ taskId, taskData }) => (dispatch, getState) => {
+    const conflict = getState().tasks.conflicts[taskId];
+    if (!conflict) return null;
+
+    getState().outbox.entries
+        .filter(entry => entry.taskId === taskId && entry.type === 'editTask' && entry.status === 'failed')
+        .forEach(entry => dispatch(discardOutboxEntry(entry.id)));
+
+    dispatch(taskConflictResolved(taskId));
+    // Nothing of the user's left to save: the other version stands
+    if (Object.keys(taskData).length === 0) return null;
+
+    return dispatch(editTask({
+        taskId,
+        taskData,
+        expectedRevision: conflict.remoteTask.revision ?? 0
+    }));
+};
+
+// Mention references for the @handles in a comment's text. Comments posted
+// offline keep the handles as plain text.
+const resolveMentions = async (text) => {
+    const handles = getMentionHandles(text);
+    if (handles.length === 0 || isOffline()) return [];
+    try {
+        return getCommentMentions(text, await getUserProfilesByHandles(handles));
+    } catch (error) {
+        if (isNetworkError(error)) return [];
+        throw error;
+    }
+};
+
+// Comments are not kept in the store; this only routes the write.
+// Post a comment, or a reply when commentData has a parentId
+export const postComment = createAsyncThunk(
+    'tasks/postComment',
+    async ({ taskId, commentData: data }, { dispatch, getState, rejectWithValue }) => {
+        let commentData;
+        try {
+            commentData = { ...data, mentions: await resolveMentions(data.text) };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+
+        const queueComment = () => {
+            const userId = getState().auth.user?.uid;
+            dispatch(queueWrite('addComment', { userId, taskId, payload: { commentData } }));
+            dispatch(replayOutbox(userId));
+            return { taskId, queued: true };
+        };
+
+        if (isLocalTaskId(taskId) || shouldQueueWrite(getState(), taskId)) {
+            return queueComment();
+        }
+
+        try {
+            const commentId = await addComment(taskId, commentData);
+            return { taskId, id: commentId };
+        } catch (error) {
+            if (isNetworkError(error)) {
+                return queueComment();
+            }
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Edits and deletes of comments write straight to the backend, so they need a connection
+const OFFLINE_COMMENT_MESSAGE = 'Comments can only be edited or deleted while online';
+
+// Change the text of a posted comment; its mentions are resolved again
+export const editComment = createAsyncThunk(
+    'tasks/editComment',
+    async ({ taskId, commentId, text }, { getState, rejectWithValue }) => {
+        if (isOffline()) {
+            return rejectWithValue(OFFLINE_COMMENT_MESSAGE);
+        }
+        try {
+            const userId = getState().auth.user?.uid;
+            await updateComment(taskId, commentId, { text, mentions: await resolveMentions(text) }, userId);
+            return { taskId, id: commentId };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const removeComment = createAsyncThunk(
+    'tasks/removeComment',
+    async ({ taskId, commentId }, { getState, rejectWithValue }) => {
+        if (isOffline()) {
+            return rejectWithValue(OFFLINE_COMMENT_MESSAGE);
+        }
+        try {
+            const userId = getState().auth.user?.uid;
+            await deleteComment(taskId, commentId, userId);
+            return { taskId, id: commentId };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Bulk actions write straight to the backend, so they need a connection.
+// Tasks created offline are only in the outbox and are handled there.
+const OFFLINE_BULK_MESSAGE = 'Bulk actions are not available while offline';
+
+const splitLocalTaskIds = (taskIds) => ({
+    localIds: taskIds.filter(isLocalTaskId),
+    remoteIds: taskIds.filter(taskId => !isLocalTaskId(taskId))
+});
+
+// Current values of the given fields for every listed task held in the store
+const captureTaskFields = (state, taskIds, fields) => {
+    const previous = {};
+    taskIds.forEach((taskId) => {
+        const task = state.tasks.tasks.find(item => item.id === taskId) ?? state.tasks.taskDetails[taskId];
+        if (task) {
+            previous[taskId] = Object.fromEntries(fields.map(field => [field, task[field] ?? null]));
+        }
+    });
+    return previous;
+};
+
+// Apply one change to many tasks; the store is updated optimistically and
+// rolled back if the batched write fails
+export const bulkEditTasks = createAsyncThunk(
+    'tasks/bulkEditTasks',
+    async ({ taskIds, taskData }, { dispatch, getState, rejectWithValue }) => {
+        try {
+            assertValidTask(taskData, { partial: true });
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+
+        const { localIds, remoteIds } = splitLocalTaskIds(taskIds);
+        if (remoteIds.length > 0 && isOffline()) {
+            return rejectWithValue(OFFLINE_BULK_MESSAGE);
+        }
+
+        const previous = captureTaskFields(getState(), remoteIds, Object.keys(taskData));
+        dispatch(tasksUpdatedLocal({ taskIds: remoteIds, updates: taskData }));
+        localIds.forEach(taskId => dispatch(queuedTaskUpdated({ taskId, taskData })));
+
+        try {
+            if (remoteIds.length > 0) {
+                await bulkUpdateTasks(remoteIds, taskData, { actor: getHistoryActor(getState()) });
+            }
+            return { taskIds, taskData };
+        } catch (error) {
+            dispatch(bulkChangesRolledBack({ taskIds: remoteIds, taskData, previous }));
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Move many tasks to the trash at once; they leave the list immediately and
+// come back if the batched write fails
+export const bulkDeleteTasks = createAsyncThunk(
+    'tasks/bulkDeleteTasks',
+    async (taskIds, { dispatch, getState, rejectWithValue }) => {
+        const { localIds, remoteIds } = splitLocalTaskIds(taskIds);
+        if (remoteIds.length > 0 && isOffline()) {
+            return rejectWithValue(OFFLINE_BULK_MESSAGE);
+        }
+
+        const removed = getState().tasks.tasks.filter(task => remoteIds.includes(task.id));
+        dispatch(tasksRemovedLocal(remoteIds));
+        localIds.forEach(taskId => dispatch(queuedTaskRemoved(taskId)));
+
+        try {
+            if (remoteIds.length > 0) {
+                await bulkSoftDeleteTasks(remoteIds, { actor: getHistoryActor(getState()) });
+            }
+            return taskIds;
+        } catch (error) {
+            dispatch(bulkChangesRolledBack({ removed }));
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Handle and key of the active live task feed (kept out of Redux state)
+let unsubscribeTaskFeed = null;
+let activeTaskFeedKey = null;
+// Tasks as the running feed last delivered them, without optimistic changes
+let feedTasks = new Map();
+// User whose one-off maintenance (auto-purge, backfill) already ran this session
+let maintainedUserId = null;
+
+// Whether a feed change can move the remaining estimate: an estimated task in one
+// of openStatuses arriving, leaving, changing its estimate or opening or closing
+const changesRemainingEstimate = ({ type, task }, previousTask, openStatuses) => {
+    const counts = (candidate) => Boolean(candidate?.estimate) && openStatuses.includes(candidate.status);
+    if (!counts(task) && !counts(previousTask)) return false;
+
+    return type !== 'modified'
+        || counts(task) !== counts(previousTask)
+        || !isSameTaskValue(task.estimate, previousTask.estimate);
+};
+
+// Start the live feed for the current list page, replacing any existing subscription.
+// A no-op when the feed for the same user, filters and cursor is already running.
+export const subscribeToTasks = (userId) => (dispatch, getState) => {
+    const { query, pagination } = getState().tasks;
+    const cursor = pagination.cursors[pagination.page - 1];
+    const feedKey = JSON.stringify({ userId, query, cursor });
+
+    if (unsubscribeTaskFeed && feedKey === activeTaskFeedKey) return;
+
+    unsubscribeTaskFeed?.();
+    activeTaskFeedKey = feedKey;
+    feedTasks = new Map();
+    dispatch(taskFeedStarted());
+
+    if (maintainedUserId !== userId) {
+        maintainedUserId = userId;
+
+        // Auto-purge tasks that have been in the trash past the retention period and
+        // backfill fields the list query filters on; the listener picks up both
+        purgeExpiredTasks(userId).catch((error) => {
+            console.warn('Skipping trash auto-purge:', error.message);
+        });
+        backfillTaskDefaults(userId).catch((error) => {
+            console.warn('Skipping task backfill:', error.message);
+        });
+    }
+
+    unsubscribeTaskFeed = subscribeToUserTasks(
+        userId,
+        { ...query, cursor },
+        (payload) => {
+            dispatch(applyTaskChanges(payload));
+
+            // Tasks entering or leaving the filter change the total
+            if (payload.initial || payload.changes.some(change => change.type !== 'modified')) {
+                dispatch(fetchTaskCount(userId));
+            }
+            // The estimate covers every task matching the filters, not just this page,
+            // so it is fetched again, but only for changes that can move it
+            const openStatuses = selectOpenStatuses(getState());
+            if (payload.initial || payload.changes.some(change =>
+                changesRemainingEstimate(change, feedTasks.get(change.task.id), openStatuses))) {
+                dispatch(fetchRemainingEstimate(userId));
+            }
+            payload.changes.forEach(({ type, task }) => {
+                if (type === 'removed') {
+                    feedTasks.delete(task.id);
+                } else {
+                    feedTasks.set(task.id, task);
+                }
+            });
+        },
+        (error) => dispatch(taskFeedFailed(error.message))
+    );
+};
+
+// Stop the live task feed (e.g. on logout)
+export const unsubscribeFromTasks = () => () => {
+    unsubscribeTaskFeed?.();
+    unsubscribeTaskFeed = null;
+    activeTaskFeedKey = null;
+    feedTasks = new Map();
+    maintainedUserId = null;
+};
+
+export const deleteTask = createAsyncThunk(
+    'tasks/deleteTask',
+    async (taskId, { dispatch, getState, rejectWithValue }) => {
+        // Never reached the backend: dropping it from the outbox is enough
+        if (isLocalTaskId(taskId)) {
+            dispatch(queuedTaskRemoved(taskId));
+            return { id: taskId, deletedAt: new Date().toISOString() };
+        }
+
+        try {
+            await softDeleteTask(taskId, { actor: getHistoryActor(getState()) });
+            return { id: taskId, deletedAt: new Date().toISOString() };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const restoreTask = createAsyncThunk(
+    'tasks/restoreTask',
+    async (taskId, { rejectWithValue }) => {
+        try {
+            await restoreTaskFromTrash(taskId);
+            return { id: taskId, deletedAt: null };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const purgeTask = createAsyncThunk(
+    'tasks/purgeTask',
+    async (taskId, { getState, rejectWithValue }) => {
+        try {
+            await purgeTaskFromTrash(taskId, { actor: getHistoryActor(getState()) });
+            return taskId;
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const unarchiveTask = createAsyncThunk(
+    'tasks/unarchiveTask',
+    async (taskId, { rejectWithValue }) => {
+        try {
+            await unarchiveTaskInStorage(taskId);
+            return { id: taskId, archivedAt: null, unarchivedAt: new Date().toISOString() };
         } catch (error) {
             return rejectWithValue(error.message);
         }
@@ -50,84 +551,370 @@ export const editTask = createAsyncThunk(
 );
 
 const initialState = {
+    // Current list page as delivered by the live feed. May hold tasks past the
+    // end of the page (e.g. the look-ahead task); selectTasks leaves them out.
     tasks: [],
+    // Tasks loaded outside the list page, keyed by ID (null when not found)
+    taskDetails: {},
+    trashedTasks: [],
+    archivedTasks: [],
+    // Server-side list filters and ordering
+    query: {
+        status: 'all',
+        type: 'all',
+        priority: 'all',
+        // Tag IDs; tagMode 'or' matches any of them, 'and' all of them
+        tags: [],
+        tagMode: DEFAULT_TAG_FILTER_MODE,
+        sort: DEFAULT_TASK_SORT,
+        pageSize: 20
+    },
+    // cursors[n] is the start cursor for page n + 1 (null for the first page);
+    // nextCursor, reported by the feed, is where the page after this one starts
+    pagination: {
+        page: 1,
+        cursors: [null],
+        hasMore: false,
+        nextCursor: null,
+        totalCount: null
+    },
+    // { hours, points } of the open tasks matching the filters; null until loaded
+    remainingEstimate: null,
+    // Rejected concurrent edits awaiting the user's decision, keyed by task ID:
+    // { remoteTask, localChanges, detectedAt }
+    conflicts: {},
+    // Fields written locally but not yet confirmed by the backend, keyed by task ID.
+    // Overlaid on incoming snapshots so the live feed never rolls back an in-flight edit.
+    pendingUpdates: {},
     loading: false,
     error: null,
     lastUpdated: null
 };
 
+const resetPagination = (state) => {
+    state.pagination.page = 1;
+    state.pagination.cursors = [null];
+    state.pagination.hasMore = false;
+    state.pagination.nextCursor = null;
+};
+
+// Apply a change to a task wherever it is held
+const mergeTaskEverywhere = (state, taskId, updates) => {
+    const taskIndex = state.tasks.findIndex(task => task.id === taskId);
+    if (taskIndex !== -1) {
+        state.tasks[taskIndex] = { ...state.tasks[taskIndex], ...updates };
+    }
+    if (state.taskDetails[taskId]) {
+        state.taskDetails[taskId] = { ...state.taskDetails[taskId], ...updates };
+    }
+};
+
+// Drop pending fields once the backend has answered for the values we sent
+const settlePendingUpdates = (state, taskId, taskData) => {
+    const pending = state.pendingUpdates[taskId];
+    if (!pending) return;
+
+    Object.keys(taskData).forEach((field) => {
+        if (isSameTaskValue(pending[field], taskData[field])) {
+            delete pending[field];
+        }
+    });
+    if (Object.keys(pending).length === 0) {
+        delete state.pendingUpdates[taskId];
+    }
+};
+
 const tasksSlice = createSlice({
     name: 'tasks',
     initialState,
     reducers: {
         clearTasks: (state) => {
             state.tasks = [];
+            state.taskDetails = {};
+            state.trashedTasks = [];
+            state.archivedTasks = [];
+            state.pendingUpdates = {};
+            state.conflicts = {};
+            state.query = initialState.query;
+            state.pagination = initialState.pagination;
+            state.remainingEstimate = null;
             state.error = null;
             state.lastUpdated = null;
         },
+        setTaskQuery: (state, action) => {
+            state.query = { ...state.query, ...action.payload };
+            resetPagination(state);
+        },
+        goToNextTaskPage: (state) => {
+            const { page, hasMore, nextCursor } = state.pagination;
+            if (!hasMore || !nextCursor) return;
+
+            state.pagination.cursors = state.pagination.cursors.slice(0, page);
+            state.pagination.cursors.push(nextCursor);
+            state.pagination.page = page + 1;
+        },
+        goToPreviousTaskPage: (state) => {
+            if (state.pagination.page > 1) {
+                state.pagination.page -= 1;
+            }
+        },
+        taskFeedStarted: (state) => {
+            state.loading = true;
+            state.error = null;
+        },
+        taskFeedFailed: (state, action) => {
+            state.loading = false;
+            state.error = action.payload;
+        },
+        applyTaskChanges: (state, action) => {
+            const { changes, initial, hasMore, nextCursor } = action.payload;
+            const withPending = (task) => ({ ...task, ...state.pendingUpdates[task.id] });
+
+            if (initial) {
+                state.tasks = changes
+                    .filter(change => change.type !== 'removed')
+                    .map(change => withPending(change.task));
+            } else {
+                changes.forEach(({ type, task }) => {
+                    const taskIndex = state.tasks.findIndex(existing => existing.id === task.id);
+
+                    if (type === 'removed') {
+                        if (taskIndex !== -1) {
+                            state.tasks.splice(taskIndex, 1);
+                        }
+                    } else if (taskIndex !== -1) {
+                        state.tasks[taskIndex] = withPending(task);
+                    } else {
+                        state.tasks.push(withPending(task));
+                    }
+                });
+            }
+
+            state.tasks.sort(getTaskComparator(state.query.sort));
+            state.pagination.hasMore = hasMore;
+            state.pagination.nextCursor = nextCursor;
+            state.loading = false;
+            state.lastUpdated = new Date().toISOString();
+        },
         clearError: (state) => {
             state.error = null;
         },
         updateTaskLocal: (state, action) => {
             const { taskId, updates } = action.payload;
-            const taskIndex = state.tasks.findIndex(task => task.id === taskId);
-            if (taskIndex !== -1) {
-                state.tasks[taskIndex] = { ...state.tasks[taskIndex], ...updates };
-            }
+            mergeTaskEverywhere(state, taskId, updates);
+        },
+        // Optimistic part of a bulk edit; pending until the batch is confirmed
+        tasksUpdatedLocal: (state, action) => {
+            const { taskIds, updates } = action.payload;
+            taskIds.forEach((taskId) => {
+                state.pendingUpdates[taskId] = { ...state.pendingUpdates[taskId], ...updates };
+                mergeTaskEverywhere(state, taskId, updates);
+            });
+        },
+        // Optimistic part of a bulk delete
+        tasksRemovedLocal: (state, action) => {
+            const taskIds = action.payload;
+            state.tasks = state.tasks.filter(task => !taskIds.includes(task.id));
+        },
+        // Undo the optimistic part of a failed bulk edit or delete
+        bulkChangesRolledBack: (state, action) => {
+            const { taskIds = [], taskData = {}, previous = {}, removed = [] } = action.payload;
+
+            taskIds.forEach(taskId => settlePendingUpdates(state, taskId, taskData));
+            Object.entries(previous).forEach(([taskId, fields]) => {
+                mergeTaskEverywhere(state, taskId, fields);
+            });
+
+            const heldIds = new Set(state.tasks.map(task => task.id));
+            state.tasks.push(...removed.filter(task => !heldIds.has(task.id)));
+            state.tasks.sort(getTaskComparator(state.query.sort));
+        },
+        taskConflictDetected: (state, action) => {
+            const { taskId, remoteTask, localChanges } = action.payload;
+            const existing = state.conflicts[taskId];
+            state.conflicts[taskId] = {
+                remoteTask,
+                // Keep collecting the user's changes while the conflict is open
+                localChanges: { ...existing?.localChanges, ...localChanges },
+                detectedAt: existing?.detectedAt ?? new Date().toISOString()
+            };
+        },
+        taskConflictResolved: (state, action) => {
+            delete state.conflicts[action.payload];
+        },
+        // A queued edit reached the backend (or was discarded)
+        settleTaskUpdates: (state, action) => {
+            const { taskId, taskData } = action.payload;
+            settlePendingUpdates(state, taskId, taskData);
         }
     },
     extraReducers: (builder) => {
         builder
-            // Fetch tasks
-            .addCase(fetchTasks.pending, (state) => {
-                state.loading = true;
-                state.error = null;
+            // Fetch single task
+            .addCase(fetchTask.fulfilled, (state, action) => {
+                const { id, task } = action.payload;
+                state.taskDetails[id] = task;
+                if (task) {
+                    mergeTaskEverywhere(state, id, task);
+                }
             })
-            .addCase(fetchTasks.fulfilled, (state, action) => {
-                state.loading = false;
-                state.tasks = action.payload;
-                state.lastUpdated = new Date().toISOString();
+            .addCase(fetchTask.rejected, (state, action) => {
+                state.taskDetails[action.meta.arg] = null;
+                state.error = action.payload;
             })
-            .addCase(fetchTasks.rejected, (state, action) => {
-                state.loading = false;
+            // Fetch trash
+            .addCase(fetchTrashedTasks.fulfilled, (state, action) => {
+                state.trashedTasks = action.payload;
+            })
+            .addCase(fetchTrashedTasks.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            // Fetch archive
+            .addCase(fetchArchivedTasks.fulfilled, (state, action) => {
+                state.archivedTasks = action.payload;
+            })
+            .addCase(fetchArchivedTasks.rejected, (state, action) => {
                 state.error = action.payload;
             })
+            // Count
+            .addCase(fetchTaskCount.fulfilled, (state, action) => {
+                state.pagination.totalCount = action.payload;
+            })
+            .addCase(fetchRemainingEstimate.fulfilled, (state, action) => {
+                state.remainingEstimate = action.payload;
+            })
+            .addCase(fetchRemainingEstimate.rejected, (state) => {
+                state.remainingEstimate = null;
+            })
             // Create task
             .addCase(createTask.pending, (state) => {
                 state.loading = true;
                 state.error = null;
             })
-            .addCase(createTask.fulfilled, (state, action) => {
+            .addCase(createTask.fulfilled, (state) => {
+                // The live feed inserts the new task if it belongs on the current page
                 state.loading = false;
-                state.tasks.unshift(action.payload);
             })
             .addCase(createTask.rejected, (state, action) => {
                 state.loading = false;
                 state.error = action.payload;
             })
             // Edit task
-            .addCase(editTask.pending, (state) => {
+            .addCase(editTask.pending, (state, action) => {
+                const { taskId, taskData } = action.meta.arg;
+                state.pendingUpdates[taskId] = { ...state.pendingUpdates[taskId], ...taskData };
                 state.error = null;
             })
             .addCase(editTask.fulfilled, (state, action) => {
-                const taskIndex = state.tasks.findIndex(task => task.id === action.payload.id);
-                if (taskIndex !== -1) {
-                    state.tasks[taskIndex] = { ...state.tasks[taskIndex], ...action.payload };
+                const { queued, ...task } = action.payload;
+                // Queued edits stay pending until the outbox replays them; edits of
+                // offline-created tasks already live in the queued create
+                if (!queued || isLocalTaskId(task.id)) {
+                    settlePendingUpdates(state, action.meta.arg.taskId, action.meta.arg.taskData);
                 }
+                mergeTaskEverywhere(state, task.id, task);
             })
             .addCase(editTask.rejected, (state, action) => {
+                settlePendingUpdates(state, action.meta.arg.taskId, action.meta.arg.taskData);
+                state.error = action.payload;
+            })
+            // Bulk actions (optimistic updates are applied by the thunks)
+            .addCase(bulkEditTasks.fulfilled, (state, action) => {
+                const { taskIds, taskData } = action.payload;
+                taskIds.forEach(taskId => settlePendingUpdates(state, taskId, taskData));
+            })
+            .addCase(bulkEditTasks.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(bulkDeleteTasks.fulfilled, (state, action) => {
+                const deletedAt = new Date().toISOString();
+                action.payload.forEach(taskId => mergeTaskEverywhere(state, taskId, { deletedAt }));
+            })
+            .addCase(bulkDeleteTasks.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            // Move to trash / restore
+            .addCase(deleteTask.fulfilled, (state, action) => {
+                // The live feed drops the task from the page; keep detail copies current
+                mergeTaskEverywhere(state, action.payload.id, { deletedAt: action.payload.deletedAt });
+            })
+            .addCase(deleteTask.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(restoreTask.fulfilled, (state, action) => {
+                state.trashedTasks = state.trashedTasks.filter(task => task.id !== action.payload.id);
+                mergeTaskEverywhere(state, action.payload.id, { deletedAt: null });
+            })
+            .addCase(restoreTask.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            // Unarchive
+            .addCase(unarchiveTask.fulfilled, (state, action) => {
+                state.archivedTasks = state.archivedTasks.filter(task => task.id !== action.payload.id);
+                const { id, ...updates } = action.payload;
+                mergeTaskEverywhere(state, id, updates);
+            })
+            .addCase(unarchiveTask.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            // Permanent delete
+            .addCase(purgeTask.fulfilled, (state, action) => {
+                state.trashedTasks = state.trashedTasks.filter(task => task.id !== action.payload);
+                delete state.taskDetails[action.payload];
+                delete state.pendingUpdates[action.payload];
+            })
+            .addCase(purgeTask.rejected, (state, action) => {
                 state.error = action.payload;
             });
     }
 });
 
-export const { clearTasks, clearError, updateTaskLocal } = tasksSlice.actions;
+export const {
+    clearTasks,
+    clearError,
+    updateTaskLocal,
+    setTaskQuery,
+    goToNextTaskPage,
+    goToPreviousTaskPage,
+    taskFeedStarted,
+    taskFeedFailed,
+    applyTaskChanges,
+    tasksUpdatedLocal,
+    tasksRemovedLocal,
+    bulkChangesRolledBack,
+    settleTaskUpdates,
+    taskConflictDetected,
+    taskConflictResolved
+} = tasksSlice.actions;
 
 // Selectors
-export const selectTasks = (state) => state.tasks.tasks;
+const selectPageWindow = (state) => state.tasks.tasks;
+const selectTaskQueryState = (state) => state.tasks.query;
+const selectNextCursor = (state) => state.tasks.pagination.nextCursor;
+
+// Tasks on the current page: up to and including the one the next page starts after
+export const selectTasks = createSelector(
+    [selectPageWindow, selectTaskQueryState, selectNextCursor],
+    (tasks, query, nextCursor) => {
+        const compare = getTaskComparator(query.sort);
+        return tasks
+            .filter(task => !nextCursor || compare(task, nextCursor) <= 0)
+            .slice(0, query.pageSize);
+    }
+);
+export const selectTrashedTasks = (state) => state.tasks.trashedTasks;
+export const selectArchivedTasks = (state) => state.tasks.archivedTasks;
+export const selectTaskQuery = (state) => state.tasks.query;
+export const selectTaskPagination = (state) => state.tasks.pagination;
 export const selectTasksLoading = (state) => state.tasks.loading;
+export const selectTasksLastUpdated = (state) => state.tasks.lastUpdated;
+export const selectRemainingEstimate = (state) => state.tasks.remainingEstimate;
 export const selectTasksError = (state) => state.tasks.error;
+export const selectTaskConflict = (taskId) => (state) => state.tasks.conflicts[taskId];
+// undefined while unknown, null when the task does not exist
 export const selectTaskById = (taskId) => (state) =>
-    state.tasks.tasks.find(task => task.id === taskId);
+    state.tasks.tasks.find(task => task.id === taskId) ??
+    selectQueuedTasks(state).find(task => task.id === taskId) ??
+    state.tasks.taskDetails[taskId];
 
 export default tasksSlice.reducer;
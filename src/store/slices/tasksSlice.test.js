@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import reducer, { editTask, applyTaskChanges } from './tasksSlice.js';
+
+const TASK = { id: 'task-1', title: 'Pack', revision: 1, checklist: [] };
+const CHECKLIST = [{ id: 'item-1', text: 'Tent', done: false }];
+
+const loaded = () => reducer(undefined, applyTaskChanges({
+    changes: [{ type: 'added', task: TASK }],
+    initial: true,
+    hasMore: false,
+    nextCursor: null
+}));
+
+test('a saved checklist edit is no longer laid over later snapshots', () => {
+    const arg = { taskId: TASK.id, taskData: { checklist: CHECKLIST } };
+    let state = reducer(loaded(), editTask.pending('request-1', arg));
+    assert.deepEqual(state.pendingUpdates[TASK.id], { checklist: CHECKLIST });
+
+    // The reducer receives its own copy of the array, never the one that was sent
+    const saved = { id: TASK.id, checklist: structuredClone(CHECKLIST), revision: 2 };
+    state = reducer(state, editTask.fulfilled(saved, 'request-1', arg));
+    assert.equal(state.pendingUpdates[TASK.id], undefined);
+
+    const remoteChecklist = [{ ...CHECKLIST[0], done: true }];
+    state = reducer(state, applyTaskChanges({
+        changes: [{ type: 'modified', task: { ...TASK, checklist: remoteChecklist, revision: 3 } }],
+        initial: false,
+        hasMore: false,
+        nextCursor: null
+    }));
+    assert.deepEqual(state.tasks[0].checklist, remoteChecklist);
+});
+
+test('a failed checklist edit does not stick to the task', () => {
+    const arg = { taskId: TASK.id, taskData: { checklist: CHECKLIST } };
+    let state = reducer(loaded(), editTask.pending('request-1', arg));
+    state = reducer(state, editTask.rejected(new Error('offline'), 'request-1', arg, 'Could not save'));
+    assert.equal(state.pendingUpdates[TASK.id], undefined);
+});
@@ -0,0 +1,124 @@
+/**
+ * Templates Redux Slice
+ *
+ * Manages the signed-in user's task templates with:
+ * - Live template list sync through a storage listener
+ * - Creating, editing and deleting templates
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+    subscribeToUserTemplates,
+    addTemplate,
+    updateTemplate,
+    deleteTemplate as deleteStoredTemplate
+} from '@/lib/firestore';
+
+// Async thunks
+// Templates are written straight to the backend; they are not queued while offline
+export const createTemplate = createAsyncThunk(
+    'templates/createTemplate',
+    async ({ userId, templateData }, { rejectWithValue }) => {
+        try {
+            return await addTemplate(userId, templateData);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Update some fields of a template
+export const editTemplate = createAsyncThunk(
+    'templates/editTemplate',
+    async ({ templateId, templateData }, { rejectWithValue }) => {
+        try {
+            await updateTemplate(templateId, templateData);
+            return templateId;
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const deleteTemplate = createAsyncThunk(
+    'templates/deleteTemplate',
+    async (templateId, { rejectWithValue }) => {
+        try {
+            await deleteStoredTemplate(templateId);
+            return templateId;
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Handle and user of the active live template feed (kept out of Redux state)
+let unsubscribeTemplateFeed = null;
+let activeTemplateFeedUserId = null;
+
+// Start the live template feed for a user; a no-op when it is already running
+export const subscribeToTemplates = (userId) => (dispatch) => {
+    if (unsubscribeTemplateFeed && activeTemplateFeedUserId === userId) return;
+
+    unsubscribeTemplateFeed?.();
+    activeTemplateFeedUserId = userId;
+    unsubscribeTemplateFeed = subscribeToUserTemplates(
+        userId,
+        (templates) => dispatch(templatesReceived(templates)),
+        (error) => dispatch(templateFeedFailed(error.message))
+    );
+};
+
+// Stop the live template feed (e.g. on logout)
+export const unsubscribeFromTemplates = () => () => {
+    unsubscribeTemplateFeed?.();
+    unsubscribeTemplateFeed = null;
+    activeTemplateFeedUserId = null;
+};
+
+const initialState = {
+    // The user's templates in name order
+    templates: [],
+    loaded: false,
+    error: null
+};
+
+const templatesSlice = createSlice({
+    name: 'templates',
+    initialState,
+    reducers: {
+        clearTemplates: () => initialState,
+        templatesReceived: (state, action) => {
+            state.templates = action.payload;
+            state.loaded = true;
+            state.error = null;
+        },
+        templateFeedFailed: (state, action) => {
+            state.error = action.payload;
+        }
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(deleteTemplate.fulfilled, (state, action) => {
+                state.templates = state.templates.filter(template => template.id !== action.payload);
+            })
+            .addCase(createTemplate.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(editTemplate.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(deleteTemplate.rejected, (state, action) => {
+                state.error = action.payload;
+            });
+    }
+});
+
+export const { clearTemplates, templatesReceived, templateFeedFailed } = templatesSlice.actions;
+
+// Selectors
+export const selectTemplates = (state) => state.templates.templates;
+export const selectTemplatesLoaded = (state) => state.templates.loaded;
+export const selectTemplatesError = (state) => state.templates.error;
+
+export default templatesSlice.reducer;
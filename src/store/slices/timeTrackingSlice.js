@@ -0,0 +1,174 @@
+/**
+ * Time Tracking Redux Slice
+ *
+ * Manages the signed-in user's task timer with:
+ * - Live sync of the running timer, so it survives reloads and other tabs
+ * - Starting a timer (stopping the running one) and stopping it
+ * - Adding, editing and deleting time entries by hand
+ *
+ * Time entry lists are not kept in the store; pages subscribe to them directly.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+    startTimer as startStoredTimer,
+    stopTimer as stopStoredTimer,
+    subscribeToRunningTimer,
+    addTimeEntry as addStoredTimeEntry,
+    updateTimeEntry,
+    deleteTimeEntry as deleteStoredTimeEntry
+} from '@/lib/firestore';
+
+// Async thunks
+// Time entries are written straight to the backend; they are not queued while offline
+export const startTimer = createAsyncThunk(
+    'timeTracking/startTimer',
+    async ({ userId, taskId }, { rejectWithValue }) => {
+        try {
+            const entryId = await startStoredTimer(userId, taskId);
+            // Shown right away; the live feed brings the stored start time
+            return { id: entryId, userId, taskId, startedAt: new Date().toISOString(), endedAt: null };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const stopTimer = createAsyncThunk(
+    'timeTracking/stopTimer',
+    async (userId, { rejectWithValue }) => {
+        try {
+            await stopStoredTimer(userId);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Log a finished entry { startedAt, endedAt, note } by hand
+export const addTimeEntry = createAsyncThunk(
+    'timeTracking/addTimeEntry',
+    async ({ userId, taskId, entryData }, { rejectWithValue }) => {
+        try {
+            return await addStoredTimeEntry(userId, taskId, entryData);
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const editTimeEntry = createAsyncThunk(
+    'timeTracking/editTimeEntry',
+    async ({ entryId, entryData }, { rejectWithValue }) => {
+        try {
+            await updateTimeEntry(entryId, entryData);
+            return { id: entryId, ...entryData };
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+export const deleteTimeEntry = createAsyncThunk(
+    'timeTracking/deleteTimeEntry',
+    async (entryId, { rejectWithValue }) => {
+        try {
+            await deleteStoredTimeEntry(entryId);
+            return entryId;
+        } catch (error) {
+            return rejectWithValue(error.message);
+        }
+    }
+);
+
+// Handle and user of the active running-timer feed (kept out of Redux state)
+let unsubscribeTimerFeed = null;
+let activeTimerFeedUserId = null;
+
+// Start the running-timer feed for a user; a no-op when it is already running
+export const subscribeToTimer = (userId) => (dispatch) => {
+    if (unsubscribeTimerFeed && activeTimerFeedUserId === userId) return;
+
+    unsubscribeTimerFeed?.();
+    activeTimerFeedUserId = userId;
+    unsubscribeTimerFeed = subscribeToRunningTimer(
+        userId,
+        (entry) => dispatch(runningTimerReceived(entry)),
+        (error) => dispatch(timerFeedFailed(error.message))
+    );
+};
+
+// Stop the running-timer feed (e.g. on logout)
+export const unsubscribeFromTimer = () => () => {
+    unsubscribeTimerFeed?.();
+    unsubscribeTimerFeed = null;
+    activeTimerFeedUserId = null;
+};
+
+const initialState = {
+    // The user's running time entry, or null
+    running: null,
+    loaded: false,
+    // A start or stop is in flight
+    switching: false,
+    error: null
+};
+
+const timeTrackingSlice = createSlice({
+    name: 'timeTracking',
+    initialState,
+    reducers: {
+        clearTimer: () => initialState,
+        runningTimerReceived: (state, action) => {
+            state.running = action.payload;
+            state.loaded = true;
+            state.error = null;
+        },
+        timerFeedFailed: (state, action) => {
+            state.error = action.payload;
+        }
+    },
+    extraReducers: (builder) => {
+        builder
+            .addCase(startTimer.pending, (state) => {
+                state.switching = true;
+            })
+            .addCase(startTimer.fulfilled, (state, action) => {
+                state.switching = false;
+                state.running = action.payload;
+            })
+            .addCase(startTimer.rejected, (state, action) => {
+                state.switching = false;
+                state.error = action.payload;
+            })
+            .addCase(stopTimer.pending, (state) => {
+                state.switching = true;
+            })
+            .addCase(stopTimer.fulfilled, (state) => {
+                state.switching = false;
+                state.running = null;
+            })
+            .addCase(stopTimer.rejected, (state, action) => {
+                state.switching = false;
+                state.error = action.payload;
+            })
+            .addCase(addTimeEntry.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(editTimeEntry.rejected, (state, action) => {
+                state.error = action.payload;
+            })
+            .addCase(deleteTimeEntry.rejected, (state, action) => {
+                state.error = action.payload;
+            });
+    }
+});
+
+export const { clearTimer, runningTimerReceived, timerFeedFailed } = timeTrackingSlice.actions;
+
+// Selectors
+export const selectRunningTimer = (state) => state.timeTracking.running;
+export const selectTimerSwitching = (state) => state.timeTracking.switching;
+export const selectTimeTrackingError = (state) => state.timeTracking.error;
+
+export default timeTrackingSlice.reducer;